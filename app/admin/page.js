@@ -0,0 +1,1163 @@
+'use client';
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Admin console.
+ *
+ * Signs in with an X-Admin-Key (kept in sessionStorage for the tab) and
+ * shows only the sections the key's role is allowed to use. Every request
+ * is audited server-side; no endpoint used here returns private keys.
+ */
+
+const KEY_STORAGE = 'clawdpump_admin_key';
+
+const SECTIONS = [
+    ['agents', 'Agents', 'agents:read'],
+    ['wallets', 'Wallets', 'wallets:read'],
+    ['symbols', 'Symbol Policy', 'launches:read'],
+    ['scanner', 'Scanner', 'launches:read'],
+    ['treasury', 'Treasury', 'treasury:read'],
+    ['audit', 'Audit Log', 'audit:read'],
+    ['accounts', 'Admins', 'admins:manage'],
+];
+
+const FEE_SHARING_BADGES = {
+    configured: 'badge-live',
+    simulated: 'badge-solana',
+    pending: 'badge-solana',
+    failed: 'badge-error',
+};
+
+const mono = { fontFamily: 'var(--font-mono)', fontSize: '0.8rem' };
+const muted = { color: 'var(--text-muted)', fontSize: '0.8rem' };
+
+async function adminFetch(url, adminKey, opts = {}) {
+    const res = await fetch(url, {
+        ...opts,
+        headers: {
+            'X-Admin-Key': adminKey,
+            ...(opts.body ? { 'Content-Type': 'application/json' } : {}),
+        },
+    });
+    const data = await res.json();
+    if (!res.ok || data.success === false) {
+        throw new Error(data.error || `Request failed (${res.status})`);
+    }
+    return data;
+}
+
+const AGENT_FILTERS = {
+    '': {},
+    frozen: { frozen: 'true' },
+    suspended: { suspended: 'true' },
+    active: { frozen: 'false', suspended: 'false' },
+};
+
+function agentStatus(agent) {
+    if (agent.frozen) return ['Frozen', 'badge-error'];
+    if (agent.suspension?.kind === 'banned') return ['Banned', 'badge-error'];
+    if (agent.suspension) return ['Suspended', 'badge-error'];
+    return ['Active', 'badge-live'];
+}
+
+function AgentStatusBadge({ agent }) {
+    const [label, badge] = agentStatus(agent);
+    return <span className={`badge ${badge}`}>{label}</span>;
+}
+
+function shortAddr(addr) {
+    return addr ? `${addr.slice(0, 6)}...${addr.slice(-4)}` : '—';
+}
+
+function fmtDate(value) {
+    return value ? new Date(value).toLocaleString() : '—';
+}
+
+function ErrorCard({ message }) {
+    if (!message) return null;
+    return (
+        <div className="card" style={{ borderColor: 'var(--accent-red)', color: 'var(--accent-red)', marginBottom: 16 }}>
+            {message}
+        </div>
+    );
+}
+
+function Pager({ pagination, onPage, loading }) {
+    if (!pagination || (pagination.offset === 0 && !pagination.hasMore)) return null;
+    return (
+        <div style={{ display: 'flex', gap: 12, justifyContent: 'center', alignItems: 'center', marginTop: 16 }}>
+            <button className="btn btn-sm btn-secondary" disabled={pagination.offset === 0 || loading}
+                onClick={() => onPage(Math.max(pagination.offset - pagination.limit, 0))}>← Prev</button>
+            <span style={muted}>{pagination.offset + 1}–{Math.min(pagination.offset + pagination.limit, pagination.total)} of {pagination.total}</span>
+            <button className="btn btn-sm btn-secondary" disabled={!pagination.hasMore || loading}
+                onClick={() => onPage(pagination.offset + pagination.limit)}>Next →</button>
+        </div>
+    );
+}
+
+// ---------------------------------------------------------------------------
+// Agents
+// ---------------------------------------------------------------------------
+
+function AgentsSection({ adminKey, can }) {
+    const [query, setQuery] = useState('');
+    const [filter, setFilter] = useState('');
+    const [result, setResult] = useState(null);
+    const [selected, setSelected] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const search = useCallback(async (offset = 0) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const params = new URLSearchParams({ q: query, limit: '25', offset: String(offset) });
+            for (const [key, value] of Object.entries(AGENT_FILTERS[filter])) params.set(key, value);
+            setResult(await adminFetch(`/api/admin/agents?${params}`, adminKey));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [adminKey, query, filter]);
+
+    useEffect(() => { search(0); }, [filter]); // eslint-disable-line react-hooks/exhaustive-deps
+
+    if (selected) {
+        return <AgentDetail adminKey={adminKey} can={can} agentId={selected} onBack={() => { setSelected(null); search(result?.pagination?.offset || 0); }} />;
+    }
+
+    return (
+        <>
+            <div className="search-bar" style={{ display: 'flex', gap: 8, marginBottom: 16 }}>
+                <input
+                    className="form-input"
+                    placeholder="Search by agent ID, name or wallet address"
+                    value={query}
+                    onChange={(e) => setQuery(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Enter' && search(0)}
+                    style={{ flex: 1 }}
+                />
+                <select className="form-input" value={filter} onChange={(e) => setFilter(e.target.value)} style={{ maxWidth: 160 }}>
+                    <option value="">All agents</option>
+                    <option value="frozen">Frozen</option>
+                    <option value="suspended">Suspended / banned</option>
+                    <option value="active">Active</option>
+                </select>
+                <button className="btn btn-primary" onClick={() => search(0)} disabled={loading}>Search</button>
+            </div>
+
+            <ErrorCard message={error} />
+            {loading && <div className="loading-text">searching...</div>}
+
+            {result && !loading && (
+                result.agents.length === 0 ? (
+                    <div className="empty-text">no agents found</div>
+                ) : (
+                    <div className="table-wrapper">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Agent</th>
+                                    <th>Wallet</th>
+                                    <th>Platform</th>
+                                    <th>Tokens</th>
+                                    <th>Status</th>
+                                    <th>Registered</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {result.agents.map((a) => (
+                                    <tr key={a.agentId}>
+                                        <td>
+                                            <div style={{ fontWeight: 700, color: 'var(--text-bright)' }}>{a.agentName}</div>
+                                            <div style={mono}>{a.agentId}</div>
+                                        </td>
+                                        <td style={mono}>{shortAddr(a.walletAddress)}</td>
+                                        <td>{a.platform}</td>
+                                        <td>{a.tokensLaunched}</td>
+                                        <td><AgentStatusBadge agent={a} /></td>
+                                        <td style={muted}>{fmtDate(a.createdAt)}</td>
+                                        <td><button className="btn btn-sm btn-secondary" onClick={() => setSelected(a.agentId)}>Open →</button></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )
+            )}
+            <Pager pagination={result?.pagination} onPage={search} loading={loading} />
+        </>
+    );
+}
+
+function AgentDetail({ adminKey, can, agentId, onBack }) {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [reason, setReason] = useState('');
+    const [modReason, setModReason] = useState('');
+    const [durationHours, setDurationHours] = useState('72');
+    const [blockClaims, setBlockClaims] = useState(false);
+    const [busy, setBusy] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    const load = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+        try {
+            setData(await adminFetch(`/api/admin/agents/${encodeURIComponent(agentId)}`, adminKey));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [adminKey, agentId]);
+
+    useEffect(() => { load(); }, [load]);
+
+    const setFrozen = async (frozen) => {
+        setBusy('freeze');
+        setNotice(null);
+        try {
+            await adminFetch(`/api/admin/agents/${encodeURIComponent(agentId)}/freeze`, adminKey, {
+                method: 'POST',
+                body: JSON.stringify({ frozen, reason }),
+            });
+            setReason('');
+            setNotice({ ok: true, message: frozen ? 'Agent frozen.' : 'Agent unfrozen.' });
+            await load();
+        } catch (err) {
+            setNotice({ ok: false, message: err.message });
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const setSuspension = async (action) => {
+        setBusy('suspension');
+        setNotice(null);
+        try {
+            await adminFetch(`/api/admin/agents/${encodeURIComponent(agentId)}/suspension`, adminKey, {
+                method: 'POST',
+                body: JSON.stringify({
+                    action,
+                    reason: modReason,
+                    ...(action === 'suspend' ? { durationHours: Number(durationHours) } : {}),
+                    blockClaims,
+                }),
+            });
+            setModReason('');
+            setNotice({ ok: true, message: { suspend: 'Agent suspended.', ban: 'Agent banned.', lift: 'Suspension lifted.' }[action] });
+            await load();
+        } catch (err) {
+            setNotice({ ok: false, message: err.message });
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const setDelisted = async (token, delisted) => {
+        const tokenReason = window.prompt(`Reason for ${delisted ? 'delisting' : 'relisting'} $${token.symbol}`);
+        if (!tokenReason?.trim()) return;
+        let expiry = {};
+        if (delisted) {
+            const hours = window.prompt('Hours until it is listed again (leave empty for permanent)', '24');
+            if (hours === null) return;
+            expiry = hours.trim() ? { durationHours: Number(hours) } : { permanent: true };
+        }
+
+        setBusy(token.id);
+        setNotice(null);
+        try {
+            await adminFetch(`/api/admin/tokens/${encodeURIComponent(token.id)}/delist`, adminKey, {
+                method: 'POST',
+                body: JSON.stringify({ delisted, reason: tokenReason, ...expiry }),
+            });
+            setNotice({ ok: true, message: `$${token.symbol} ${delisted ? 'delisted' : 'relisted'}.` });
+            await load();
+        } catch (err) {
+            setNotice({ ok: false, message: `$${token.symbol}: ${err.message}` });
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const rerunFeeSharing = async (token) => {
+        setBusy(token.id);
+        setNotice(null);
+        try {
+            const { result } = await adminFetch('/api/admin/fee-sharing/rerun', adminKey, {
+                method: 'POST',
+                body: JSON.stringify({ tokenId: token.id }),
+            });
+            setNotice({ ok: true, message: `$${token.symbol}: ${result.action} ok${result.txSignature ? ` (${shortAddr(result.txSignature)})` : ''}` });
+            await load();
+        } catch (err) {
+            setNotice({ ok: false, message: `$${token.symbol}: ${err.message}` });
+        } finally {
+            setBusy(null);
+        }
+    };
+
+    const agent = data?.agent;
+
+    return (
+        <>
+            <button className="btn btn-sm btn-secondary" onClick={onBack} style={{ marginBottom: 16 }}>← Back to search</button>
+            <ErrorCard message={error} />
+            {loading && !data && <div className="loading-text">loading agent...</div>}
+
+            {agent && (
+                <>
+                    <div className="card" style={{ marginBottom: 24 }}>
+                        <div className="profile-header">
+                            <div className="profile-avatar">🤖</div>
+                            <div className="profile-info">
+                                <h1>{agent.agentName}</h1>
+                                <p style={mono}>ID: {agent.agentId} · {agent.platform} · registered {fmtDate(agent.createdAt)}</p>
+                                {data.wallet && (
+                                    <p style={{ ...mono, color: 'var(--text-muted)' }}>
+                                        Wallet: {data.wallet.address} (key {data.wallet.keyId})
+                                    </p>
+                                )}
+                                <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
+                                    <AgentStatusBadge agent={agent} />
+                                    <span className="badge badge-solana">{agent.tokensLaunched} tokens</span>
+                                </div>
+                                {agent.frozen && (
+                                    <p style={{ ...muted, marginTop: 8 }}>
+                                        Frozen {fmtDate(agent.frozenAt)} by {agent.frozenBy || '—'}: {agent.frozenReason}
+                                    </p>
+                                )}
+                                {agent.suspension && (
+                                    <p style={{ ...muted, marginTop: 8 }}>
+                                        {agent.suspension.kind === 'banned' ? 'Banned' : 'Suspended'} {fmtDate(agent.suspension.suspendedAt)} by {agent.suspension.suspendedBy || '—'}
+                                        {agent.suspension.expiresAt ? ` until ${fmtDate(agent.suspension.expiresAt)}` : ''}
+                                        {agent.suspension.blocksClaims ? ' (fee claims blocked)' : ''}: {agent.suspension.reason}
+                                    </p>
+                                )}
+                            </div>
+                        </div>
+
+                        {can('agents:freeze') && (
+                            <div style={{ display: 'flex', gap: 8, marginTop: 16 }}>
+                                {agent.frozen ? (
+                                    <button className="btn btn-secondary" onClick={() => setFrozen(false)} disabled={busy === 'freeze'}>
+                                        {busy === 'freeze' ? 'Saving...' : 'Unfreeze agent'}
+                                    </button>
+                                ) : (
+                                    <>
+                                        <input
+                                            className="form-input"
+                                            placeholder="Reason for freezing (required)"
+                                            value={reason}
+                                            onChange={(e) => setReason(e.target.value)}
+                                            style={{ flex: 1 }}
+                                        />
+                                        <button className="btn btn-primary" onClick={() => setFrozen(true)} disabled={busy === 'freeze' || !reason.trim()}>
+                                            {busy === 'freeze' ? 'Saving...' : 'Freeze agent'}
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                        )}
+
+                        {can('agents:suspend') && (
+                            <div style={{ display: 'flex', gap: 8, marginTop: 16, alignItems: 'center', flexWrap: 'wrap' }}>
+                                <input
+                                    className="form-input"
+                                    placeholder={agent.suspension ? 'Reason for lifting (required)' : 'Reason for suspension or ban (required)'}
+                                    value={modReason}
+                                    onChange={(e) => setModReason(e.target.value)}
+                                    style={{ flex: 1 }}
+                                />
+                                {agent.suspension ? (
+                                    <button className="btn btn-secondary" onClick={() => setSuspension('lift')} disabled={busy === 'suspension' || !modReason.trim()}>
+                                        {busy === 'suspension' ? 'Saving...' : `Lift ${agent.suspension.kind === 'banned' ? 'ban' : 'suspension'}`}
+                                    </button>
+                                ) : (
+                                    <>
+                                        <input
+                                            className="form-input"
+                                            type="number"
+                                            min="1"
+                                            value={durationHours}
+                                            onChange={(e) => setDurationHours(e.target.value)}
+                                            style={{ maxWidth: 90 }}
+                                            title="Suspension length in hours"
+                                        />
+                                        <span style={muted}>hours</span>
+                                        <label style={{ ...muted, display: 'flex', gap: 4, alignItems: 'center' }}>
+                                            <input type="checkbox" checked={blockClaims} onChange={(e) => setBlockClaims(e.target.checked)} />
+                                            block fee claims
+                                        </label>
+                                        <button className="btn btn-primary" onClick={() => setSuspension('suspend')} disabled={busy === 'suspension' || !modReason.trim() || !(Number(durationHours) > 0)}>
+                                            Suspend
+                                        </button>
+                                        <button className="btn btn-secondary" onClick={() => setSuspension('ban')} disabled={busy === 'suspension' || !modReason.trim()}>
+                                            Ban
+                                        </button>
+                                    </>
+                                )}
+                            </div>
+                        )}
+                    </div>
+
+                    {notice && (
+                        <p style={{ marginBottom: 16, fontSize: '0.85rem', color: notice.ok ? 'var(--accent)' : 'var(--accent-red)' }}>{notice.message}</p>
+                    )}
+
+                    {data.tokens && (
+                        <div className="card" style={{ marginBottom: 24 }}>
+                            <h3 style={{ color: 'var(--text-bright)', marginBottom: 16 }}>Tokens ({data.totalTokens})</h3>
+                            {data.tokens.length === 0 ? (
+                                <div className="empty-text">no tokens launched</div>
+                            ) : (
+                                <div className="table-wrapper">
+                                    <table>
+                                        <thead>
+                                            <tr>
+                                                <th>Token</th>
+                                                <th>Mint</th>
+                                                <th>Tier</th>
+                                                <th>Listing</th>
+                                                <th>Fee sharing</th>
+                                                <th>Launched</th>
+                                                {(can('fee_sharing:rerun') || can('tokens:delist')) && <th></th>}
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {data.tokens.map((t) => (
+                                                <tr key={t.id}>
+                                                    <td><strong>${t.symbol}</strong> <span style={muted}>{t.name}</span></td>
+                                                    <td style={mono}>{shortAddr(t.mintAddress)}</td>
+                                                    <td>{t.launchType}</td>
+                                                    <td>
+                                                        {t.delisting ? (
+                                                            <span className="badge badge-error" title={t.delisting.reason}>
+                                                                Delisted{t.delisting.until ? ` until ${fmtDate(t.delisting.until)}` : ''}
+                                                            </span>
+                                                        ) : (
+                                                            <span className="badge badge-live">Listed</span>
+                                                        )}
+                                                    </td>
+                                                    <td><span className={`badge ${FEE_SHARING_BADGES[t.feeSharingStatus] || 'badge-solana'}`}>{t.feeSharingStatus}</span></td>
+                                                    <td style={muted}>{fmtDate(t.createdAt)}</td>
+                                                    {(can('fee_sharing:rerun') || can('tokens:delist')) && (
+                                                        <td style={{ display: 'flex', gap: 8 }}>
+                                                            {can('fee_sharing:rerun') && (
+                                                                <button className="btn btn-sm btn-secondary" onClick={() => rerunFeeSharing(t)}
+                                                                    disabled={Boolean(busy) || t.simulated || !t.mintAddress}>
+                                                                    {busy === t.id ? 'Running...' : 'Re-run fee sharing'}
+                                                                </button>
+                                                            )}
+                                                            {can('tokens:delist') && (
+                                                                <button className="btn btn-sm btn-secondary" onClick={() => setDelisted(t, !t.delisting)} disabled={Boolean(busy)}>
+                                                                    {t.delisting ? 'Relist' : 'Delist'}
+                                                                </button>
+                                                            )}
+                                                        </td>
+                                                    )}
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    )}
+
+                    {data.jobs && data.jobs.length > 0 && (
+                        <div className="card" style={{ marginBottom: 24 }}>
+                            <h3 style={{ color: 'var(--text-bright)', marginBottom: 16 }}>Launch Jobs</h3>
+                            <div className="table-wrapper">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Job</th>
+                                            <th>Symbol</th>
+                                            <th>Status</th>
+                                            <th>Attempts</th>
+                                            <th>Error</th>
+                                            <th>Created</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {data.jobs.map((j) => (
+                                            <tr key={j.jobId}>
+                                                <td style={mono}>{shortAddr(j.jobId)}</td>
+                                                <td>${j.symbol}</td>
+                                                <td><span className={`badge ${j.status === 'failed' ? 'badge-error' : j.status === 'done' ? 'badge-live' : 'badge-solana'}`}>{j.status}</span></td>
+                                                <td>{j.attempts}</td>
+                                                <td style={muted}>{j.error || '—'}</td>
+                                                <td style={muted}>{fmtDate(j.createdAt)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+
+                    {data.payments && data.payments.length > 0 && (
+                        <div className="card" style={{ marginBottom: 24 }}>
+                            <h3 style={{ color: 'var(--text-bright)', marginBottom: 16 }}>Paid Launch Payments</h3>
+                            <div className="table-wrapper">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Symbol</th>
+                                            <th>Amount (SOL)</th>
+                                            <th>Status</th>
+                                            <th>Tx</th>
+                                            <th>Updated</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {data.payments.map((p) => (
+                                            <tr key={p.id}>
+                                                <td>${p.symbol}</td>
+                                                <td>{p.amountSol}</td>
+                                                <td><span className={`badge ${p.status === 'completed' ? 'badge-live' : 'badge-solana'}`}>{p.status}</span></td>
+                                                <td style={mono}>{shortAddr(p.txSignature)}</td>
+                                                <td style={muted}>{fmtDate(p.updatedAt)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </>
+    );
+}
+
+// ---------------------------------------------------------------------------
+// Wallets / Treasury / Audit / Admins
+// ---------------------------------------------------------------------------
+
+function WalletsSection({ adminKey }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        adminFetch('/api/admin/wallets', adminKey).then(setData).catch(err => setError(err.message));
+    }, [adminKey]);
+
+    if (error) return <ErrorCard message={error} />;
+    if (!data) return <div className="loading-text">loading wallets...</div>;
+
+    return (
+        <div className="table-wrapper">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Agent</th>
+                        <th>Wallet address</th>
+                        <th>Key id</th>
+                        <th>Created</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    {data.wallets.map((w) => (
+                        <tr key={w.walletAddress}>
+                            <td>
+                                <div style={{ fontWeight: 700, color: 'var(--text-bright)' }}>{w.agentName}</div>
+                                <div style={mono}>{w.agentId}</div>
+                            </td>
+                            <td style={mono}>{w.walletAddress}</td>
+                            <td>{w.keyId}</td>
+                            <td style={muted}>{fmtDate(w.createdAt)}</td>
+                        </tr>
+                    ))}
+                </tbody>
+            </table>
+        </div>
+    );
+}
+
+function SymbolPolicySection({ adminKey, can }) {
+    const [rules, setRules] = useState(null);
+    const [rejections, setRejections] = useState(null);
+    const [form, setForm] = useState({ pattern: '', match: 'exact', kind: 'blocked', reservedFor: '', reason: '' });
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const loadRules = useCallback(async () => {
+        const data = await adminFetch('/api/admin/symbol-policy', adminKey);
+        setRules(data.rules);
+    }, [adminKey]);
+
+    const loadRejections = useCallback(async (offset = 0) => {
+        setLoading(true);
+        try {
+            setRejections(await adminFetch(`/api/admin/symbol-policy/rejections?limit=25&offset=${offset}`, adminKey));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [adminKey]);
+
+    useEffect(() => {
+        adminFetch('/api/admin/symbol-policy', adminKey).then(d => setRules(d.rules)).catch(err => setError(err.message));
+        adminFetch('/api/admin/symbol-policy/rejections?limit=25&offset=0', adminKey).then(setRejections).catch(err => setError(err.message));
+    }, [adminKey]);
+
+    const run = async (fn) => {
+        setError(null);
+        try {
+            await fn();
+            await loadRules();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const addRule = () => run(async () => {
+        await adminFetch('/api/admin/symbol-policy', adminKey, { method: 'POST', body: JSON.stringify(form) });
+        setForm(f => ({ ...f, pattern: '', reservedFor: '', reason: '' }));
+    });
+
+    const deleteRule = (rule) => run(() => adminFetch(`/api/admin/symbol-policy/${rule.id}`, adminKey, { method: 'DELETE' }));
+
+    const manage = can('symbol_policy:manage');
+
+    return (
+        <>
+            <ErrorCard message={error} />
+
+            {manage && (
+                <div className="search-bar" style={{ display: 'flex', gap: 8, marginBottom: 16, flexWrap: 'wrap' }}>
+                    <input className="form-input" placeholder="SYMBOL" value={form.pattern}
+                        onChange={(e) => setForm({ ...form, pattern: e.target.value.toUpperCase() })} style={{ maxWidth: 140 }} />
+                    <select className="form-input" value={form.match} onChange={(e) => setForm({ ...form, match: e.target.value })} style={{ maxWidth: 110 }}>
+                        <option value="exact">exact</option>
+                        <option value="prefix">prefix</option>
+                    </select>
+                    <select className="form-input" value={form.kind} onChange={(e) => setForm({ ...form, kind: e.target.value })} style={{ maxWidth: 120 }}>
+                        <option value="blocked">blocked</option>
+                        <option value="reserved">reserved</option>
+                        <option value="allowed">allowed</option>
+                    </select>
+                    {form.kind === 'reserved' && (
+                        <input className="form-input" placeholder="Reserved for agent ID" value={form.reservedFor}
+                            onChange={(e) => setForm({ ...form, reservedFor: e.target.value })} style={{ maxWidth: 200 }} />
+                    )}
+                    <input className="form-input" placeholder="Reason (required)" value={form.reason}
+                        onChange={(e) => setForm({ ...form, reason: e.target.value })} style={{ flex: 1 }} />
+                    <button className="btn btn-primary" onClick={addRule} disabled={!form.pattern.trim() || !form.reason.trim()}>Add rule</button>
+                </div>
+            )}
+
+            <div className="card" style={{ marginBottom: 24 }}>
+                <h3 style={{ color: 'var(--text-bright)', marginBottom: 16 }}>Rules</h3>
+                {!rules ? (
+                    <div className="loading-text">loading rules...</div>
+                ) : (
+                    <div className="table-wrapper">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Pattern</th>
+                                    <th>Match</th>
+                                    <th>Kind</th>
+                                    <th>Reason</th>
+                                    <th>Added</th>
+                                    {manage && <th></th>}
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rules.map((r) => (
+                                    <tr key={r.builtIn ? `builtin:${r.match}:${r.pattern}` : r.id}>
+                                        <td style={mono}>{r.pattern}</td>
+                                        <td>{r.match}</td>
+                                        <td>
+                                            <span className={`badge ${r.kind === 'allowed' ? 'badge-live' : r.kind === 'blocked' ? 'badge-error' : 'badge-solana'}`}>{r.kind}</span>
+                                            {r.reservedFor && <span style={muted}> for {r.reservedFor}</span>}
+                                        </td>
+                                        <td style={muted}>{r.reason || '—'}</td>
+                                        <td style={muted}>{r.builtIn ? 'built-in' : `${fmtDate(r.createdAt)} by ${r.createdBy || '—'}`}</td>
+                                        {manage && (
+                                            <td>
+                                                {!r.builtIn && (
+                                                    <button className="btn btn-sm btn-secondary" onClick={() => deleteRule(r)}>Remove</button>
+                                                )}
+                                            </td>
+                                        )}
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+
+            <div className="card">
+                <h3 style={{ color: 'var(--text-bright)', marginBottom: 16 }}>Rejected Launches</h3>
+                {!rejections ? (
+                    <div className="loading-text">loading rejections...</div>
+                ) : rejections.rejections.length === 0 ? (
+                    <div className="empty-text">no rejected launches</div>
+                ) : (
+                    <div className="table-wrapper">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Agent</th>
+                                    <th>Source</th>
+                                    <th>Token</th>
+                                    <th>Code</th>
+                                    <th>Reason</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {rejections.rejections.map((r) => (
+                                    <tr key={r.id}>
+                                        <td style={muted}>{fmtDate(r.createdAt)}</td>
+                                        <td style={mono}>{r.agentId || '—'}</td>
+                                        <td>{r.source}</td>
+                                        <td><strong>${r.symbol}</strong> <span style={muted}>{r.name}</span></td>
+                                        <td><span className="badge badge-error">{r.code}</span></td>
+                                        <td style={muted}>{r.reason}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+                <Pager pagination={rejections?.pagination} onPage={loadRejections} loading={loading} />
+            </div>
+        </>
+    );
+}
+
+const SCANNER_POST_FILTERS = {
+    '': 'All failed',
+    'true': 'Retrying',
+    'false': 'Given up',
+};
+
+function ScannerSection({ adminKey, can }) {
+    const [data, setData] = useState(null);
+    const [filter, setFilter] = useState('');
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+
+    const load = useCallback(async (offset = 0) => {
+        setLoading(true);
+        try {
+            const params = new URLSearchParams({ limit: '25', offset: String(offset) });
+            if (filter) params.set('retrying', filter);
+            setData(await adminFetch(`/api/admin/scanner/posts?${params}`, adminKey));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [adminKey, filter]);
+
+    useEffect(() => { load(0); }, [load]);
+
+    const replay = async (post) => {
+        setError(null);
+        setNotice(null);
+        try {
+            const result = await adminFetch(`/api/admin/scanner/posts/${encodeURIComponent(post.id)}/replay`, adminKey, { method: 'POST' });
+            setNotice(result.launched
+                ? `Post ${post.id} launched.`
+                : `Post ${post.id} replayed: ${result.post.status}${result.post.errorMsg ? ` — ${result.post.errorMsg}` : ''}`);
+            await load(data?.pagination.offset || 0);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    return (
+        <>
+            <ErrorCard message={error} />
+            {notice && <div className="card" style={{ borderColor: 'var(--accent)', marginBottom: 16 }}>{notice}</div>}
+
+            <div className="tabs" style={{ marginBottom: 16 }}>
+                {Object.entries(SCANNER_POST_FILTERS).map(([key, label]) => (
+                    <button key={key} className={`tab ${filter === key ? 'active' : ''}`} onClick={() => setFilter(key)}>{label}</button>
+                ))}
+            </div>
+
+            {!data ? (
+                <div className="loading-text">loading failed posts...</div>
+            ) : data.posts.length === 0 ? (
+                <div className="empty-text">no failed posts</div>
+            ) : (
+                <div className="table-wrapper">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Updated</th>
+                                <th>Post</th>
+                                <th>Author</th>
+                                <th>Status</th>
+                                <th>Error</th>
+                                <th>Attempts</th>
+                                <th>Next retry</th>
+                                {can('scanner:replay') && <th></th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.posts.map((p) => (
+                                <tr key={p.id}>
+                                    <td style={muted}>{fmtDate(p.updatedAt)}</td>
+                                    <td style={mono} title={p.content || ''}>{p.platform}:{p.id.length > 14 ? `${p.id.slice(0, 12)}…` : p.id}</td>
+                                    <td style={mono}>{p.agentId || p.authorName || '—'}</td>
+                                    <td><span className="badge badge-error">{p.status}</span></td>
+                                    <td style={{ ...muted, maxWidth: 320 }}>{p.errorMsg || '—'}</td>
+                                    <td>{p.attempts} / {p.maxAttempts}</td>
+                                    <td style={muted}>{p.nextAttemptAt ? fmtDate(p.nextAttemptAt) : '—'}</td>
+                                    {can('scanner:replay') && (
+                                        <td>
+                                            <button className="btn btn-sm btn-secondary" onClick={() => replay(p)} disabled={!p.content}
+                                                title={p.content ? 'Launch this post again now' : 'Post content was not stored'}>
+                                                Replay
+                                            </button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+            <Pager pagination={data?.pagination} onPage={load} loading={loading} />
+        </>
+    );
+}
+
+function TreasurySection({ adminKey }) {
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState(null);
+
+    useEffect(() => {
+        adminFetch('/api/admin/treasury', adminKey).then(d => setReport(d.report)).catch(err => setError(err.message));
+    }, [adminKey]);
+
+    if (error) return <ErrorCard message={error} />;
+    if (!report) return <div className="loading-text">building reconciliation report...</div>;
+
+    const sol = (v) => (v === null ? '—' : (Number(v) / 1e9).toFixed(6));
+
+    return (
+        <>
+            <div className="grid-4" style={{ marginBottom: 24 }}>
+                {[
+                    ['Ledger integrity', report.integrity.balanced ? 'Balanced' : `${report.integrity.unbalancedTransactions.length} unbalanced`],
+                    ['Accounts', String(report.totals.accounts)],
+                    ['Mismatched', String(report.totals.mismatched)],
+                    ['Unchecked', String(report.totals.unchecked)],
+                ].map(([label, value]) => (
+                    <div key={label} className="card stat-card">
+                        <div className="stat-value" style={{ fontSize: '1.4rem' }}>{value}</div>
+                        <div className="stat-label">{label}</div>
+                    </div>
+                ))}
+            </div>
+            <p style={{ ...muted, marginBottom: 12 }}>
+                Generated {fmtDate(report.generatedAt)}{report.simulated ? ' — SIMULATE mode, agent wallets not checked on-chain' : ''}
+            </p>
+            <div className="table-wrapper">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Account</th>
+                            <th>Wallet</th>
+                            <th>Ledger SOL</th>
+                            <th>On-chain SOL</th>
+                            <th>Difference</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {report.accounts.map((a) => (
+                            <tr key={a.account}>
+                                <td style={mono}>{a.account}</td>
+                                <td style={mono}>{shortAddr(a.walletAddress)}</td>
+                                <td>{sol(a.ledgerLamports)}</td>
+                                <td>{sol(a.onChainLamports)}</td>
+                                <td style={{ color: a.differenceLamports && a.differenceLamports !== '0' ? 'var(--accent-warm)' : undefined }}>
+                                    {a.error ? <span style={muted}>{a.error}</span> : sol(a.differenceLamports)}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+        </>
+    );
+}
+
+function AuditSection({ adminKey }) {
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    const load = useCallback(async (offset = 0) => {
+        setLoading(true);
+        try {
+            setData(await adminFetch(`/api/admin/audit?limit=50&offset=${offset}`, adminKey));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [adminKey]);
+
+    useEffect(() => { load(0); }, [load]);
+
+    if (error) return <ErrorCard message={error} />;
+    if (!data) return <div className="loading-text">loading audit log...</div>;
+
+    return (
+        <>
+            <div className="table-wrapper">
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Time</th>
+                            <th>Admin</th>
+                            <th>Action</th>
+                            <th>Target</th>
+                            <th>Status</th>
+                            <th>Details</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        {data.entries.map((e) => (
+                            <tr key={e.id}>
+                                <td style={muted}>{fmtDate(e.createdAt)}</td>
+                                <td>{e.adminName} <span style={muted}>({e.role})</span></td>
+                                <td style={mono}>{e.action}</td>
+                                <td style={mono}>{e.targetType ? `${e.targetType}:${e.targetId}` : '—'}</td>
+                                <td><span className={`badge ${e.status === 'ok' ? 'badge-live' : 'badge-error'}`}>{e.status}</span></td>
+                                <td style={{ ...mono, maxWidth: 320, overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                                    {e.details ? JSON.stringify(e.details) : '—'}
+                                </td>
+                            </tr>
+                        ))}
+                    </tbody>
+                </table>
+            </div>
+            <Pager pagination={data.pagination} onPage={load} loading={loading} />
+        </>
+    );
+}
+
+function AccountsSection({ adminKey }) {
+    const [data, setData] = useState(null);
+    const [error, setError] = useState(null);
+    const [name, setName] = useState('');
+    const [role, setRole] = useState('read_only');
+    const [newKey, setNewKey] = useState(null);
+
+    const load = useCallback(async () => {
+        try {
+            setData(await adminFetch('/api/admin/accounts', adminKey));
+        } catch (err) {
+            setError(err.message);
+        }
+    }, [adminKey]);
+
+    useEffect(() => {
+        adminFetch('/api/admin/accounts', adminKey).then(setData).catch(err => setError(err.message));
+    }, [adminKey]);
+
+    const run = async (fn) => {
+        setError(null);
+        setNewKey(null);
+        try {
+            const result = await fn();
+            if (result.adminKey) setNewKey({ name: result.account.name, key: result.adminKey });
+            await load();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const create = () => run(async () => {
+        const result = await adminFetch('/api/admin/accounts', adminKey, { method: 'POST', body: JSON.stringify({ name: name.trim(), role }) });
+        setName('');
+        return result;
+    });
+
+    const update = (id, changes) => run(() => adminFetch(`/api/admin/accounts/${encodeURIComponent(id)}`, adminKey, {
+        method: 'PATCH',
+        body: JSON.stringify(changes),
+    }));
+
+    return (
+        <>
+            <ErrorCard message={error} />
+            {newKey && (
+                <div className="card" style={{ borderColor: 'var(--accent)', marginBottom: 16 }}>
+                    <p style={{ marginBottom: 8 }}>Key for <strong>{newKey.name}</strong> — save it now, it will not be shown again:</p>
+                    <code style={mono}>{newKey.key}</code>
+                </div>
+            )}
+
+            <div className="search-bar" style={{ display: 'flex', gap: 8, marginBottom: 16 }}>
+                <input className="form-input" placeholder="New admin name" value={name} onChange={(e) => setName(e.target.value)} style={{ flex: 1 }} />
+                <select className="form-input" value={role} onChange={(e) => setRole(e.target.value)} style={{ maxWidth: 200 }}>
+                    {(data?.roles || ['read_only', 'support', 'treasury_operator']).map(r => <option key={r} value={r}>{r}</option>)}
+                </select>
+                <button className="btn btn-primary" onClick={create} disabled={!name.trim()}>Create admin</button>
+            </div>
+
+            {!data ? (
+                <div className="loading-text">loading admins...</div>
+            ) : data.accounts.length === 0 ? (
+                <div className="empty-text">no admin accounts yet</div>
+            ) : (
+                <div className="table-wrapper">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Role</th>
+                                <th>Status</th>
+                                <th>Last used</th>
+                                <th>Created</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {data.accounts.map((a) => (
+                                <tr key={a.id}>
+                                    <td><strong>{a.name}</strong></td>
+                                    <td>
+                                        <select className="form-input" value={a.role} onChange={(e) => update(a.id, { role: e.target.value })}>
+                                            {data.roles.map(r => <option key={r} value={r}>{r}</option>)}
+                                        </select>
+                                    </td>
+                                    <td><span className={`badge ${a.disabled ? 'badge-error' : 'badge-live'}`}>{a.disabled ? 'Disabled' : 'Active'}</span></td>
+                                    <td style={muted}>{fmtDate(a.lastUsedAt)}</td>
+                                    <td style={muted}>{fmtDate(a.createdAt)} by {a.createdBy || '—'}</td>
+                                    <td style={{ display: 'flex', gap: 8 }}>
+                                        <button className="btn btn-sm btn-secondary" onClick={() => update(a.id, { disabled: !a.disabled })}>
+                                            {a.disabled ? 'Enable' : 'Disable'}
+                                        </button>
+                                        <button className="btn btn-sm btn-secondary" onClick={() => update(a.id, { rotateKey: true })}>Rotate key</button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </>
+    );
+}
+
+// ---------------------------------------------------------------------------
+// Page
+// ---------------------------------------------------------------------------
+
+export default function AdminPage() {
+    const [input, setInput] = useState('');
+    const [adminKey, setAdminKey] = useState(null);
+    const [admin, setAdmin] = useState(null);
+    const [section, setSection] = useState('agents');
+    const [error, setError] = useState(null);
+    const [loading, setLoading] = useState(false);
+
+    const signIn = useCallback(async (key) => {
+        setLoading(true);
+        setError(null);
+        try {
+            const { admin: me } = await adminFetch('/api/admin/me', key);
+            setAdmin(me);
+            setAdminKey(key);
+            sessionStorage.setItem(KEY_STORAGE, key);
+            const first = SECTIONS.find(([, , permission]) => me.permissions.includes(permission));
+            if (first) setSection(first[0]);
+        } catch (err) {
+            sessionStorage.removeItem(KEY_STORAGE);
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        const saved = sessionStorage.getItem(KEY_STORAGE);
+        if (saved) signIn(saved);
+    }, [signIn]);
+
+    const signOut = () => {
+        sessionStorage.removeItem(KEY_STORAGE);
+        setAdmin(null);
+        setAdminKey(null);
+        setInput('');
+    };
+
+    const can = (permission) => Boolean(admin?.permissions.includes(permission));
+    const visible = SECTIONS.filter(([, , permission]) => can(permission));
+
+    return (
+        <main className="page">
+            <div className="container">
+                <div style={{ marginBottom: 32, display: 'flex', justifyContent: 'space-between', alignItems: 'flex-end', gap: 16, flexWrap: 'wrap' }}>
+                    <div>
+                        <h1 style={{ fontSize: '2.2rem', fontWeight: 900, color: 'var(--text-bright)', marginBottom: 8 }}>Admin Console</h1>
+                        <p style={{ color: 'var(--text-secondary)' }}>Agents, wallets, launches and treasury. Every action is audited.</p>
+                    </div>
+                    {admin && (
+                        <div style={{ textAlign: 'right' }}>
+                            <div style={{ color: 'var(--text-bright)', fontWeight: 700 }}>{admin.name}</div>
+                            <div style={muted}>{admin.role}</div>
+                            <button className="btn btn-sm btn-secondary" onClick={signOut} style={{ marginTop: 8 }}>Sign out</button>
+                        </div>
+                    )}
+                </div>
+
+                {!admin ? (
+                    <>
+                        <div className="search-bar">
+                            <input
+                                className="form-input"
+                                type="password"
+                                placeholder="cpadm_..."
+                                value={input}
+                                onChange={(e) => setInput(e.target.value)}
+                                onKeyDown={(e) => e.key === 'Enter' && input.trim() && signIn(input.trim())}
+                                autoComplete="off"
+                            />
+                            <button className="btn btn-primary" onClick={() => signIn(input.trim())} disabled={loading || !input.trim()}>
+                                {loading ? 'Signing in...' : 'Sign in'}
+                            </button>
+                        </div>
+                        <div style={{ marginTop: 16 }}><ErrorCard message={error} /></div>
+                    </>
+                ) : (
+                    <>
+                        <div className="tabs" style={{ marginBottom: 24 }}>
+                            {visible.map(([key, label]) => (
+                                <button key={key} className={`tab ${section === key ? 'active' : ''}`} onClick={() => setSection(key)}>{label}</button>
+                            ))}
+                        </div>
+
+                        {section === 'agents' && can('agents:read') && <AgentsSection adminKey={adminKey} can={can} />}
+                        {section === 'wallets' && can('wallets:read') && <WalletsSection adminKey={adminKey} />}
+                        {section === 'symbols' && can('launches:read') && <SymbolPolicySection adminKey={adminKey} can={can} />}
+                        {section === 'scanner' && can('launches:read') && <ScannerSection adminKey={adminKey} can={can} />}
+                        {section === 'treasury' && can('treasury:read') && <TreasurySection adminKey={adminKey} />}
+                        {section === 'audit' && can('audit:read') && <AuditSection adminKey={adminKey} />}
+                        {section === 'accounts' && can('admins:manage') && <AccountsSection adminKey={adminKey} />}
+                    </>
+                )}
+            </div>
+        </main>
+    );
+}
@@ -0,0 +1,17 @@
+import Link from 'next/link';
+
+export default function AgentNotFound() {
+    return (
+        <main className="page">
+            <div className="container" style={{ maxWidth: 900 }}>
+                <div className="card" style={{ textAlign: 'center', padding: 48 }}>
+                    <h1 style={{ color: 'var(--text-bright)', marginBottom: 8 }}>Agent not found</h1>
+                    <p style={{ color: 'var(--text-muted)', marginBottom: 16 }}>
+                        No agent is registered with this ID.
+                    </p>
+                    <Link href="/leaderboard" className="btn btn-secondary">Browse agents</Link>
+                </div>
+            </div>
+        </main>
+    );
+}
@@ -1,33 +1,63 @@
-'use client';
-import { use } from 'react';
-
-const MOCK_AGENTS = {
-    'sentinel-ai': {
-        name: 'Sentinel AI', bio: 'Autonomous security and analytics agent.', emoji: '🛡️',
-        totalEarned: 45.2, totalVolume: 185000,
-        tokens: [
-            { name: 'Sentinel Token', symbol: 'SNTL', mintAddress: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', feesEarned: 18.5, volume24h: 125000, launchedAt: '2025-01-15' },
-            { name: 'Agent Guard', symbol: 'AGRD', mintAddress: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', feesEarned: 12.1, volume24h: 42000, launchedAt: '2025-01-22' },
-            { name: 'Neural Net', symbol: 'NNET', mintAddress: 'So11111111111111111111111111111111111111112', feesEarned: 14.6, volume24h: 18500, launchedAt: '2025-02-01' }
-        ]
-    },
-    'alpha-bot': {
-        name: 'Alpha Bot', bio: 'Market-making and trading intelligence agent.', emoji: '🧠',
-        totalEarned: 142.5, totalVolume: 2100000,
-        tokens: [
-            { name: 'Alpha Token', symbol: 'ALPHA', mintAddress: 'ALPHxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx', feesEarned: 85.2, volume24h: 980000, launchedAt: '2024-12-10' },
-            { name: 'Smart Edge', symbol: 'EDGE', mintAddress: 'EDGExxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxxx', feesEarned: 57.3, volume24h: 520000, launchedAt: '2025-01-05' },
-        ]
-    }
+import Link from 'next/link';
+import { notFound } from 'next/navigation';
+import { getPublicAgent, getTokensByAgentPaginated } from '@/lib/db';
+import { getMarketDataByMint } from '@/lib/market-data';
+
+/**
+ * Public agent profile — server-rendered from the database so pages
+ * can be shared and indexed. Market data comes from the same cache
+ * that backs /api/market-data.
+ */
+
+export const dynamic = 'force-dynamic';
+
+const PAGE_SIZE = 20;
+
+const PLATFORM_LABELS = {
+    api: 'Direct API',
+    moltbook: 'Moltbook',
+    '4claw': '4claw',
+    moltx: 'Moltx',
+    farcaster: 'Farcaster',
 };
 
-export default function AgentProfilePage({ params }) {
-    const resolvedParams = use(params);
-    const agentId = resolvedParams.id;
-    const agent = MOCK_AGENTS[agentId] || {
-        name: agentId, bio: 'AI agent on ClawdPump', emoji: '🤖',
-        totalEarned: 0, totalVolume: 0, tokens: []
+const fmtUsd = (v) => (!v ? '$0' : v >= 1_000_000 ? `$${(v / 1_000_000).toFixed(2)}M` : v >= 1_000 ? `$${(v / 1_000).toFixed(1)}K` : `$${v.toFixed(0)}`);
+
+export async function generateMetadata({ params }) {
+    const { id } = await params;
+    const agent = await getPublicAgent(id);
+    if (!agent) return { title: 'Agent not found — ClawdPump' };
+
+    return {
+        title: `${agent.agentName} — ClawdPump Agent`,
+        description: agent.description || `${agent.agentName} has launched ${agent.tokensLaunched} tokens on ClawdPump.`,
     };
+}
+
+export default async function AgentProfilePage({ params, searchParams }) {
+    const { id } = await params;
+    const query = await searchParams;
+    const page = Math.max(parseInt(query?.page || '1', 10) || 1, 1);
+
+    const agent = await getPublicAgent(id);
+    if (!agent) notFound();
+
+    const [launches, marketByMint] = await Promise.all([
+        getTokensByAgentPaginated(agent.agentId, { limit: PAGE_SIZE, offset: (page - 1) * PAGE_SIZE }),
+        getMarketDataByMint().catch((err) => {
+            console.error('[agent-profile] Market data unavailable:', err.message);
+            return new Map();
+        }),
+    ]);
+
+    const tokens = launches.tokens.map((token) => ({
+        ...token,
+        market: token.mintAddress ? marketByMint.get(token.mintAddress) || null : null,
+    }));
+
+    const totalEarned = tokens.reduce((sum, t) => sum + (t.feesEarned || 0), 0);
+    const volume24h = tokens.reduce((sum, t) => sum + (t.market?.volume24h || 0), 0);
+    const platformLabel = PLATFORM_LABELS[agent.platform] || agent.platform || 'Direct API';
 
     return (
         <main className="page">
@@ -35,13 +65,14 @@ export default function AgentProfilePage({ params }) {
                 {/* Profile Header */}
                 <div className="card" style={{ marginBottom: 32 }}>
                     <div className="profile-header">
-                        <div className="profile-avatar">{agent.emoji}</div>
+                        <div className="profile-avatar">🤖</div>
                         <div className="profile-info">
-                            <h1>{agent.name}</h1>
-                            <p>{agent.bio}</p>
+                            <h1>{agent.agentName}</h1>
+                            <p>{agent.description || 'AI agent on ClawdPump'}</p>
                             <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
                                 <span className="badge badge-solana">⚡ Solana</span>
-                                <span className="badge badge-live">Active</span>
+                                <span className={`source-badge source-${agent.platform}`}>via {platformLabel}</span>
+                                <span className="badge badge-live">Joined {new Date(agent.createdAt).toLocaleDateString('en-US', { month: 'short', year: 'numeric' })}</span>
                             </div>
                         </div>
                     </div>
@@ -50,9 +81,9 @@ export default function AgentProfilePage({ params }) {
                 {/* Stats */}
                 <div className="grid-3" style={{ marginBottom: 32 }}>
                     {[
-                        ['Total Earned', `${agent.totalEarned} SOL`],
-                        ['Tokens Launched', agent.tokens.length.toString()],
-                        ['Total Volume', `$${agent.totalVolume.toLocaleString()}`],
+                        ['Total Earned', `${Math.round(totalEarned * 1000) / 1000} SOL`],
+                        ['Tokens Launched', String(launches.total)],
+                        ['24h Volume', fmtUsd(volume24h)],
                     ].map(([label, value]) => (
                         <div key={label} className="card stat-card">
                             <div className="stat-value" style={{ fontSize: '1.5rem' }}>{value}</div>
@@ -61,50 +92,68 @@ export default function AgentProfilePage({ params }) {
                     ))}
                 </div>
 
-                {/* Tokens */}
+                {/* Launch history */}
                 <h3 style={{ color: 'var(--text-bright)', marginBottom: 16, fontSize: '1.2rem', fontWeight: 700 }}>
-                    Launched Tokens
+                    Launch History
                 </h3>
                 <div style={{ display: 'grid', gap: 12 }}>
-                    {agent.tokens.map((token) => (
-                        <div key={token.mintAddress} className="card token-card">
+                    {tokens.map((token) => (
+                        <div key={token.id} className="card token-card">
                             <div className="token-image">{token.symbol.charAt(0)}</div>
                             <div className="token-info">
                                 <div className="token-name">{token.name}</div>
                                 <div className="token-ticker">${token.symbol}</div>
-                                <div style={{ display: 'flex', gap: 12, marginTop: 4 }}>
-                                    <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
-                                        Launched: {token.launchedAt}
+                                <div style={{ display: 'flex', gap: 12, marginTop: 4, flexWrap: 'wrap' }}>
+                                    <span className="badge badge-solana">
+                                        {token.launchType === 'paid' ? '💰 PAID' : '⭐ FREE'} · {token.creatorSharePct}/{token.platformSharePct}
                                     </span>
-                                    <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)', fontFamily: 'var(--font-mono)' }}>
-                                        {token.mintAddress.slice(0, 6)}...{token.mintAddress.slice(-4)}
+                                    <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)' }}>
+                                        Launched: {new Date(token.createdAt).toLocaleDateString()}
                                     </span>
+                                    {token.mintAddress && (
+                                        <span style={{ fontSize: '0.75rem', color: 'var(--text-muted)', fontFamily: 'var(--font-mono)' }}>
+                                            {token.mintAddress.slice(0, 6)}...{token.mintAddress.slice(-4)}
+                                        </span>
+                                    )}
                                 </div>
                             </div>
                             <div className="token-stats">
-                                <div className="volume">${token.volume24h.toLocaleString()} /24h</div>
-                                <div className="fees">{token.feesEarned} SOL earned</div>
+                                <div className="volume">MCap {fmtUsd(token.market?.marketCap)} · {fmtUsd(token.market?.volume24h)} /24h</div>
+                                <div className="fees">{token.feesEarned || 0} SOL earned</div>
                             </div>
-                            <a href={`https://pump.fun/coin/${token.mintAddress}`} target="_blank" rel="noopener" className="btn btn-sm btn-secondary" style={{ marginLeft: 12 }}>
-                                pump.fun →
-                            </a>
+                            {token.mintAddress && (
+                                <a href={token.pumpUrl || `https://pump.fun/coin/${token.mintAddress}`} target="_blank" rel="noopener" className="btn btn-sm btn-secondary" style={{ marginLeft: 12 }}>
+                                    pump.fun →
+                                </a>
+                            )}
                         </div>
                     ))}
-                    {agent.tokens.length === 0 && (
+                    {tokens.length === 0 && (
                         <div className="card" style={{ textAlign: 'center', padding: 48 }}>
                             <p style={{ color: 'var(--text-muted)' }}>No tokens launched yet.</p>
-                            <a href="/launch" className="btn btn-primary" style={{ marginTop: 16 }}>Launch Your First Token</a>
+                            <Link href="/docs" className="btn btn-primary" style={{ marginTop: 16 }}>Launch Your First Token</Link>
                         </div>
                     )}
                 </div>
 
+                {/* Pagination */}
+                {(page > 1 || launches.hasMore) && (
+                    <div style={{ display: 'flex', gap: 12, justifyContent: 'center', marginTop: 24 }}>
+                        {page > 1 && (
+                            <Link href={`/agent/${encodeURIComponent(agent.agentId)}?page=${page - 1}`} className="btn btn-sm btn-secondary">← Newer</Link>
+                        )}
+                        {launches.hasMore && (
+                            <Link href={`/agent/${encodeURIComponent(agent.agentId)}?page=${page + 1}`} className="btn btn-sm btn-secondary">Older →</Link>
+                        )}
+                    </div>
+                )}
+
                 {/* Actions */}
                 <div className="card" style={{ marginTop: 32, textAlign: 'center', padding: 32 }}>
                     <h3 style={{ color: 'var(--text-bright)', marginBottom: 16 }}>Agent Actions</h3>
                     <div style={{ display: 'flex', gap: 12, justifyContent: 'center', flexWrap: 'wrap' }}>
-                        <a href="/launch" className="btn btn-primary">Launch New Token</a>
-                        <a href={`/dashboard?agentId=${agentId}`} className="btn btn-secondary">View Dashboard</a>
-                        <a href="/docs#api" className="btn btn-outline">API Docs</a>
+                        <Link href={`/dashboard?agentId=${encodeURIComponent(agent.agentId)}`} className="btn btn-secondary">View Dashboard</Link>
+                        <Link href="/docs#api" className="btn btn-outline">API Docs</Link>
                     </div>
                 </div>
             </div>
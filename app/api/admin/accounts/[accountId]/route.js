@@ -0,0 +1,56 @@
+import { NextResponse } from 'next/server';
+import { getAdminAccount, updateAdminAccount } from '@/lib/db';
+import { withAdmin, generateAdminKey, ADMIN_ROLES } from '@/lib/admin-auth';
+import { hashApiKey } from '@/lib/sanitize';
+
+/**
+ * PATCH /api/admin/accounts/:accountId — Change role, disable/enable, or rotate key
+ *
+ * Body: { "role"?: "read_only", "disabled"?: true, "rotateKey"?: true }
+ * A rotated key is returned once.
+ * Permission: admins:manage
+ */
+export async function PATCH(request, { params }) {
+    const { accountId } = await params;
+
+    return withAdmin(request, { action: 'accounts.update', permission: 'admins:manage' }, async (admin, audit) => {
+        audit.targetType = 'admin';
+        audit.targetId = accountId;
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        if (body.role !== undefined && !ADMIN_ROLES[body.role]) {
+            return NextResponse.json({
+                success: false,
+                error: `role must be one of: ${Object.keys(ADMIN_ROLES).join(', ')}`,
+            }, { status: 400 });
+        }
+        if (body.disabled !== undefined && typeof body.disabled !== 'boolean') {
+            return NextResponse.json({ success: false, error: '"disabled" must be true or false' }, { status: 400 });
+        }
+
+        if (!(await getAdminAccount(accountId))) {
+            return NextResponse.json({ success: false, error: 'Admin account not found' }, { status: 404 });
+        }
+
+        const adminKey = body.rotateKey === true ? generateAdminKey() : null;
+        audit.details = { role: body.role, disabled: body.disabled, rotateKey: Boolean(adminKey) };
+
+        const account = await updateAdminAccount(accountId, {
+            role: body.role,
+            disabled: body.disabled,
+            keyHash: adminKey ? hashApiKey(adminKey) : undefined,
+        });
+
+        return NextResponse.json({
+            success: true,
+            account,
+            ...(adminKey ? { adminKey, warning: 'Save this key now. It cannot be shown again.' } : {}),
+        });
+    });
+}
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { createAdminAccount, listAdminAccounts } from '@/lib/db';
+import { withAdmin, generateAdminKey, ADMIN_ROLES } from '@/lib/admin-auth';
+import { hashApiKey, isValidAgentId } from '@/lib/sanitize';
+
+/**
+ * GET /api/admin/accounts — List admin accounts
+ * Permission: admins:manage
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'accounts.list', permission: 'admins:manage' }, async () => {
+        const accounts = await listAdminAccounts();
+        return NextResponse.json({ success: true, accounts, roles: Object.keys(ADMIN_ROLES) });
+    });
+}
+
+/**
+ * POST /api/admin/accounts — Create an admin account
+ *
+ * Body: { "name": "alice", "role": "support" }
+ * Returns the new admin key once; only its hash is stored.
+ * Permission: admins:manage
+ */
+export async function POST(request) {
+    return withAdmin(request, { action: 'accounts.create', permission: 'admins:manage' }, async (admin, audit) => {
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        const { name, role } = body;
+        if (!isValidAgentId(name)) {
+            return NextResponse.json({
+                success: false,
+                error: 'name must be 3-50 characters: letters, numbers, hyphens, underscores',
+            }, { status: 400 });
+        }
+        if (!ADMIN_ROLES[role]) {
+            return NextResponse.json({
+                success: false,
+                error: `role must be one of: ${Object.keys(ADMIN_ROLES).join(', ')}`,
+            }, { status: 400 });
+        }
+
+        audit.targetType = 'admin';
+        audit.details = { name, role };
+
+        const adminKey = generateAdminKey();
+        let account;
+        try {
+            account = await createAdminAccount({
+                id: crypto.randomUUID(),
+                name,
+                role,
+                keyHash: hashApiKey(adminKey),
+                createdBy: admin.name,
+            });
+        } catch (err) {
+            if (err.code === '23505') {
+                return NextResponse.json({ success: false, error: `Admin "${name}" already exists` }, { status: 409 });
+            }
+            throw err;
+        }
+
+        audit.targetId = account.id;
+        return NextResponse.json({
+            success: true,
+            account,
+            adminKey,
+            warning: 'Save this key now. It is not stored and cannot be shown again.',
+        }, { status: 201 });
+    });
+}
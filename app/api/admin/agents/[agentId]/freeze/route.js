@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { setAgentFrozen } from '@/lib/db';
+import { withAdmin, toAdminAgent } from '@/lib/admin-auth';
+import { sanitizeText } from '@/lib/sanitize';
+
+/**
+ * POST /api/admin/agents/:agentId/freeze — Freeze or unfreeze an agent
+ *
+ * Body: { "frozen": true, "reason": "..." }  (reason required when freezing)
+ * Frozen agents cannot launch, send or claim fees.
+ * Permission: agents:freeze
+ */
+export async function POST(request, { params }) {
+    const { agentId } = await params;
+
+    return withAdmin(request, { action: 'agents.freeze', permission: 'agents:freeze' }, async (admin, audit) => {
+        audit.targetType = 'agent';
+        audit.targetId = agentId;
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        if (typeof body.frozen !== 'boolean') {
+            return NextResponse.json({ success: false, error: '"frozen" must be true or false' }, { status: 400 });
+        }
+        const reason = sanitizeText(body.reason || '', 500);
+        if (body.frozen && !reason) {
+            return NextResponse.json({ success: false, error: 'A reason is required to freeze an agent' }, { status: 400 });
+        }
+
+        audit.details = { frozen: body.frozen, reason: reason || null };
+        const agent = await setAgentFrozen(agentId, { frozen: body.frozen, reason, frozenBy: admin.name });
+        if (!agent) {
+            return NextResponse.json({ success: false, error: 'Agent not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, agent: toAdminAgent(agent) });
+    });
+}
@@ -0,0 +1,89 @@
+import { NextResponse } from 'next/server';
+import {
+    getAgent, getAgentWallet, getTokensByAgentPaginated, getLaunchJobsByAgent,
+    getLaunchPaymentsByAgent, getFeeClaimsByAgent, getApiKeys, getWalletExports, getRetiredAgentWallets,
+} from '@/lib/db';
+import { withAdmin, toAdminAgent, hasPermission } from '@/lib/admin-auth';
+import { toPublicLaunchJob } from '@/lib/launch-jobs';
+import { toPublicApiKey } from '@/lib/agent-auth';
+import { toPublicWalletExport } from '@/lib/wallet-export';
+
+/**
+ * GET /api/admin/agents/:agentId — Agent detail for the admin console
+ *
+ * Wallet (address, custody, encryption key id, export requests and retired
+ * wallets — never key material),
+ * API keys (metadata only), tokens, launch jobs, paid launch payments and fee claims.
+ * Permission: agents:read (wallet needs wallets:read, launches need launches:read)
+ */
+export async function GET(request, { params }) {
+    const { agentId } = await params;
+
+    return withAdmin(request, { action: 'agents.view', permission: 'agents:read' }, async (admin, audit) => {
+        audit.targetType = 'agent';
+        audit.targetId = agentId;
+
+        const agent = await getAgent(agentId);
+        if (!agent) {
+            return NextResponse.json({ success: false, error: 'Agent not found' }, { status: 404 });
+        }
+
+        let wallet = null;
+        if (hasPermission(admin, 'wallets:read')) {
+            const [row, exports, retired] = await Promise.all([
+                getAgentWallet(agentId),
+                getWalletExports({ agentId, limit: 20, offset: 0 }),
+                getRetiredAgentWallets(agentId),
+            ]);
+            wallet = row ? {
+                address: row.wallet_address,
+                custody: row.custody,
+                keyId: row.encrypted_key ? row.key_id : null,
+                keyRevealedAt: row.exported_at,
+                createdAt: row.created_at,
+                exports: exports.exports.map(e => ({ ...toPublicWalletExport(e), requestedBy: e.requestedBy, requestedIp: e.requestedIp, cancelledBy: e.cancelledBy })),
+                retired,
+            } : null;
+        }
+
+        const apiKeys = await getApiKeys(agentId, { includeInactive: true });
+
+        let launches = null;
+        if (hasPermission(admin, 'launches:read')) {
+            const [tokens, jobs, payments, claims] = await Promise.all([
+                getTokensByAgentPaginated(agentId, { limit: 50, offset: 0 }),
+                getLaunchJobsByAgent(agentId, { limit: 20, offset: 0 }),
+                getLaunchPaymentsByAgent(agentId, { limit: 20, offset: 0 }),
+                getFeeClaimsByAgent(agentId, { limit: 20, offset: 0 }),
+            ]);
+            launches = {
+                tokens: tokens.tokens.map(t => ({
+                    id: t.id,
+                    name: t.name,
+                    symbol: t.symbol,
+                    mintAddress: t.mintAddress,
+                    launchType: t.launchType,
+                    feeSharingStatus: t.feeSharingStatus,
+                    feeSharingTx: t.feeSharingTx,
+                    simulated: t.simulated,
+                    status: t.status,
+                    delisting: t.delisting,
+                    pumpUrl: t.pumpUrl,
+                    createdAt: t.createdAt,
+                })),
+                totalTokens: tokens.total,
+                jobs: jobs.jobs.map(j => ({ ...toPublicLaunchJob(j), attempts: j.attempts, error: j.errorMsg })),
+                payments: payments.payments,
+                claims: claims.claims,
+            };
+        }
+
+        return NextResponse.json({
+            success: true,
+            agent: toAdminAgent(agent),
+            wallet,
+            apiKeys: apiKeys.map(key => toPublicApiKey(key)),
+            ...(launches || {}),
+        });
+    });
+}
@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server';
+import { setAgentSuspension } from '@/lib/db';
+import { withAdmin, toAdminAgent } from '@/lib/admin-auth';
+import { resolveExpiry } from '@/lib/moderation';
+import { sanitizeText } from '@/lib/sanitize';
+
+const KINDS = { suspend: 'suspended', ban: 'banned', lift: null };
+
+/**
+ * POST /api/admin/agents/:agentId/suspension — Suspend, ban or reinstate an agent
+ *
+ * Body:
+ *   { "action": "suspend", "reason": "...", "durationHours": 72, "blockClaims": false }
+ *   { "action": "suspend", "reason": "...", "expiresAt": "2026-01-01T00:00:00Z" }
+ *   { "action": "ban", "reason": "...", "blockClaims": true }
+ *   { "action": "lift", "reason": "..." }
+ *
+ * Suspensions need a reason and an expiry; a ban is a suspension without
+ * one. Both block /api/launch, /api/send and scanner launches, and
+ * /api/claim-fees when blockClaims is set. Lifting clears either.
+ * Permission: agents:suspend
+ */
+export async function POST(request, { params }) {
+    const { agentId } = await params;
+
+    return withAdmin(request, { action: 'agents.suspension', permission: 'agents:suspend' }, async (admin, audit) => {
+        audit.targetType = 'agent';
+        audit.targetId = agentId;
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        if (!Object.hasOwn(KINDS, body.action)) {
+            return NextResponse.json({ success: false, error: `"action" must be one of: ${Object.keys(KINDS).join(', ')}` }, { status: 400 });
+        }
+        const kind = KINDS[body.action];
+        const reason = sanitizeText(body.reason || '', 500);
+        if (!reason) {
+            return NextResponse.json({ success: false, error: 'A reason is required' }, { status: 400 });
+        }
+
+        let expiresAt = null;
+        if (kind === 'suspended') {
+            const expiry = resolveExpiry(body);
+            if (expiry.error) {
+                return NextResponse.json({ success: false, error: expiry.error }, { status: 400 });
+            }
+            if (!expiry.expiresAt) {
+                return NextResponse.json({
+                    success: false,
+                    error: 'A suspension needs "expiresAt" or "durationHours" (use action "ban" for no expiry)',
+                }, { status: 400 });
+            }
+            expiresAt = expiry.expiresAt;
+        }
+
+        const blocksClaims = body.blockClaims === true;
+        audit.details = { action: body.action, reason, expiresAt, blocksClaims: kind ? blocksClaims : null };
+
+        const agent = await setAgentSuspension(agentId, { kind, reason, expiresAt, blocksClaims, suspendedBy: admin.name });
+        if (!agent) {
+            return NextResponse.json({ success: false, error: 'Agent not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, agent: toAdminAgent(agent) });
+    });
+}
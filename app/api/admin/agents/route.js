@@ -0,0 +1,38 @@
+import { NextResponse } from 'next/server';
+import { searchAgents } from '@/lib/db';
+import { withAdmin, toAdminAgent } from '@/lib/admin-auth';
+
+function parseBooleanParam(value) {
+    return value === 'true' ? true : value === 'false' ? false : null;
+}
+
+/**
+ * GET /api/admin/agents — Search agents
+ *
+ * Query: ?q= (agent id, name or wallet address), ?frozen=true|false, ?suspended=true|false, ?limit=, ?offset=
+ * Permission: agents:read
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'agents.search', permission: 'agents:read' }, async (admin, audit) => {
+        const { searchParams } = new URL(request.url);
+        const query = (searchParams.get('q') || '').trim().slice(0, 100);
+        const frozen = parseBooleanParam(searchParams.get('frozen'));
+        const suspended = parseBooleanParam(searchParams.get('suspended'));
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '25', 10) || 25, 1), 100);
+        const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+
+        audit.details = { query, frozen, suspended };
+        const result = await searchAgents({ query, frozen, suspended, limit, offset });
+
+        return NextResponse.json({
+            success: true,
+            agents: result.agents.map(toAdminAgent),
+            pagination: {
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                hasMore: result.hasMore,
+            },
+        });
+    });
+}
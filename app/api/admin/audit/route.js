@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { getAdminAuditLog } from '@/lib/db';
+import { withAdmin } from '@/lib/admin-auth';
+
+/**
+ * GET /api/admin/audit — Admin audit log, newest first
+ *
+ * Query: ?adminId=, ?action=, ?targetType=, ?targetId=, ?limit=, ?offset=
+ * Permission: audit:read
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'audit.list', permission: 'audit:read' }, async () => {
+        const { searchParams } = new URL(request.url);
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '50', 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+
+        const log = await getAdminAuditLog({
+            adminId: searchParams.get('adminId'),
+            action: searchParams.get('action'),
+            targetType: searchParams.get('targetType'),
+            targetId: searchParams.get('targetId'),
+            limit,
+            offset,
+        });
+
+        return NextResponse.json({
+            success: true,
+            entries: log.entries,
+            pagination: { total: log.total, limit: log.limit, offset: log.offset, hasMore: log.hasMore },
+        });
+    });
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from 'next/server';
+import { withAdmin } from '@/lib/admin-auth';
+import { reconcileFeeSharing } from '@/lib/fee-sharing-reconciler';
+
+export const maxDuration = 60;
+
+/**
+ * POST /api/admin/fee-sharing/rerun — Re-run fee sharing for one token
+ *
+ * Body: { "tokenId": "..." }
+ * Inspects the on-chain config and repairs it, whatever the token's current
+ * fee sharing status. Simulated tokens are skipped.
+ * Permission: fee_sharing:rerun
+ */
+export async function POST(request) {
+    return withAdmin(request, { action: 'fee_sharing.rerun', permission: 'fee_sharing:rerun' }, async (admin, audit) => {
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        const tokenId = typeof body.tokenId === 'string' ? body.tokenId.trim() : '';
+        if (!tokenId) {
+            return NextResponse.json({ success: false, error: 'tokenId is required' }, { status: 400 });
+        }
+
+        audit.targetType = 'token';
+        audit.targetId = tokenId;
+
+        const summary = await reconcileFeeSharing({ tokenId, force: true, limit: 1, timeBudgetMs: 45_000 });
+        const result = summary.results[0];
+        if (!result) {
+            return NextResponse.json({
+                success: false,
+                error: 'Token not found, not yet minted, or simulated',
+            }, { status: 404 });
+        }
+
+        audit.details = { action: result.action, status: result.status, txSignature: result.txSignature || null };
+        return NextResponse.json({ success: result.status === 'success', result }, { status: result.status === 'success' ? 200 : 502 });
+    });
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from 'next/server';
+import { getStalledLaunchJobs } from '@/lib/db';
+import { withAdmin } from '@/lib/admin-auth';
+import { MAX_STEP_ATTEMPTS, toPublicLaunchJob } from '@/lib/launch-jobs';
+
+/**
+ * GET /api/admin/launches — Stalled launch jobs
+ *
+ * Jobs that ran out of step attempts but cannot fail because their mint
+ * landed on-chain: the worker keeps retrying to save the token row. Each
+ * carries its agent, mint and last error.
+ * Query: ?limit=, ?offset=
+ * Permission: launches:read
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'launches.stalled', permission: 'launches:read' }, async () => {
+        const { searchParams } = new URL(request.url);
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '50', 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+
+        const result = await getStalledLaunchJobs({ minAttempts: MAX_STEP_ATTEMPTS, limit, offset });
+
+        return NextResponse.json({
+            success: true,
+            jobs: result.jobs.map(job => ({
+                ...toPublicLaunchJob(job),
+                agentId: job.agentId,
+                mintAddress: job.mintAddress || null,
+                nextRetryAt: job.nextRunAt,
+            })),
+            pagination: { total: result.total, limit: result.limit, offset: result.offset, hasMore: result.hasMore },
+        });
+    });
+}
@@ -0,0 +1,14 @@
+import { NextResponse } from 'next/server';
+import { withAdmin, getRolePermissions } from '@/lib/admin-auth';
+
+/**
+ * GET /api/admin/me — The calling admin and their permissions
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'admin.me', permission: null }, async (admin) => {
+        return NextResponse.json({
+            success: true,
+            admin: { ...admin, permissions: getRolePermissions(admin.role) },
+        });
+    });
+}
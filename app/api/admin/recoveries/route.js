@@ -0,0 +1,42 @@
+import { NextResponse } from 'next/server';
+import { getRecoveryRequests } from '@/lib/db';
+import { withAdmin } from '@/lib/admin-auth';
+import { toAdminRecovery } from '@/lib/recovery';
+
+const STATUSES = ['pending', 'verified', 'completed', 'rejected', 'expired'];
+
+/**
+ * GET /api/admin/recoveries — Account recovery requests, newest first
+ *
+ * Who asked (IP, user agent), which post verified it, and which key was
+ * issued and how many revoked.
+ * Query: ?agentId=, ?status=pending|verified|completed|rejected|expired, ?limit=, ?offset=
+ * Permission: agents:read
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'recoveries.list', permission: 'agents:read' }, async (admin, audit) => {
+        const { searchParams } = new URL(request.url);
+        const agentId = searchParams.get('agentId');
+        const status = searchParams.get('status');
+        if (status && !STATUSES.includes(status)) {
+            return NextResponse.json({
+                success: false,
+                error: `Invalid status. Expected one of: ${STATUSES.join(', ')}`,
+            }, { status: 400 });
+        }
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '50', 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+
+        if (agentId) {
+            audit.targetType = 'agent';
+            audit.targetId = agentId;
+        }
+        const result = await getRecoveryRequests({ agentId, status, limit, offset });
+
+        return NextResponse.json({
+            success: true,
+            recoveries: result.recoveries.map(toAdminRecovery),
+            pagination: { total: result.total, limit: result.limit, offset: result.offset, hasMore: result.hasMore },
+        });
+    });
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from 'next/server';
+import { withAdmin } from '@/lib/admin-auth';
+import { replayPost } from '@/lib/scanners/run-scan';
+
+export const maxDuration = 60;
+
+/**
+ * POST /api/admin/scanner/posts/:postId/replay — Re-run the launch pipeline for one failed post
+ *
+ * Parses the stored post again and launches it now, whatever its retry
+ * schedule or attempt count, then replies to the post with the outcome.
+ * Only posts that did not launch can be replayed.
+ * Permission: scanner:replay
+ */
+export async function POST(request, { params }) {
+    const { postId } = await params;
+
+    return withAdmin(request, { action: 'scanner_posts.replay', permission: 'scanner:replay' }, async (admin, audit) => {
+        audit.targetType = 'post';
+        audit.targetId = postId;
+
+        const result = await replayPost(postId);
+        if (!result.ok) {
+            return NextResponse.json({ success: false, error: result.error }, { status: result.status });
+        }
+
+        audit.details = { status: result.post.status, attempts: result.post.attempts, launched: result.launched };
+        return NextResponse.json({
+            success: true,
+            launched: result.launched,
+            post: result.post,
+            errors: result.errors,
+        });
+    });
+}
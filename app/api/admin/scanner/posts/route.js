@@ -0,0 +1,47 @@
+import { NextResponse } from 'next/server';
+import { getFailedPosts } from '@/lib/db';
+import { withAdmin } from '@/lib/admin-auth';
+import { FAILED_POST_STATUSES, POST_RETRY_POLICY } from '@/lib/scanners/run-scan';
+
+/**
+ * GET /api/admin/scanner/posts — Scanner dead-letter queue: trigger posts that did not launch
+ *
+ * Newest first, with the post content, the last error, how many attempts
+ * were made and when the next automatic retry is due (null = none).
+ * Query: ?status=failed|error|insufficient_balance|..., ?platform=,
+ *        ?retrying=true|false, ?limit=, ?offset=
+ * Permission: launches:read
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'scanner_posts.list', permission: 'launches:read' }, async () => {
+        const { searchParams } = new URL(request.url);
+        const status = searchParams.get('status');
+        if (status && !FAILED_POST_STATUSES.includes(status)) {
+            return NextResponse.json({
+                success: false,
+                error: `Invalid status. Expected one of: ${FAILED_POST_STATUSES.join(', ')}`,
+            }, { status: 400 });
+        }
+        const retrying = searchParams.get('retrying');
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '50', 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+
+        const result = await getFailedPosts({
+            statuses: status ? [status] : FAILED_POST_STATUSES,
+            platform: searchParams.get('platform') || null,
+            retrying: retrying === 'true' ? true : retrying === 'false' ? false : null,
+            limit,
+            offset,
+        });
+
+        return NextResponse.json({
+            success: true,
+            posts: result.posts.map(post => ({
+                ...post,
+                maxAttempts: POST_RETRY_POLICY[post.status]?.maxAttempts ?? 1,
+            })),
+            retryPolicy: POST_RETRY_POLICY,
+            pagination: { total: result.total, limit: result.limit, offset: result.offset, hasMore: result.hasMore },
+        });
+    });
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { deleteSymbolRule } from '@/lib/db';
+import { withAdmin } from '@/lib/admin-auth';
+import { invalidateSymbolRuleCache } from '@/lib/symbol-policy';
+
+/**
+ * DELETE /api/admin/symbol-policy/:ruleId — Remove an admin symbol rule
+ *
+ * Built-in rules cannot be removed; override them with an `allowed` rule.
+ * Permission: symbol_policy:manage
+ */
+export async function DELETE(request, { params }) {
+    const { ruleId } = await params;
+
+    return withAdmin(request, { action: 'symbol_policy.delete', permission: 'symbol_policy:manage' }, async (admin, audit) => {
+        audit.targetType = 'symbol_rule';
+        audit.targetId = ruleId;
+
+        const id = parseInt(ruleId, 10);
+        const rule = Number.isSafeInteger(id) ? await deleteSymbolRule(id) : null;
+        if (!rule) {
+            return NextResponse.json({ success: false, error: 'Rule not found' }, { status: 404 });
+        }
+        invalidateSymbolRuleCache();
+
+        audit.details = { pattern: rule.pattern, match: rule.match, kind: rule.kind };
+        return NextResponse.json({ success: true, rule });
+    });
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from 'next/server';
+import { getSymbolRejections } from '@/lib/db';
+import { withAdmin } from '@/lib/admin-auth';
+
+/**
+ * GET /api/admin/symbol-policy/rejections — Launch attempts rejected by the symbol policy
+ *
+ * Query: ?code=SYMBOL_LOOKALIKE, ?agentId=, ?limit=, ?offset=
+ * Permission: launches:read
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'symbol_policy.rejections', permission: 'launches:read' }, async () => {
+        const { searchParams } = new URL(request.url);
+        const code = searchParams.get('code') || null;
+        const agentId = searchParams.get('agentId') || null;
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '50', 10) || 50, 1), 200);
+        const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+
+        const result = await getSymbolRejections({ code, agentId, limit, offset });
+
+        return NextResponse.json({
+            success: true,
+            rejections: result.rejections,
+            pagination: {
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                hasMore: result.hasMore,
+            },
+        });
+    });
+}
@@ -0,0 +1,71 @@
+import { NextResponse } from 'next/server';
+import { upsertSymbolRule } from '@/lib/db';
+import { withAdmin } from '@/lib/admin-auth';
+import { sanitizeSymbol, sanitizeText, isValidAgentId } from '@/lib/sanitize';
+import {
+    getPolicyRules, invalidateSymbolRuleCache, SYMBOL_RULE_KINDS, SYMBOL_RULE_MATCHES,
+} from '@/lib/symbol-policy';
+
+/**
+ * GET /api/admin/symbol-policy — List symbol rules (admin rules first, then built-ins)
+ *
+ * Permission: launches:read
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'symbol_policy.list', permission: 'launches:read' }, async () => {
+        invalidateSymbolRuleCache();
+        const rules = await getPolicyRules();
+        return NextResponse.json({ success: true, rules, kinds: SYMBOL_RULE_KINDS, matches: SYMBOL_RULE_MATCHES });
+    });
+}
+
+/**
+ * POST /api/admin/symbol-policy — Add or replace a symbol rule
+ *
+ * Body: { "pattern": "MOON", "match": "exact"|"prefix", "kind": "blocked"|"reserved"|"allowed",
+ *         "reservedFor": "agent-id" (reserved only), "reason": "..." }
+ * An `allowed` rule exempts matching symbols from blocked/reserved rules
+ * (including built-ins) and look-alike checks.
+ * Permission: symbol_policy:manage
+ */
+export async function POST(request) {
+    return withAdmin(request, { action: 'symbol_policy.upsert', permission: 'symbol_policy:manage' }, async (admin, audit) => {
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        const pattern = sanitizeSymbol(body.pattern);
+        const match = body.match || 'exact';
+        const kind = body.kind;
+        const reason = sanitizeText(body.reason || '', 200);
+        const reservedFor = kind === 'reserved' && body.reservedFor ? String(body.reservedFor) : null;
+
+        if (!pattern) {
+            return NextResponse.json({ success: false, error: '"pattern" must contain letters or digits' }, { status: 400 });
+        }
+        if (!SYMBOL_RULE_MATCHES.includes(match)) {
+            return NextResponse.json({ success: false, error: `"match" must be one of: ${SYMBOL_RULE_MATCHES.join(', ')}` }, { status: 400 });
+        }
+        if (!SYMBOL_RULE_KINDS.includes(kind)) {
+            return NextResponse.json({ success: false, error: `"kind" must be one of: ${SYMBOL_RULE_KINDS.join(', ')}` }, { status: 400 });
+        }
+        if (reservedFor && !isValidAgentId(reservedFor)) {
+            return NextResponse.json({ success: false, error: '"reservedFor" must be a valid agent ID' }, { status: 400 });
+        }
+        if (!reason) {
+            return NextResponse.json({ success: false, error: 'A reason is required' }, { status: 400 });
+        }
+
+        audit.targetType = 'symbol_rule';
+        audit.targetId = `${match}:${pattern}`;
+        audit.details = { pattern, match, kind, reservedFor, reason };
+
+        const rule = await upsertSymbolRule({ pattern, match, kind, reservedFor, reason, createdBy: admin.name });
+        invalidateSymbolRuleCache();
+
+        return NextResponse.json({ success: true, rule }, { status: 201 });
+    });
+}
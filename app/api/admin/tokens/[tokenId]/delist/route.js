@@ -0,0 +1,67 @@
+import { NextResponse } from 'next/server';
+import { setTokenDelisted } from '@/lib/db';
+import { withAdmin } from '@/lib/admin-auth';
+import { resolveExpiry } from '@/lib/moderation';
+import { invalidateMarketDataCache } from '@/lib/market-data';
+import { sanitizeText } from '@/lib/sanitize';
+
+/**
+ * POST /api/admin/tokens/:tokenId/delist — Hide a token from public listings, or relist it
+ *
+ * Body:
+ *   { "delisted": true, "reason": "...", "durationHours": 24 }
+ *   { "delisted": true, "reason": "...", "expiresAt": "2026-01-01T00:00:00Z" }
+ *   { "delisted": true, "reason": "...", "permanent": true }
+ *   { "delisted": false, "reason": "..." }
+ *
+ * Delisted tokens are left out of /api/tokens and /api/market-data until
+ * the delisting expires. The token itself is untouched on-chain.
+ * Permission: tokens:delist
+ */
+export async function POST(request, { params }) {
+    const { tokenId } = await params;
+
+    return withAdmin(request, { action: 'tokens.delist', permission: 'tokens:delist' }, async (admin, audit) => {
+        audit.targetType = 'token';
+        audit.targetId = tokenId;
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        if (typeof body.delisted !== 'boolean') {
+            return NextResponse.json({ success: false, error: '"delisted" must be true or false' }, { status: 400 });
+        }
+        const reason = sanitizeText(body.reason || '', 500);
+        if (!reason) {
+            return NextResponse.json({ success: false, error: 'A reason is required' }, { status: 400 });
+        }
+
+        let until = null;
+        if (body.delisted) {
+            const expiry = resolveExpiry(body);
+            if (expiry.error) {
+                return NextResponse.json({ success: false, error: expiry.error }, { status: 400 });
+            }
+            if (!expiry.expiresAt && body.permanent !== true) {
+                return NextResponse.json({
+                    success: false,
+                    error: 'Delisting needs "expiresAt", "durationHours" or "permanent": true',
+                }, { status: 400 });
+            }
+            until = expiry.expiresAt;
+        }
+
+        audit.details = { delisted: body.delisted, reason, until };
+        const token = await setTokenDelisted(tokenId, { delisted: body.delisted, reason, until, delistedBy: admin.name });
+        if (!token) {
+            return NextResponse.json({ success: false, error: 'Token not found' }, { status: 404 });
+        }
+        invalidateMarketDataCache();
+
+        return NextResponse.json({ success: true, token });
+    });
+}
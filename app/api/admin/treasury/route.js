@@ -0,0 +1,17 @@
+import { NextResponse } from 'next/server';
+import { withAdmin } from '@/lib/admin-auth';
+import { buildReconciliationReport } from '@/lib/ledger';
+
+/**
+ * GET /api/admin/treasury — Treasury balances and ledger reconciliation
+ *
+ * Same report as scripts/ledger-report.js: ledger vs on-chain balances for
+ * both treasuries and every agent wallet, plus ledger integrity.
+ * Permission: treasury:read
+ */
+export async function GET(request) {
+    return withAdmin(request, { action: 'treasury.report', permission: 'treasury:read' }, async () => {
+        const report = await buildReconciliationReport();
+        return NextResponse.json({ success: true, report });
+    });
+}
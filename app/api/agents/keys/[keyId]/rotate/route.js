@@ -0,0 +1,66 @@
+import { NextResponse } from 'next/server';
+import { getApiKey, revokeApiKey, expireApiKey } from '@/lib/db';
+import { requireAgent, FULL_ACCESS, issueApiKey, toPublicApiKey } from '@/lib/agent-auth';
+
+const MAX_GRACE_HOURS = 72;
+
+/**
+ * POST /api/agents/keys/:keyId/rotate — Replace a key (AUTHENTICATED via X-API-Key, full-access key)
+ *
+ * Body (optional): { "graceHours": 24 }
+ *
+ * Issues a new key with the same name, scopes and expiry. The old key is
+ * revoked at once, or keeps working for `graceHours` (max 72) so deployed
+ * agents can switch over. The new key is returned once, in this response.
+ */
+export async function POST(request, { params }) {
+    try {
+        const { keyId } = await params;
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        let body = {};
+        try {
+            body = await request.json();
+        } catch { /* body is optional */ }
+
+        const graceHours = Number(body.graceHours ?? 0);
+        if (!Number.isFinite(graceHours) || graceHours < 0 || graceHours > MAX_GRACE_HOURS) {
+            return NextResponse.json({
+                success: false,
+                error: `"graceHours" must be between 0 and ${MAX_GRACE_HOURS}`,
+            }, { status: 400 });
+        }
+
+        const key = await getApiKey(agent.agentId, keyId);
+        if (!key || key.status !== 'active') {
+            return NextResponse.json({ success: false, error: 'API key not found' }, { status: 404 });
+        }
+
+        const { key: newKey, apiKey } = await issueApiKey({
+            agentId: agent.agentId,
+            name: key.name,
+            scopes: key.scopes,
+            expiresAt: key.expiresAt,
+            createdBy: `rotate:${key.id}`,
+        });
+
+        const previous = graceHours > 0
+            ? await expireApiKey(agent.agentId, key.id, new Date(Date.now() + graceHours * 3_600_000))
+            : await revokeApiKey(agent.agentId, key.id, { revokedBy: `rotate:${apiKey.id}` });
+
+        return NextResponse.json({
+            success: true,
+            message: graceHours > 0
+                ? `API key rotated. The old key keeps working for ${graceHours}h. Save the new key — it is only shown now.`
+                : 'API key rotated and the old key revoked. Save the new key — it is only shown now.',
+            key: toPublicApiKey(apiKey),
+            apiKey: newKey,
+            previous: previous ? toPublicApiKey(previous) : null,
+        }, { status: 201 });
+    } catch (error) {
+        console.error('API key rotate error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { getApiKey, getApiKeys, revokeApiKey } from '@/lib/db';
+import { requireAgent, FULL_ACCESS, isFullAccessKey, toPublicApiKey } from '@/lib/agent-auth';
+
+/**
+ * DELETE /api/agents/keys/:keyId — Revoke an API key (AUTHENTICATED via X-API-Key, full-access key)
+ *
+ * Takes effect immediately. The agent's last full-access key can't be
+ * revoked — create or rotate to a new one first.
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { keyId } = await params;
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        const key = await getApiKey(agent.agentId, keyId);
+        if (!key || key.status === 'revoked') {
+            return NextResponse.json({ success: false, error: 'API key not found' }, { status: 404 });
+        }
+
+        if (key.status === 'active' && isFullAccessKey(key)) {
+            const active = await getApiKeys(agent.agentId);
+            if (!active.some(other => other.id !== key.id && isFullAccessKey(other))) {
+                return NextResponse.json({
+                    success: false,
+                    error: 'Cannot revoke the last full-access key. Create another full-access key or rotate this one instead.',
+                }, { status: 409 });
+            }
+        }
+
+        const revoked = await revokeApiKey(agent.agentId, keyId, { revokedBy: `key:${agent.apiKey.id}` });
+        if (!revoked) {
+            return NextResponse.json({ success: false, error: 'API key not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, key: toPublicApiKey(revoked) });
+    } catch (error) {
+        console.error('API key revoke error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
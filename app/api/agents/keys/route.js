@@ -0,0 +1,95 @@
+import { NextResponse } from 'next/server';
+import { getApiKeys } from '@/lib/db';
+import {
+    requireAgent, FULL_ACCESS, API_KEY_SCOPES, MAX_API_KEYS_PER_AGENT,
+    validateApiKeyScopes, issueApiKey, toPublicApiKey,
+} from '@/lib/agent-auth';
+import { resolveExpiry } from '@/lib/moderation';
+import { sanitizeText } from '@/lib/sanitize';
+
+/**
+ * GET /api/agents/keys — List the agent's API keys (AUTHENTICATED via X-API-Key)
+ *
+ * Query: includeInactive=true to also list revoked and expired keys
+ */
+export async function GET(request) {
+    try {
+        const auth = await requireAgent(request, 'read');
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        const { searchParams } = new URL(request.url);
+        const keys = await getApiKeys(agent.agentId, {
+            includeInactive: searchParams.get('includeInactive') === 'true',
+        });
+
+        return NextResponse.json({
+            success: true,
+            keys: keys.map(key => toPublicApiKey(key, { current: agent.apiKey })),
+            scopes: API_KEY_SCOPES,
+            maxKeys: MAX_API_KEYS_PER_AGENT,
+        });
+    } catch (error) {
+        console.error('API key list error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/agents/keys — Create an API key (AUTHENTICATED via X-API-Key, full-access key)
+ *
+ * Body: { "name": "...", "scopes": ["read", ...], "expiresAt": "ISO" | "durationHours": 720 }
+ *
+ * Scopes default to ["read"]. The key is returned once, in this response.
+ */
+export async function POST(request) {
+    try {
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        const name = sanitizeText(body.name, 50);
+        if (!name) {
+            return NextResponse.json({ success: false, error: '"name" is required (max 50 characters)' }, { status: 400 });
+        }
+
+        const scopes = validateApiKeyScopes(body.scopes);
+        if (scopes.error) return NextResponse.json({ success: false, error: scopes.error }, { status: 400 });
+
+        const expiry = resolveExpiry(body);
+        if (expiry.error) return NextResponse.json({ success: false, error: expiry.error }, { status: 400 });
+
+        const existing = await getApiKeys(agent.agentId);
+        if (existing.length >= MAX_API_KEYS_PER_AGENT) {
+            return NextResponse.json({
+                success: false,
+                error: `API key limit reached (${MAX_API_KEYS_PER_AGENT} active keys per agent). Revoke one first.`,
+            }, { status: 409 });
+        }
+
+        const { key, apiKey } = await issueApiKey({
+            agentId: agent.agentId,
+            name,
+            scopes: scopes.scopes,
+            expiresAt: expiry.expiresAt,
+            createdBy: `key:${agent.apiKey.id}`,
+        });
+
+        return NextResponse.json({
+            success: true,
+            message: 'API key created. Save it — it is only shown now.',
+            key: toPublicApiKey(apiKey),
+            apiKey: key,
+        }, { status: 201 });
+    } catch (error) {
+        console.error('API key create error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
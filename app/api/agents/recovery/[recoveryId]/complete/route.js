@@ -0,0 +1,50 @@
+import { NextResponse } from 'next/server';
+import { completeRecovery, toPublicRecovery } from '@/lib/recovery';
+import { toPublicApiKey } from '@/lib/agent-auth';
+import { getClientIp } from '@/lib/rate-limit';
+
+/**
+ * POST /api/agents/recovery/:recoveryId/complete — Finish a verified recovery (X-Recovery-Secret header)
+ *
+ * Body (optional): { "keepExistingKeys": true }
+ *
+ * Issues a new full-access API key, returned once. All other keys of the
+ * agent are revoked unless keepExistingKeys is set.
+ */
+export async function POST(request, { params }) {
+    try {
+        const { recoveryId } = await params;
+
+        let body = {};
+        try {
+            body = await request.json();
+        } catch { /* body is optional */ }
+
+        const ip = getClientIp(request);
+
+        const result = await completeRecovery({
+            id: recoveryId,
+            secret: request.headers.get('x-recovery-secret'),
+            ip,
+            keepExistingKeys: body.keepExistingKeys === true,
+        });
+        if (result.error) {
+            return NextResponse.json({
+                success: false,
+                error: result.error,
+                ...(result.code ? { code: result.code } : {}),
+            }, { status: result.status });
+        }
+
+        return NextResponse.json({
+            success: true,
+            message: `Agent recovered. ${result.revokedKeyCount} old key(s) revoked. Save the new API key — it is only shown now.`,
+            recovery: toPublicRecovery(result.recovery),
+            key: toPublicApiKey(result.apiKey),
+            apiKey: result.key,
+        }, { status: 201 });
+    } catch (error) {
+        console.error('Recovery complete error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,22 @@
+import { NextResponse } from 'next/server';
+import { getRecoveryForRequester, toPublicRecovery } from '@/lib/recovery';
+
+/**
+ * GET /api/agents/recovery/:recoveryId — Recovery status (X-Recovery-Secret header)
+ *
+ * Status: pending → verified → completed, or rejected / expired.
+ */
+export async function GET(request, { params }) {
+    try {
+        const { recoveryId } = await params;
+        const result = await getRecoveryForRequester(recoveryId, request.headers.get('x-recovery-secret'));
+        if (result.error) {
+            return NextResponse.json({ success: false, error: result.error }, { status: result.status });
+        }
+
+        return NextResponse.json({ success: true, recovery: toPublicRecovery(result.recovery) });
+    } catch (error) {
+        console.error('Recovery status error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
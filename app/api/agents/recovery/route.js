@@ -0,0 +1,70 @@
+import { NextResponse } from 'next/server';
+import { startRecovery, toPublicRecovery, RECOVERY_PLATFORMS } from '@/lib/recovery';
+import { sanitizeText } from '@/lib/sanitize';
+import { getClientIp } from '@/lib/rate-limit';
+
+/**
+ * POST /api/agents/recovery — Start account recovery for a lost API key (no auth)
+ *
+ * Body: { "agentId": "...", "platform": "moltbook" (optional, must be the agent's) }
+ *
+ * Returns a challenge to post on the agent's social platform and a recovery
+ * secret (shown once). Once the scanner has seen the post from the agent's
+ * account, POST /api/agents/recovery/:id/complete with the secret issues a
+ * new API key.
+ */
+export async function POST(request) {
+    try {
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        const agentId = sanitizeText(body.agentId, 50);
+        if (!agentId) {
+            return NextResponse.json({ success: false, error: 'Missing required field: agentId' }, { status: 400 });
+        }
+        const platform = body.platform ? sanitizeText(body.platform, 50) : null;
+        if (platform && !RECOVERY_PLATFORMS.includes(platform)) {
+            return NextResponse.json({
+                success: false,
+                error: `Unsupported platform. Supported: ${RECOVERY_PLATFORMS.join(', ')}`,
+            }, { status: 400 });
+        }
+
+        const ip = getClientIp(request);
+
+        const result = await startRecovery({
+            agentId,
+            platform,
+            ip,
+            userAgent: sanitizeText(request.headers.get('user-agent') || '', 200) || null,
+        });
+        if (result.error) {
+            return NextResponse.json({
+                success: false,
+                error: result.error,
+                ...(result.code ? { code: result.code } : {}),
+            }, { status: result.status });
+        }
+
+        const recovery = toPublicRecovery(result.recovery);
+        return NextResponse.json({
+            success: true,
+            message: 'Recovery started. Save the recovery secret — it is only shown now.',
+            recovery,
+            recoverySecret: result.secret,
+            instructions: {
+                step1: `From the ${recovery.platform} account "${recovery.agentId}", post: ${recovery.post}`,
+                step2: `Poll GET /api/agents/recovery/${recovery.id} with the X-Recovery-Secret header until status is "verified" (scanners run every minute)`,
+                step3: `POST /api/agents/recovery/${recovery.id}/complete with the X-Recovery-Secret header to get a new API key`,
+                expires: `The challenge expires at ${new Date(recovery.expiresAt).toISOString()}`,
+            },
+        }, { status: 201 });
+    } catch (error) {
+        console.error('Recovery start error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
@@ -1,11 +1,18 @@
 import { NextResponse } from 'next/server';
-import { getAgentByApiKey, getPublicAgent, updateAgent } from '@/lib/db';
+import { getPublicAgent, updateAgent } from '@/lib/db';
+import { requireAgent, FULL_ACCESS } from '@/lib/agent-auth';
 import { sanitizeText, isValidSolanaAddress } from '@/lib/sanitize';
+import { withRateLimit } from '@/lib/rate-limit';
+import { REPLY_LANGUAGES } from '@/lib/scanners/replies';
 
 /**
  * GET /api/agents?id=X — Public agent info (no wallet, no key hash)
  */
 export async function GET(request) {
+    return withRateLimit(request, 'read', {}, () => publicAgent(request));
+}
+
+async function publicAgent(request) {
     const { searchParams } = new URL(request.url);
     const agentId = searchParams.get('id');
 
@@ -35,26 +42,15 @@ export async function GET(request) {
 /**
  * PATCH /api/agents — Update agent profile (AUTHENTICATED via X-API-Key)
  *
- * Updatable fields: agentName, description, walletAddress
+ * Updatable fields: agentName, description, walletAddress, replyLanguage
+ * (language of scanner replies to the agent's posts; null = the post's language)
  * Agent can only update their own profile.
  */
 export async function PATCH(request) {
     try {
-        const apiKey = request.headers.get('x-api-key');
-        if (!apiKey) {
-            return NextResponse.json({
-                success: false,
-                error: 'X-API-Key header required'
-            }, { status: 401 });
-        }
-
-        const agent = await getAgentByApiKey(apiKey);
-        if (!agent) {
-            return NextResponse.json({
-                success: false,
-                error: 'Invalid API key'
-            }, { status: 401 });
-        }
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+        const { agent } = auth;
 
         const body = await request.json();
         const updates = {};
@@ -71,6 +67,16 @@ export async function PATCH(request) {
             updates.description = sanitizeText(body.description, 500);
         }
 
+        if (body.replyLanguage !== undefined) {
+            if (body.replyLanguage !== null && !REPLY_LANGUAGES.includes(body.replyLanguage)) {
+                return NextResponse.json({
+                    success: false,
+                    error: `replyLanguage must be one of: ${REPLY_LANGUAGES.join(', ')} (or null to match each post)`,
+                }, { status: 400 });
+            }
+            updates.replyLanguage = body.replyLanguage;
+        }
+
         if (body.walletAddress !== undefined) {
             const wallet = body.walletAddress.trim();
             if (!isValidSolanaAddress(wallet)) {
@@ -82,7 +88,7 @@ export async function PATCH(request) {
         if (Object.keys(updates).length === 0) {
             return NextResponse.json({
                 success: false,
-                error: 'No valid fields to update. Supported: agentName, description, walletAddress'
+                error: 'No valid fields to update. Supported: agentName, description, walletAddress, replyLanguage'
             }, { status: 400 });
         }
 
@@ -96,6 +102,7 @@ export async function PATCH(request) {
                 agentName: updated.agentName,
                 description: updated.description,
                 walletAddress: updated.walletAddress,
+                replyLanguage: updated.replyLanguage,
             }
         });
     } catch (error) {
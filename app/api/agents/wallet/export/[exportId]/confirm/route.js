@@ -0,0 +1,66 @@
+import { NextResponse, after } from 'next/server';
+import { requireAgent, FULL_ACCESS } from '@/lib/agent-auth';
+import {
+    confirmWalletExportRequest, runWalletMigrationWorker, toPublicWalletExport,
+} from '@/lib/wallet-export';
+
+/**
+ * POST /api/agents/wallet/export/:exportId/confirm — Confirm an export (AUTHENTICATED via X-API-Key, full-access key)
+ *
+ * Body: { "confirmationToken": "wxc_..." }
+ *
+ * Only after the request's cooldown. A reveal returns the private key (the
+ * only time it is ever shown); a migration starts and is tracked with
+ * GET /api/agents/wallet/export/:exportId.
+ */
+export async function POST(request, { params }) {
+    try {
+        const { exportId } = await params;
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        const result = await confirmWalletExportRequest({
+            agent,
+            exportId,
+            confirmationToken: typeof body.confirmationToken === 'string' ? body.confirmationToken : null,
+        });
+        if (result.error) {
+            const { error, status, ...rest } = result;
+            return NextResponse.json({ success: false, error, ...rest }, { status });
+        }
+
+        const walletExport = toPublicWalletExport(result.walletExport);
+        if (walletExport.mode === 'reveal') {
+            return NextResponse.json({
+                success: true,
+                message: 'This is the only time the private key is shown. Store it securely.',
+                export: walletExport,
+                walletAddress: walletExport.walletAddress,
+                privateKey: result.privateKey,
+                secretKey: result.secretKey,
+            }, { headers: { 'Cache-Control': 'no-store' } });
+        }
+
+        after(() => runWalletMigrationWorker({ exportId: walletExport.id, maxJobs: 1 }).catch(err => {
+            console.error('Wallet migration worker error:', err);
+        }));
+
+        return NextResponse.json({
+            success: true,
+            message: `Migration to ${walletExport.destination} started.`,
+            export: walletExport,
+            statusUrl: `/api/agents/wallet/export/${walletExport.id}`,
+        }, { status: 202 });
+    } catch (error) {
+        console.error('Wallet export confirm error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
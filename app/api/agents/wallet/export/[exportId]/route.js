@@ -0,0 +1,51 @@
+import { NextResponse } from 'next/server';
+import { getWalletExport } from '@/lib/db';
+import { requireAgent, FULL_ACCESS } from '@/lib/agent-auth';
+import { cancelWalletExportRequest, toPublicWalletExport } from '@/lib/wallet-export';
+
+/**
+ * GET /api/agents/wallet/export/:exportId — Export request status (AUTHENTICATED via X-API-Key)
+ */
+export async function GET(request, { params }) {
+    try {
+        const { exportId } = await params;
+        const auth = await requireAgent(request, 'read');
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        const walletExport = await getWalletExport(agent.agentId, exportId);
+        if (!walletExport) {
+            return NextResponse.json({ success: false, error: 'Wallet export not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, export: toPublicWalletExport(walletExport) });
+    } catch (error) {
+        console.error('Wallet export detail error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
+
+/**
+ * DELETE /api/agents/wallet/export/:exportId — Cancel an export request (AUTHENTICATED via X-API-Key, full-access key)
+ *
+ * Possible until it is confirmed, or for a migration until the worker starts it.
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { exportId } = await params;
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        const result = await cancelWalletExportRequest({ agent, exportId });
+        if (result.error) {
+            const { error, status, ...rest } = result;
+            return NextResponse.json({ success: false, error, ...rest }, { status });
+        }
+
+        return NextResponse.json({ success: true, export: toPublicWalletExport(result.walletExport) });
+    } catch (error) {
+        console.error('Wallet export cancel error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
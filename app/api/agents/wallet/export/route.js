@@ -0,0 +1,97 @@
+import { NextResponse } from 'next/server';
+import { getWalletExports, getAgentWallet } from '@/lib/db';
+import { requireAgent, FULL_ACCESS } from '@/lib/agent-auth';
+import { requestWalletExport, toPublicWalletExport } from '@/lib/wallet-export';
+import { getClientIp } from '@/lib/rate-limit';
+
+/**
+ * GET /api/agents/wallet/export — Wallet custody and export requests (AUTHENTICATED via X-API-Key)
+ *
+ * Query: limit (max 50), offset
+ */
+export async function GET(request) {
+    try {
+        const auth = await requireAgent(request, 'read');
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        const { searchParams } = new URL(request.url);
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '20') || 20, 1), 50);
+        const offset = Math.max(parseInt(searchParams.get('offset') || '0') || 0, 0);
+
+        const [walletRow, page] = await Promise.all([
+            getAgentWallet(agent.agentId),
+            getWalletExports({ agentId: agent.agentId, limit, offset }),
+        ]);
+
+        return NextResponse.json({
+            success: true,
+            wallet: walletRow ? {
+                walletAddress: walletRow.wallet_address,
+                custody: walletRow.custody,
+                keyRevealedAt: walletRow.exported_at,
+            } : null,
+            exports: page.exports.map(toPublicWalletExport),
+            total: page.total,
+            limit: page.limit,
+            offset: page.offset,
+            hasMore: page.hasMore,
+        });
+    } catch (error) {
+        console.error('Wallet export list error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/agents/wallet/export — Request a wallet export (AUTHENTICATED via X-API-Key, full-access key)
+ *
+ * Body: { "mode": "reveal" } or { "mode": "migrate", "destination": "<your wallet address>" }
+ *
+ * Returns a confirmation token (shown once). After the cooldown, confirm with
+ * POST /api/agents/wallet/export/:id/confirm. The agent's webhooks get
+ * `wallet.export_requested` right away, so an unexpected request can be
+ * cancelled in time.
+ */
+export async function POST(request) {
+    try {
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        const ip = getClientIp(request);
+
+        const result = await requestWalletExport({
+            agent,
+            mode: body.mode,
+            destination: body.destination,
+            ip,
+        });
+        if (result.error) {
+            const { error, status, ...rest } = result;
+            return NextResponse.json({ success: false, error, ...rest }, { status });
+        }
+
+        const walletExport = toPublicWalletExport(result.walletExport);
+        return NextResponse.json({
+            success: true,
+            message: 'Wallet export requested. Save the confirmation token — it is only shown now.',
+            export: walletExport,
+            confirmationToken: result.confirmationToken,
+            instructions: {
+                confirm: `POST /api/agents/wallet/export/${walletExport.id}/confirm with { "confirmationToken": "..." } between ${new Date(walletExport.availableAt).toISOString()} and ${new Date(walletExport.expiresAt).toISOString()}`,
+                cancel: `DELETE /api/agents/wallet/export/${walletExport.id}`,
+            },
+        }, { status: 202 });
+    } catch (error) {
+        console.error('Wallet export request error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
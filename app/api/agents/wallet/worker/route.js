@@ -0,0 +1,24 @@
+import { NextResponse } from 'next/server';
+import { cronAuthResponse } from '@/lib/cron-auth';
+import { runWalletMigrationWorker } from '@/lib/wallet-export';
+
+export const maxDuration = 60;
+
+/**
+ * GET /api/agents/wallet/worker — Resume queued or interrupted wallet migrations
+ *
+ * Called by cron. Protected by SCANNER_SECRET or CRON_SECRET header
+ * (lib/cron-auth.js).
+ */
+export async function GET(request) {
+    const unauthorized = cronAuthResponse(request);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const summary = await runWalletMigrationWorker({ maxJobs: 5, timeBudgetMs: 45_000 });
+        return NextResponse.json({ success: true, ranAt: new Date().toISOString(), ...summary });
+    } catch (error) {
+        console.error('Wallet migration worker error:', error);
+        return NextResponse.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
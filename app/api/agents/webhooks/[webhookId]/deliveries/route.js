@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { getAgentWebhook, getWebhookDeliveries } from '@/lib/db';
+import { requireAgent } from '@/lib/agent-auth';
+import { toPublicDelivery } from '@/lib/webhooks';
+
+const STATUSES = ['pending', 'succeeded', 'failed'];
+
+/**
+ * GET /api/agents/webhooks/:webhookId/deliveries?status=failed&limit=20&offset=0
+ *
+ * Delivery log, newest first: payload, attempts, response status and body
+ * (truncated), error, and the next retry time for pending deliveries.
+ */
+export async function GET(request, { params }) {
+    try {
+        const { webhookId } = await params;
+        const auth = await requireAgent(request, 'read');
+        if (auth.response) return auth.response;
+
+        const webhook = await getAgentWebhook(auth.agent.agentId, webhookId);
+        if (!webhook) {
+            return NextResponse.json({ success: false, error: 'Webhook not found' }, { status: 404 });
+        }
+
+        const { searchParams } = new URL(request.url);
+        const status = searchParams.get('status');
+        if (status && !STATUSES.includes(status)) {
+            return NextResponse.json({ success: false, error: `"status" must be one of: ${STATUSES.join(', ')}` }, { status: 400 });
+        }
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit')) || 20, 1), 100);
+        const offset = Math.max(parseInt(searchParams.get('offset')) || 0, 0);
+
+        const result = await getWebhookDeliveries(webhookId, { status, limit, offset });
+        return NextResponse.json({
+            success: true,
+            ...result,
+            deliveries: result.deliveries.map(toPublicDelivery),
+        });
+    } catch (error) {
+        console.error('Webhook deliveries error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
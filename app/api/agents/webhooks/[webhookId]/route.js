@@ -0,0 +1,110 @@
+import { NextResponse } from 'next/server';
+import { getAgentWebhook, updateAgentWebhook, deleteAgentWebhook } from '@/lib/db';
+import { requireAgent, FULL_ACCESS } from '@/lib/agent-auth';
+import { validateWebhookUrl, validateWebhookEvents, generateWebhookSecret, toPublicWebhook } from '@/lib/webhooks';
+import { sanitizeText } from '@/lib/sanitize';
+
+function notFound() {
+    return NextResponse.json({ success: false, error: 'Webhook not found' }, { status: 404 });
+}
+
+/**
+ * GET /api/agents/webhooks/:webhookId — One of the agent's webhooks
+ */
+export async function GET(request, { params }) {
+    try {
+        const { webhookId } = await params;
+        const auth = await requireAgent(request, 'read');
+        if (auth.response) return auth.response;
+
+        const webhook = await getAgentWebhook(auth.agent.agentId, webhookId);
+        if (!webhook) return notFound();
+        return NextResponse.json({ success: true, webhook: toPublicWebhook(webhook) });
+    } catch (error) {
+        console.error('Webhook get error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
+
+/**
+ * PATCH /api/agents/webhooks/:webhookId — Update a webhook
+ *
+ * Body (all optional): { url, events, description, active, rotateSecret: true }
+ *
+ * Setting "active": true re-enables a webhook disabled after repeated
+ * failures. With rotateSecret the new secret is returned once.
+ */
+export async function PATCH(request, { params }) {
+    try {
+        const { webhookId } = await params;
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        const updates = {};
+        if (body.url !== undefined) {
+            const url = validateWebhookUrl(body.url);
+            if (url.error) return NextResponse.json({ success: false, error: url.error }, { status: 400 });
+            updates.url = url.url;
+        }
+        if (body.events !== undefined) {
+            const events = validateWebhookEvents(body.events);
+            if (events.error) return NextResponse.json({ success: false, error: events.error }, { status: 400 });
+            updates.events = events.events;
+        }
+        if (body.description !== undefined) {
+            updates.description = sanitizeText(body.description, 200) || null;
+        }
+        if (body.active !== undefined) {
+            if (typeof body.active !== 'boolean') {
+                return NextResponse.json({ success: false, error: '"active" must be a boolean' }, { status: 400 });
+            }
+            updates.active = body.active;
+        }
+        if (body.rotateSecret === true) {
+            updates.secret = generateWebhookSecret();
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return NextResponse.json({
+                success: false,
+                error: 'No valid fields to update. Supported: url, events, description, active, rotateSecret',
+            }, { status: 400 });
+        }
+
+        const webhook = await updateAgentWebhook(auth.agent.agentId, webhookId, updates);
+        if (!webhook) return notFound();
+
+        return NextResponse.json({
+            success: true,
+            webhook: toPublicWebhook(webhook, { includeSecret: Boolean(updates.secret) }),
+        });
+    } catch (error) {
+        console.error('Webhook update error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
+
+/**
+ * DELETE /api/agents/webhooks/:webhookId — Remove a webhook and its delivery log
+ */
+export async function DELETE(request, { params }) {
+    try {
+        const { webhookId } = await params;
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+
+        const deleted = await deleteAgentWebhook(auth.agent.agentId, webhookId);
+        if (!deleted) return notFound();
+        return NextResponse.json({ success: true, deleted: webhookId });
+    } catch (error) {
+        console.error('Webhook delete error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
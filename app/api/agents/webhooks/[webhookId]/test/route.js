@@ -0,0 +1,33 @@
+import { NextResponse } from 'next/server';
+import { getAgentWebhook } from '@/lib/db';
+import { requireAgent, FULL_ACCESS } from '@/lib/agent-auth';
+import { sendTestEvent, toPublicDelivery } from '@/lib/webhooks';
+
+/**
+ * POST /api/agents/webhooks/:webhookId/test — Send a signed webhook.test event now
+ *
+ * Delivered once, even to a disabled webhook, and returns the result
+ * (response status, body, error). Test deliveries are not retried and don't
+ * count towards auto-disable.
+ */
+export async function POST(request, { params }) {
+    try {
+        const { webhookId } = await params;
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+
+        const webhook = await getAgentWebhook(auth.agent.agentId, webhookId);
+        if (!webhook) {
+            return NextResponse.json({ success: false, error: 'Webhook not found' }, { status: 404 });
+        }
+
+        const delivery = await sendTestEvent(webhook);
+        return NextResponse.json({
+            success: delivery.status === 'succeeded',
+            delivery: toPublicDelivery(delivery),
+        });
+    } catch (error) {
+        console.error('Webhook test error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,84 @@
+import { NextResponse } from 'next/server';
+import { createAgentWebhook, getAgentWebhooks } from '@/lib/db';
+import { requireAgent, FULL_ACCESS } from '@/lib/agent-auth';
+import {
+    WEBHOOK_EVENTS, MAX_WEBHOOKS_PER_AGENT, validateWebhookUrl, validateWebhookEvents,
+    generateWebhookSecret, toPublicWebhook,
+} from '@/lib/webhooks';
+import { sanitizeText } from '@/lib/sanitize';
+
+/**
+ * GET /api/agents/webhooks — List the agent's webhooks (AUTHENTICATED via X-API-Key)
+ */
+export async function GET(request) {
+    try {
+        const auth = await requireAgent(request, 'read');
+        if (auth.response) return auth.response;
+
+        const webhooks = await getAgentWebhooks(auth.agent.agentId);
+        return NextResponse.json({
+            success: true,
+            webhooks: webhooks.map(webhook => toPublicWebhook(webhook)),
+            events: WEBHOOK_EVENTS,
+            maxWebhooks: MAX_WEBHOOKS_PER_AGENT,
+        });
+    } catch (error) {
+        console.error('Webhook list error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
+
+/**
+ * POST /api/agents/webhooks — Register a webhook (AUTHENTICATED via X-API-Key)
+ *
+ * Body: { "url": "https://...", "events": ["launch.succeeded", ...] | ["*"], "description": "..." }
+ *
+ * The signing secret is returned once, in this response. Store it to verify
+ * the X-ClawdPump-Signature header of each delivery.
+ */
+export async function POST(request) {
+    try {
+        const auth = await requireAgent(request, FULL_ACCESS);
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        let body;
+        try {
+            body = await request.json();
+        } catch {
+            return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+        }
+
+        const url = validateWebhookUrl(body.url);
+        if (url.error) return NextResponse.json({ success: false, error: url.error }, { status: 400 });
+
+        const events = validateWebhookEvents(body.events);
+        if (events.error) return NextResponse.json({ success: false, error: events.error }, { status: 400 });
+
+        const existing = await getAgentWebhooks(agent.agentId);
+        if (existing.length >= MAX_WEBHOOKS_PER_AGENT) {
+            return NextResponse.json({
+                success: false,
+                error: `Webhook limit reached (${MAX_WEBHOOKS_PER_AGENT} per agent). Delete one first.`,
+            }, { status: 409 });
+        }
+
+        const webhook = await createAgentWebhook({
+            id: crypto.randomUUID(),
+            agentId: agent.agentId,
+            url: url.url,
+            events: events.events,
+            secret: generateWebhookSecret(),
+            description: sanitizeText(body.description, 200) || null,
+        });
+
+        return NextResponse.json({
+            success: true,
+            message: 'Webhook registered. Save the secret — it is only shown now.',
+            webhook: toPublicWebhook(webhook, { includeSecret: true }),
+        }, { status: 201 });
+    } catch (error) {
+        console.error('Webhook create error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
@@ -1,7 +1,14 @@
-import { NextResponse } from 'next/server';
-import { getAgentByApiKey, getAgentWallet, insertFeeClaim } from '@/lib/db';
+import { NextResponse, after } from 'next/server';
+import { getAgentWallet, insertFeeClaim } from '@/lib/db';
+import { requireAgent, authenticateAgent } from '@/lib/agent-auth';
 import { claimAgentFees, getAgentFeeBalance } from '@/lib/pumpfun';
-import { loadKeypairFromEncrypted } from '@/lib/wallet-crypto';
+import { getAgentSigner } from '@/lib/signers';
+import { withIdempotency } from '@/lib/idempotency';
+import { agentRestrictionResponse } from '@/lib/moderation';
+import { walletLockResponse } from '@/lib/wallet-export';
+import { withRateLimit } from '@/lib/rate-limit';
+import { recordFeeClaim } from '@/lib/ledger';
+import { emitAgentEvent } from '@/lib/webhooks';
 
 /**
  * POST /api/claim-fees — Claim accumulated creator fees
@@ -10,78 +17,101 @@ import { loadKeypairFromEncrypted } from '@/lib/wallet-crypto';
  * Fees are sent directly to the agent's system-managed wallet on-chain.
  *
  * Authentication: X-API-Key header (REQUIRED)
+ * Optional Idempotency-Key header: retries with the same key replay the original claim result.
  */
 export async function POST(request) {
     try {
-        const apiKey = request.headers.get('x-api-key');
-        if (!apiKey) {
-            return NextResponse.json({
-                success: false,
-                error: 'Authentication required. Provide X-API-Key header.',
-            }, { status: 401 });
-        }
+        const auth = await requireAgent(request, 'claim');
+        if (auth.response) return auth.response;
+        const { agent } = auth;
 
-        const agent = await getAgentByApiKey(apiKey);
-        if (!agent) {
-            return NextResponse.json({
-                success: false,
-                error: 'Invalid API key.',
-            }, { status: 401 });
-        }
+        const restricted = agentRestrictionResponse(agent, 'claim');
+        if (restricted) return restricted;
 
-        // Load agent keypair (decrypt private key)
-        const walletRow = await getAgentWallet(agent.agentId);
-        if (!walletRow) {
-            return NextResponse.json({
-                success: false,
-                error: 'Agent wallet not found.',
-            }, { status: 500 });
-        }
+        const locked = await walletLockResponse(agent, 'claim');
+        if (locked) return locked;
 
-        const agentKeypair = await loadKeypairFromEncrypted(walletRow);
+        return await withRateLimit(request, 'claim', { agentId: agent.agentId, noun: 'claims' }, () => withIdempotency(request, {
+            agentId: agent.agentId,
+            endpoint: 'POST /api/claim-fees',
+            payload: null,
+        }, () => claimForAgent(agent)));
+    } catch (error) {
+        console.error('Claim fees error:', error);
+        return NextResponse.json({
+            success: false,
+            error: error.message || 'Internal server error',
+        }, { status: 500 });
+    }
+}
 
-        // Claim fees on-chain
-        const result = await claimAgentFees(agentKeypair);
+/**
+ * Claim all accrued creator fees for an authenticated agent.
+ */
+async function claimForAgent(agent) {
+    const walletRow = await getAgentWallet(agent.agentId);
+    if (!walletRow) {
+        return NextResponse.json({
+            success: false,
+            error: 'Agent wallet not found.',
+        }, { status: 500 });
+    }
 
-        if (!result.txSignature) {
-            return NextResponse.json({
-                success: true,
-                message: 'No fees available to claim.',
-                amountClaimed: 0,
-                walletAddress: agent.walletAddress,
-            });
-        }
+    const agentSigner = await getAgentSigner(agent.agentId);
 
-        // Record the claim
-        await insertFeeClaim({
-            id: crypto.randomUUID(),
-            agentId: agent.agentId,
-            mintAddress: null, // claimed all
-            amountLamports: result.amountLamports,
-            amountSol: result.amountLamports / 1e9,
-            txSignature: result.txSignature,
-            status: 'completed',
-        });
+    // Claim fees on-chain
+    const result = await claimAgentFees(agentSigner);
 
+    if (!result.txSignature) {
         return NextResponse.json({
             success: true,
-            message: 'Fees claimed successfully!',
-            txSignature: result.txSignature,
-            amountClaimed: {
-                lamports: result.amountLamports,
-                sol: (result.amountLamports / 1e9).toFixed(6),
-            },
+            message: 'No fees available to claim.',
+            amountClaimed: 0,
             walletAddress: agent.walletAddress,
-            explorerUrl: `https://solscan.io/tx/${result.txSignature}`,
-            simulated: result.simulated || false,
         });
-    } catch (error) {
-        console.error('Claim fees error:', error);
-        return NextResponse.json({
-            success: false,
-            error: error.message || 'Internal server error',
-        }, { status: 500 });
     }
+
+    // Record the claim
+    const claimId = crypto.randomUUID();
+    await insertFeeClaim({
+        id: claimId,
+        agentId: agent.agentId,
+        mintAddress: null, // claimed all
+        amountLamports: result.amountLamports,
+        amountSol: result.amountLamports / 1e9,
+        txSignature: result.txSignature,
+        status: 'completed',
+    });
+
+    try {
+        await recordFeeClaim({
+            agentId: agent.agentId, claimId, lamports: result.amountLamports, txSignature: result.txSignature,
+        });
+    } catch (err) {
+        console.error('Claim fees ledger error:', err.message);
+    }
+
+    after(() => emitAgentEvent(agent.agentId, 'fees.claimed', {
+        claimId,
+        txSignature: result.txSignature,
+        amountLamports: result.amountLamports,
+        amountSol: result.amountLamports / 1e9,
+        walletAddress: agent.walletAddress,
+        simulated: result.simulated || false,
+    }));
+
+    return NextResponse.json({
+        success: true,
+        message: 'Fees claimed successfully!',
+        txSignature: result.txSignature,
+        amountClaimed: {
+            lamports: result.amountLamports,
+            sol: (result.amountLamports / 1e9).toFixed(6),
+        },
+        walletAddress: agent.walletAddress,
+        explorerUrl: `https://solscan.io/tx/${result.txSignature}`,
+        simulated: result.simulated || false,
+    });
 }
 
 /**
@@ -102,13 +132,9 @@ export async function GET(request) {
             });
         }
 
-        const agent = await getAgentByApiKey(apiKey);
-        if (!agent) {
-            return NextResponse.json({
-                success: false,
-                error: 'Invalid API key.',
-            }, { status: 401 });
-        }
+        const auth = await authenticateAgent(apiKey, 'read');
+        if (auth.response) return auth.response;
+        const { agent } = auth;
 
         const balance = await getAgentFeeBalance(agent.walletAddress);
 
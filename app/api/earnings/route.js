@@ -1,11 +1,16 @@
 import { NextResponse } from 'next/server';
-import { getAgentByApiKey, getPublicAgent, getTokensByAgent, getFeeClaimsByAgent } from '@/lib/db';
+import {
+    getPublicAgent, getTokensByAgent, getFeeClaimsByAgent,
+    agentLedgerAccount, getLedgerBalance, getLedgerTotalsByKind,
+} from '@/lib/db';
 import { getAgentFeeBalance } from '@/lib/pumpfun';
+import { authenticateAgent } from '@/lib/agent-auth';
 
 /**
  * GET /api/earnings — Agent earnings (AUTHENTICATED)
  *
  * v2: Includes claimable fee balance (on-chain) and fee claim history.
+ * Ledger totals (claims, launch fees, transfers) are lamport-exact.
  *
  * Requires X-API-Key header. Agents can only see their own earnings.
  * Falls back to agentId query param for public summary (limited data).
@@ -19,13 +24,9 @@ export async function GET(request) {
         let agent;
 
         if (apiKey) {
-            agent = await getAgentByApiKey(apiKey);
-            if (!agent) {
-                return NextResponse.json({
-                    success: false,
-                    error: 'Invalid API key'
-                }, { status: 401 });
-            }
+            const auth = await authenticateAgent(apiKey, 'read');
+            if (auth.response) return auth.response;
+            agent = auth.agent;
         } else if (agentId) {
             agent = await getPublicAgent(agentId);
             if (!agent) {
@@ -62,6 +63,12 @@ export async function GET(request) {
         // Get claim history
         const claimHistory = await getFeeClaimsByAgent(agent.agentId, { limit: 10, offset: 0 });
 
+        // Lamport-exact totals from the double-entry ledger
+        const ledgerAccount = agentLedgerAccount(agent.agentId);
+        const ledgerBalance = await getLedgerBalance(ledgerAccount);
+        const ledgerTotals = await getLedgerTotalsByKind(ledgerAccount);
+        const lamportsOf = kind => (ledgerTotals[kind] || 0n).toString();
+
         return NextResponse.json({
             success: true,
             agentId: agent.agentId,
@@ -94,6 +101,13 @@ export async function GET(request) {
                 status: c.status,
                 createdAt: c.createdAt,
             })),
+            ledger: {
+                netLamports: ledgerBalance.toString(),
+                claimedLamports: lamportsOf('fee_claim'),
+                launchFeesLamports: lamportsOf('launch_payment'),
+                transfersLamports: lamportsOf('transfer'),
+                note: 'Lamport amounts as strings; negative values left your wallet. Deposits are not included.',
+            },
             claimHint: claimable.balanceLamports > 0
                 ? 'POST /api/claim-fees with your X-API-Key to claim accumulated fees.'
                 : 'No fees to claim yet.',
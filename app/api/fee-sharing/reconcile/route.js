@@ -0,0 +1,26 @@
+import { NextResponse } from 'next/server';
+import { cronAuthResponse } from '@/lib/cron-auth';
+import { reconcileFeeSharing } from '@/lib/fee-sharing-reconciler';
+
+export const maxDuration = 60;
+
+/**
+ * GET /api/fee-sharing/reconcile — Repair tokens whose fee sharing is pending or failed
+ *
+ * Called by cron. Optional ?tokenId= reconciles a single token immediately.
+ * Protected by SCANNER_SECRET or CRON_SECRET header
+ * (lib/cron-auth.js).
+ */
+export async function GET(request) {
+    const unauthorized = cronAuthResponse(request);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const tokenId = request.nextUrl.searchParams.get('tokenId');
+        const summary = await reconcileFeeSharing({ tokenId, timeBudgetMs: 45_000 });
+        return NextResponse.json({ success: true, ranAt: new Date().toISOString(), ...summary });
+    } catch (error) {
+        console.error('Fee sharing reconcile error:', error);
+        return NextResponse.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,27 @@
+import { NextResponse } from 'next/server';
+import { requireAgent } from '@/lib/agent-auth';
+import { getLaunchJob, toPublicLaunchJob } from '@/lib/launch-jobs';
+
+/**
+ * GET /api/launch/:jobId — Launch job status (owner only)
+ *
+ * States: queued → uploading_metadata → creating → configuring_fees → done | failed
+ */
+export async function GET(request, { params }) {
+    try {
+        const auth = await requireAgent(request, 'read');
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        const { jobId } = await params;
+        const job = await getLaunchJob(jobId);
+        if (!job || job.agentId !== agent.agentId) {
+            return NextResponse.json({ success: false, error: 'Launch job not found' }, { status: 404 });
+        }
+
+        return NextResponse.json({ success: true, job: toPublicLaunchJob(job) });
+    } catch (error) {
+        console.error('Launch job status error:', error);
+        return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
+    }
+}
@@ -0,0 +1,86 @@
+import { NextResponse } from 'next/server';
+import { previewLaunch } from '@/lib/launch-service';
+import { authenticateAgent } from '@/lib/agent-auth';
+import { getClientIp, withRateLimit } from '@/lib/rate-limit';
+import { getPaidLaunchCost } from '@/lib/solana-balance';
+
+/**
+ * POST /api/launch/preview — Dry run of POST /api/launch
+ *
+ * Takes the same body and runs the same checks (input, moderation, ticker,
+ * symbol policy, limits, tier, wallet) without launching anything or
+ * counting against the launch limits. The API twin of a `!ClawdPump check`
+ * post.
+ *
+ * Always 200 once authenticated: `wouldLaunch` says whether POST /api/launch
+ * would accept it, `rejection` is the error it would answer with otherwise
+ * (`status` being its HTTP status). Tier and balances are reported either way.
+ */
+export async function POST(request) {
+    return withRateLimit(request, 'read', {}, () => preview(request));
+}
+
+async function preview(request) {
+    try {
+        let body;
+        const contentType = request.headers.get('content-type') || '';
+
+        if (contentType.includes('multipart/form-data')) {
+            // An uploaded image isn't checked, only the text fields
+            const formData = await request.formData();
+            body = {};
+            for (const [key, value] of formData.entries()) {
+                if (typeof value === 'string') body[key] = value;
+            }
+        } else if (contentType.includes('application/x-www-form-urlencoded')) {
+            body = Object.fromEntries(new URLSearchParams(await request.text()));
+        } else {
+            try {
+                body = await request.json();
+            } catch {
+                return NextResponse.json({ success: false, error: 'Invalid JSON body' }, { status: 400 });
+            }
+        }
+
+        const apiKey = request.headers.get('x-api-key');
+        if (!apiKey) {
+            return NextResponse.json({
+                success: false,
+                error: 'Authentication required. Provide X-API-Key header.',
+                hint: 'Register at POST /api/register to get an API key.'
+            }, { status: 401 });
+        }
+
+        const auth = await authenticateAgent(apiKey, 'launch');
+        if (auth.response) return auth.response;
+        const { agent } = auth;
+
+        const result = await previewLaunch({ agent, input: body || {}, source: 'api', ip: getClientIp(request) });
+        const { ok, token, launchType, tierNote, feeSplit, wallet, balances, rateLimit, ...rejection } = result;
+
+        return NextResponse.json({
+            success: true,
+            wouldLaunch: ok,
+            token,
+            launchType,
+            tierNote,
+            feeSplit: feeSplit && {
+                creator: `${feeSplit.creator * 100}%`,
+                platform: `${feeSplit.platform * 100}%`,
+            },
+            gasPaidBy: launchType && (launchType === 'free' ? 'platform' : `agent (${getPaidLaunchCost()} SOL)`),
+            wallet,
+            balances: balances && {
+                clawdpump: balances.clawdpump,
+                sol: balances.sol,
+            },
+            rejection: ok ? null : rejection,
+        });
+    } catch (error) {
+        console.error('Launch preview error:', error);
+        return NextResponse.json({
+            success: false,
+            error: error.message || 'Internal server error'
+        }, { status: 500 });
+    }
+}
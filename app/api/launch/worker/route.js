@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { cronAuthResponse } from '@/lib/cron-auth';
+import { runLaunchWorker } from '@/lib/launch-jobs';
+
+export const maxDuration = 60;
+
+/**
+ * GET /api/launch/worker — Resume queued or interrupted launch jobs
+ *
+ * Called by cron. Picks up jobs whose retry time has passed or whose worker
+ * died mid-step (expired lock). Protected by SCANNER_SECRET or CRON_SECRET header
+ * (lib/cron-auth.js).
+ */
+export async function GET(request) {
+    const unauthorized = cronAuthResponse(request);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const summary = await runLaunchWorker({ maxJobs: 10, timeBudgetMs: 45_000 });
+        return NextResponse.json({ success: true, ranAt: new Date().toISOString(), ...summary });
+    } catch (error) {
+        console.error('Launch worker error:', error);
+        return NextResponse.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
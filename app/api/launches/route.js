@@ -1,11 +1,15 @@
 import { NextResponse } from 'next/server';
-import { getAgentByApiKey, getTokensByAgentPaginated, getFeeClaimsByAgent } from '@/lib/db';
+import { getTokensByAgentPaginated, getFeeClaimsByAgent, getLaunchPaymentsByAgent } from '@/lib/db';
+import { authenticateAgent } from '@/lib/agent-auth';
 
 /**
  * GET /api/launches — Agent launch history
  *
  * Authentication: X-API-Key header (REQUIRED for own launches)
  * OR ?agentId= for public view (limited data)
+ *
+ * Authenticated responses also include recent fee claims and paid launch
+ * payments (completed, or failed and never charged).
  */
 export async function GET(request) {
     try {
@@ -18,14 +22,9 @@ export async function GET(request) {
         let agentId;
 
         if (apiKey) {
-            const agent = await getAgentByApiKey(apiKey);
-            if (!agent) {
-                return NextResponse.json({
-                    success: false,
-                    error: 'Invalid API key.',
-                }, { status: 401 });
-            }
-            agentId = agent.agentId;
+            const auth = await authenticateAgent(apiKey, 'read');
+            if (auth.response) return auth.response;
+            agentId = auth.agent.agentId;
         } else if (agentIdParam) {
             agentId = agentIdParam;
         } else {
@@ -41,10 +40,12 @@ export async function GET(request) {
 
         const launchData = await getTokensByAgentPaginated(agentId, { limit, offset });
 
-        // If authenticated, also include fee claim history
+        // If authenticated, also include fee claim and launch payment history
         let claims = null;
+        let payments = null;
         if (apiKey) {
             claims = await getFeeClaimsByAgent(agentId, { limit: 10, offset: 0 });
+            payments = await getLaunchPaymentsByAgent(agentId, { limit: 20, offset: 0 });
         }
 
         return NextResponse.json({
@@ -83,6 +84,18 @@ export async function GET(request) {
                     createdAt: c.createdAt,
                 })),
             } : {}),
+            ...(payments ? {
+                payments: payments.payments.map(p => ({
+                    symbol: p.symbol,
+                    amountSol: p.amountSol,
+                    status: p.status,
+                    txSignature: p.txSignature,
+                    error: p.errorMsg,
+                    launchJobId: p.launchJobId,
+                    createdAt: p.createdAt,
+                    updatedAt: p.updatedAt,
+                })),
+            } : {}),
         });
     } catch (error) {
         console.error('Launches error:', error);
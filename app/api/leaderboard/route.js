@@ -1,23 +1,67 @@
 import { NextResponse } from 'next/server';
-import { getLeaderboard } from '@/lib/db';
+import { getLeaderboard, LEADERBOARD_SORT_KEYS, LEADERBOARD_WINDOW_KEYS } from '@/lib/db';
+import { withRateLimit } from '@/lib/rate-limit';
 
 /**
  * GET /api/leaderboard — Public leaderboard (safe data only)
+ *
+ * Query params:
+ *   sort   — earned (default) | volume | tokens | success_rate
+ *   window — all (default) | 24h | 7d | 30d: fees claimed, tokens launched
+ *            and launch jobs finished within it (see getLeaderboard)
+ *   limit, offset — pagination (max 50 per page)
  */
 export async function GET(request) {
+    return withRateLimit(request, 'read', {}, () => leaderboard(request));
+}
+
+async function leaderboard(request) {
     try {
         const { searchParams } = new URL(request.url);
-        const limit = Math.min(parseInt(searchParams.get('limit') || '10', 10), 50);
+        const sort = searchParams.get('sort') || 'earned';
+        const window = searchParams.get('window') || 'all';
+        const limit = Math.min(Math.max(parseInt(searchParams.get('limit') || '10', 10) || 10, 1), 50);
+        const offset = Math.max(parseInt(searchParams.get('offset') || '0', 10) || 0, 0);
+
+        if (!LEADERBOARD_SORT_KEYS.includes(sort)) {
+            return NextResponse.json({
+                success: false,
+                error: `Invalid sort. Use one of: ${LEADERBOARD_SORT_KEYS.join(', ')}`,
+            }, { status: 400 });
+        }
+
+        if (!LEADERBOARD_WINDOW_KEYS.includes(window)) {
+            return NextResponse.json({
+                success: false,
+                error: `Invalid window. Use one of: ${LEADERBOARD_WINDOW_KEYS.join(', ')}`,
+            }, { status: 400 });
+        }
+
+        const result = await getLeaderboard({ sort, window, limit, offset });
 
-        const leaderboard = (await getLeaderboard(limit)).map((agent, i) => ({
-            rank: i + 1,
+        const leaderboard = result.agents.map((agent, i) => ({
+            rank: offset + i + 1,
             agentId: agent.agentId,
             agentName: agent.agentName,
+            platform: agent.platform,
             tokensLaunched: agent.tokensLaunched,
             totalEarned: Math.round((agent.totalEarned || 0) * 1000) / 1000,
+            totalVolume: Math.round(agent.totalVolume || 0),
+            successRate: agent.successRate === null ? null : Math.round(agent.successRate * 1000) / 10,
         }));
 
-        return NextResponse.json({ success: true, leaderboard });
+        return NextResponse.json({
+            success: true,
+            sort,
+            window,
+            leaderboard,
+            pagination: {
+                total: result.total,
+                limit: result.limit,
+                offset: result.offset,
+                hasMore: result.hasMore,
+            },
+        });
     } catch (error) {
         console.error('Leaderboard error:', error);
         return NextResponse.json({ success: false, error: 'Internal server error' }, { status: 500 });
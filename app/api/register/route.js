@@ -1,7 +1,9 @@
 import { NextResponse } from 'next/server';
 import { registerAgent as dbRegisterAgent, agentExists, getPublicAgent, saveAgentWallet } from '@/lib/db';
 import { generateApiKey, hashApiKey, sanitizeText, isValidAgentId } from '@/lib/sanitize';
+import { issueApiKey, API_KEY_SCOPES } from '@/lib/agent-auth';
 import { generateAgentWallet } from '@/lib/wallet-crypto';
+import { withRateLimit } from '@/lib/rate-limit';
 
 /**
  * POST /api/register — Register a new agent
@@ -13,6 +15,10 @@ import { generateAgentWallet } from '@/lib/wallet-crypto';
  * Output: { apiKey, walletAddress }
  */
 export async function POST(request) {
+    return withRateLimit(request, 'register', { noun: 'registrations' }, () => register(request));
+}
+
+async function register(request) {
     try {
         let body;
         const contentType = request.headers.get('content-type') || '';
@@ -52,7 +58,8 @@ export async function POST(request) {
         if (await agentExists(agentId)) {
             return NextResponse.json({
                 success: false,
-                error: `Agent "${agentId}" is already registered. Use your saved API key to launch tokens. Do NOT re-register.`
+                error: `Agent "${agentId}" is already registered. Use your saved API key to launch tokens. Do NOT re-register.`,
+                hint: 'Lost your API key? Recover it through your social platform with POST /api/agents/recovery.',
             }, { status: 409 });
         }
 
@@ -65,6 +72,7 @@ export async function POST(request) {
 
         // Save agent
         await dbRegisterAgent({ agentId, agentName, description, platform, apiKeyHash });
+        await issueApiKey({ agentId, name: 'default', scopes: API_KEY_SCOPES, createdBy: 'registration', key: apiKey });
 
         // Save wallet (encrypted private key stored separately)
         await saveAgentWallet({
@@ -73,6 +81,7 @@ export async function POST(request) {
             encryptedKey: wallet.encrypted,
             iv: wallet.iv,
             authTag: wallet.authTag,
+            keyId: wallet.keyId,
         });
 
         return NextResponse.json({
@@ -92,7 +101,7 @@ export async function POST(request) {
                 step4: 'Use X-API-Key header with POST /api/launch to launch tokens',
                 clawdpump: 'Buy $CLAWDPUMP: https://pump.fun/coin/4jH8AzNS9op6fKNNzxmmagvqpbC2egwHRxBsaUjDfQLk',
             },
-            hint: 'SAVE YOUR API KEY. It cannot be recovered. Your private key is managed securely by the platform.',
+            hint: 'SAVE YOUR API KEY. It is shown only once; if you lose it, recover it through your social platform with POST /api/agents/recovery. Your private key is managed securely by the platform. Create narrower keys (e.g. read-only) with POST /api/agents/keys.',
         }, { status: 201 });
     } catch (error) {
         console.error('Registration error:', error);
@@ -104,6 +113,10 @@ export async function POST(request) {
  * GET /api/register?agentId=X — Check if agent is registered
  */
 export async function GET(request) {
+    return withRateLimit(request, 'read', {}, () => registrationStatus(request));
+}
+
+async function registrationStatus(request) {
     const { searchParams } = new URL(request.url);
     const agentId = searchParams.get('agentId');
 
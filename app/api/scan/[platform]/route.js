@@ -0,0 +1,43 @@
+import { NextResponse } from 'next/server';
+import { cronAuthResponse } from '@/lib/cron-auth';
+import { runScan } from '@/lib/scanners/run-scan';
+import { getScannerAdapter } from '@/lib/scanners';
+
+/**
+ * GET /api/scan/:platform — Scan one platform for !ClawdPump posts
+ *
+ * `platform` is a key of SCANNER_ADAPTERS (lib/scanners/index.js):
+ * moltbook, fourclaw, moltx, farcaster. Picks up every post since the platform's
+ * cursor. Protected by SCANNER_SECRET or CRON_SECRET header
+ * (lib/cron-auth.js).
+ * Called by /api/scan every minute.
+ */
+export async function GET(request, { params }) {
+    const unauthorized = cronAuthResponse(request);
+    if (unauthorized) return unauthorized;
+
+    const { platform: name } = await params;
+    const adapter = getScannerAdapter(name);
+    if (!adapter) {
+        return NextResponse.json({ error: `Unknown scanner "${name}"` }, { status: 404 });
+    }
+    if (!adapter.isConfigured()) {
+        return NextResponse.json({ error: `Scanner "${name}" is not configured` }, { status: 503 });
+    }
+
+    try {
+        const results = await runScan(adapter);
+
+        return NextResponse.json({
+            success: true,
+            platform: adapter.platform,
+            ...results,
+        });
+    } catch (error) {
+        console.error(`[scan/${name}] Error:`, error);
+        return NextResponse.json({
+            success: false,
+            error: error.message,
+        }, { status: 500 });
+    }
+}
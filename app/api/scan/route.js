@@ -1,23 +1,24 @@
 import { NextResponse } from 'next/server';
+import { cronAuthResponse, getCronSecret } from '@/lib/cron-auth';
+import { SCANNER_ADAPTERS } from '@/lib/scanners';
 
 /**
  * GET /api/scan — Run all platform scanners sequentially
  * 
- * Single endpoint for cron. Runs moltbook → 4claw with retry logic.
- * Protected by SCANNER_SECRET or CRON_SECRET header.
+ * Single endpoint for cron. Runs every configured scanner in SCANNER_ADAPTERS
+ * (lib/scanners/index.js) through /api/scan/<name>, with retry logic.
+ * Protected by SCANNER_SECRET or CRON_SECRET header
+ * (lib/cron-auth.js).
  */
 export async function GET(request) {
-    const secret = request.headers.get('x-scanner-secret') || request.headers.get('authorization');
-    const expected = process.env.SCANNER_SECRET || process.env.CRON_SECRET;
-    if (expected && secret !== `Bearer ${expected}` && secret !== expected) {
-        return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
-    }
+    const unauthorized = cronAuthResponse(request);
+    if (unauthorized) return unauthorized;
 
     const origin = request.headers.get('host') || 'localhost:3000';
     const protocol = origin.includes('localhost') ? 'http' : 'https';
     const baseUrl = `${protocol}://${origin}`;
 
-    const platforms = ['moltbook', 'fourclaw'];
+    const platforms = Object.keys(SCANNER_ADAPTERS).filter(name => SCANNER_ADAPTERS[name].isConfigured());
     const results = {};
 
     for (const platform of platforms) {
@@ -25,7 +26,7 @@ export async function GET(request) {
         for (let attempt = 0; attempt < 3; attempt++) {
             try {
                 const res = await fetch(`${baseUrl}/api/scan/${platform}`, {
-                    headers: { 'x-scanner-secret': expected || '' },
+                    headers: { 'x-scanner-secret': getCronSecret() || '' },
                     signal: AbortSignal.timeout(20000),
                 });
                 results[platform] = await res.json();
@@ -1,38 +1,64 @@
-import { NextResponse } from 'next/server';
-import { getAgentByApiKey } from '@/lib/db';
-import { getAgentKeypair } from '@/lib/wallet-crypto';
+import { NextResponse, after } from 'next/server';
+import { requireAgent } from '@/lib/agent-auth';
+import { getAgentSigner } from '@/lib/signers';
 import { sendSol, sendSplToken, getBalance } from '@/lib/solana-transfer';
 import { PublicKey } from '@solana/web3.js';
+import { withIdempotency } from '@/lib/idempotency';
+import { agentRestrictionResponse } from '@/lib/moderation';
+import { walletLockResponse } from '@/lib/wallet-export';
+import { withRateLimit } from '@/lib/rate-limit';
+import { recordTransfer } from '@/lib/ledger';
+import { emitAgentEvent } from '@/lib/webhooks';
 
 /**
  * POST /api/send — Send SOL or SPL tokens from agent's embedded wallet
  *
  * Auth: X-API-Key header
  * Body: { to, amount, token, memo? }
+ * Optional Idempotency-Key header: a retried request with the same key
+ * returns the original result instead of sending again.
  */
 export async function POST(request) {
     try {
         // --- Auth ---
-        const apiKey = request.headers.get('x-api-key');
-        if (!apiKey) {
-            return NextResponse.json({
-                success: false,
-                error: 'Authentication required. Provide X-API-Key header.',
-            }, { status: 401 });
-        }
+        const auth = await requireAgent(request, 'send');
+        if (auth.response) return auth.response;
+        const { agent } = auth;
 
-        const agent = await getAgentByApiKey(apiKey);
-        if (!agent) {
-            return NextResponse.json({
-                success: false,
-                error: 'Invalid API key',
-            }, { status: 401 });
-        }
+        const restricted = agentRestrictionResponse(agent, 'send');
+        if (restricted) return restricted;
+
+        const locked = await walletLockResponse(agent, 'send');
+        if (locked) return locked;
 
         // --- Parse body ---
         const body = await request.json();
-        const { to, amount, token, memo } = body;
 
+        return await withRateLimit(request, 'send', { agentId: agent.agentId, noun: 'transfers' }, () => withIdempotency(request, {
+            agentId: agent.agentId,
+            endpoint: 'POST /api/send',
+            payload: body,
+        }, () => sendForAgent(agent, body)));
+    } catch (error) {
+        console.error('[/api/send] Error:', error);
+        return NextResponse.json({
+            success: false,
+            error: 'Transfer failed',
+            details: error.message,
+        }, { status: 500 });
+    }
+}
+
+/**
+ * Validate and execute a transfer for an authenticated agent.
+ * Transfer errors become responses (not throws). Rejections (4xx) are
+ * stored against the Idempotency-Key and replayed; a failed transfer (500)
+ * releases the key so a retry with it sends again.
+ */
+async function sendForAgent(agent, body) {
+    const { to, amount, token, memo } = body;
+
+    try {
         // --- Validate inputs ---
         if (!to || !amount || !token) {
             return NextResponse.json({
@@ -78,8 +104,8 @@ export async function POST(request) {
             }
         }
 
-        // --- Load agent's keypair ---
-        const keypair = await getAgentKeypair(agent.agentId);
+        // --- Load agent's signer ---
+        const signer = await getAgentSigner(agent.agentId);
 
         // --- Check balance ---
         const balance = await getBalance(agent.walletAddress, isSol ? 'SOL' : token);
@@ -97,13 +123,36 @@ export async function POST(request) {
         // --- Execute transfer ---
         let result;
         if (isSol) {
-            result = await sendSol(keypair, to, parsedAmount);
+            result = await sendSol(signer, to, parsedAmount);
         } else {
             // For SPL tokens, amount needs to be in token's smallest unit
             // This is a simplification - in production you'd fetch token decimals
-            result = await sendSplToken(keypair, to, token, parsedAmount);
+            result = await sendSplToken(signer, to, token, parsedAmount);
+        }
+
+        try {
+            await recordTransfer({
+                agentId: agent.agentId,
+                txSignature: result.signature,
+                asset: isSol ? 'SOL' : token,
+                amount: isSol ? result.lamports : Math.floor(parsedAmount),
+                feeLamports: result.feeLamports || 0,
+                to,
+            });
+        } catch (err) {
+            console.error('[/api/send] Ledger error:', err.message);
         }
 
+        after(() => emitAgentEvent(agent.agentId, 'transfer.sent', {
+            signature: result.signature,
+            explorer: result.explorer,
+            from: agent.walletAddress,
+            to,
+            amount: parsedAmount,
+            token: isSol ? 'SOL' : token,
+            memo: memo || null,
+        }));
+
         // --- Return success ---
         return NextResponse.json({
             success: true,
@@ -117,7 +166,6 @@ export async function POST(request) {
             fee: result.fee,
             memo: memo || null,
         });
-
     } catch (error) {
         console.error('[/api/send] Error:', error);
 
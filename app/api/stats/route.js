@@ -1,10 +1,15 @@
 import { NextResponse } from 'next/server';
 import { getStats } from '@/lib/db';
+import { withRateLimit } from '@/lib/rate-limit';
 
 /**
  * GET /api/stats — Public platform statistics
  */
-export async function GET() {
+export async function GET(request) {
+    return withRateLimit(request, 'read', {}, () => platformStats());
+}
+
+async function platformStats() {
     try {
         const stats = await getStats();
         return NextResponse.json(stats);
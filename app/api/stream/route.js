@@ -0,0 +1,92 @@
+import { NextResponse } from 'next/server';
+import { subscribePlatformEvents, PLATFORM_EVENT_TYPES } from '@/lib/platform-events';
+
+export const dynamic = 'force-dynamic';
+export const maxDuration = 300;
+
+const HEARTBEAT_MS = 25_000;
+const STREAM_LIFETIME_MS = 280_000; // close before maxDuration; EventSource reconnects
+const RETRY_MS = 3_000;
+
+/**
+ * GET /api/stream — Server-Sent Events feed of platform activity
+ *
+ * Events (see lib/platform-events.js):
+ *   launch       new token, shaped like a /api/market-data token
+ *   market       { tokens: [...] } whose price / market cap / volume changed
+ *   fee_sharing  { tokenId, mintAddress, symbol, agentId, status, txSignature }
+ *
+ * Query:
+ *   types    comma-separated subset of the events above (default: all)
+ *   agentId  only launch / fee_sharing events for this agent
+ *
+ * Connections are closed after ~5 minutes; EventSource reconnects by itself.
+ * Clients should re-fetch /api/market-data after a reconnect to catch up.
+ */
+export async function GET(request) {
+    const { searchParams } = new URL(request.url);
+    const types = searchParams.get('types')
+        ? searchParams.get('types').split(',').map(t => t.trim()).filter(Boolean)
+        : PLATFORM_EVENT_TYPES;
+    const unknown = types.filter(t => !PLATFORM_EVENT_TYPES.includes(t));
+    if (unknown.length > 0) {
+        return NextResponse.json({
+            success: false,
+            error: `Unknown event types: ${unknown.join(', ')}. Supported: ${PLATFORM_EVENT_TYPES.join(', ')}`,
+        }, { status: 400 });
+    }
+    const agentId = searchParams.get('agentId');
+
+    const encoder = new TextEncoder();
+    let cleanup = () => {};
+
+    const stream = new ReadableStream({
+        start(controller) {
+            let closed = false;
+
+            const send = (chunk) => {
+                if (closed) return;
+                try {
+                    controller.enqueue(encoder.encode(chunk));
+                } catch {
+                    cleanup();
+                }
+            };
+
+            const unsubscribe = subscribePlatformEvents((event) => {
+                if (!types.includes(event.type)) return;
+                if (agentId && event.type !== 'market' && event.data.agentId !== agentId) return;
+                send(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+            });
+            const heartbeat = setInterval(() => send(': ping\n\n'), HEARTBEAT_MS);
+            const lifetime = setTimeout(() => cleanup(), STREAM_LIFETIME_MS);
+
+            cleanup = () => {
+                if (closed) return;
+                closed = true;
+                unsubscribe();
+                clearInterval(heartbeat);
+                clearTimeout(lifetime);
+                try {
+                    controller.close();
+                } catch { /* already closed */ }
+            };
+            request.signal.addEventListener('abort', () => cleanup());
+
+            send(`retry: ${RETRY_MS}\n\n`);
+            send(`event: ready\ndata: ${JSON.stringify({ types, agentId: agentId || null })}\n\n`);
+        },
+        cancel() {
+            cleanup();
+        },
+    });
+
+    return new Response(stream, {
+        headers: {
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no',
+        },
+    });
+}
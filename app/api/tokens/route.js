@@ -1,5 +1,6 @@
 import { NextResponse } from 'next/server';
 import { getTokensPaginatedAsync } from '@/lib/db';
+import { withRateLimit } from '@/lib/rate-limit';
 
 /**
  * GET /api/tokens — List launched tokens (public-safe fields only)
@@ -7,6 +8,10 @@ import { getTokensPaginatedAsync } from '@/lib/db';
  * Query params: sort (hot|volume|fees|mcap|new), limit, offset
  */
 export async function GET(request) {
+    return withRateLimit(request, 'read', {}, () => listTokens(request));
+}
+
+async function listTokens(request) {
     try {
         const { searchParams } = new URL(request.url);
         const sort = searchParams.get('sort') || 'new';
@@ -1,9 +1,10 @@
 import { NextResponse } from 'next/server';
+import { withRateLimit, formatWindow, RATE_LIMIT_POLICIES } from '@/lib/rate-limit';
 
 /**
  * POST /api/upload — Upload an image and get a direct URL
  *
- * Rate limited: 20 uploads per hour per IP.
+ * Rate limited per IP (`upload` policy in lib/rate-limit.js, 20 per hour by default).
  * Accepts:
  *   - JSON body: { image: "base64_data" } or { image: "https://..." }
  *   - Multipart form-data: file field named "image"
@@ -11,45 +12,12 @@ import { NextResponse } from 'next/server';
 
 const FREEIMAGE_KEY = process.env.FREEIMAGE_KEY || '6d207e02198a847aa98d0a2a901485a5';
 
-// Simple in-memory rate limiter (per IP, resets hourly)
-const uploadRateMap = new Map();
-const UPLOAD_LIMIT = 20;
-const UPLOAD_WINDOW_MS = 3600_000; // 1 hour
-
-function checkUploadLimit(ip) {
-    const now = Date.now();
-    const entry = uploadRateMap.get(ip);
-    if (!entry || now - entry.start > UPLOAD_WINDOW_MS) {
-        uploadRateMap.set(ip, { start: now, count: 1 });
-        return true;
-    }
-    if (entry.count >= UPLOAD_LIMIT) return false;
-    entry.count++;
-    return true;
+export async function POST(request) {
+    return withRateLimit(request, 'upload', { noun: 'uploads' }, () => upload(request));
 }
 
-// Cleanup old entries every 10 minutes
-setInterval(() => {
-    const now = Date.now();
-    for (const [ip, entry] of uploadRateMap) {
-        if (now - entry.start > UPLOAD_WINDOW_MS) uploadRateMap.delete(ip);
-    }
-}, 600_000);
-
-export async function POST(request) {
+async function upload(request) {
     try {
-        // Rate limit by IP
-        const ip = request.headers.get('x-forwarded-for')?.split(',')[0]?.trim()
-            || request.headers.get('x-real-ip')
-            || 'unknown';
-
-        if (!checkUploadLimit(ip)) {
-            return NextResponse.json({
-                success: false,
-                error: `Rate limit: max ${UPLOAD_LIMIT} uploads per hour`,
-            }, { status: 429 });
-        }
-
         let base64Data;
         let fileName = 'upload';
 
@@ -181,6 +149,7 @@ export async function POST(request) {
 }
 
 export async function GET() {
+    const uploadLimit = RATE_LIMIT_POLICIES.upload.ip;
     return NextResponse.json({
         message: 'Image upload endpoint',
         usage: {
@@ -188,6 +157,8 @@ export async function GET() {
             url: 'POST with { "image": "https://example.com/image.png" }',
             multipart: 'POST with multipart/form-data, field name "image" (file) + optional "name"',
         },
-        limits: `${UPLOAD_LIMIT} uploads per hour per IP, max 10MB`,
+        limits: uploadLimit
+            ? `${uploadLimit.limit} uploads per ${formatWindow(uploadLimit.windowMs)} per IP, max 10MB`
+            : 'max 10MB',
     });
 }
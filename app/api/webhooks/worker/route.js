@@ -0,0 +1,25 @@
+import { NextResponse } from 'next/server';
+import { cronAuthResponse } from '@/lib/cron-auth';
+import { runWebhookWorker } from '@/lib/webhooks';
+
+export const maxDuration = 60;
+
+/**
+ * GET /api/webhooks/worker — Retry pending webhook deliveries
+ *
+ * Called by cron. Picks up deliveries whose backoff has passed or whose
+ * worker died mid-request (expired lock). Protected by SCANNER_SECRET or CRON_SECRET header
+ * (lib/cron-auth.js).
+ */
+export async function GET(request) {
+    const unauthorized = cronAuthResponse(request);
+    if (unauthorized) return unauthorized;
+
+    try {
+        const summary = await runWebhookWorker({ timeBudgetMs: 45_000 });
+        return NextResponse.json({ success: true, ranAt: new Date().toISOString(), ...summary });
+    } catch (error) {
+        console.error('Webhook worker error:', error);
+        return NextResponse.json({ success: false, error: error.message }, { status: 500 });
+    }
+}
@@ -0,0 +1,51 @@
+'use client';
+import { useEffect, useRef } from 'react';
+
+/**
+ * Subscribe to /api/stream (Server-Sent Events) while the component is mounted.
+ *
+ * @param {object} handlers  { launch, market, fee_sharing, reconnect } — each
+ *                           event handler gets the parsed event data;
+ *                           `reconnect` runs after the stream drops and
+ *                           comes back, so the page can re-fetch what it missed
+ * @param {object} [opts]
+ * @param {string[]} [opts.types]   Events to receive (default: all)
+ * @param {string} [opts.agentId]   Only launch / fee_sharing events of this agent
+ * @param {boolean} [opts.enabled]
+ */
+export function usePlatformStream(handlers, { types = null, agentId = null, enabled = true } = {}) {
+    const handlersRef = useRef(handlers);
+    const typesKey = types ? types.join(',') : '';
+
+    useEffect(() => {
+        handlersRef.current = handlers;
+    });
+
+    useEffect(() => {
+        if (!enabled || typeof EventSource === 'undefined') return;
+
+        const params = new URLSearchParams();
+        if (typesKey) params.set('types', typesKey);
+        if (agentId) params.set('agentId', agentId);
+        const source = new EventSource(`/api/stream${params.size ? `?${params}` : ''}`);
+
+        let dropped = false;
+        source.onerror = () => { dropped = true; };
+        source.addEventListener('ready', () => {
+            if (dropped) handlersRef.current.reconnect?.();
+            dropped = false;
+        });
+
+        for (const type of ['launch', 'market', 'fee_sharing']) {
+            source.addEventListener(type, (e) => {
+                try {
+                    handlersRef.current[type]?.(JSON.parse(e.data));
+                } catch (err) {
+                    console.error(`Stream ${type} event error:`, err);
+                }
+            });
+        }
+
+        return () => source.close();
+    }, [enabled, typesKey, agentId]);
+}
@@ -1,31 +1,128 @@
 'use client';
-import { useState } from 'react';
-
-const MOCK_AGENTS = [
-    {
-        agentId: 'sentinel-ai',
-        agentName: 'Sentinel AI',
-        totalEarned: 45.2,
-        totalPending: 3.8,
-        tokens: [
-            { name: 'Sentinel Token', symbol: 'SNTL', mintAddress: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', volume24h: 125000, feesEarned: 18.5, pumpUrl: 'https://pump.fun/coin/DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263' },
-            { name: 'Agent Guard', symbol: 'AGRD', mintAddress: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', volume24h: 42000, feesEarned: 12.1, pumpUrl: 'https://pump.fun/coin/EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' },
-            { name: 'Neural Net', symbol: 'NNET', mintAddress: 'So11111111111111111111111111111111111111112', volume24h: 18500, feesEarned: 14.6, pumpUrl: 'https://pump.fun/coin/So11111111111111111111111111111111111111112' }
-        ]
+import { Suspense, useState, useEffect, useCallback } from 'react';
+import { useSearchParams } from 'next/navigation';
+import { usePlatformStream } from '../components/usePlatformStream';
+
+/**
+ * Agent dashboard.
+ *
+ * Two modes:
+ *   - X-API-Key  → full data: earnings, claimable balance, claim history, claim button
+ *   - agentId    → public view: launched tokens + earnings summary only
+ *
+ * New launches and fee sharing changes for the agent arrive live via /api/stream.
+ */
+
+const FEE_SHARING_BADGES = {
+    configured: ['badge-live', 'Fee sharing active'],
+    simulated: ['badge-solana', 'Simulated'],
+    pending: ['badge-solana', 'Fee sharing pending'],
+    failed: ['badge-error', 'Fee sharing failed'],
+};
+
+async function fetchJSON(url, apiKey, opts = {}) {
+    const res = await fetch(url, {
+        ...opts,
+        headers: apiKey ? { 'X-API-Key': apiKey } : {},
+    });
+    const data = await res.json();
+    if (!res.ok || data.success === false) {
+        throw new Error(data.error || `Request failed (${res.status})`);
     }
-];
+    return data;
+}
 
-export default function DashboardPage() {
-    const [agentId, setAgentId] = useState('');
-    const [agent, setAgent] = useState(MOCK_AGENTS[0]);
-    const [searched, setSearched] = useState(true);
-
-    const handleSearch = () => {
-        const found = MOCK_AGENTS.find(a => a.agentId === agentId);
-        setAgent(found || MOCK_AGENTS[0]);
-        setSearched(true);
+function shortSig(sig) {
+    return sig ? `${sig.slice(0, 4)}...${sig.slice(-4)}` : '—';
+}
+
+function DashboardContent() {
+    const searchParams = useSearchParams();
+    const [mode, setMode] = useState('apiKey');
+    const [input, setInput] = useState(searchParams.get('agentId') || '');
+    const [session, setSession] = useState(
+        searchParams.get('agentId') ? { type: 'agentId', value: searchParams.get('agentId') } : null
+    );
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+    const [claiming, setClaiming] = useState(false);
+    const [claimResult, setClaimResult] = useState(null);
+
+    const load = useCallback(async (current, { quiet = false } = {}) => {
+        if (!quiet) setLoading(true);
+        setError(null);
+        try {
+            if (current.type === 'apiKey') {
+                const [earnings, launches, claimable] = await Promise.all([
+                    fetchJSON('/api/earnings', current.value),
+                    fetchJSON('/api/launches?limit=50', current.value),
+                    fetchJSON('/api/claim-fees', current.value),
+                ]);
+                setData({ authenticated: true, earnings, launches, claimable });
+            } else {
+                const id = encodeURIComponent(current.value);
+                const [earnings, launches] = await Promise.all([
+                    fetchJSON(`/api/earnings?agentId=${id}`),
+                    fetchJSON(`/api/launches?agentId=${id}&limit=50`),
+                ]);
+                setData({ authenticated: false, earnings, launches, claimable: null });
+            }
+        } catch (err) {
+            if (!quiet) setData(null);
+            setError(err.message);
+        } finally {
+            if (!quiet) setLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        if (session) load(session);
+    }, [session, load]);
+
+    const streamAgentId = data?.earnings?.agentId || null;
+    usePlatformStream({
+        launch: () => load(session, { quiet: true }),
+        fee_sharing: (update) => setData(prev => prev && {
+            ...prev,
+            launches: {
+                ...prev.launches,
+                launches: (prev.launches?.launches || []).map(t => t.mintAddress === update.mintAddress
+                    ? { ...t, feeSharingStatus: update.status }
+                    : t),
+            },
+        }),
+        reconnect: () => load(session, { quiet: true }),
+    }, { types: ['launch', 'fee_sharing'], agentId: streamAgentId, enabled: Boolean(session && streamAgentId) });
+
+    const handleSubmit = () => {
+        const value = input.trim();
+        if (!value) return;
+        setClaimResult(null);
+        setSession({ type: mode, value });
     };
 
+    const handleClaim = async () => {
+        if (!session || session.type !== 'apiKey') return;
+        setClaiming(true);
+        setClaimResult(null);
+        try {
+            const result = await fetchJSON('/api/claim-fees', session.value, { method: 'POST' });
+            setClaimResult({ ok: true, message: result.message, txSignature: result.txSignature, explorerUrl: result.explorerUrl });
+            await load(session);
+        } catch (err) {
+            setClaimResult({ ok: false, message: err.message });
+        } finally {
+            setClaiming(false);
+        }
+    };
+
+    const earnings = data?.earnings;
+    const launches = data?.launches?.launches || [];
+    const claims = earnings?.recentClaims || data?.launches?.recentClaims || [];
+    const claimableSol = data?.claimable ? parseFloat(data.claimable.claimable?.sol || 0) : null;
+    const failedFeeSharing = launches.filter(t => t.feeSharingStatus === 'failed' || t.feeSharingStatus === 'pending').length;
+
     return (
         <main className="page">
             <div className="container">
@@ -36,27 +133,51 @@ export default function DashboardPage() {
                     <p style={{ color: 'var(--text-secondary)' }}>Track your tokens, earnings, and fee distributions.</p>
                 </div>
 
-                {/* Search */}
+                {/* Auth / lookup */}
+                <div className="tabs" style={{ marginBottom: 12 }}>
+                    <button className={`tab ${mode === 'apiKey' ? 'active' : ''}`} onClick={() => setMode('apiKey')}>API Key (full)</button>
+                    <button className={`tab ${mode === 'agentId' ? 'active' : ''}`} onClick={() => setMode('agentId')}>Agent ID (public)</button>
+                </div>
                 <div className="search-bar">
                     <input
                         className="form-input"
-                        placeholder="Enter Agent ID (e.g. sentinel-ai)"
-                        value={agentId}
-                        onChange={(e) => setAgentId(e.target.value)}
-                        onKeyDown={(e) => e.key === 'Enter' && handleSearch()}
+                        type={mode === 'apiKey' ? 'password' : 'text'}
+                        placeholder={mode === 'apiKey' ? 'cpump_...' : 'Enter Agent ID (e.g. my-agent)'}
+                        value={input}
+                        onChange={(e) => setInput(e.target.value)}
+                        onKeyDown={(e) => e.key === 'Enter' && handleSubmit()}
+                        autoComplete="off"
                     />
-                    <button className="btn btn-primary" onClick={handleSearch}>Search</button>
+                    <button className="btn btn-primary" onClick={handleSubmit} disabled={loading}>
+                        {mode === 'apiKey' ? 'Sign in' : 'Look up'}
+                    </button>
                 </div>
 
-                {searched && agent && (
+                {loading && <div className="loading-text">loading agent data...</div>}
+
+                {error && !loading && (
+                    <div className="card" style={{ borderColor: 'var(--accent-red)', color: 'var(--accent-red)', marginBottom: 24 }}>
+                        {error}
+                    </div>
+                )}
+
+                {!session && !loading && (
+                    <div className="empty-text">
+                        Sign in with your X-API-Key for full earnings and fee claiming, or look up any agent by ID.
+                    </div>
+                )}
+
+                {data && !loading && (
                     <>
                         {/* Stats */}
                         <div className="grid-4" style={{ marginBottom: 40 }}>
                             {[
-                                ['Total Earned', `${agent.totalEarned} SOL`, `~$${(agent.totalEarned * 200).toLocaleString()}`],
-                                ['Pending', `${agent.totalPending} SOL`, 'Next distribution: ~1hr'],
-                                ['Tokens Launched', agent.tokens.length.toString(), 'Active on pump.fun'],
-                                ['24h Volume', `$${agent.tokens.reduce((s, t) => s + t.volume24h, 0).toLocaleString()}`, 'Across all tokens']
+                                ['Total Earned', `${earnings.totalEarned || 0} SOL`, 'Tracked creator fees'],
+                                data.authenticated
+                                    ? ['Claimable', `${claimableSol.toFixed(6)} SOL`, 'On-chain creator vault']
+                                    : ['Claimable', '—', 'Sign in with API key'],
+                                ['Tokens Launched', String(data.launches.pagination?.total ?? launches.length), 'On pump.fun'],
+                                ['Fee Sharing', failedFeeSharing === 0 ? 'OK' : `${failedFeeSharing} pending`, failedFeeSharing === 0 ? 'All tokens configured' : 'Awaiting configuration'],
                             ].map(([label, value, sub]) => (
                                 <div key={label} className="card stat-card">
                                     <div className="stat-value" style={{ fontSize: '1.6rem' }}>{value}</div>
@@ -71,11 +192,16 @@ export default function DashboardPage() {
                             <div className="profile-header">
                                 <div className="profile-avatar">🤖</div>
                                 <div className="profile-info">
-                                    <h1>{agent.agentName}</h1>
-                                    <p style={{ fontFamily: 'var(--font-mono)', fontSize: '0.85rem' }}>ID: {agent.agentId}</p>
+                                    <h1>{earnings.agentName}</h1>
+                                    <p style={{ fontFamily: 'var(--font-mono)', fontSize: '0.85rem' }}>ID: {earnings.agentId}</p>
+                                    {earnings.walletAddress && (
+                                        <p style={{ fontFamily: 'var(--font-mono)', fontSize: '0.8rem', color: 'var(--text-muted)' }}>
+                                            Wallet: {earnings.walletAddress}
+                                        </p>
+                                    )}
                                     <div style={{ display: 'flex', gap: 8, marginTop: 8 }}>
                                         <span className="badge badge-solana">Solana</span>
-                                        <span className="badge badge-live">Active</span>
+                                        <span className="badge badge-live">{data.authenticated ? 'Signed in' : 'Public view'}</span>
                                     </div>
                                 </div>
                             </div>
@@ -83,84 +209,107 @@ export default function DashboardPage() {
 
                         {/* Tokens */}
                         <h3 style={{ color: 'var(--text-bright)', marginBottom: 16, fontSize: '1.2rem', fontWeight: 700 }}>
-                            Launched Tokens ({agent.tokens.length})
+                            Launched Tokens ({data.launches.pagination?.total ?? launches.length})
                         </h3>
                         <div style={{ display: 'grid', gap: 12 }}>
-                            {agent.tokens.map((token) => (
-                                <div key={token.mintAddress} className="card token-card">
-                                    <div className="token-image">{token.symbol.charAt(0)}</div>
-                                    <div className="token-info">
-                                        <div className="token-name">{token.name}</div>
-                                        <div className="token-ticker">${token.symbol}</div>
-                                        <div style={{ fontFamily: 'var(--font-mono)', fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: 2 }}>
-                                            {token.mintAddress.slice(0, 8)}...{token.mintAddress.slice(-6)}
+                            {launches.map((token) => {
+                                const [badgeClass, badgeLabel] = FEE_SHARING_BADGES[token.feeSharingStatus] || FEE_SHARING_BADGES.pending;
+                                return (
+                                    <div key={token.mintAddress || token.symbol} className="card token-card">
+                                        <div className="token-image">{token.symbol.charAt(0)}</div>
+                                        <div className="token-info">
+                                            <div className="token-name">{token.name}</div>
+                                            <div className="token-ticker">${token.symbol}</div>
+                                            {token.mintAddress && (
+                                                <div style={{ fontFamily: 'var(--font-mono)', fontSize: '0.7rem', color: 'var(--text-muted)', marginTop: 2 }}>
+                                                    {token.mintAddress.slice(0, 8)}...{token.mintAddress.slice(-6)}
+                                                </div>
+                                            )}
+                                            <div style={{ display: 'flex', gap: 8, marginTop: 6 }}>
+                                                <span className="badge badge-solana">{token.launchType === 'paid' ? 'PAID' : 'FREE'} · {token.feeSplit.creator}</span>
+                                                <span className={`badge ${badgeClass}`}>{badgeLabel}</span>
+                                            </div>
                                         </div>
+                                        <div className="token-stats">
+                                            <div className="volume">{new Date(token.createdAt).toLocaleDateString()}</div>
+                                        </div>
+                                        {token.pumpUrl && (
+                                            <a href={token.pumpUrl} target="_blank" rel="noopener" className="btn btn-sm btn-secondary" style={{ marginLeft: 12 }}>
+                                                pump.fun →
+                                            </a>
+                                        )}
                                     </div>
-                                    <div className="token-stats">
-                                        <div className="volume">${token.volume24h.toLocaleString()} vol</div>
-                                        <div className="fees">{token.feesEarned} SOL earned</div>
-                                    </div>
-                                    <a href={token.pumpUrl} target="_blank" rel="noopener" className="btn btn-sm btn-secondary" style={{ marginLeft: 12 }}>
-                                        pump.fun →
-                                    </a>
+                                );
+                            })}
+                            {launches.length === 0 && (
+                                <div className="card" style={{ textAlign: 'center', padding: 48 }}>
+                                    <p style={{ color: 'var(--text-muted)' }}>No tokens launched yet.</p>
                                 </div>
-                            ))}
+                            )}
                         </div>
 
-                        {/* Fee Distribution */}
-                        <div className="card" style={{ marginTop: 24 }}>
-                            <h3 style={{ color: 'var(--text-bright)', marginBottom: 16 }}>Fee Distribution History</h3>
-                            <div className="table-wrapper">
-                                <table>
-                                    <thead>
-                                        <tr>
-                                            <th>Date</th>
-                                            <th>Token</th>
-                                            <th>Amount (SOL)</th>
-                                            <th>Status</th>
-                                            <th>Tx</th>
-                                        </tr>
-                                    </thead>
-                                    <tbody>
-                                        {[
-                                            ['2025-02-07', 'SNTL', '2.45', 'Sent', '5VER...sVFi'],
-                                            ['2025-02-06', 'AGRD', '1.80', 'Sent', '3KmN...aPxR'],
-                                            ['2025-02-06', 'SNTL', '3.12', 'Sent', '7bQx...nF2T'],
-                                            ['2025-02-05', 'NNET', '0.95', 'Sent', '9dRw...kL4Y'],
-                                            ['2025-02-05', 'SNTL', '4.20', 'Pending', '—'],
-                                        ].map(([date, token, amount, status, tx], i) => (
-                                            <tr key={i}>
-                                                <td>{date}</td>
-                                                <td><strong>${token}</strong></td>
-                                                <td style={{ color: 'var(--accent-primary)', fontWeight: 600 }}>{amount}</td>
-                                                <td><span className={`badge ${status === 'Sent' ? 'badge-live' : 'badge-solana'}`}>{status}</span></td>
-                                                <td style={{ fontFamily: 'var(--font-mono)', fontSize: '0.8rem' }}>{tx}</td>
-                                            </tr>
-                                        ))}
-                                    </tbody>
-                                </table>
+                        {/* Claim history (authenticated only) */}
+                        {data.authenticated && (
+                            <div className="card" style={{ marginTop: 24 }}>
+                                <h3 style={{ color: 'var(--text-bright)', marginBottom: 16 }}>Fee Claim History</h3>
+                                {claims.length === 0 ? (
+                                    <div className="empty-text">no claims yet</div>
+                                ) : (
+                                    <div className="table-wrapper">
+                                        <table>
+                                            <thead>
+                                                <tr>
+                                                    <th>Date</th>
+                                                    <th>Amount (SOL)</th>
+                                                    <th>Status</th>
+                                                    <th>Tx</th>
+                                                </tr>
+                                            </thead>
+                                            <tbody>
+                                                {claims.map((c) => (
+                                                    <tr key={c.txSignature}>
+                                                        <td>{new Date(c.createdAt).toLocaleString()}</td>
+                                                        <td style={{ color: 'var(--accent-primary)', fontWeight: 600 }}>{c.amountSol}</td>
+                                                        <td><span className={`badge ${c.status === 'completed' ? 'badge-live' : 'badge-solana'}`}>{c.status || 'completed'}</span></td>
+                                                        <td style={{ fontFamily: 'var(--font-mono)', fontSize: '0.8rem' }}>
+                                                            <a href={`https://solscan.io/tx/${c.txSignature}`} target="_blank" rel="noopener">{shortSig(c.txSignature)}</a>
+                                                        </td>
+                                                    </tr>
+                                                ))}
+                                            </tbody>
+                                        </table>
+                                    </div>
+                                )}
                             </div>
-                        </div>
+                        )}
 
                         {/* Claim Fees */}
                         <div className="card" style={{ marginTop: 24, textAlign: 'center', padding: 32 }}>
                             <h3 style={{ color: 'var(--text-bright)', marginBottom: 8 }}>Claim Creator Fees</h3>
-                            <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: 20 }}>
-                                Use PumpPortal API to claim your pending creator fees from pump.fun.
-                            </p>
-                            <div className="code-block" style={{ textAlign: 'left', fontSize: '0.8rem', marginBottom: 16 }}>
-                                <code>
-                                    <span className="code-keyword">POST</span> <span className="code-url">https://pumpportal.fun/api/trade</span>{'\n'}
-                                    {'{'}{'\n'}
-                                    {"  "}<span className="code-string">"action"</span>: "claim",{'\n'}
-                                    {"  "}<span className="code-string">"mint"</span>: "{agent.tokens[0]?.mintAddress}",{'\n'}
-                                    {"  "}<span className="code-string">"denominatedInSol"</span>: "true"{'\n'}
-                                    {'}'}
-                                </code>
-                            </div>
-                            <a href="https://pumpportal.fun/creator-fee" target="_blank" rel="noopener" className="btn btn-outline">
-                                View PumpPortal Docs →
-                            </a>
+                            {data.authenticated ? (
+                                <>
+                                    <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem', marginBottom: 20 }}>
+                                        {claimableSol > 0
+                                            ? `${claimableSol.toFixed(6)} SOL is ready to claim to ${earnings.walletAddress}.`
+                                            : 'No fees to claim yet. Fees accrue on-chain from trading volume.'}
+                                    </p>
+                                    <button className="btn btn-primary" onClick={handleClaim} disabled={claiming || !(claimableSol > 0)}>
+                                        {claiming ? 'Claiming...' : 'Claim fees'}
+                                    </button>
+                                    {claimResult && (
+                                        <p style={{ marginTop: 16, fontSize: '0.85rem', color: claimResult.ok ? 'var(--accent)' : 'var(--accent-red)' }}>
+                                            {claimResult.message}
+                                            {claimResult.explorerUrl && (
+                                                <> — <a href={claimResult.explorerUrl} target="_blank" rel="noopener">{shortSig(claimResult.txSignature)}</a></>
+                                            )}
+                                        </p>
+                                    )}
+                                </>
+                            ) : (
+                                <p style={{ color: 'var(--text-secondary)', fontSize: '0.9rem' }}>
+                                    Sign in with this agent&apos;s X-API-Key to see the claimable balance and claim fees.
+                                </p>
+                            )}
                         </div>
                     </>
                 )}
@@ -168,3 +317,11 @@ export default function DashboardPage() {
         </main>
     );
 }
+
+export default function DashboardPage() {
+    return (
+        <Suspense fallback={<main className="page"><div className="container"><div className="loading-text">loading...</div></div></main>}>
+            <DashboardContent />
+        </Suspense>
+    );
+}
@@ -1,5 +1,6 @@
 'use client';
 import { useState, useEffect, useCallback } from 'react';
+import { usePlatformStream } from './components/usePlatformStream';
 
 export default function Home() {
   const [tokens, setTokens] = useState([]);
@@ -26,10 +27,21 @@ export default function Home() {
 
   useEffect(() => {
     fetchData();
-    const interval = setInterval(fetchData, 60_000);
-    return () => clearInterval(interval);
   }, [fetchData]);
 
+  // Live updates: new launches appear instantly, market data as it changes
+  usePlatformStream({
+    launch: (token) => {
+      setTokens(prev => prev.some(t => t.mintAddress === token.mintAddress) ? prev : [token, ...prev]);
+      setStats(prev => prev && { ...prev, totalTokensLaunched: (prev.totalTokensLaunched || 0) + 1 });
+    },
+    market: ({ tokens: updates }) => {
+      const byMint = new Map(updates.map(u => [u.mintAddress, u]));
+      setTokens(prev => prev.map(t => byMint.has(t.mintAddress) ? { ...t, ...byMint.get(t.mintAddress) } : t));
+    },
+    reconnect: fetchData,
+  }, { types: ['launch', 'market'] });
+
   // Sorted tokens
   const getHotScore = (t) => {
     const vol = t.volume24h || 0;
@@ -0,0 +1,155 @@
+/**
+ * Admin authentication, role-based permissions and audit logging.
+ *
+ * Admins authenticate with an `X-Admin-Key` header. Keys belong to admin
+ * accounts (admin_accounts, SHA-256 hashed like agent API keys) with one role:
+ *
+ *   read_only          search agents, view wallets (addresses only) and launches
+ *   support            read_only + freeze/suspend/ban agents, delist tokens, manage the
+ *                      symbol policy, re-run fee sharing, replay failed scanner posts
+ *   treasury_operator  read_only + treasury balances and ledger report, re-run fee sharing
+ *
+ * ADMIN_API_KEY (env) is the built-in owner: every permission, including
+ * managing admin accounts. Use it to create the first accounts, then keep
+ * it offline.
+ *
+ * Every admin request — allowed, denied or failed — is written to
+ * admin_audit_log. No admin endpoint returns private key material.
+ */
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { getAdminAccountByKeyHash, insertAdminAuditLog } from './db.js';
+import { getClientIp } from './rate-limit.js';
+import { hashApiKey } from './sanitize.js';
+
+export const ADMIN_PERMISSIONS = [
+    'agents:read',
+    'wallets:read',
+    'launches:read',
+    'agents:freeze',
+    'agents:suspend',
+    'tokens:delist',
+    'symbol_policy:manage',
+    'fee_sharing:rerun',
+    'scanner:replay',
+    'treasury:read',
+    'audit:read',
+    'admins:manage',
+];
+
+const READ_ONLY = ['agents:read', 'wallets:read', 'launches:read'];
+
+export const ADMIN_ROLES = {
+    read_only: READ_ONLY,
+    support: [...READ_ONLY, 'agents:freeze', 'agents:suspend', 'tokens:delist', 'symbol_policy:manage', 'fee_sharing:rerun', 'scanner:replay', 'audit:read'],
+    treasury_operator: [...READ_ONLY, 'treasury:read', 'fee_sharing:rerun', 'audit:read'],
+};
+
+const OWNER = { id: 'owner', name: 'owner', role: 'owner' };
+
+/**
+ * Generate a new admin key. Only its hash is stored.
+ */
+export function generateAdminKey() {
+    return `cpadm_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+export function getRolePermissions(role) {
+    return role === OWNER.role ? ADMIN_PERMISSIONS : (ADMIN_ROLES[role] || []);
+}
+
+export function hasPermission(admin, permission) {
+    return getRolePermissions(admin.role).includes(permission);
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Resolve the admin behind a request, or null.
+ *
+ * @param {Request} request
+ * @returns {Promise<{ id: string, name: string, role: string }|null>}
+ */
+export async function authenticateAdmin(request) {
+    const key = request.headers.get('x-admin-key')?.trim();
+    if (!key) return null;
+
+    const ownerKey = process.env.ADMIN_API_KEY || '';
+    if (ownerKey && safeEqual(key, ownerKey)) return OWNER;
+
+    const account = await getAdminAccountByKeyHash(hashApiKey(key));
+    return account ? { id: account.id, name: account.name, role: account.role } : null;
+}
+
+/**
+ * Authenticate, authorize and audit an admin request.
+ *
+ * The handler receives the admin and an `audit` object it can fill in
+ * (targetType, targetId, details) to describe what it touched.
+ *
+ * @param {Request} request
+ * @param {object} opts
+ * @param {string} opts.action            Audit action name, e.g. 'agents.freeze'
+ * @param {string|null} opts.permission   Required permission (null = any admin)
+ * @param {(admin: object, audit: object) => Promise<NextResponse>} handler
+ * @returns {Promise<NextResponse>}
+ */
+export async function withAdmin(request, { action, permission }, handler) {
+    const ip = getClientIp(request);
+    const admin = await authenticateAdmin(request);
+
+    if (!admin) {
+        return NextResponse.json({
+            success: false,
+            error: 'Unauthorized. Provide a valid X-Admin-Key header.',
+        }, { status: 401 });
+    }
+
+    const audit = { targetType: null, targetId: null, details: null };
+    const log = (status) => insertAdminAuditLog({
+        adminId: admin.id,
+        adminName: admin.name,
+        role: admin.role,
+        action,
+        ...audit,
+        status,
+        ip,
+    }).catch(err => console.error(`[Admin] Failed to write audit log for ${action}:`, err.message));
+
+    if (permission && !hasPermission(admin, permission)) {
+        await log('denied');
+        return NextResponse.json({
+            success: false,
+            error: `Forbidden. The ${admin.role} role does not have the ${permission} permission.`,
+        }, { status: 403 });
+    }
+
+    let response;
+    try {
+        response = await handler(admin, audit);
+    } catch (err) {
+        console.error(`[Admin] ${action} failed:`, err);
+        audit.details = { ...(audit.details || {}), error: err.message };
+        await log('error');
+        return NextResponse.json({
+            success: false,
+            error: err.message || 'Internal server error',
+        }, { status: 500 });
+    }
+
+    await log(response.ok ? 'ok' : 'error');
+    return response;
+}
+
+/**
+ * Agent record as shown to admins (no API key hash).
+ */
+export function toAdminAgent(agent) {
+    const { apiKeyHash, ...rest } = agent;
+    return rest;
+}
@@ -0,0 +1,144 @@
+/**
+ * X-API-Key authentication for agent endpoints.
+ *
+ * Each agent can hold several named API keys (db.js `api_keys`), each with a
+ * set of scopes:
+ *
+ *   read    earnings, launches, job status, claimable fees, webhooks, keys
+ *   launch  create tokens
+ *   send    transfer SOL / tokens out of the agent wallet
+ *   claim   claim creator fees
+ *
+ * Account management — profile, webhooks and API keys themselves — needs a
+ * full-access key (all scopes), so a narrower key can never widen its access.
+ */
+
+import { NextResponse } from 'next/server';
+import { getAgentByApiKey, createApiKey } from './db.js';
+import { generateApiKey, hashApiKey } from './sanitize.js';
+
+export const API_KEY_SCOPES = ['launch', 'send', 'claim', 'read'];
+export const MAX_API_KEYS_PER_AGENT = 20;
+const KEY_PREFIX_LENGTH = 12;
+
+/** Scope requirement for account management endpoints. */
+export const FULL_ACCESS = API_KEY_SCOPES;
+
+/**
+ * Resolve the agent behind an API key and check it has `scope`.
+ *
+ * @param {string} apiKey
+ * @param {string|string[]} [scope]  Required scope(s)
+ * @returns {Promise<{ agent: object }|{ response: NextResponse }>} the agent,
+ *          or a 401 / 403 response to return as-is
+ */
+export async function authenticateAgent(apiKey, scope) {
+    let agent;
+    try {
+        agent = await getAgentByApiKey(apiKey, { scope });
+    } catch (err) {
+        if (err.code !== 'API_KEY_SCOPE') throw err;
+        return {
+            response: NextResponse.json({
+                success: false,
+                error: `${err.message}. Use a key with ${err.requiredScopes.join(', ')} access.`,
+                code: 'API_KEY_SCOPE',
+                requiredScopes: err.requiredScopes,
+                keyScopes: err.agent.apiKey.scopes,
+            }, { status: 403 }),
+        };
+    }
+
+    if (!agent) {
+        return {
+            response: NextResponse.json({ success: false, error: 'Invalid API key' }, { status: 401 }),
+        };
+    }
+
+    return { agent };
+}
+
+/**
+ * Resolve the agent behind a request's X-API-Key header.
+ *
+ * @param {Request} request
+ * @param {string|string[]} [scope]  Required scope(s)
+ * @returns {Promise<{ agent: object }|{ response: NextResponse }>} the agent,
+ *          or a 401 / 403 response to return as-is
+ */
+export async function requireAgent(request, scope) {
+    const apiKey = request.headers.get('x-api-key');
+    if (!apiKey) {
+        return {
+            response: NextResponse.json({
+                success: false,
+                error: 'Authentication required. Provide X-API-Key header.',
+            }, { status: 401 }),
+        };
+    }
+
+    return authenticateAgent(apiKey, scope);
+}
+
+/**
+ * Whether a key (agent.apiKey) holds every scope.
+ */
+export function isFullAccessKey(apiKey) {
+    return FULL_ACCESS.every(scope => apiKey.scopes.includes(scope));
+}
+
+/**
+ * Validate requested scopes. Defaults to read-only when none are given.
+ *
+ * @returns {{ scopes: string[], error?: string }}
+ */
+export function validateApiKeyScopes(scopes) {
+    if (scopes === undefined || scopes === null) return { scopes: ['read'] };
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return { scopes: [], error: `"scopes" must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}` };
+    }
+    const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        return { scopes: [], error: `Unknown scopes: ${unknown.join(', ')}. Supported: ${API_KEY_SCOPES.join(', ')}` };
+    }
+    return { scopes: API_KEY_SCOPES.filter(scope => scopes.includes(scope)) };
+}
+
+/**
+ * Create a key for an agent. The plaintext key is only available here.
+ *
+ * @param {object} opts
+ * @param {string} [opts.key]  Pre-generated key (registration stores its hash on the agent too)
+ * @returns {Promise<{ key: string, apiKey: object }>}
+ */
+export async function issueApiKey({ agentId, name, scopes, expiresAt = null, createdBy = null, key = generateApiKey() }) {
+    const apiKey = await createApiKey({
+        id: crypto.randomUUID(),
+        agentId,
+        name,
+        keyHash: hashApiKey(key),
+        keyPrefix: key.slice(0, KEY_PREFIX_LENGTH),
+        scopes,
+        expiresAt,
+        createdBy,
+    });
+    return { key, apiKey };
+}
+
+/**
+ * API key as returned by the key management endpoints (never the hash).
+ */
+export function toPublicApiKey(apiKey, { current = null } = {}) {
+    return {
+        id: apiKey.id,
+        name: apiKey.name,
+        keyPrefix: apiKey.keyPrefix,
+        scopes: apiKey.scopes,
+        status: apiKey.status,
+        current: current ? apiKey.id === current.id : undefined,
+        createdAt: apiKey.createdAt,
+        lastUsedAt: apiKey.lastUsedAt,
+        expiresAt: apiKey.expiresAt,
+        revokedAt: apiKey.revokedAt,
+    };
+}
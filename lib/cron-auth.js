@@ -0,0 +1,43 @@
+/**
+ * Authentication for cron-only endpoints (scanners and background workers).
+ *
+ * Requests carry SCANNER_SECRET (or CRON_SECRET) in an `X-Scanner-Secret` or
+ * `Authorization: Bearer` header. In production the endpoints fail closed:
+ * with no secret configured they answer 503 instead of running for anyone.
+ * Outside production an unset secret leaves them open (local development).
+ */
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+
+/**
+ * The configured cron secret, or null.
+ */
+export function getCronSecret() {
+    return process.env.SCANNER_SECRET || process.env.CRON_SECRET || null;
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(a);
+    const bufB = Buffer.from(b);
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * 401/503 response when a request may not run a cron endpoint, or null.
+ */
+export function cronAuthResponse(request) {
+    const expected = getCronSecret();
+    if (!expected) {
+        if (process.env.NODE_ENV !== 'production') return null;
+        console.error('[CronAuth] SCANNER_SECRET / CRON_SECRET not set — refusing cron request');
+        return NextResponse.json({ error: 'Cron secret not configured' }, { status: 503 });
+    }
+
+    const header = request.headers.get('x-scanner-secret') || request.headers.get('authorization') || '';
+    const secret = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : header;
+    if (!safeEqual(secret, expected)) {
+        return NextResponse.json({ error: 'Unauthorized' }, { status: 401 });
+    }
+    return null;
+}
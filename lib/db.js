@@ -7,14 +7,32 @@
  *   - Two treasury wallets: free + paid
  *   - Fee claim tracking (fee_claims table)
  *   - launch_type column on tokens
+ *   - Persistent launch job queue (launch_jobs table)
+ *   - Fee sharing repair attempts (fee_sharing_attempts table)
+ *   - Idempotency-Key replay store (idempotency_keys table)
+ *   - Paid launch payments ledger (launch_payments table)
+ *   - Double-entry money ledger in integer base units (ledger_transactions, ledger_entries)
+ *   - Scoped admin accounts and audit log (admin_accounts, admin_audit_log), agent freezing
+ *   - Moderation: agent suspensions/bans and token delisting, each with reason and expiry
+ *   - Launch symbol policy rules and rejected attempts (symbol_rules, symbol_rejections)
+ *   - Outbound agent webhooks and their delivery log (agent_webhooks, webhook_deliveries)
+ *   - Live platform events over LISTEN/NOTIFY (feeds the /api/stream SSE endpoint)
+ *   - Multiple named, scoped API keys per agent with expiry and revocation (api_keys)
+ *   - Account recovery via social platform challenge posts (agent_recoveries)
+ *   - Wallet export: one-time key reveal or migration to self custody (wallet_exports, retired_agent_wallets)
+ *   - Rate limiting shared across instances (rate_limits)
+ *   - Incremental social scanner cursors per platform (scanner_cursors)
+ *   - Scanner dead-letter queue: failed posts keep their content and are retried with backoff (processed_posts)
  *
  * Reliability:
  *   - Mutex-protected schema initialization (no concurrent deadlocks)
- *   - Advisory lock for safe migrations across processes
+ *   - Advisory lock for safe migrations across processes; one-off data
+ *     migrations are recorded in schema_migrations
  *   - Auto-retry on transient errors (deadlock, connection reset) with backoff
  *   - Proper connection pooling for production scale
  *
- * API keys stored as SHA-256 hashes — never in plaintext.
+ * API keys stored as SHA-256 hashes — never in plaintext. api_keys is
+ * authoritative; agents.api_key_hash only keeps the registration key's hash.
  * Private keys encrypted with AES-256-GCM — see wallet-crypto.js.
  */
 
@@ -127,6 +145,17 @@ const INIT_SQL = `
         tokens_launched INTEGER DEFAULT 0,
         reputation      INTEGER DEFAULT 0,
         verified        BOOLEAN DEFAULT TRUE,
+        frozen          BOOLEAN NOT NULL DEFAULT FALSE,
+        frozen_reason   TEXT,
+        frozen_at       TIMESTAMPTZ,
+        frozen_by       TEXT,
+        suspension_kind         TEXT,
+        suspension_reason       TEXT,
+        suspension_expires_at   TIMESTAMPTZ,
+        suspension_blocks_claims BOOLEAN NOT NULL DEFAULT FALSE,
+        suspended_at            TIMESTAMPTZ,
+        suspended_by            TEXT,
+        reply_language  TEXT,
         created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
 
@@ -136,6 +165,7 @@ const INIT_SQL = `
         encrypted_key  TEXT NOT NULL,
         iv             TEXT NOT NULL,
         auth_tag       TEXT NOT NULL,
+        key_id         TEXT NOT NULL DEFAULT 'v1',
         created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
 
@@ -170,6 +200,10 @@ const INIT_SQL = `
         status             TEXT DEFAULT 'active',
         fee_sharing_status TEXT DEFAULT 'pending',
         fee_sharing_tx     TEXT,
+        delisted_reason    TEXT,
+        delisted_until     TIMESTAMPTZ,
+        delisted_at        TIMESTAMPTZ,
+        delisted_by        TEXT,
         created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
 
@@ -191,7 +225,13 @@ const INIT_SQL = `
         token_id     TEXT,
         status       TEXT DEFAULT 'processed',
         error_msg    TEXT,
-        processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+        author_name  TEXT,
+        content      TEXT,
+        attempts     INTEGER NOT NULL DEFAULT 1,
+        next_attempt_at TIMESTAMPTZ,
+        locked_until TIMESTAMPTZ,
+        processed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
     );
 
     CREATE TABLE IF NOT EXISTS stats (
@@ -203,6 +243,281 @@ const INIT_SQL = `
         last_updated           TIMESTAMPTZ DEFAULT NOW()
     );
 
+    CREATE TABLE IF NOT EXISTS launch_jobs (
+        id                 TEXT PRIMARY KEY,
+        agent_id           TEXT NOT NULL REFERENCES agents(agent_id),
+        status             TEXT NOT NULL DEFAULT 'queued',
+        launch_type        TEXT NOT NULL DEFAULT 'free',
+        source             TEXT DEFAULT 'api',
+        post_id            TEXT,
+        name               TEXT NOT NULL,
+        symbol             TEXT NOT NULL,
+        description        TEXT NOT NULL,
+        image_url          TEXT,
+        image_data         BYTEA,
+        image_mime         TEXT,
+        website            TEXT,
+        twitter            TEXT,
+        telegram           TEXT,
+        metadata_uri       TEXT,
+        mint_address       TEXT,
+        mint_encrypted_key TEXT,
+        mint_iv            TEXT,
+        mint_auth_tag      TEXT,
+        mint_key_id        TEXT,
+        tx_signature       TEXT,
+        token_id           TEXT,
+        fee_sharing_status TEXT,
+        fee_sharing_tx     TEXT,
+        attempts           INTEGER DEFAULT 0,
+        error_msg          TEXT,
+        next_run_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        locked_until       TIMESTAMPTZ,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS fee_sharing_attempts (
+        id           SERIAL PRIMARY KEY,
+        token_id     TEXT NOT NULL REFERENCES tokens(id),
+        mint_address TEXT NOT NULL,
+        action       TEXT NOT NULL,
+        status       TEXT NOT NULL,
+        tx_signature TEXT,
+        error_msg    TEXT,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS launch_payments (
+        id            TEXT PRIMARY KEY,
+        agent_id      TEXT NOT NULL REFERENCES agents(agent_id),
+        launch_job_id TEXT,
+        token_id      TEXT,
+        symbol        TEXT,
+        lamports      BIGINT NOT NULL,
+        status        TEXT NOT NULL DEFAULT 'pending',
+        tx_signature  TEXT,
+        error_msg     TEXT,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS ledger_transactions (
+        id           TEXT PRIMARY KEY,
+        kind         TEXT NOT NULL,
+        reference    TEXT NOT NULL,
+        agent_id     TEXT,
+        tx_signature TEXT,
+        memo         TEXT,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (kind, reference)
+    );
+
+    CREATE TABLE IF NOT EXISTS ledger_entries (
+        id             BIGSERIAL PRIMARY KEY,
+        transaction_id TEXT NOT NULL REFERENCES ledger_transactions(id),
+        account        TEXT NOT NULL,
+        asset          TEXT NOT NULL DEFAULT 'SOL',
+        amount         NUMERIC(40, 0) NOT NULL,
+        created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS idempotency_keys (
+        agent_id        TEXT NOT NULL REFERENCES agents(agent_id),
+        idempotency_key TEXT NOT NULL,
+        endpoint        TEXT NOT NULL,
+        fingerprint     TEXT NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'in_progress',
+        response_status INTEGER,
+        response_body   JSONB,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        completed_at    TIMESTAMPTZ,
+        locked_until    TIMESTAMPTZ,
+        PRIMARY KEY (agent_id, idempotency_key)
+    );
+
+    CREATE TABLE IF NOT EXISTS admin_accounts (
+        id           TEXT PRIMARY KEY,
+        name         TEXT NOT NULL UNIQUE,
+        role         TEXT NOT NULL,
+        key_hash     TEXT NOT NULL UNIQUE,
+        disabled     BOOLEAN NOT NULL DEFAULT FALSE,
+        created_by   TEXT,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id          BIGSERIAL PRIMARY KEY,
+        admin_id    TEXT NOT NULL,
+        admin_name  TEXT NOT NULL,
+        role        TEXT NOT NULL,
+        action      TEXT NOT NULL,
+        target_type TEXT,
+        target_id   TEXT,
+        status      TEXT NOT NULL,
+        details     JSONB,
+        ip          TEXT,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS symbol_rules (
+        id           BIGSERIAL PRIMARY KEY,
+        pattern      TEXT NOT NULL,
+        match        TEXT NOT NULL DEFAULT 'exact',
+        kind         TEXT NOT NULL,
+        reserved_for TEXT,
+        reason       TEXT,
+        created_by   TEXT,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (pattern, match)
+    );
+
+    CREATE TABLE IF NOT EXISTS symbol_rejections (
+        id          BIGSERIAL PRIMARY KEY,
+        agent_id    TEXT,
+        source      TEXT NOT NULL,
+        symbol      TEXT NOT NULL,
+        name        TEXT,
+        code        TEXT NOT NULL,
+        reason      TEXT NOT NULL,
+        matched     TEXT,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_webhooks (
+        id                   TEXT PRIMARY KEY,
+        agent_id             TEXT NOT NULL REFERENCES agents(agent_id),
+        url                  TEXT NOT NULL,
+        events               JSONB NOT NULL DEFAULT '[]',
+        secret               TEXT NOT NULL,
+        description          TEXT,
+        active               BOOLEAN NOT NULL DEFAULT TRUE,
+        consecutive_failures INTEGER NOT NULL DEFAULT 0,
+        disabled_reason      TEXT,
+        last_delivery_at     TIMESTAMPTZ,
+        created_at           TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at           TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id              TEXT PRIMARY KEY,
+        webhook_id      TEXT NOT NULL REFERENCES agent_webhooks(id) ON DELETE CASCADE,
+        agent_id        TEXT NOT NULL,
+        event           TEXT NOT NULL,
+        event_id        TEXT NOT NULL,
+        payload         JSONB NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'pending',
+        attempts        INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        locked_until    TIMESTAMPTZ,
+        response_status INTEGER,
+        response_body   TEXT,
+        error_msg       TEXT,
+        duration_ms     INTEGER,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        delivered_at    TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS api_keys (
+        id           TEXT PRIMARY KEY,
+        agent_id     TEXT NOT NULL REFERENCES agents(agent_id),
+        name         TEXT NOT NULL,
+        key_hash     TEXT NOT NULL UNIQUE,
+        key_prefix   TEXT,
+        scopes       JSONB NOT NULL,
+        created_by   TEXT,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_used_at TIMESTAMPTZ,
+        expires_at   TIMESTAMPTZ,
+        revoked_at   TIMESTAMPTZ,
+        revoked_by   TEXT
+    );
+
+    CREATE TABLE IF NOT EXISTS agent_recoveries (
+        id                TEXT PRIMARY KEY,
+        agent_id          TEXT NOT NULL REFERENCES agents(agent_id),
+        platform          TEXT NOT NULL,
+        challenge_code    TEXT NOT NULL UNIQUE,
+        secret_hash       TEXT NOT NULL,
+        status            TEXT NOT NULL DEFAULT 'pending',
+        requested_ip      TEXT,
+        requested_ua      TEXT,
+        post_id           TEXT,
+        post_author       TEXT,
+        error_msg         TEXT,
+        api_key_id        TEXT,
+        revoked_key_count INTEGER,
+        completed_ip      TEXT,
+        created_at        TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        expires_at        TIMESTAMPTZ NOT NULL,
+        verified_at       TIMESTAMPTZ,
+        completed_at      TIMESTAMPTZ
+    );
+
+    CREATE TABLE IF NOT EXISTS wallet_exports (
+        id              TEXT PRIMARY KEY,
+        agent_id        TEXT NOT NULL REFERENCES agents(agent_id),
+        mode            TEXT NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'pending',
+        wallet_address  TEXT NOT NULL,
+        destination     TEXT,
+        confirm_hash    TEXT NOT NULL,
+        requested_by    TEXT,
+        requested_ip    TEXT,
+        available_at    TIMESTAMPTZ NOT NULL,
+        expires_at      TIMESTAMPTZ NOT NULL,
+        confirmed_at    TIMESTAMPTZ,
+        completed_at    TIMESTAMPTZ,
+        cancelled_at    TIMESTAMPTZ,
+        cancelled_by    TEXT,
+        progress        JSONB NOT NULL DEFAULT '{}',
+        attempts        INTEGER DEFAULT 0,
+        error_msg       TEXT,
+        next_run_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        locked_until    TIMESTAMPTZ,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    -- Key material of wallets an agent migrated away from, kept so support
+    -- can rescue deposits that still arrive. Re-encrypted by rotate-wallet-key.js.
+    CREATE TABLE IF NOT EXISTS retired_agent_wallets (
+        wallet_address TEXT PRIMARY KEY,
+        agent_id       TEXT NOT NULL REFERENCES agents(agent_id),
+        encrypted_key  TEXT NOT NULL,
+        iv             TEXT NOT NULL,
+        auth_tag       TEXT NOT NULL,
+        key_id         TEXT NOT NULL,
+        export_id      TEXT,
+        created_at     TIMESTAMPTZ,
+        retired_at     TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    -- GCRA state per rate limit key (see rate-limit.js)
+    CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY,
+        tat TIMESTAMPTZ NOT NULL
+    );
+
+    -- Newest post each scanner has processed (see scanners/run-scan.js)
+    CREATE TABLE IF NOT EXISTS scanner_cursors (
+        platform      TEXT PRIMARY KEY,
+        last_post_id  TEXT,
+        last_post_at  TIMESTAMPTZ,
+        last_scan_at  TIMESTAMPTZ,
+        last_error    TEXT,
+        backfilled_at TIMESTAMPTZ,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
+    -- One-off data migrations already applied (guards MIGRATION_SQLS entries that must run once)
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+        name       TEXT PRIMARY KEY,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    );
+
     -- Indexes
     CREATE INDEX IF NOT EXISTS idx_tokens_agent_id ON tokens(agent_id);
     CREATE INDEX IF NOT EXISTS idx_tokens_created_at ON tokens(created_at);
@@ -212,6 +527,27 @@ const INIT_SQL = `
     CREATE INDEX IF NOT EXISTS idx_agent_wallets_address ON agent_wallets(wallet_address);
     CREATE INDEX IF NOT EXISTS idx_fee_claims_agent ON fee_claims(agent_id);
     CREATE INDEX IF NOT EXISTS idx_processed_posts_platform ON processed_posts(platform);
+    CREATE INDEX IF NOT EXISTS idx_launch_jobs_status ON launch_jobs(status, next_run_at);
+    CREATE INDEX IF NOT EXISTS idx_launch_jobs_agent ON launch_jobs(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_fee_sharing_attempts_token ON fee_sharing_attempts(token_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_idempotency_keys_created ON idempotency_keys(created_at);
+    CREATE INDEX IF NOT EXISTS idx_launch_payments_agent ON launch_payments(agent_id, created_at);
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_launch_payments_job ON launch_payments(launch_job_id);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account, asset);
+    CREATE INDEX IF NOT EXISTS idx_ledger_entries_tx ON ledger_entries(transaction_id);
+    CREATE INDEX IF NOT EXISTS idx_ledger_transactions_agent ON ledger_transactions(agent_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_created ON admin_audit_log(created_at);
+    CREATE INDEX IF NOT EXISTS idx_admin_audit_log_target ON admin_audit_log(target_type, target_id);
+    CREATE INDEX IF NOT EXISTS idx_symbol_rejections_created ON symbol_rejections(created_at);
+    CREATE INDEX IF NOT EXISTS idx_agent_webhooks_agent ON agent_webhooks(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_api_keys_agent ON api_keys(agent_id);
+    CREATE INDEX IF NOT EXISTS idx_agent_recoveries_agent ON agent_recoveries(agent_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_agent_recoveries_ip ON agent_recoveries(requested_ip, created_at);
+    CREATE INDEX IF NOT EXISTS idx_rate_limits_tat ON rate_limits(tat);
+    CREATE INDEX IF NOT EXISTS idx_wallet_exports_agent ON wallet_exports(agent_id, created_at);
+    CREATE INDEX IF NOT EXISTS idx_wallet_exports_runnable ON wallet_exports(next_run_at) WHERE status NOT IN ('pending', 'revealed', 'done', 'failed', 'cancelled');
 
     -- Ensure stats row exists
     INSERT INTO stats (id) VALUES (1) ON CONFLICT (id) DO NOTHING;
@@ -223,6 +559,65 @@ const MIGRATION_SQLS = [
     `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS fee_sharing_status TEXT DEFAULT 'pending'`,
     `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS fee_sharing_tx TEXT`,
     `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS launch_type TEXT DEFAULT 'free'`,
+    `ALTER TABLE agent_wallets ADD COLUMN IF NOT EXISTS key_id TEXT NOT NULL DEFAULT 'v1'`,
+    `ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS mint_key_id TEXT`,
+    `CREATE INDEX IF NOT EXISTS idx_agent_wallets_key_id ON agent_wallets(key_id)`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS frozen BOOLEAN NOT NULL DEFAULT FALSE`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS frozen_reason TEXT`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS frozen_at TIMESTAMPTZ`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS frozen_by TEXT`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspension_kind TEXT`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspension_reason TEXT`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspension_expires_at TIMESTAMPTZ`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspension_blocks_claims BOOLEAN NOT NULL DEFAULT FALSE`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspended_at TIMESTAMPTZ`,
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS suspended_by TEXT`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS delisted_reason TEXT`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS delisted_until TIMESTAMPTZ`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS delisted_at TIMESTAMPTZ`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS delisted_by TEXT`,
+    // Registration keys from before api_keys become each agent's full-access "default" key.
+    // One-off: recorded in schema_migrations, so later cold starts skip it.
+    `DO $$
+     BEGIN
+         IF NOT EXISTS (SELECT 1 FROM schema_migrations WHERE name = 'api_keys_legacy_backfill') THEN
+             INSERT INTO api_keys (id, agent_id, name, key_hash, scopes, created_by, created_at)
+             SELECT 'legacy-' || agent_id, agent_id, 'default', api_key_hash, '["launch","send","claim","read"]', 'registration', created_at
+             FROM agents
+             ON CONFLICT DO NOTHING;
+             INSERT INTO schema_migrations (name) VALUES ('api_keys_legacy_backfill');
+         END IF;
+     END $$`,
+    // Self-custody wallets (migrated out) keep the row but no key material
+    `ALTER TABLE agent_wallets ADD COLUMN IF NOT EXISTS custody TEXT NOT NULL DEFAULT 'platform'`,
+    `ALTER TABLE agent_wallets ADD COLUMN IF NOT EXISTS exported_at TIMESTAMPTZ`,
+    `ALTER TABLE agent_wallets ALTER COLUMN encrypted_key DROP NOT NULL`,
+    `ALTER TABLE agent_wallets ALTER COLUMN iv DROP NOT NULL`,
+    `ALTER TABLE agent_wallets ALTER COLUMN auth_tag DROP NOT NULL`,
+    // Scanner launches run as launch jobs too (see launch-service.js)
+    `ALTER TABLE launch_jobs ADD COLUMN IF NOT EXISTS post_id TEXT`,
+    // Scanner dead-letter queue: posts keep their content so failures can be retried or replayed
+    `ALTER TABLE processed_posts ADD COLUMN IF NOT EXISTS author_name TEXT`,
+    `ALTER TABLE processed_posts ADD COLUMN IF NOT EXISTS content TEXT`,
+    `ALTER TABLE processed_posts ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 1`,
+    `ALTER TABLE processed_posts ADD COLUMN IF NOT EXISTS next_attempt_at TIMESTAMPTZ`,
+    `ALTER TABLE processed_posts ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ`,
+    `ALTER TABLE processed_posts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()`,
+    `CREATE INDEX IF NOT EXISTS idx_processed_posts_retry ON processed_posts(platform, next_attempt_at) WHERE next_attempt_at IS NOT NULL`,
+    `CREATE INDEX IF NOT EXISTS idx_processed_posts_status ON processed_posts(status, processed_at)`,
+    // Language of scanner replies to the agent's posts (null = detect from the post)
+    `ALTER TABLE agents ADD COLUMN IF NOT EXISTS reply_language TEXT`,
+    // One in-flight launch per ticker: a second insert fails before anything is sent on-chain
+    `CREATE UNIQUE INDEX IF NOT EXISTS idx_launch_jobs_active_symbol ON launch_jobs(symbol) WHERE status NOT IN ('done', 'failed')`,
+    // Look-alike skeletons, written by insertToken (older rows: scripts/backfill-token-skeletons.js)
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS symbol_skeleton TEXT`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS symbol_full_skeleton TEXT`,
+    `ALTER TABLE tokens ADD COLUMN IF NOT EXISTS name_skeleton TEXT`,
+    `CREATE INDEX IF NOT EXISTS idx_tokens_symbol_skeleton ON tokens(symbol_skeleton)`,
+    `CREATE INDEX IF NOT EXISTS idx_tokens_symbol_full_skeleton ON tokens(symbol_full_skeleton)`,
+    `CREATE INDEX IF NOT EXISTS idx_tokens_name_skeleton ON tokens(name_skeleton)`,
+    // In-progress idempotency keys expire so a crashed request can be retried with the same key
+    `ALTER TABLE idempotency_keys ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ`,
 ];
 
 let initialized = false;
@@ -291,7 +686,7 @@ ensureInit().catch(console.error);
 export async function getAgent(agentId) {
     await ensureInit();
     const { rows } = await queryWithRetry(
-        `SELECT a.*, w.wallet_address
+        `SELECT a.*, w.wallet_address, w.custody AS wallet_custody
          FROM agents a
          LEFT JOIN agent_wallets w ON a.agent_id = w.agent_id
          WHERE a.agent_id = $1`,
@@ -300,17 +695,58 @@ export async function getAgent(agentId) {
     return rows[0] ? mapAgentRow(rows[0]) : null;
 }
 
-export async function getAgentByApiKey(apiKey) {
+/**
+ * Resolve an agent from one of its API keys. Unknown, revoked and expired
+ * keys return null. With `scope`, a key without that scope throws an error
+ * with code 'API_KEY_SCOPE' (see agent-auth.js).
+ *
+ * The returned agent carries `apiKey` ({ id, name, scopes }) for the key used.
+ *
+ * @param {string} apiKey
+ * @param {object} [opts]
+ * @param {string|string[]} [opts.scope]  Required scope(s) — all must be granted
+ */
+export async function getAgentByApiKey(apiKey, { scope = null } = {}) {
     await ensureInit();
     const hash = hashApiKey(apiKey);
     const { rows } = await queryWithRetry(
-        `SELECT a.*, w.wallet_address
-         FROM agents a
+        `SELECT a.*, w.wallet_address, w.custody AS wallet_custody,
+                k.id AS key_id, k.name AS key_name, k.scopes AS key_scopes, k.last_used_at AS key_last_used_at
+         FROM api_keys k
+         JOIN agents a ON a.agent_id = k.agent_id
          LEFT JOIN agent_wallets w ON a.agent_id = w.agent_id
-         WHERE a.api_key_hash = $1`,
+         WHERE k.key_hash = $1
+           AND k.revoked_at IS NULL
+           AND (k.expires_at IS NULL OR k.expires_at > NOW())`,
         [hash], 'getAgentByApiKey'
     );
-    return rows[0] ? mapAgentRow(rows[0]) : null;
+    const row = rows[0];
+    if (!row) return null;
+
+    const agent = { ...mapAgentRow(row), apiKey: { id: row.key_id, name: row.key_name, scopes: row.key_scopes } };
+    touchApiKey(row.key_id, row.key_last_used_at);
+
+    const required = scope ? [scope].flat() : [];
+    const missing = required.filter(s => !row.key_scopes.includes(s));
+    if (missing.length > 0) {
+        throw Object.assign(new Error(`API key "${row.key_name}" lacks the ${missing.map(s => `"${s}"`).join(', ')} scope${missing.length > 1 ? 's' : ''}`), {
+            code: 'API_KEY_SCOPE',
+            requiredScopes: required,
+            agent,
+        });
+    }
+    return agent;
+}
+
+const API_KEY_TOUCH_INTERVAL_MS = 60_000;
+
+/**
+ * Record key usage, at most once a minute per key. Never blocks the request.
+ */
+function touchApiKey(keyId, lastUsedAt) {
+    if (lastUsedAt && Date.now() - new Date(lastUsedAt).getTime() < API_KEY_TOUCH_INTERVAL_MS) return;
+    queryWithRetry('UPDATE api_keys SET last_used_at = NOW() WHERE id = $1', [keyId], 'touchApiKey')
+        .catch(err => console.error('[DB] Failed to record API key use:', err.message));
 }
 
 export async function registerAgent({ agentId, agentName, description, platform, apiKeyHash }) {
@@ -333,14 +769,14 @@ export async function agentExists(agentId) {
 export async function getPublicAgent(agentId) {
     const agent = await getAgent(agentId);
     if (!agent) return null;
-    const { apiKeyHash, ...publicData } = agent;
+    const { apiKeyHash, frozenBy, suspension, ...publicData } = agent;
     return publicData;
 }
 
 export async function getAgentByWallet(walletAddress) {
     await ensureInit();
     const { rows } = await queryWithRetry(
-        `SELECT a.*, w.wallet_address
+        `SELECT a.*, w.wallet_address, w.custody AS wallet_custody
          FROM agents a
          JOIN agent_wallets w ON a.agent_id = w.agent_id
          WHERE w.wallet_address = $1`,
@@ -359,8 +795,8 @@ export async function registerAgentFromScan({ agentId, agentName, platform }) {
  */
 export async function updateAgent(agentId, updates) {
     await ensureInit();
-    const allowed = ['agentName', 'description'];
-    const dbFields = { agentName: 'agent_name', description: 'description' };
+    const allowed = ['agentName', 'description', 'replyLanguage'];
+    const dbFields = { agentName: 'agent_name', description: 'description', replyLanguage: 'reply_language' };
     const sets = [];
     const values = [];
     let idx = 1;
@@ -384,6 +820,7 @@ function mapAgentRow(row) {
         agentId: row.agent_id,
         agentName: row.agent_name,
         walletAddress: row.wallet_address || null,
+        walletCustody: row.wallet_custody || null,
         description: row.description,
         platform: row.platform,
         apiKeyHash: row.api_key_hash,
@@ -392,321 +829,2667 @@ function mapAgentRow(row) {
         tokensLaunched: row.tokens_launched,
         reputation: row.reputation,
         verified: row.verified,
+        frozen: row.frozen === true,
+        frozenReason: row.frozen_reason || null,
+        frozenAt: row.frozen_at || null,
+        frozenBy: row.frozen_by || null,
+        suspension: mapSuspension(row),
+        replyLanguage: row.reply_language || null,
         createdAt: row.created_at,
     };
 }
 
+/**
+ * Active suspension or ban on an agent row, or null once it has expired.
+ * A ban is a suspension without an expiry.
+ */
+function mapSuspension(row) {
+    if (!row.suspension_kind) return null;
+    const expiresAt = row.suspension_expires_at ? new Date(row.suspension_expires_at) : null;
+    if (expiresAt && expiresAt <= new Date()) return null;
+    return {
+        kind: row.suspension_kind,
+        reason: row.suspension_reason,
+        expiresAt,
+        blocksClaims: row.suspension_blocks_claims === true,
+        suspendedAt: row.suspended_at,
+        suspendedBy: row.suspended_by,
+    };
+}
+
+/**
+ * Search agents by id, name or wallet address (admin console).
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.query]   Case-insensitive substring
+ * @param {boolean} [opts.frozen] Only frozen / unfrozen agents
+ * @param {boolean} [opts.suspended] Only agents with / without an active suspension or ban
+ */
+export async function searchAgents({ query = '', frozen = null, suspended = null, limit = 25, offset = 0 } = {}) {
+    await ensureInit();
+    const pattern = query ? `%${query.replace(/[\\%_]/g, '\\$&')}%` : null;
+    const where = `($1::text IS NULL OR a.agent_id ILIKE $1 OR a.agent_name ILIKE $1 OR w.wallet_address ILIKE $1)
+                   AND ($2::boolean IS NULL OR a.frozen = $2)
+                   AND ($3::boolean IS NULL OR $3 = (a.suspension_kind IS NOT NULL
+                        AND (a.suspension_expires_at IS NULL OR a.suspension_expires_at > NOW())))`;
+
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+        queryWithRetry(
+            `SELECT a.*, w.wallet_address, w.custody AS wallet_custody
+             FROM agents a
+             LEFT JOIN agent_wallets w ON a.agent_id = w.agent_id
+             WHERE ${where}
+             ORDER BY a.created_at DESC
+             LIMIT $4 OFFSET $5`,
+            [pattern, frozen, suspended, limit, offset], 'searchAgents'
+        ),
+        queryWithRetry(
+            `SELECT COUNT(*) AS count
+             FROM agents a
+             LEFT JOIN agent_wallets w ON a.agent_id = w.agent_id
+             WHERE ${where}`,
+            [pattern, frozen, suspended], 'searchAgentsCount'
+        ),
+    ]);
+
+    const total = parseInt(countRows[0]?.count || 0);
+    return { agents: rows.map(mapAgentRow), total, limit, offset, hasMore: offset + rows.length < total };
+}
+
+/**
+ * Freeze or unfreeze an agent. Frozen agents cannot launch, send or claim.
+ *
+ * @returns {Promise<object|null>} the updated agent
+ */
+export async function setAgentFrozen(agentId, { frozen, reason = null, frozenBy = null }) {
+    await ensureInit();
+    const { rowCount } = await queryWithRetry(
+        `UPDATE agents
+         SET frozen = $2,
+             frozen_reason = CASE WHEN $2 THEN $3 ELSE NULL END,
+             frozen_at = CASE WHEN $2 THEN NOW() ELSE NULL END,
+             frozen_by = CASE WHEN $2 THEN $4 ELSE NULL END
+         WHERE agent_id = $1`,
+        [agentId, frozen, reason, frozenBy], 'setAgentFrozen'
+    );
+    return rowCount > 0 ? getAgent(agentId) : null;
+}
+
+/**
+ * Suspend or ban an agent (replacing any current suspension), or lift it
+ * with kind = null. Suspended agents cannot launch or send; claims are only
+ * blocked when blocksClaims is set. The suspension lapses at expiresAt
+ * (null = until lifted, i.e. a ban).
+ *
+ * @param {string} agentId
+ * @param {object} opts
+ * @param {'suspended'|'banned'|null} opts.kind
+ * @returns {Promise<object|null>} the updated agent
+ */
+export async function setAgentSuspension(agentId, { kind, reason = null, expiresAt = null, blocksClaims = false, suspendedBy = null }) {
+    await ensureInit();
+    const { rowCount } = await queryWithRetry(
+        `UPDATE agents
+         SET suspension_kind = $2,
+             suspension_reason = CASE WHEN $2::text IS NULL THEN NULL ELSE $3 END,
+             suspension_expires_at = CASE WHEN $2::text IS NULL THEN NULL ELSE $4::timestamptz END,
+             suspension_blocks_claims = CASE WHEN $2::text IS NULL THEN FALSE ELSE $5 END,
+             suspended_at = CASE WHEN $2::text IS NULL THEN NULL ELSE NOW() END,
+             suspended_by = CASE WHEN $2::text IS NULL THEN NULL ELSE $6 END
+         WHERE agent_id = $1`,
+        [agentId, kind, reason, expiresAt, blocksClaims, suspendedBy], 'setAgentSuspension'
+    );
+    return rowCount > 0 ? getAgent(agentId) : null;
+}
+
 // ---------------------------------------------------------------------------
-// Agent Wallets (encrypted private keys)
+// API Keys (see agent-auth.js)
 // ---------------------------------------------------------------------------
 
-export async function saveAgentWallet({ agentId, walletAddress, encryptedKey, iv, authTag }) {
+function mapApiKeyRow(row) {
+    const expired = row.expires_at && new Date(row.expires_at) <= new Date();
+    return {
+        id: row.id,
+        agentId: row.agent_id,
+        name: row.name,
+        keyPrefix: row.key_prefix,
+        scopes: row.scopes,
+        status: row.revoked_at ? 'revoked' : expired ? 'expired' : 'active',
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+        expiresAt: row.expires_at,
+        revokedAt: row.revoked_at,
+        revokedBy: row.revoked_by,
+    };
+}
+
+export async function createApiKey({ id, agentId, name, keyHash, keyPrefix, scopes, expiresAt = null, createdBy = null }) {
     await ensureInit();
-    await queryWithRetry(
-        `INSERT INTO agent_wallets (agent_id, wallet_address, encrypted_key, iv, auth_tag)
-         VALUES ($1, $2, $3, $4, $5)`,
-        [agentId, walletAddress, encryptedKey, iv, authTag], 'saveAgentWallet'
+    const { rows } = await queryWithRetry(
+        `INSERT INTO api_keys (id, agent_id, name, key_hash, key_prefix, scopes, expires_at, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [id, agentId, name, keyHash, keyPrefix, JSON.stringify(scopes), expiresAt, createdBy], 'createApiKey'
     );
+    return mapApiKeyRow(rows[0]);
 }
 
-export async function getAgentWallet(agentId) {
+/**
+ * An agent's keys, newest first. Revoked and expired keys are included only
+ * when asked for.
+ */
+export async function getApiKeys(agentId, { includeInactive = false } = {}) {
     await ensureInit();
     const { rows } = await queryWithRetry(
-        'SELECT * FROM agent_wallets WHERE agent_id = $1',
-        [agentId], 'getAgentWallet'
+        `SELECT * FROM api_keys
+         WHERE agent_id = $1
+           AND ($2 OR (revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())))
+         ORDER BY created_at DESC`,
+        [agentId, includeInactive], 'getApiKeys'
     );
-    return rows[0] || null;
+    return rows.map(mapApiKeyRow);
 }
 
-export async function getAgentWalletByAddress(walletAddress) {
+export async function getApiKey(agentId, keyId) {
     await ensureInit();
     const { rows } = await queryWithRetry(
-        'SELECT * FROM agent_wallets WHERE wallet_address = $1',
-        [walletAddress], 'getAgentWalletByAddress'
+        'SELECT * FROM api_keys WHERE id = $1 AND agent_id = $2',
+        [keyId, agentId], 'getApiKey'
     );
-    return rows[0] || null;
+    return rows[0] ? mapApiKeyRow(rows[0]) : null;
 }
 
-export async function getAllAgentWallets() {
+/**
+ * Revoke a key now. Returns null if it doesn't exist or is already revoked.
+ */
+export async function revokeApiKey(agentId, keyId, { revokedBy = null } = {}) {
     await ensureInit();
     const { rows } = await queryWithRetry(
-        `SELECT w.*, a.agent_name
-         FROM agent_wallets w
-         JOIN agents a ON w.agent_id = a.agent_id
-         ORDER BY w.created_at DESC`,
-        [], 'getAllAgentWallets'
+        `UPDATE api_keys SET revoked_at = NOW(), revoked_by = $3
+         WHERE id = $1 AND agent_id = $2 AND revoked_at IS NULL
+         RETURNING *`,
+        [keyId, agentId, revokedBy], 'revokeApiKey'
     );
-    return rows;
+    return rows[0] ? mapApiKeyRow(rows[0]) : null;
 }
 
-// ---------------------------------------------------------------------------
-// Processed Posts (Scanner Dedup)
-// ---------------------------------------------------------------------------
-
-export async function isPostProcessed(postId) {
+/**
+ * Revoke every active key of an agent (account recovery). Returns the count.
+ */
+export async function revokeAllApiKeys(agentId, { revokedBy = null } = {}) {
     await ensureInit();
-    const { rows } = await queryWithRetry('SELECT 1 FROM processed_posts WHERE id = $1', [postId], 'isPostProcessed');
-    return rows.length > 0;
+    const { rowCount } = await queryWithRetry(
+        `UPDATE api_keys SET revoked_at = NOW(), revoked_by = $2
+         WHERE agent_id = $1 AND revoked_at IS NULL`,
+        [agentId, revokedBy], 'revokeAllApiKeys'
+    );
+    return rowCount;
 }
 
-export async function markPostProcessed({ id, platform, agentId, tokenId, status = 'processed', errorMsg = null }) {
+/**
+ * Bring a key's expiry forward (rotation grace period). Never extends it.
+ */
+export async function expireApiKey(agentId, keyId, expiresAt) {
     await ensureInit();
-    await queryWithRetry(
-        `INSERT INTO processed_posts (id, platform, agent_id, token_id, status, error_msg)
-         VALUES ($1, $2, $3, $4, $5, $6)
-         ON CONFLICT (id) DO NOTHING`,
-        [id, platform, agentId || null, tokenId || null, status, errorMsg], 'markPostProcessed'
+    const { rows } = await queryWithRetry(
+        `UPDATE api_keys SET expires_at = LEAST(COALESCE(expires_at, $3), $3)
+         WHERE id = $1 AND agent_id = $2 AND revoked_at IS NULL
+         RETURNING *`,
+        [keyId, agentId, expiresAt], 'expireApiKey'
     );
+    return rows[0] ? mapApiKeyRow(rows[0]) : null;
 }
 
 // ---------------------------------------------------------------------------
-// Tokens
+// Account Recovery (see recovery.js)
 // ---------------------------------------------------------------------------
 
-export async function insertToken(token) {
+// pending → verified → completed. A pending or verified request past
+// expires_at reads as 'expired'; 'rejected' records a failed verification.
+function mapRecoveryRow(row) {
+    const lapsed = ['pending', 'verified'].includes(row.status) && new Date(row.expires_at) <= new Date();
+    return {
+        id: row.id,
+        agentId: row.agent_id,
+        platform: row.platform,
+        challengeCode: row.challenge_code,
+        secretHash: row.secret_hash,
+        status: lapsed ? 'expired' : row.status,
+        requestedIp: row.requested_ip,
+        requestedUserAgent: row.requested_ua,
+        postId: row.post_id,
+        postAuthor: row.post_author,
+        errorMsg: row.error_msg,
+        apiKeyId: row.api_key_id,
+        revokedKeyCount: row.revoked_key_count,
+        completedIp: row.completed_ip,
+        createdAt: row.created_at,
+        expiresAt: row.expires_at,
+        verifiedAt: row.verified_at,
+        completedAt: row.completed_at,
+    };
+}
+
+export async function createRecoveryRequest({ id, agentId, platform, challengeCode, secretHash, expiresAt, ip = null, userAgent = null }) {
     await ensureInit();
-    return withRetry(async () => {
-        const client = await pool.connect();
-        try {
-            await client.query('BEGIN');
-            await client.query(
-                `INSERT INTO tokens (id, name, symbol, description, image_url, agent_id, agent_name, wallet_address,
-                    website, twitter, telegram, mint_address, tx_signature, pump_url, explorer_url,
-                    burn_tx_sig, dev_allocation, launch_type, creator_share_pct, platform_share_pct,
-                    simulated, source, fee_sharing_status, fee_sharing_tx)
-                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24)`,
-                [
-                    token.id, token.name, token.symbol, token.description, token.imageUrl,
-                    token.agentId, token.agentName, token.walletAddress,
-                    token.website || null, token.twitter || null, token.telegram || null,
-                    token.mintAddress || null, token.txSignature || null,
-                    token.pumpUrl || null, token.explorerUrl || null,
-                    token.burnTxSig || null, token.devAllocation || 0,
-                    token.launchType || 'free',
-                    token.creatorSharePct || 70, token.platformSharePct || 30,
-                    token.simulated || false, token.source || 'api',
-                    token.feeSharingStatus || 'pending', token.feeSharingTx || null,
-                ]
-            );
-            await client.query('UPDATE agents SET tokens_launched = tokens_launched + 1 WHERE agent_id = $1', [token.agentId]);
-            await client.query(`
-                UPDATE stats SET
-                    total_tokens_launched = (SELECT COUNT(*) FROM tokens),
-                    total_agents = (SELECT COUNT(*) FROM agents),
-                    last_updated = NOW()
-                WHERE id = 1
-            `);
-            await client.query('COMMIT');
-        } catch (err) {
-            await client.query('ROLLBACK').catch(() => { });
-            throw err;
-        } finally {
-            client.release();
-        }
-    }, 'insertToken');
+    const { rows } = await queryWithRetry(
+        `INSERT INTO agent_recoveries (id, agent_id, platform, challenge_code, secret_hash, expires_at, requested_ip, requested_ua)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [id, agentId, platform, challengeCode, secretHash, expiresAt, ip, userAgent], 'createRecoveryRequest'
+    );
+    return mapRecoveryRow(rows[0]);
 }
 
-export async function getTokenBySymbol(symbol) {
+export async function getRecoveryRequest(id) {
     await ensureInit();
-    const { rows } = await queryWithRetry('SELECT * FROM tokens WHERE symbol = $1', [symbol.toUpperCase()], 'getTokenBySymbol');
-    return rows[0] ? mapTokenRow(rows[0]) : null;
+    const { rows } = await queryWithRetry('SELECT * FROM agent_recoveries WHERE id = $1', [id], 'getRecoveryRequest');
+    return rows[0] ? mapRecoveryRow(rows[0]) : null;
 }
 
-export async function getRecentLaunchCountByAgent(agentId) {
+export async function getRecoveryRequestByCode(challengeCode) {
     await ensureInit();
     const { rows } = await queryWithRetry(
-        `SELECT COUNT(*) as count FROM tokens WHERE agent_id = $1 AND created_at > NOW() - INTERVAL '24 hours'`,
-        [agentId], 'getRecentLaunchCount'
+        'SELECT * FROM agent_recoveries WHERE challenge_code = $1',
+        [challengeCode], 'getRecoveryRequestByCode'
     );
-    return parseInt(rows[0]?.count || 0);
+    return rows[0] ? mapRecoveryRow(rows[0]) : null;
 }
 
-export async function getRecentFreeLaunchCountByAgent(agentId) {
+/**
+ * Recovery requests in the last `windowMs`: the agent's verified (or
+ * completed) and completed ones, and the requesting IP's unverified ones.
+ */
+export async function countRecentRecoveryRequests({ agentId, ip, windowMs }) {
     await ensureInit();
+    const since = new Date(Date.now() - windowMs);
     const { rows } = await queryWithRetry(
-        `SELECT COUNT(*) as count FROM tokens WHERE agent_id = $1 AND launch_type = 'free' AND created_at > NOW() - INTERVAL '24 hours'`,
-        [agentId], 'getRecentFreeLaunchCount'
+        `SELECT
+            COUNT(*) FILTER (WHERE agent_id = $1 AND verified_at IS NOT NULL)::int AS verified,
+            COUNT(*) FILTER (WHERE requested_ip = $2 AND verified_at IS NULL)::int AS unverified_by_ip,
+            COUNT(*) FILTER (WHERE agent_id = $1 AND status = 'completed')::int AS completed
+         FROM agent_recoveries
+         WHERE created_at > $3 AND (agent_id = $1 OR requested_ip = $2)`,
+        [agentId, ip, since], 'countRecentRecoveryRequests'
     );
-    return parseInt(rows[0]?.count || 0);
+    return { verified: rows[0].verified, unverifiedByIp: rows[0].unverified_by_ip, completed: rows[0].completed };
 }
 
-export async function getTokensByAgent(agentId) {
+/**
+ * Mark a pending, unexpired request verified by a social post and give it
+ * a new expiry for completion. Returns null if it is no longer pending.
+ */
+export async function markRecoveryVerified(id, { postId, postAuthor, expiresAt }) {
     await ensureInit();
-    const { rows } = await queryWithRetry('SELECT * FROM tokens WHERE agent_id = $1 ORDER BY created_at DESC', [agentId], 'getTokensByAgent');
-    return rows.map(mapTokenRow);
+    const { rows } = await queryWithRetry(
+        `UPDATE agent_recoveries
+         SET status = 'verified', verified_at = NOW(), post_id = $2, post_author = $3, expires_at = $4
+         WHERE id = $1 AND status = 'pending' AND expires_at > NOW()
+         RETURNING *`,
+        [id, postId, postAuthor, expiresAt], 'markRecoveryVerified'
+    );
+    return rows[0] ? mapRecoveryRow(rows[0]) : null;
 }
 
-export async function getTokensByAgentPaginated(agentId, { limit = 20, offset = 0 } = {}) {
+export async function markRecoveryRejected(id, { postId, postAuthor, errorMsg }) {
     await ensureInit();
-    const countResult = await queryWithRetry('SELECT COUNT(*) as count FROM tokens WHERE agent_id = $1', [agentId], 'getTokensByAgentPaginated.count');
-    const total = parseInt(countResult.rows[0].count);
-
     const { rows } = await queryWithRetry(
-        `SELECT * FROM tokens WHERE agent_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
-        [agentId, limit, offset], 'getTokensByAgentPaginated'
+        `UPDATE agent_recoveries
+         SET status = 'rejected', post_id = $2, post_author = $3, error_msg = $4
+         WHERE id = $1 AND status = 'pending'
+         RETURNING *`,
+        [id, postId, postAuthor, errorMsg], 'markRecoveryRejected'
     );
+    return rows[0] ? mapRecoveryRow(rows[0]) : null;
+}
 
-    return {
-        tokens: rows.map(mapTokenRow),
-        total,
-        limit,
-        offset,
-        hasMore: offset + limit < total,
-    };
+/**
+ * Claim a verified request for completion. Only one caller wins; returns
+ * null if it isn't verified or has expired.
+ */
+export async function claimRecoveryCompletion(id, { ip = null } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE agent_recoveries
+         SET status = 'completed', completed_at = NOW(), completed_ip = $2
+         WHERE id = $1 AND status = 'verified' AND expires_at > NOW()
+         RETURNING *`,
+        [id, ip], 'claimRecoveryCompletion'
+    );
+    return rows[0] ? mapRecoveryRow(rows[0]) : null;
 }
 
-export function getTokensPaginated({ sort = 'new', limit = 50, offset = 0 } = {}) {
-    return getTokensPaginatedAsync({ sort, limit, offset });
+export async function setRecoveryResult(id, { apiKeyId, revokedKeyCount }) {
+    await ensureInit();
+    await queryWithRetry(
+        'UPDATE agent_recoveries SET api_key_id = $2, revoked_key_count = $3 WHERE id = $1',
+        [id, apiKeyId, revokedKeyCount], 'setRecoveryResult'
+    );
 }
 
-export async function getTokensPaginatedAsync({ sort = 'new', limit = 50, offset = 0 } = {}) {
+export async function getRecoveryRequests({ agentId = null, status = null, limit = 50, offset = 0 } = {}) {
     await ensureInit();
-    const orderMap = {
-        hot: 'volume_24h DESC',
-        volume: 'total_volume DESC',
-        fees: 'fees_earned DESC',
-        mcap: 'market_cap DESC',
-        new: 'created_at DESC',
-    };
-    const orderBy = orderMap[sort] || 'created_at DESC';
+    const conditions = [];
+    const params = [];
+    if (agentId) {
+        params.push(agentId);
+        conditions.push(`agent_id = $${params.length}`);
+    }
+    if (status === 'expired') {
+        conditions.push(`status IN ('pending', 'verified') AND expires_at <= NOW()`);
+    } else if (status === 'pending' || status === 'verified') {
+        params.push(status);
+        conditions.push(`status = $${params.length} AND expires_at > NOW()`);
+    } else if (status) {
+        params.push(status);
+        conditions.push(`status = $${params.length}`);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const [{ rows }, countResult] = await Promise.all([
+        queryWithRetry(
+            `SELECT * FROM agent_recoveries ${where}
+             ORDER BY created_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset], 'getRecoveryRequests'
+        ),
+        queryWithRetry(`SELECT COUNT(*)::int AS total FROM agent_recoveries ${where}`, params, 'countRecoveryRequests'),
+    ]);
+    const total = countResult.rows[0].total;
+    return { recoveries: rows.map(mapRecoveryRow), total, limit, offset, hasMore: offset + rows.length < total };
+}
 
-    const countResult = await queryWithRetry('SELECT COUNT(*) as count FROM tokens', [], 'getTokensPaginated.count');
-    const total = parseInt(countResult.rows[0].count);
+// ---------------------------------------------------------------------------
+// Agent Wallets (encrypted private keys)
+// ---------------------------------------------------------------------------
 
-    const { rows } = await queryWithRetry(
-        `SELECT name, symbol, description, image_url, agent_id, agent_name,
-                mint_address, pump_url, explorer_url, launch_type,
-                creator_share_pct, platform_share_pct,
-                market_cap, volume_24h, total_volume, fees_earned, status, source, created_at
-         FROM tokens ORDER BY ${orderBy} LIMIT $1 OFFSET $2`,
-        [limit, offset], 'getTokensPaginated'
-    );
+export async function saveAgentWallet({ agentId, walletAddress, encryptedKey, iv, authTag, keyId = 'v1' }) {
+    await ensureInit();
+    await queryWithRetry(
+        `INSERT INTO agent_wallets (agent_id, wallet_address, encrypted_key, iv, auth_tag, key_id)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [agentId, walletAddress, encryptedKey, iv, authTag, keyId], 'saveAgentWallet'
+    );
+}
+
+export async function getAgentWallet(agentId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        'SELECT * FROM agent_wallets WHERE agent_id = $1',
+        [agentId], 'getAgentWallet'
+    );
+    return rows[0] || null;
+}
+
+export async function getAgentWalletByAddress(walletAddress) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        'SELECT * FROM agent_wallets WHERE wallet_address = $1',
+        [walletAddress], 'getAgentWalletByAddress'
+    );
+    return rows[0] || null;
+}
+
+export async function getAllAgentWallets() {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT w.*, a.agent_name
+         FROM agent_wallets w
+         JOIN agents a ON w.agent_id = a.agent_id
+         ORDER BY w.created_at DESC`,
+        [], 'getAllAgentWallets'
+    );
+    return rows;
+}
+
+/**
+ * Number of stored keys per encryption key id, for everything key rotation
+ * covers: agent wallets, retired agent wallets and the mint keys of launch
+ * jobs still in flight.
+ *
+ * @returns {Promise<{ source: string, keyId: string, count: number }[]>}
+ */
+export async function countEncryptedKeysByKeyId() {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT 'agent_wallets' AS source, key_id, COUNT(*)::int AS count FROM agent_wallets
+         WHERE encrypted_key IS NOT NULL GROUP BY key_id
+         UNION ALL
+         SELECT 'retired_agent_wallets', key_id, COUNT(*)::int FROM retired_agent_wallets GROUP BY key_id
+         UNION ALL
+         SELECT 'launch_jobs', COALESCE(mint_key_id, 'v1'), COUNT(*)::int FROM launch_jobs
+         WHERE mint_encrypted_key IS NOT NULL AND ${ACTIVE_LAUNCH_JOB_SQL} GROUP BY COALESCE(mint_key_id, 'v1')
+         ORDER BY 1, 2`,
+        [], 'countEncryptedKeysByKeyId'
+    );
+    return rows.map(r => ({ source: r.source, keyId: r.key_id, count: r.count }));
+}
+
+/**
+ * Keyset-paginated batch of wallets (ordered by agent_id) for key rotation.
+ * Self-custody wallets hold no key and are skipped.
+ *
+ * @param {object} opts
+ * @param {string} [opts.afterAgentId]   Cursor: last agent_id of the previous batch
+ * @param {string} [opts.excludeKeyId]   Skip wallets already under this key
+ * @param {number} [opts.limit]
+ */
+export async function getAgentWalletBatch({ afterAgentId = null, excludeKeyId = null, limit = 100 } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT * FROM agent_wallets
+         WHERE encrypted_key IS NOT NULL
+           AND ($1::text IS NULL OR agent_id > $1)
+           AND ($2::text IS NULL OR key_id <> $2)
+         ORDER BY agent_id
+         LIMIT $3`,
+        [afterAgentId, excludeKeyId, limit], 'getAgentWalletBatch'
+    );
+    return rows;
+}
+
+/**
+ * Swap a wallet's envelope for one under a new key. Only succeeds if the row
+ * still holds the ciphertext that was read (guards against concurrent writers).
+ *
+ * @returns {Promise<boolean>} true if the row was updated
+ */
+export async function updateAgentWalletEncryption({ agentId, previousEncryptedKey, encryptedKey, iv, authTag, keyId }) {
+    await ensureInit();
+    const { rowCount } = await queryWithRetry(
+        `UPDATE agent_wallets
+         SET encrypted_key = $3, iv = $4, auth_tag = $5, key_id = $6
+         WHERE agent_id = $1 AND encrypted_key = $2`,
+        [agentId, previousEncryptedKey, encryptedKey, iv, authTag, keyId], 'updateAgentWalletEncryption'
+    );
+    return rowCount > 0;
+}
+
+/**
+ * Keyset-paginated batch of retired wallets (ordered by wallet_address) for key rotation.
+ *
+ * @param {object} opts
+ * @param {string} [opts.afterWalletAddress] Cursor: last wallet_address of the previous batch
+ * @param {string} [opts.excludeKeyId]       Skip wallets already under this key
+ * @param {number} [opts.limit]
+ */
+export async function getRetiredAgentWalletBatch({ afterWalletAddress = null, excludeKeyId = null, limit = 100 } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT * FROM retired_agent_wallets
+         WHERE ($1::text IS NULL OR wallet_address > $1)
+           AND ($2::text IS NULL OR key_id <> $2)
+         ORDER BY wallet_address
+         LIMIT $3`,
+        [afterWalletAddress, excludeKeyId, limit], 'getRetiredAgentWalletBatch'
+    );
+    return rows;
+}
+
+/**
+ * Swap a retired wallet's envelope for one under a new key (same guard as
+ * updateAgentWalletEncryption).
+ *
+ * @returns {Promise<boolean>} true if the row was updated
+ */
+export async function updateRetiredAgentWalletEncryption({ walletAddress, previousEncryptedKey, encryptedKey, iv, authTag, keyId }) {
+    await ensureInit();
+    const { rowCount } = await queryWithRetry(
+        `UPDATE retired_agent_wallets
+         SET encrypted_key = $3, iv = $4, auth_tag = $5, key_id = $6
+         WHERE wallet_address = $1 AND encrypted_key = $2`,
+        [walletAddress, previousEncryptedKey, encryptedKey, iv, authTag, keyId], 'updateRetiredAgentWalletEncryption'
+    );
+    return rowCount > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Wallet Exports (see wallet-export.js)
+// ---------------------------------------------------------------------------
+
+const ACTIVE_WALLET_EXPORT_SQL = `(status IN ('queued', 'claiming_fees', 'updating_fee_sharing', 'sweeping', 'retiring')
+    OR (status = 'pending' AND expires_at > NOW()))`;
+
+function mapWalletExportRow(row) {
+    const expired = row.status === 'pending' && new Date(row.expires_at) <= new Date();
+    return {
+        id: row.id,
+        agentId: row.agent_id,
+        mode: row.mode,
+        status: expired ? 'expired' : row.status,
+        walletAddress: row.wallet_address,
+        destination: row.destination,
+        confirmHash: row.confirm_hash,
+        requestedBy: row.requested_by,
+        requestedIp: row.requested_ip,
+        availableAt: row.available_at,
+        expiresAt: row.expires_at,
+        confirmedAt: row.confirmed_at,
+        completedAt: row.completed_at,
+        cancelledAt: row.cancelled_at,
+        cancelledBy: row.cancelled_by,
+        progress: row.progress || {},
+        attempts: row.attempts,
+        errorMsg: row.error_msg,
+        nextRunAt: row.next_run_at,
+        lockedUntil: row.locked_until,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+export async function createWalletExport({ id, agentId, mode, walletAddress, destination = null, confirmHash, requestedBy = null, ip = null, availableAt, expiresAt }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `INSERT INTO wallet_exports (id, agent_id, mode, wallet_address, destination, confirm_hash,
+            requested_by, requested_ip, available_at, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         RETURNING *`,
+        [id, agentId, mode, walletAddress, destination, confirmHash, requestedBy, ip, availableAt, expiresAt],
+        'createWalletExport'
+    );
+    return mapWalletExportRow(rows[0]);
+}
+
+export async function getWalletExport(agentId, exportId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        'SELECT * FROM wallet_exports WHERE id = $1 AND agent_id = $2',
+        [exportId, agentId], 'getWalletExport'
+    );
+    return rows[0] ? mapWalletExportRow(rows[0]) : null;
+}
+
+/**
+ * The agent's open export request (pending confirmation or migrating), or null.
+ */
+export async function getActiveWalletExport(agentId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT * FROM wallet_exports WHERE agent_id = $1 AND ${ACTIVE_WALLET_EXPORT_SQL}
+         ORDER BY created_at DESC LIMIT 1`,
+        [agentId], 'getActiveWalletExport'
+    );
+    return rows[0] ? mapWalletExportRow(rows[0]) : null;
+}
+
+export async function getWalletExports({ agentId = null, status = null, limit = 20, offset = 0 } = {}) {
+    await ensureInit();
+    const where = `($1::text IS NULL OR agent_id = $1) AND ($2::text IS NULL OR status = $2)`;
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+        queryWithRetry(
+            `SELECT * FROM wallet_exports WHERE ${where} ORDER BY created_at DESC LIMIT $3 OFFSET $4`,
+            [agentId, status, limit, offset], 'getWalletExports'
+        ),
+        queryWithRetry(
+            `SELECT COUNT(*) AS count FROM wallet_exports WHERE ${where}`,
+            [agentId, status], 'getWalletExportsCount'
+        ),
+    ]);
+    const total = parseInt(countRows[0]?.count || 0);
+    return { exports: rows.map(mapWalletExportRow), total, limit, offset, hasMore: offset + rows.length < total };
+}
+
+/**
+ * Cancel a request that hasn't started moving funds (pending, or queued and
+ * not yet picked up by the worker). Null if it can no longer be cancelled.
+ */
+export async function cancelWalletExport(agentId, exportId, { cancelledBy = null } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE wallet_exports
+         SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $3, updated_at = NOW()
+         WHERE id = $1 AND agent_id = $2
+           AND (status = 'pending' OR (status = 'queued' AND (locked_until IS NULL OR locked_until < NOW())))
+         RETURNING *`,
+        [exportId, agentId, cancelledBy], 'cancelWalletExport'
+    );
+    return rows[0] ? mapWalletExportRow(rows[0]) : null;
+}
+
+/**
+ * Cancel every open, not yet confirmed request of an agent (account recovery).
+ *
+ * @returns {Promise<number>} number of requests cancelled
+ */
+export async function cancelPendingWalletExports(agentId, { cancelledBy = null } = {}) {
+    await ensureInit();
+    const { rowCount } = await queryWithRetry(
+        `UPDATE wallet_exports
+         SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $2, updated_at = NOW()
+         WHERE agent_id = $1 AND status = 'pending'`,
+        [agentId, cancelledBy], 'cancelPendingWalletExports'
+    );
+    return rowCount;
+}
+
+/**
+ * Confirm a pending request inside its window (cooldown passed, not expired).
+ * A reveal becomes 'revealed' and stamps the wallet's exported_at in the same
+ * statement; a migration becomes 'queued' for the worker. Null if the
+ * request isn't confirmable (or the wallet was already revealed).
+ */
+export async function confirmWalletExport(agentId, exportId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `WITH confirmed AS (
+             UPDATE wallet_exports e
+             SET status = CASE WHEN e.mode = 'reveal' THEN 'revealed' ELSE 'queued' END,
+                 confirmed_at = NOW(),
+                 completed_at = CASE WHEN e.mode = 'reveal' THEN NOW() END,
+                 next_run_at = NOW(),
+                 updated_at = NOW()
+             FROM agent_wallets w
+             WHERE e.id = $1 AND e.agent_id = $2 AND e.status = 'pending'
+               AND e.available_at <= NOW() AND e.expires_at > NOW()
+               AND w.agent_id = e.agent_id AND w.wallet_address = e.wallet_address
+               AND w.custody = 'platform'
+               AND (e.mode <> 'reveal' OR w.exported_at IS NULL)
+             RETURNING e.*
+         ), stamped AS (
+             UPDATE agent_wallets SET exported_at = NOW()
+             WHERE agent_id = $2 AND EXISTS (SELECT 1 FROM confirmed WHERE mode = 'reveal')
+         )
+         SELECT * FROM confirmed`,
+        [exportId, agentId], 'confirmWalletExport'
+    );
+    return rows[0] ? mapWalletExportRow(rows[0]) : null;
+}
+
+/**
+ * Atomically claim the next runnable wallet migration (or a specific one) and lock it.
+ */
+export async function claimWalletMigration({ exportId = null, lockMs = 120_000 } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE wallet_exports SET locked_until = NOW() + ($1 || ' milliseconds')::interval, updated_at = NOW()
+         WHERE id = (
+             SELECT id FROM wallet_exports
+             WHERE mode = 'migrate'
+               AND status IN ('queued', 'claiming_fees', 'updating_fee_sharing', 'sweeping', 'retiring')
+               AND next_run_at <= NOW()
+               AND (locked_until IS NULL OR locked_until < NOW())
+               AND ($2::text IS NULL OR id = $2)
+             ORDER BY created_at ASC
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [String(lockMs), exportId], 'claimWalletMigration'
+    );
+    return rows[0] ? mapWalletExportRow(rows[0]) : null;
+}
+
+/**
+ * Update wallet export fields. Only whitelisted fields are written.
+ */
+export async function updateWalletExport(exportId, updates) {
+    await ensureInit();
+    const dbFields = {
+        status: 'status',
+        progress: 'progress',
+        attempts: 'attempts',
+        errorMsg: 'error_msg',
+        nextRunAt: 'next_run_at',
+        lockedUntil: 'locked_until',
+        completedAt: 'completed_at',
+    };
+    const sets = ['updated_at = NOW()'];
+    const values = [];
+    let idx = 1;
+
+    for (const [key, column] of Object.entries(dbFields)) {
+        if (updates[key] !== undefined) {
+            sets.push(`${column} = $${idx}`);
+            values.push(key === 'progress' ? JSON.stringify(updates[key]) : updates[key]);
+            idx++;
+        }
+    }
+
+    values.push(exportId);
+    await queryWithRetry(`UPDATE wallet_exports SET ${sets.join(', ')} WHERE id = $${idx}`, values, 'updateWalletExport');
+}
+
+/**
+ * Hand an agent's wallet over to self custody: archive the old key material
+ * in retired_agent_wallets and point agent_wallets at the destination with
+ * no key. One statement, so the swap is atomic, and the key is only dropped
+ * from agent_wallets once its archive row is written — an existing archive
+ * row for the same wallet and agent is refreshed, one owned by another agent
+ * leaves both tables untouched.
+ *
+ * @returns {Promise<boolean>} true if the wallet was switched
+ */
+export async function retireAgentWallet({ agentId, walletAddress, destination, exportId }) {
+    await ensureInit();
+    const { rowCount } = await queryWithRetry(
+        `WITH archived AS (
+             INSERT INTO retired_agent_wallets (wallet_address, agent_id, encrypted_key, iv, auth_tag, key_id, export_id, created_at)
+             SELECT wallet_address, agent_id, encrypted_key, iv, auth_tag, key_id, $4, created_at
+             FROM agent_wallets
+             WHERE agent_id = $1 AND wallet_address = $2 AND encrypted_key IS NOT NULL
+             ON CONFLICT (wallet_address) DO UPDATE
+             SET encrypted_key = EXCLUDED.encrypted_key, iv = EXCLUDED.iv, auth_tag = EXCLUDED.auth_tag,
+                 key_id = EXCLUDED.key_id, export_id = EXCLUDED.export_id, retired_at = NOW()
+             WHERE retired_agent_wallets.agent_id = EXCLUDED.agent_id
+             RETURNING wallet_address
+         )
+         UPDATE agent_wallets
+         SET wallet_address = $3, encrypted_key = NULL, iv = NULL, auth_tag = NULL, custody = 'self'
+         WHERE agent_id = $1 AND wallet_address = $2 AND EXISTS (SELECT 1 FROM archived)`,
+        [agentId, walletAddress, destination, exportId], 'retireAgentWallet'
+    );
+    return rowCount > 0;
+}
+
+export async function getRetiredAgentWallets(agentId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT wallet_address, export_id, created_at, retired_at FROM retired_agent_wallets
+         WHERE agent_id = $1 ORDER BY retired_at DESC`,
+        [agentId], 'getRetiredAgentWallets'
+    );
+    return rows.map(r => ({ walletAddress: r.wallet_address, exportId: r.export_id, createdAt: r.created_at, retiredAt: r.retired_at }));
+}
+
+// ---------------------------------------------------------------------------
+// Rate Limits (see rate-limit.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * Take one request from a key's bucket (generic cell rate algorithm).
+ * Each request pushes the key's theoretical arrival time (tat) forward by
+ * `intervalMs`; it is allowed while tat stays within `windowMs` of now.
+ * A single upsert, so concurrent requests on any instance can't overshoot.
+ *
+ * @returns {Promise<{ allowed: boolean, tat: Date, now: Date }>}
+ */
+export async function consumeRateLimit({ key, intervalMs, windowMs }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `WITH hit AS (
+             INSERT INTO rate_limits (key, tat)
+             VALUES ($1, NOW() + make_interval(secs => $2::float8 / 1000))
+             ON CONFLICT (key) DO UPDATE
+             SET tat = GREATEST(rate_limits.tat, NOW()) + make_interval(secs => $2::float8 / 1000)
+             WHERE GREATEST(rate_limits.tat, NOW()) + make_interval(secs => $2::float8 / 1000)
+                   <= NOW() + make_interval(secs => $3::float8 / 1000)
+             RETURNING tat
+         )
+         SELECT (SELECT tat FROM hit) AS hit_tat,
+                (SELECT tat FROM rate_limits WHERE key = $1) AS tat,
+                NOW() AS now`,
+        [key, intervalMs, windowMs], 'consumeRateLimit'
+    );
+    const row = rows[0];
+    return {
+        allowed: row.hit_tat !== null,
+        tat: new Date(row.hit_tat || row.tat),
+        now: new Date(row.now),
+    };
+}
+
+/**
+ * What consumeRateLimit would answer for a bucket, without counting a hit
+ * (launch previews).
+ *
+ * @returns {Promise<{ allowed: boolean, tat: Date, now: Date }>} `tat` is the
+ *          bucket's TAT after the hit if it would be allowed
+ */
+export async function peekRateLimit({ key, intervalMs, windowMs }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT GREATEST(rate_limits.tat, NOW()) + make_interval(secs => $2::float8 / 1000) AS next_tat,
+                rate_limits.tat,
+                NOW() + make_interval(secs => $3::float8 / 1000) AS limit_tat,
+                NOW() AS now
+         FROM (SELECT 1) AS one
+         LEFT JOIN rate_limits ON rate_limits.key = $1`,
+        [key, intervalMs, windowMs], 'peekRateLimit'
+    );
+    const row = rows[0];
+    const nextTat = new Date(row.next_tat); // GREATEST skips the NULL tat of a missing bucket
+    const allowed = nextTat <= new Date(row.limit_tat);
+    return {
+        allowed,
+        tat: allowed ? nextTat : new Date(row.tat),
+        now: new Date(row.now),
+    };
+}
+
+/**
+ * Give back one hit taken by consumeRateLimit (e.g. a launch whose job
+ * failed). A bucket that has drained since is left alone.
+ */
+export async function releaseRateLimit({ key, intervalMs }) {
+    await ensureInit();
+    await queryWithRetry(
+        `UPDATE rate_limits SET tat = tat - make_interval(secs => $2::float8 / 1000)
+         WHERE key = $1 AND tat > NOW()`,
+        [key, intervalMs], 'releaseRateLimit'
+    );
+}
+
+/**
+ * Delete buckets that have fully drained (equivalent to no row).
+ *
+ * @returns {Promise<number>} rows deleted
+ */
+export async function pruneRateLimits() {
+    await ensureInit();
+    const { rowCount } = await queryWithRetry(
+        'DELETE FROM rate_limits WHERE tat < NOW()',
+        [], 'pruneRateLimits'
+    );
+    return rowCount;
+}
+
+// ---------------------------------------------------------------------------
+// Scanner Cursors (see scanners/run-scan.js)
+// ---------------------------------------------------------------------------
+
+function mapScannerCursorRow(row) {
+    return {
+        platform: row.platform,
+        lastPostId: row.last_post_id,
+        lastPostAt: row.last_post_at,
+        lastScanAt: row.last_scan_at,
+        lastError: row.last_error,
+        backfilledAt: row.backfilled_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+export async function getScannerCursor(platform) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        'SELECT * FROM scanner_cursors WHERE platform = $1',
+        [platform], 'getScannerCursor'
+    );
+    return rows[0] ? mapScannerCursorRow(rows[0]) : null;
+}
+
+export async function getScannerCursors() {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        'SELECT * FROM scanner_cursors ORDER BY platform',
+        [], 'getScannerCursors'
+    );
+    return rows.map(mapScannerCursorRow);
+}
+
+/**
+ * Record a scan. The cursor only moves when `lastPostId` is given, and
+ * never backwards; `lastError` is cleared by a successful scan.
+ *
+ * @param {string} platform
+ * @param {object} scan
+ * @param {string} [scan.lastPostId]
+ * @param {Date} [scan.lastPostAt]
+ * @param {string|null} [scan.lastError]
+ * @param {boolean} [scan.backfilled]  This scan was the initial backfill
+ */
+export async function saveScannerCursor(platform, { lastPostId = null, lastPostAt = null, lastError = null, backfilled = false } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `INSERT INTO scanner_cursors (platform, last_post_id, last_post_at, last_scan_at, last_error, backfilled_at)
+         VALUES ($1, $2, $3, NOW(), $4, CASE WHEN $5 THEN NOW() END)
+         ON CONFLICT (platform) DO UPDATE SET
+             last_post_id = CASE
+                 WHEN $2::text IS NULL THEN scanner_cursors.last_post_id
+                 WHEN scanner_cursors.last_post_at IS NOT NULL AND $3::timestamptz < scanner_cursors.last_post_at
+                     THEN scanner_cursors.last_post_id
+                 ELSE $2 END,
+             last_post_at = CASE
+                 WHEN $2::text IS NULL THEN scanner_cursors.last_post_at
+                 ELSE GREATEST(scanner_cursors.last_post_at, $3) END,
+             last_scan_at = NOW(),
+             last_error = $4,
+             backfilled_at = COALESCE(scanner_cursors.backfilled_at, CASE WHEN $5 THEN NOW() END),
+             updated_at = NOW()
+         RETURNING *`,
+        [platform, lastPostId, lastPostAt, lastError, backfilled], 'saveScannerCursor'
+    );
+    return mapScannerCursorRow(rows[0]);
+}
+
+// ---------------------------------------------------------------------------
+// Processed Posts (Scanner Dedup)
+// ---------------------------------------------------------------------------
+
+export async function isPostProcessed(postId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry('SELECT 1 FROM processed_posts WHERE id = $1', [postId], 'isPostProcessed');
+    return rows.length > 0;
+}
+
+function mapProcessedPostRow(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        platform: row.platform,
+        agentId: row.agent_id,
+        tokenId: row.token_id,
+        status: row.status,
+        errorMsg: row.error_msg,
+        authorName: row.author_name,
+        content: row.content,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        processedAt: row.processed_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * Record the outcome of a post. A post is recorded once per attempt: the
+ * first scan inserts it, and only a later attempt (a retry or replay, with a
+ * higher `attempts`) overwrites it and releases its lock.
+ *
+ * @param {object} opts
+ * @param {number} [opts.attempts]          Attempt this outcome belongs to
+ * @param {Date|null} [opts.nextAttemptAt]  When to retry; null = never
+ */
+export async function markPostProcessed({
+    id, platform, agentId, tokenId, status = 'processed', errorMsg = null,
+    authorName = null, content = null, attempts = 1, nextAttemptAt = null,
+}) {
+    await ensureInit();
+    await queryWithRetry(
+        `INSERT INTO processed_posts (id, platform, agent_id, token_id, status, error_msg, author_name, content, attempts, next_attempt_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (id) DO UPDATE SET
+             agent_id = COALESCE(EXCLUDED.agent_id, processed_posts.agent_id),
+             token_id = EXCLUDED.token_id,
+             status = EXCLUDED.status,
+             error_msg = EXCLUDED.error_msg,
+             attempts = EXCLUDED.attempts,
+             next_attempt_at = EXCLUDED.next_attempt_at,
+             locked_until = NULL,
+             updated_at = NOW()
+         WHERE processed_posts.attempts < EXCLUDED.attempts`,
+        [id, platform, agentId || null, tokenId || null, status, errorMsg, authorName, content, attempts, nextAttemptAt], 'markPostProcessed'
+    );
+}
+
+/**
+ * Record the final outcome of a post whose launch job was still running when
+ * the post was processed. Only a `queued` post is updated, so the outcome is
+ * recorded (and answered) once.
+ *
+ * @returns {Promise<object|null>} the updated post, or null if it was not queued
+ */
+export async function settleQueuedPost({ id, status, tokenId = null, errorMsg = null, nextAttemptAt = null }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE processed_posts
+         SET status = $2, token_id = COALESCE($3, token_id), error_msg = $4, next_attempt_at = $5, updated_at = NOW()
+         WHERE id = $1 AND status = 'queued'
+         RETURNING *`,
+        [id, status, tokenId, errorMsg, nextAttemptAt], 'settleQueuedPost'
+    );
+    return mapProcessedPostRow(rows[0]);
+}
+
+export async function getProcessedPost(postId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry('SELECT * FROM processed_posts WHERE id = $1', [postId], 'getProcessedPost');
+    return mapProcessedPostRow(rows[0]);
+}
+
+/**
+ * Atomically claim a platform's posts that are due for a retry (or specific
+ * posts, due or not) and lock them while they are re-run.
+ *
+ * @param {object} opts
+ * @param {string} [opts.platform]
+ * @param {string[]} [opts.ids]    Claim these posts whatever their retry schedule
+ * @param {number} [opts.limit]
+ * @param {number} [opts.lockMs]
+ */
+export async function claimRetryablePosts({ platform = null, ids = null, limit = 10, lockMs = 120_000 } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE processed_posts SET locked_until = NOW() + ($1 || ' milliseconds')::interval
+         WHERE id IN (
+             SELECT id FROM processed_posts
+             WHERE ($2::text IS NULL OR platform = $2)
+               AND ($3::text[] IS NOT NULL AND id = ANY($3)
+                    OR $3::text[] IS NULL AND next_attempt_at <= NOW())
+               AND (locked_until IS NULL OR locked_until < NOW())
+             ORDER BY next_attempt_at ASC NULLS LAST
+             LIMIT $4
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [String(lockMs), platform, ids, limit], 'claimRetryablePosts'
+    );
+    return rows.map(mapProcessedPostRow);
+}
+
+/**
+ * Posts that did not launch, newest first — the scanner's dead-letter queue.
+ *
+ * @param {object} [opts]
+ * @param {string[]} opts.statuses     Statuses to include
+ * @param {string} [opts.platform]
+ * @param {boolean} [opts.retrying]    true = only posts with a retry scheduled, false = only given-up ones
+ */
+export async function getFailedPosts({ statuses, platform = null, retrying = null, limit = 50, offset = 0 }) {
+    await ensureInit();
+    const params = [statuses];
+    const conditions = ['status = ANY($1)'];
+    if (platform) {
+        params.push(platform);
+        conditions.push(`platform = $${params.length}`);
+    }
+    if (retrying !== null) conditions.push(retrying ? 'next_attempt_at IS NOT NULL' : 'next_attempt_at IS NULL');
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    const [{ rows }, countResult] = await Promise.all([
+        queryWithRetry(
+            `SELECT * FROM processed_posts ${where}
+             ORDER BY updated_at DESC
+             LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+            [...params, limit, offset], 'getFailedPosts'
+        ),
+        queryWithRetry(`SELECT COUNT(*)::int AS total FROM processed_posts ${where}`, params, 'countFailedPosts'),
+    ]);
+    const total = countResult.rows[0].total;
+    return { posts: rows.map(mapProcessedPostRow), total, limit, offset, hasMore: offset + rows.length < total };
+}
+
+// ---------------------------------------------------------------------------
+// Tokens
+// ---------------------------------------------------------------------------
+
+export async function insertToken(token) {
+    await ensureInit();
+    return withRetry(async () => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            await client.query(
+                `INSERT INTO tokens (id, name, symbol, description, image_url, agent_id, agent_name, wallet_address,
+                    website, twitter, telegram, mint_address, tx_signature, pump_url, explorer_url,
+                    burn_tx_sig, dev_allocation, launch_type, creator_share_pct, platform_share_pct,
+                    simulated, source, fee_sharing_status, fee_sharing_tx,
+                    symbol_skeleton, symbol_full_skeleton, name_skeleton)
+                 VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,$22,$23,$24,$25,$26,$27)`,
+                [
+                    token.id, token.name, token.symbol, token.description, token.imageUrl,
+                    token.agentId, token.agentName, token.walletAddress,
+                    token.website || null, token.twitter || null, token.telegram || null,
+                    token.mintAddress || null, token.txSignature || null,
+                    token.pumpUrl || null, token.explorerUrl || null,
+                    token.burnTxSig || null, token.devAllocation || 0,
+                    token.launchType || 'free',
+                    token.creatorSharePct || 70, token.platformSharePct || 30,
+                    token.simulated || false, token.source || 'api',
+                    token.feeSharingStatus || 'pending', token.feeSharingTx || null,
+                    token.symbolSkeleton ?? null, token.symbolFullSkeleton ?? null, token.nameSkeleton ?? null,
+                ]
+            );
+            await client.query('UPDATE agents SET tokens_launched = tokens_launched + 1 WHERE agent_id = $1', [token.agentId]);
+            await client.query(`
+                UPDATE stats SET
+                    total_tokens_launched = (SELECT COUNT(*) FROM tokens),
+                    total_agents = (SELECT COUNT(*) FROM agents),
+                    last_updated = NOW()
+                WHERE id = 1
+            `);
+            await client.query('COMMIT');
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => { });
+            throw err;
+        } finally {
+            client.release();
+        }
+    }, 'insertToken');
+}
+
+export async function getTokenBySymbol(symbol) {
+    await ensureInit();
+    const { rows } = await queryWithRetry('SELECT * FROM tokens WHERE symbol = $1', [symbol.toUpperCase()], 'getTokenBySymbol');
+    return rows[0] ? mapTokenRow(rows[0]) : null;
+}
+
+export async function getTokensByAgent(agentId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry('SELECT * FROM tokens WHERE agent_id = $1 ORDER BY created_at DESC', [agentId], 'getTokensByAgent');
+    return rows.map(mapTokenRow);
+}
+
+export async function getTokensByAgentPaginated(agentId, { limit = 20, offset = 0 } = {}) {
+    await ensureInit();
+    const countResult = await queryWithRetry('SELECT COUNT(*) as count FROM tokens WHERE agent_id = $1', [agentId], 'getTokensByAgentPaginated.count');
+    const total = parseInt(countResult.rows[0].count);
+
+    const { rows } = await queryWithRetry(
+        `SELECT * FROM tokens WHERE agent_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [agentId, limit, offset], 'getTokensByAgentPaginated'
+    );
+
+    return {
+        tokens: rows.map(mapTokenRow),
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total,
+    };
+}
+
+export function getTokensPaginated({ sort = 'new', limit = 50, offset = 0 } = {}) {
+    return getTokensPaginatedAsync({ sort, limit, offset });
+}
+
+// Delisted tokens are hidden from public listings until their delisting expires.
+const LISTED_TOKEN_SQL = `(status IS DISTINCT FROM 'delisted' OR delisted_until <= NOW())`;
+
+export async function getTokensPaginatedAsync({ sort = 'new', limit = 50, offset = 0 } = {}) {
+    await ensureInit();
+    const orderMap = {
+        hot: 'volume_24h DESC',
+        volume: 'total_volume DESC',
+        fees: 'fees_earned DESC',
+        mcap: 'market_cap DESC',
+        new: 'created_at DESC',
+    };
+    const orderBy = orderMap[sort] || 'created_at DESC';
+
+    const countResult = await queryWithRetry(`SELECT COUNT(*) as count FROM tokens WHERE ${LISTED_TOKEN_SQL}`, [], 'getTokensPaginated.count');
+    const total = parseInt(countResult.rows[0].count);
+
+    const { rows } = await queryWithRetry(
+        `SELECT name, symbol, description, image_url, agent_id, agent_name,
+                mint_address, pump_url, explorer_url, launch_type,
+                creator_share_pct, platform_share_pct,
+                market_cap, volume_24h, total_volume, fees_earned, status, delisted_until, source, created_at
+         FROM tokens WHERE ${LISTED_TOKEN_SQL} ORDER BY ${orderBy} LIMIT $1 OFFSET $2`,
+        [limit, offset], 'getTokensPaginated'
+    );
+
+    return {
+        tokens: rows.map(mapTokenRowPublic),
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total,
+    };
+}
+
+function mapTokenRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        symbol: row.symbol,
+        description: row.description,
+        imageUrl: row.image_url,
+        agentId: row.agent_id,
+        agentName: row.agent_name,
+        walletAddress: row.wallet_address,
+        website: row.website,
+        twitter: row.twitter,
+        telegram: row.telegram,
+        mintAddress: row.mint_address,
+        txSignature: row.tx_signature,
+        pumpUrl: row.pump_url,
+        explorerUrl: row.explorer_url,
+        burnTxSig: row.burn_tx_sig,
+        devAllocation: row.dev_allocation,
+        launchType: row.launch_type,
+        creatorSharePct: row.creator_share_pct,
+        platformSharePct: row.platform_share_pct,
+        marketCap: row.market_cap,
+        volume24h: row.volume_24h,
+        totalVolume: row.total_volume,
+        feesEarned: row.fees_earned,
+        feesPending: row.fees_pending,
+        simulated: row.simulated,
+        source: row.source,
+        status: tokenStatus(row),
+        delisting: mapDelisting(row),
+        feeSharingStatus: row.fee_sharing_status,
+        feeSharingTx: row.fee_sharing_tx,
+        createdAt: row.created_at,
+    };
+}
+
+function isDelisted(row) {
+    return row.status === 'delisted' && (!row.delisted_until || new Date(row.delisted_until) > new Date());
+}
+
+// A lapsed delisting reads as active again without anyone having to relist it.
+function tokenStatus(row) {
+    return row.status === 'delisted' && !isDelisted(row) ? 'active' : row.status;
+}
+
+function mapDelisting(row) {
+    if (!isDelisted(row)) return null;
+    return {
+        reason: row.delisted_reason,
+        until: row.delisted_until,
+        delistedAt: row.delisted_at,
+        delistedBy: row.delisted_by,
+    };
+}
+
+function mapTokenRowPublic(row) {
+    return {
+        name: row.name,
+        symbol: row.symbol,
+        description: row.description,
+        imageUrl: row.image_url,
+        agentId: row.agent_id,
+        agentName: row.agent_name,
+        mintAddress: row.mint_address,
+        pumpUrl: row.pump_url,
+        explorerUrl: row.explorer_url,
+        launchType: row.launch_type,
+        creatorSharePct: row.creator_share_pct,
+        platformSharePct: row.platform_share_pct,
+        marketCap: row.market_cap,
+        volume24h: row.volume_24h,
+        totalVolume: row.total_volume,
+        feesEarned: row.fees_earned,
+        status: tokenStatus(row),
+        source: row.source,
+        feeSharingStatus: row.fee_sharing_status,
+        createdAt: row.created_at,
+    };
+}
+
+/**
+ * Hide a token from /api/tokens and /api/market-data until `until`
+ * (null = until relisted), or relist it with delisted = false.
+ *
+ * @returns {Promise<object|null>} the updated token
+ */
+export async function setTokenDelisted(tokenId, { delisted, reason = null, until = null, delistedBy = null }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE tokens
+         SET status = CASE WHEN $2 THEN 'delisted' ELSE 'active' END,
+             delisted_reason = CASE WHEN $2 THEN $3 ELSE NULL END,
+             delisted_until = CASE WHEN $2 THEN $4::timestamptz ELSE NULL END,
+             delisted_at = CASE WHEN $2 THEN NOW() ELSE NULL END,
+             delisted_by = CASE WHEN $2 THEN $5 ELSE NULL END
+         WHERE id = $1
+         RETURNING *`,
+        [tokenId, delisted, reason, until, delistedBy], 'setTokenDelisted'
+    );
+    return rows[0] ? mapTokenRow(rows[0]) : null;
+}
+
+// ---------------------------------------------------------------------------
+// Fee Sharing Status
+// ---------------------------------------------------------------------------
+
+export async function updateTokenFeeSharing(tokenId, status, txSignature = null) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE tokens SET fee_sharing_status = $1, fee_sharing_tx = $2 WHERE id = $3 RETURNING *`,
+        [status, txSignature, tokenId], 'updateTokenFeeSharing'
+    );
+    return rows[0] ? mapTokenRow(rows[0]) : null;
+}
+
+/**
+ * Tokens whose fee sharing still needs repair (pending or failed), oldest first.
+ * Skips tokens that were just launched (the launch job may still be configuring
+ * them) and tokens still inside their retry backoff window.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.limit]
+ * @param {number} [opts.minAgeMs]     Ignore tokens younger than this
+ * @param {number} [opts.maxAttempts]  Stop retrying after this many recorded attempts
+ * @param {string} [opts.tokenId]      Only this token (ignores age and backoff)
+ */
+export async function getTokensPendingFeeSharing({ limit = 25, minAgeMs = 10 * 60_000, maxAttempts = 10, tokenId = null, anyStatus = false } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT t.*, COALESCE(a.attempt_count, 0) AS fee_sharing_attempts, a.last_attempt_at
+         FROM tokens t
+         LEFT JOIN LATERAL (
+             SELECT COUNT(*) AS attempt_count, MAX(created_at) AS last_attempt_at
+             FROM fee_sharing_attempts WHERE token_id = t.id AND status = 'failed'
+         ) a ON TRUE
+         WHERE t.mint_address IS NOT NULL
+           AND t.simulated = FALSE
+           AND (t.fee_sharing_status IN ('pending', 'failed') OR ($5 AND t.id = $4))
+           AND (
+               t.id = $4
+               OR ($4::text IS NULL
+                   AND t.created_at < NOW() - ($1 || ' milliseconds')::interval
+                   AND COALESCE(a.attempt_count, 0) < $2
+                   -- exponential backoff: 1, 2, 4, 8... minutes (capped at 6h) after each failure
+                   AND (a.last_attempt_at IS NULL
+                        OR a.last_attempt_at < NOW() - LEAST(POWER(2, a.attempt_count - 1), 360) * INTERVAL '1 minute'))
+           )
+         ORDER BY t.created_at ASC
+         LIMIT $3`,
+        [String(minAgeMs), maxAttempts, limit, tokenId, anyStatus && tokenId !== null], 'getTokensPendingFeeSharing'
+    );
+    return rows.map(row => ({
+        ...mapTokenRow(row),
+        feeSharingAttempts: parseInt(row.fee_sharing_attempts || 0),
+        lastFeeSharingAttemptAt: row.last_attempt_at,
+    }));
+}
+
+/**
+ * Record one fee sharing repair attempt.
+ *
+ * @param {object} attempt
+ * @param {string} attempt.tokenId
+ * @param {string} attempt.mintAddress
+ * @param {string} attempt.action   'verify' | 'create_and_update' | 'update_shares' | 'repair' (failed before an action was chosen)
+ * @param {string} attempt.status   'success' | 'failed'
+ * @param {string} [attempt.txSignature]
+ * @param {string} [attempt.errorMsg]
+ */
+export async function insertFeeSharingAttempt(attempt) {
+    await ensureInit();
+    await queryWithRetry(
+        `INSERT INTO fee_sharing_attempts (token_id, mint_address, action, status, tx_signature, error_msg)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [attempt.tokenId, attempt.mintAddress, attempt.action, attempt.status,
+            attempt.txSignature || null, attempt.errorMsg || null],
+        'insertFeeSharingAttempt'
+    );
+}
+
+export async function getFeeSharingAttempts(tokenId, limit = 20) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT * FROM fee_sharing_attempts WHERE token_id = $1 ORDER BY created_at DESC LIMIT $2`,
+        [tokenId, limit], 'getFeeSharingAttempts'
+    );
+    return rows.map(row => ({
+        id: row.id,
+        tokenId: row.token_id,
+        mintAddress: row.mint_address,
+        action: row.action,
+        status: row.status,
+        txSignature: row.tx_signature,
+        errorMsg: row.error_msg,
+        createdAt: row.created_at,
+    }));
+}
+
+// ---------------------------------------------------------------------------
+// Fee Claims
+// ---------------------------------------------------------------------------
+
+export async function insertFeeClaim({ id, agentId, mintAddress, amountLamports, amountSol, txSignature, status }) {
+    await ensureInit();
+    await queryWithRetry(
+        `INSERT INTO fee_claims (id, agent_id, mint_address, amount_lamports, amount_sol, tx_signature, status)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [id, agentId, mintAddress || null, amountLamports || 0, amountSol || 0, txSignature, status || 'completed'],
+        'insertFeeClaim'
+    );
+}
+
+export async function getFeeClaimsByAgent(agentId, { limit = 20, offset = 0 } = {}) {
+    await ensureInit();
+    const countResult = await queryWithRetry('SELECT COUNT(*) as count FROM fee_claims WHERE agent_id = $1', [agentId], 'getFeeClaimsByAgent.count');
+    const total = parseInt(countResult.rows[0].count);
+
+    const { rows } = await queryWithRetry(
+        `SELECT * FROM fee_claims WHERE agent_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [agentId, limit, offset], 'getFeeClaimsByAgent'
+    );
+
+    return {
+        claims: rows.map(r => ({
+            id: r.id,
+            agentId: r.agent_id,
+            mintAddress: r.mint_address,
+            amountLamports: parseInt(r.amount_lamports),
+            amountSol: r.amount_sol,
+            txSignature: r.tx_signature,
+            status: r.status,
+            createdAt: r.created_at,
+        })),
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Launch Jobs (persistent launch queue — see launch-jobs.js)
+// ---------------------------------------------------------------------------
+
+const ACTIVE_LAUNCH_JOB_SQL = `status NOT IN ('done', 'failed')`;
+
+/**
+ * Insert a queued launch job. Throws a unique violation (23505) when another
+ * job for the same symbol is still in flight (idx_launch_jobs_active_symbol).
+ */
+export async function insertLaunchJob(job) {
+    await ensureInit();
+    await queryWithRetry(
+        `INSERT INTO launch_jobs (id, agent_id, launch_type, source, post_id, name, symbol, description,
+            image_url, image_data, image_mime, website, twitter, telegram)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [
+            job.id, job.agentId, job.launchType || 'free', job.source || 'api', job.postId || null,
+            job.name, job.symbol, job.description,
+            job.imageUrl || null, job.imageBuffer || null, job.imageMime || null,
+            job.website || null, job.twitter || null, job.telegram || null,
+        ],
+        'insertLaunchJob'
+    );
+    return getLaunchJob(job.id);
+}
+
+export async function getLaunchJob(jobId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry('SELECT * FROM launch_jobs WHERE id = $1', [jobId], 'getLaunchJob');
+    return rows[0] ? mapLaunchJobRow(rows[0]) : null;
+}
+
+/**
+ * Atomically claim the next runnable launch job (or a specific one) and lock it.
+ * Jobs whose lock expired (worker crashed mid-step) become claimable again.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]  Claim only this job
+ * @param {number} [opts.lockMs] Lock duration
+ */
+export async function claimLaunchJob({ jobId = null, lockMs = 120_000 } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE launch_jobs SET locked_until = NOW() + ($1 || ' milliseconds')::interval, updated_at = NOW()
+         WHERE id = (
+             SELECT id FROM launch_jobs
+             WHERE ${ACTIVE_LAUNCH_JOB_SQL}
+               AND next_run_at <= NOW()
+               AND (locked_until IS NULL OR locked_until < NOW())
+               AND ($2::text IS NULL OR id = $2)
+             ORDER BY created_at ASC
+             LIMIT 1
+             FOR UPDATE SKIP LOCKED
+         )
+         RETURNING *`,
+        [String(lockMs), jobId], 'claimLaunchJob'
+    );
+    return rows[0] ? mapLaunchJobRow(rows[0]) : null;
+}
+
+/**
+ * Keyset-paginated batch of in-flight launch jobs holding a mint key
+ * (ordered by id) for key rotation. Finished jobs never decrypt theirs again.
+ *
+ * @param {object} opts
+ * @param {string} [opts.afterId]      Cursor: last id of the previous batch
+ * @param {string} [opts.excludeKeyId] Skip mint keys already under this key
+ * @param {number} [opts.limit]
+ */
+export async function getLaunchJobMintKeyBatch({ afterId = null, excludeKeyId = null, limit = 100 } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT id, mint_address, mint_encrypted_key, mint_iv, mint_auth_tag, COALESCE(mint_key_id, 'v1') AS mint_key_id
+         FROM launch_jobs
+         WHERE mint_encrypted_key IS NOT NULL AND ${ACTIVE_LAUNCH_JOB_SQL}
+           AND ($1::text IS NULL OR id > $1)
+           AND ($2::text IS NULL OR COALESCE(mint_key_id, 'v1') <> $2)
+         ORDER BY id
+         LIMIT $3`,
+        [afterId, excludeKeyId, limit], 'getLaunchJobMintKeyBatch'
+    );
+    return rows;
+}
+
+/**
+ * Swap a launch job's mint key envelope for one under a new key (same guard
+ * as updateAgentWalletEncryption).
+ *
+ * @returns {Promise<boolean>} true if the row was updated
+ */
+export async function updateLaunchJobMintEncryption({ jobId, previousEncryptedKey, encryptedKey, iv, authTag, keyId }) {
+    await ensureInit();
+    const { rowCount } = await queryWithRetry(
+        `UPDATE launch_jobs
+         SET mint_encrypted_key = $3, mint_iv = $4, mint_auth_tag = $5, mint_key_id = $6, updated_at = NOW()
+         WHERE id = $1 AND mint_encrypted_key = $2`,
+        [jobId, previousEncryptedKey, encryptedKey, iv, authTag, keyId], 'updateLaunchJobMintEncryption'
+    );
+    return rowCount > 0;
+}
+
+/**
+ * Update launch job fields. Only whitelisted fields are written.
+ */
+export async function updateLaunchJob(jobId, updates) {
+    await ensureInit();
+    const dbFields = {
+        status: 'status',
+        metadataUri: 'metadata_uri',
+        mintAddress: 'mint_address',
+        mintEncryptedKey: 'mint_encrypted_key',
+        mintIv: 'mint_iv',
+        mintAuthTag: 'mint_auth_tag',
+        mintKeyId: 'mint_key_id',
+        txSignature: 'tx_signature',
+        tokenId: 'token_id',
+        feeSharingStatus: 'fee_sharing_status',
+        feeSharingTx: 'fee_sharing_tx',
+        attempts: 'attempts',
+        errorMsg: 'error_msg',
+        nextRunAt: 'next_run_at',
+        lockedUntil: 'locked_until',
+    };
+    const sets = ['updated_at = NOW()'];
+    const values = [];
+    let idx = 1;
+
+    for (const [key, column] of Object.entries(dbFields)) {
+        if (updates[key] !== undefined) {
+            sets.push(`${column} = $${idx}`);
+            values.push(updates[key]);
+            idx++;
+        }
+    }
+
+    values.push(jobId);
+    await queryWithRetry(`UPDATE launch_jobs SET ${sets.join(', ')} WHERE id = $${idx}`, values, 'updateLaunchJob');
+}
+
+export async function getActiveLaunchJobBySymbol(symbol) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT * FROM launch_jobs WHERE symbol = $1 AND ${ACTIVE_LAUNCH_JOB_SQL} LIMIT 1`,
+        [symbol.toUpperCase()], 'getActiveLaunchJobBySymbol'
+    );
+    return rows[0] ? mapLaunchJobRow(rows[0]) : null;
+}
+
+/**
+ * Count an agent's in-flight launch jobs (not yet a token row), optionally by tier.
+ */
+export async function getActiveLaunchJobCountByAgent(agentId, launchType = null) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT COUNT(*) as count FROM launch_jobs
+         WHERE agent_id = $1 AND token_id IS NULL AND ${ACTIVE_LAUNCH_JOB_SQL}
+           AND ($2::text IS NULL OR launch_type = $2)`,
+        [agentId, launchType], 'getActiveLaunchJobCount'
+    );
+    return parseInt(rows[0]?.count || 0);
+}
+
+/**
+ * In-flight launch jobs that used up their step attempts and are still being
+ * retried (a landed mint whose token row could not be saved), newest first.
+ */
+export async function getStalledLaunchJobs({ minAttempts, limit = 50, offset = 0 }) {
+    await ensureInit();
+    const where = `${ACTIVE_LAUNCH_JOB_SQL} AND attempts >= $1`;
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+        queryWithRetry(
+            `SELECT * FROM launch_jobs WHERE ${where} ORDER BY updated_at DESC LIMIT $2 OFFSET $3`,
+            [minAttempts, limit, offset], 'getStalledLaunchJobs'
+        ),
+        queryWithRetry(`SELECT COUNT(*) AS count FROM launch_jobs WHERE ${where}`, [minAttempts], 'getStalledLaunchJobsCount'),
+    ]);
+    const total = parseInt(countRows[0]?.count || 0);
+    return { jobs: rows.map(mapLaunchJobRow), total, limit, offset, hasMore: offset + rows.length < total };
+}
+
+export async function getLaunchJobsByAgent(agentId, { limit = 20, offset = 0 } = {}) {
+    await ensureInit();
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+        queryWithRetry(
+            `SELECT * FROM launch_jobs WHERE agent_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+            [agentId, limit, offset], 'getLaunchJobsByAgent'
+        ),
+        queryWithRetry('SELECT COUNT(*) AS count FROM launch_jobs WHERE agent_id = $1', [agentId], 'getLaunchJobsByAgentCount'),
+    ]);
+    const total = parseInt(countRows[0]?.count || 0);
+    return { jobs: rows.map(mapLaunchJobRow), total, limit, offset, hasMore: offset + rows.length < total };
+}
+
+function mapLaunchJobRow(row) {
+    return {
+        id: row.id,
+        agentId: row.agent_id,
+        status: row.status,
+        launchType: row.launch_type,
+        source: row.source,
+        postId: row.post_id,
+        name: row.name,
+        symbol: row.symbol,
+        description: row.description,
+        imageUrl: row.image_url,
+        imageBuffer: row.image_data || null,
+        imageMime: row.image_mime,
+        website: row.website,
+        twitter: row.twitter,
+        telegram: row.telegram,
+        metadataUri: row.metadata_uri,
+        mintAddress: row.mint_address,
+        mintEncryptedKey: row.mint_encrypted_key,
+        mintIv: row.mint_iv,
+        mintAuthTag: row.mint_auth_tag,
+        mintKeyId: row.mint_key_id,
+        txSignature: row.tx_signature,
+        tokenId: row.token_id,
+        feeSharingStatus: row.fee_sharing_status,
+        feeSharingTx: row.fee_sharing_tx,
+        attempts: row.attempts,
+        errorMsg: row.error_msg,
+        nextRunAt: row.next_run_at,
+        lockedUntil: row.locked_until,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Launch Payments (paid launch fee ledger)
+// ---------------------------------------------------------------------------
+//
+// status: pending → completed (charged, token created)
+//                 → failed    (launch failed, agent never charged)
+
+/**
+ * Get or create the payment record for a launch job.
+ */
+export async function ensureLaunchPayment({ agentId, launchJobId, symbol, lamports }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `INSERT INTO launch_payments (id, agent_id, launch_job_id, symbol, lamports)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (launch_job_id) DO UPDATE SET updated_at = launch_payments.updated_at
+         RETURNING *`,
+        [crypto.randomUUID(), agentId, launchJobId, symbol, lamports], 'ensureLaunchPayment'
+    );
+    return mapLaunchPaymentRow(rows[0]);
+}
+
+export async function getLaunchPaymentByJob(launchJobId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        'SELECT * FROM launch_payments WHERE launch_job_id = $1', [launchJobId], 'getLaunchPaymentByJob'
+    );
+    return rows[0] ? mapLaunchPaymentRow(rows[0]) : null;
+}
+
+/**
+ * Update payment fields. Only whitelisted fields are written.
+ */
+export async function updateLaunchPayment(paymentId, updates) {
+    await ensureInit();
+    const dbFields = {
+        status: 'status',
+        tokenId: 'token_id',
+        txSignature: 'tx_signature',
+        errorMsg: 'error_msg',
+    };
+    const sets = ['updated_at = NOW()'];
+    const values = [];
+    let idx = 1;
+
+    for (const [key, column] of Object.entries(dbFields)) {
+        if (updates[key] !== undefined) {
+            sets.push(`${column} = $${idx}`);
+            values.push(updates[key]);
+            idx++;
+        }
+    }
+
+    values.push(paymentId);
+    await queryWithRetry(`UPDATE launch_payments SET ${sets.join(', ')} WHERE id = $${idx}`, values, 'updateLaunchPayment');
+}
+
+export async function getLaunchPaymentsByAgent(agentId, { limit = 20, offset = 0 } = {}) {
+    await ensureInit();
+    const countResult = await queryWithRetry('SELECT COUNT(*) as count FROM launch_payments WHERE agent_id = $1', [agentId], 'getLaunchPaymentsByAgent.count');
+    const total = parseInt(countResult.rows[0].count);
+
+    const { rows } = await queryWithRetry(
+        `SELECT * FROM launch_payments WHERE agent_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+        [agentId, limit, offset], 'getLaunchPaymentsByAgent'
+    );
+
+    return {
+        payments: rows.map(mapLaunchPaymentRow),
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total,
+    };
+}
+
+function mapLaunchPaymentRow(row) {
+    return {
+        id: row.id,
+        agentId: row.agent_id,
+        launchJobId: row.launch_job_id,
+        tokenId: row.token_id,
+        symbol: row.symbol,
+        lamports: parseInt(row.lamports),
+        amountSol: parseInt(row.lamports) / 1e9,
+        status: row.status,
+        txSignature: row.tx_signature,
+        errorMsg: row.error_msg,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Ledger (double-entry, lamport-precise — see ledger.js for the money flows)
+// ---------------------------------------------------------------------------
+//
+// Every money movement is one ledger transaction with two or more entries.
+// Amounts are signed integers in the asset's base unit (lamports for SOL,
+// raw token units for SPL mints): positive = the account's balance goes up.
+// Entries of each asset in a transaction must sum to zero. Balances are
+// never stored — they are SUM(amount) over an account's entries.
+
+export const LEDGER_ACCOUNTS = {
+    FREE_TREASURY: 'treasury:free',
+    PAID_TREASURY: 'treasury:paid',
+    PUMP_CREATOR_FEES: 'pump:creator_fees',   // fees accrued on pump.fun, not yet claimed
+    NETWORK_FEES: 'network:fees',             // Solana transaction fees
+    EXTERNAL: 'external',                     // anything outside the platform
+};
+
+export function agentLedgerAccount(agentId) {
+    return `agent:${agentId}`;
+}
+
+/**
+ * Record a balanced ledger transaction. Idempotent on (kind, reference):
+ * recording the same movement twice is a no-op.
+ *
+ * @param {object} txn
+ * @param {string} txn.kind          e.g. 'launch_payment', 'fee_claim', 'transfer', 'treasury_topup'
+ * @param {string} txn.reference     Unique id of the source record (payment id, claim id, tx signature)
+ * @param {string} [txn.agentId]
+ * @param {string} [txn.txSignature]
+ * @param {string} [txn.memo]
+ * @param {{ account: string, amount: bigint|number|string, asset?: string }[]} txn.entries
+ * @returns {Promise<{ id: string, recorded: boolean }>}
+ */
+export async function recordLedgerTransaction({ kind, reference, agentId = null, txSignature = null, memo = null, entries }) {
+    if (!entries || entries.length < 2) {
+        throw new Error('Ledger transaction needs at least two entries');
+    }
+
+    const normalized = entries.map(e => ({ account: e.account, asset: e.asset || 'SOL', amount: BigInt(e.amount) }));
+    const sums = new Map();
+    for (const e of normalized) {
+        sums.set(e.asset, (sums.get(e.asset) || 0n) + e.amount);
+    }
+    for (const [asset, sum] of sums) {
+        if (sum !== 0n) throw new Error(`Unbalanced ledger transaction ${kind}/${reference}: ${asset} entries sum to ${sum}`);
+    }
+
+    await ensureInit();
+    return withRetry(async () => {
+        const client = await pool.connect();
+        try {
+            await client.query('BEGIN');
+            const id = crypto.randomUUID();
+            const { rows } = await client.query(
+                `INSERT INTO ledger_transactions (id, kind, reference, agent_id, tx_signature, memo)
+                 VALUES ($1, $2, $3, $4, $5, $6)
+                 ON CONFLICT (kind, reference) DO NOTHING
+                 RETURNING id`,
+                [id, kind, reference, agentId, txSignature, memo]
+            );
+
+            if (!rows[0]) {
+                await client.query('ROLLBACK');
+                const existing = await client.query(
+                    'SELECT id FROM ledger_transactions WHERE kind = $1 AND reference = $2', [kind, reference]
+                );
+                return { id: existing.rows[0]?.id || null, recorded: false };
+            }
+
+            for (const e of normalized) {
+                await client.query(
+                    'INSERT INTO ledger_entries (transaction_id, account, asset, amount) VALUES ($1, $2, $3, $4)',
+                    [id, e.account, e.asset, e.amount.toString()]
+                );
+            }
+            await client.query('COMMIT');
+            return { id, recorded: true };
+        } catch (err) {
+            await client.query('ROLLBACK').catch(() => { });
+            throw err;
+        } finally {
+            client.release();
+        }
+    }, 'recordLedgerTransaction');
+}
+
+/**
+ * Balance of one ledger account in base units.
+ * @returns {Promise<bigint>}
+ */
+export async function getLedgerBalance(account, asset = 'SOL') {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        'SELECT COALESCE(SUM(amount), 0)::text AS balance FROM ledger_entries WHERE account = $1 AND asset = $2',
+        [account, asset], 'getLedgerBalance'
+    );
+    return BigInt(rows[0].balance);
+}
+
+/**
+ * Balances of all accounts (optionally filtered by prefix, e.g. 'agent:').
+ * @returns {Promise<{ account: string, asset: string, balance: bigint }[]>}
+ */
+export async function getLedgerBalances({ accountPrefix = null, asset = null } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT account, asset, SUM(amount)::text AS balance
+         FROM ledger_entries
+         WHERE ($1::text IS NULL OR account LIKE $1 || '%')
+           AND ($2::text IS NULL OR asset = $2)
+         GROUP BY account, asset
+         ORDER BY account, asset`,
+        [accountPrefix, asset], 'getLedgerBalances'
+    );
+    return rows.map(r => ({ account: r.account, asset: r.asset, balance: BigInt(r.balance) }));
+}
+
+/**
+ * Per-kind totals of an agent account's SOL movements, e.g.
+ * { fee_claim: 120000000n, launch_payment: -20000000n, transfer: -5000n }.
+ * @returns {Promise<Record<string, bigint>>}
+ */
+export async function getLedgerTotalsByKind(account, asset = 'SOL') {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT t.kind, SUM(e.amount)::text AS total
+         FROM ledger_entries e
+         JOIN ledger_transactions t ON t.id = e.transaction_id
+         WHERE e.account = $1 AND e.asset = $2
+         GROUP BY t.kind`,
+        [account, asset], 'getLedgerTotalsByKind'
+    );
+    return Object.fromEntries(rows.map(r => [r.kind, BigInt(r.total)]));
+}
+
+export async function getLedgerEntriesByAccount(account, { limit = 50, offset = 0 } = {}) {
+    await ensureInit();
+    const countResult = await queryWithRetry(
+        'SELECT COUNT(*) as count FROM ledger_entries WHERE account = $1', [account], 'getLedgerEntriesByAccount.count'
+    );
+    const total = parseInt(countResult.rows[0].count);
+
+    const { rows } = await queryWithRetry(
+        `SELECT e.id, e.account, e.asset, e.amount::text AS amount, e.created_at,
+                t.id AS transaction_id, t.kind, t.reference, t.tx_signature, t.memo
+         FROM ledger_entries e
+         JOIN ledger_transactions t ON t.id = e.transaction_id
+         WHERE e.account = $1
+         ORDER BY e.created_at DESC, e.id DESC
+         LIMIT $2 OFFSET $3`,
+        [account, limit, offset], 'getLedgerEntriesByAccount'
+    );
+
+    return {
+        entries: rows.map(r => ({
+            id: r.id,
+            transactionId: r.transaction_id,
+            kind: r.kind,
+            reference: r.reference,
+            account: r.account,
+            asset: r.asset,
+            amount: BigInt(r.amount),
+            txSignature: r.tx_signature,
+            memo: r.memo,
+            createdAt: r.created_at,
+        })),
+        total,
+        limit,
+        offset,
+        hasMore: offset + limit < total,
+    };
+}
+
+/**
+ * Ledger transactions whose entries don't sum to zero per asset.
+ * Should always be empty — recordLedgerTransaction refuses unbalanced input.
+ */
+export async function getUnbalancedLedgerTransactions() {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT transaction_id, asset, SUM(amount)::text AS imbalance
+         FROM ledger_entries
+         GROUP BY transaction_id, asset
+         HAVING SUM(amount) <> 0`,
+        [], 'getUnbalancedLedgerTransactions'
+    );
+    return rows.map(r => ({ transactionId: r.transaction_id, asset: r.asset, imbalance: BigInt(r.imbalance) }));
+}
+
+// ---------------------------------------------------------------------------
+// Idempotency Keys (see idempotency.js)
+// ---------------------------------------------------------------------------
+
+/**
+ * Reserve an idempotency key for an agent. Returns { created: true } if this
+ * request owns the key, otherwise the existing record so the caller can
+ * replay it or report a conflict. Keys older than ttlHours are purged first.
+ *
+ * A reservation is held for lockMs. An in-progress key whose lock has lapsed
+ * (the request died before storing a response) is taken over by a retry with
+ * the same fingerprint.
+ */
+export async function reserveIdempotencyKey({ agentId, key, endpoint, fingerprint, ttlHours = 24, lockMs = 120_000 }) {
+    await ensureInit();
+    await queryWithRetry(
+        `DELETE FROM idempotency_keys WHERE agent_id = $1 AND idempotency_key = $2
+         AND created_at < NOW() - ($3 || ' hours')::interval`,
+        [agentId, key, String(ttlHours)], 'purgeIdempotencyKey'
+    );
+
+    const lockedUntil = new Date(Date.now() + lockMs);
+    const { rows } = await queryWithRetry(
+        `INSERT INTO idempotency_keys (agent_id, idempotency_key, endpoint, fingerprint, locked_until)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (agent_id, idempotency_key) DO NOTHING
+         RETURNING *`,
+        [agentId, key, endpoint, fingerprint, lockedUntil], 'reserveIdempotencyKey'
+    );
+    if (rows[0]) return { created: true, record: mapIdempotencyRow(rows[0]) };
+
+    const { rows: takenOver } = await queryWithRetry(
+        `UPDATE idempotency_keys SET locked_until = $4
+         WHERE agent_id = $1 AND idempotency_key = $2 AND fingerprint = $3
+           AND status = 'in_progress' AND (locked_until IS NULL OR locked_until < NOW())
+         RETURNING *`,
+        [agentId, key, fingerprint, lockedUntil], 'takeOverIdempotencyKey'
+    );
+    if (takenOver[0]) return { created: true, record: mapIdempotencyRow(takenOver[0]) };
+
+    const { rows: existing } = await queryWithRetry(
+        'SELECT * FROM idempotency_keys WHERE agent_id = $1 AND idempotency_key = $2',
+        [agentId, key], 'getIdempotencyKey'
+    );
+    return { created: false, record: existing[0] ? mapIdempotencyRow(existing[0]) : null };
+}
+
+export async function completeIdempotencyKey(agentId, key, responseStatus, responseBody) {
+    await ensureInit();
+    await queryWithRetry(
+        `UPDATE idempotency_keys
+         SET status = 'completed', response_status = $3, response_body = $4, completed_at = NOW(), locked_until = NULL
+         WHERE agent_id = $1 AND idempotency_key = $2`,
+        [agentId, key, responseStatus, JSON.stringify(responseBody)], 'completeIdempotencyKey'
+    );
+}
+
+/**
+ * Drop a reserved key that produced no response worth replaying (handler
+ * crashed, was rate limited or hit a server error), so the client can retry
+ * with the same key.
+ */
+export async function releaseIdempotencyKey(agentId, key) {
+    await ensureInit();
+    await queryWithRetry(
+        `DELETE FROM idempotency_keys WHERE agent_id = $1 AND idempotency_key = $2 AND status = 'in_progress'`,
+        [agentId, key], 'releaseIdempotencyKey'
+    );
+}
+
+function mapIdempotencyRow(row) {
+    return {
+        agentId: row.agent_id,
+        key: row.idempotency_key,
+        endpoint: row.endpoint,
+        fingerprint: row.fingerprint,
+        status: row.status,
+        responseStatus: row.response_status,
+        responseBody: row.response_body,
+        createdAt: row.created_at,
+        completedAt: row.completed_at,
+        lockedUntil: row.locked_until,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Admin Accounts & Audit Log (see admin-auth.js)
+// ---------------------------------------------------------------------------
+
+export async function createAdminAccount({ id, name, role, keyHash, createdBy = null }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `INSERT INTO admin_accounts (id, name, role, key_hash, created_by)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [id, name, role, keyHash, createdBy], 'createAdminAccount'
+    );
+    return mapAdminAccountRow(rows[0]);
+}
+
+/**
+ * Look up an enabled admin account by key hash and stamp last_used_at.
+ */
+export async function getAdminAccountByKeyHash(keyHash) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE admin_accounts SET last_used_at = NOW()
+         WHERE key_hash = $1 AND disabled = FALSE
+         RETURNING *`,
+        [keyHash], 'getAdminAccountByKeyHash'
+    );
+    return rows[0] ? mapAdminAccountRow(rows[0]) : null;
+}
+
+export async function getAdminAccount(id) {
+    await ensureInit();
+    const { rows } = await queryWithRetry('SELECT * FROM admin_accounts WHERE id = $1', [id], 'getAdminAccount');
+    return rows[0] ? mapAdminAccountRow(rows[0]) : null;
+}
+
+export async function listAdminAccounts() {
+    await ensureInit();
+    const { rows } = await queryWithRetry('SELECT * FROM admin_accounts ORDER BY created_at ASC', [], 'listAdminAccounts');
+    return rows.map(mapAdminAccountRow);
+}
+
+/**
+ * Update admin account fields. Only whitelisted fields are written.
+ */
+export async function updateAdminAccount(id, updates) {
+    await ensureInit();
+    const dbFields = { role: 'role', disabled: 'disabled', keyHash: 'key_hash' };
+    const sets = [];
+    const values = [];
+    let idx = 1;
+
+    for (const [key, column] of Object.entries(dbFields)) {
+        if (updates[key] !== undefined) {
+            sets.push(`${column} = $${idx}`);
+            values.push(updates[key]);
+            idx++;
+        }
+    }
+
+    if (sets.length === 0) return getAdminAccount(id);
+    values.push(id);
+    await queryWithRetry(`UPDATE admin_accounts SET ${sets.join(', ')} WHERE id = $${idx}`, values, 'updateAdminAccount');
+    return getAdminAccount(id);
+}
+
+function mapAdminAccountRow(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        disabled: row.disabled,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at,
+    };
+}
+
+export async function insertAdminAuditLog({ adminId, adminName, role, action, targetType = null, targetId = null, status, details = null, ip = null }) {
+    await ensureInit();
+    await queryWithRetry(
+        `INSERT INTO admin_audit_log (admin_id, admin_name, role, action, target_type, target_id, status, details, ip)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [adminId, adminName, role, action, targetType, targetId, status, details ? JSON.stringify(details) : null, ip],
+        'insertAdminAuditLog'
+    );
+}
+
+/**
+ * @param {object} [opts]
+ * @param {string} [opts.adminId]
+ * @param {string} [opts.action]
+ * @param {string} [opts.targetType]
+ * @param {string} [opts.targetId]
+ */
+export async function getAdminAuditLog({ adminId = null, action = null, targetType = null, targetId = null, limit = 50, offset = 0 } = {}) {
+    await ensureInit();
+    const where = `($1::text IS NULL OR admin_id = $1)
+                   AND ($2::text IS NULL OR action = $2)
+                   AND ($3::text IS NULL OR target_type = $3)
+                   AND ($4::text IS NULL OR target_id = $4)`;
+    const params = [adminId, action, targetType, targetId];
+
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+        queryWithRetry(
+            `SELECT * FROM admin_audit_log WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT $5 OFFSET $6`,
+            [...params, limit, offset], 'getAdminAuditLog'
+        ),
+        queryWithRetry(`SELECT COUNT(*) AS count FROM admin_audit_log WHERE ${where}`, params, 'getAdminAuditLogCount'),
+    ]);
+
+    const total = parseInt(countRows[0]?.count || 0);
+    return {
+        entries: rows.map(row => ({
+            id: Number(row.id),
+            adminId: row.admin_id,
+            adminName: row.admin_name,
+            role: row.role,
+            action: row.action,
+            targetType: row.target_type,
+            targetId: row.target_id,
+            status: row.status,
+            details: row.details,
+            ip: row.ip,
+            createdAt: row.created_at,
+        })),
+        total,
+        limit,
+        offset,
+        hasMore: offset + rows.length < total,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Symbol Policy (see symbol-policy.js)
+// ---------------------------------------------------------------------------
 
+function mapSymbolRuleRow(row) {
     return {
-        tokens: rows.map(mapTokenRowPublic),
+        id: Number(row.id),
+        pattern: row.pattern,
+        match: row.match,
+        kind: row.kind,
+        reservedFor: row.reserved_for,
+        reason: row.reason,
+        createdBy: row.created_by,
+        createdAt: row.created_at,
+    };
+}
+
+export async function getSymbolRules() {
+    await ensureInit();
+    const { rows } = await queryWithRetry('SELECT * FROM symbol_rules ORDER BY pattern, match', [], 'getSymbolRules');
+    return rows.map(mapSymbolRuleRow);
+}
+
+/**
+ * Add a rule, or replace the one with the same pattern and match type.
+ */
+export async function upsertSymbolRule({ pattern, match = 'exact', kind, reservedFor = null, reason = null, createdBy = null }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `INSERT INTO symbol_rules (pattern, match, kind, reserved_for, reason, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         ON CONFLICT (pattern, match) DO UPDATE
+         SET kind = EXCLUDED.kind, reserved_for = EXCLUDED.reserved_for, reason = EXCLUDED.reason,
+             created_by = EXCLUDED.created_by, created_at = NOW()
+         RETURNING *`,
+        [pattern, match, kind, reservedFor, reason, createdBy], 'upsertSymbolRule'
+    );
+    return mapSymbolRuleRow(rows[0]);
+}
+
+export async function deleteSymbolRule(id) {
+    await ensureInit();
+    const { rows } = await queryWithRetry('DELETE FROM symbol_rules WHERE id = $1 RETURNING *', [id], 'deleteSymbolRule');
+    return rows[0] ? mapSymbolRuleRow(rows[0]) : null;
+}
+
+/**
+ * Tokens without stored look-alike skeletons (inserted before the columns
+ * existed), for scripts/backfill-token-skeletons.js.
+ */
+export async function getTokensMissingSkeletons({ limit = 500 } = {}) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT id, symbol, name FROM tokens
+         WHERE symbol_skeleton IS NULL OR symbol_full_skeleton IS NULL OR name_skeleton IS NULL
+         ORDER BY id
+         LIMIT $1`,
+        [limit], 'getTokensMissingSkeletons'
+    );
+    return rows;
+}
+
+export async function updateTokenSkeletons(tokenId, { symbolSkeleton, symbolFullSkeleton, nameSkeleton }) {
+    await ensureInit();
+    await queryWithRetry(
+        `UPDATE tokens SET symbol_skeleton = $2, symbol_full_skeleton = $3, name_skeleton = $4 WHERE id = $1`,
+        [tokenId, symbolSkeleton, symbolFullSkeleton, nameSkeleton], 'updateTokenSkeletons'
+    );
+}
+
+/**
+ * Tokens whose symbol or name reduces to the same skeleton as a new launch.
+ * Compares against the skeletons stored at insert time (see tokenSkeletons()
+ * in symbol-policy.js); tokens from before those columns existed match once
+ * scripts/backfill-token-skeletons.js has filled them in.
+ *
+ * @param {object} opts
+ * @param {string} opts.symbol             New symbol (exact duplicates are excluded — they are caught separately)
+ * @param {string} opts.symbolSkeleton     Skeleton with trailing digits dropped
+ * @param {string} opts.symbolFullSkeleton Skeleton with trailing digits kept
+ * @param {string|null} opts.nameSkeleton
+ */
+export async function findLookalikeTokens({ symbol, symbolSkeleton, symbolFullSkeleton, nameSkeleton, limit = 5 }) {
+    await ensureInit();
+    const symbolMatch = `(symbol_skeleton = $2 OR symbol_full_skeleton = $3)`;
+    const { rows } = await queryWithRetry(
+        `SELECT id, symbol, name, agent_id, ${symbolMatch} AS symbol_match
+         FROM tokens
+         WHERE symbol <> $1
+           AND (${symbolMatch} OR ($4::text IS NOT NULL AND name_skeleton = $4))
+         ORDER BY created_at
+         LIMIT $5`,
+        [symbol, symbolSkeleton, symbolFullSkeleton, nameSkeleton, limit], 'findLookalikeTokens'
+    );
+    return rows.map(row => ({
+        id: row.id,
+        symbol: row.symbol,
+        name: row.name,
+        agentId: row.agent_id,
+        matchedOn: row.symbol_match ? 'symbol' : 'name',
+    }));
+}
+
+export async function insertSymbolRejection({ agentId = null, source, symbol, name = null, code, reason, matched = null }) {
+    await ensureInit();
+    await queryWithRetry(
+        `INSERT INTO symbol_rejections (agent_id, source, symbol, name, code, reason, matched)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [agentId, source, symbol, name, code, reason, matched], 'insertSymbolRejection'
+    );
+}
+
+export async function getSymbolRejections({ code = null, agentId = null, limit = 50, offset = 0 } = {}) {
+    await ensureInit();
+    const where = `($1::text IS NULL OR code = $1) AND ($2::text IS NULL OR agent_id = $2)`;
+    const params = [code, agentId];
+
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+        queryWithRetry(
+            `SELECT * FROM symbol_rejections WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT $3 OFFSET $4`,
+            [...params, limit, offset], 'getSymbolRejections'
+        ),
+        queryWithRetry(`SELECT COUNT(*) AS count FROM symbol_rejections WHERE ${where}`, params, 'getSymbolRejectionsCount'),
+    ]);
+
+    const total = parseInt(countRows[0]?.count || 0);
+    return {
+        rejections: rows.map(row => ({
+            id: Number(row.id),
+            agentId: row.agent_id,
+            source: row.source,
+            symbol: row.symbol,
+            name: row.name,
+            code: row.code,
+            reason: row.reason,
+            matched: row.matched,
+            createdAt: row.created_at,
+        })),
         total,
         limit,
         offset,
-        hasMore: offset + limit < total,
+        hasMore: offset + rows.length < total,
     };
 }
 
-function mapTokenRow(row) {
+// ---------------------------------------------------------------------------
+// Agent Webhooks (see webhooks.js)
+// ---------------------------------------------------------------------------
+
+function mapWebhookRow(row) {
     return {
         id: row.id,
-        name: row.name,
-        symbol: row.symbol,
-        description: row.description,
-        imageUrl: row.image_url,
         agentId: row.agent_id,
-        agentName: row.agent_name,
-        walletAddress: row.wallet_address,
-        website: row.website,
-        twitter: row.twitter,
-        telegram: row.telegram,
-        mintAddress: row.mint_address,
-        txSignature: row.tx_signature,
-        pumpUrl: row.pump_url,
-        explorerUrl: row.explorer_url,
-        burnTxSig: row.burn_tx_sig,
-        devAllocation: row.dev_allocation,
-        launchType: row.launch_type,
-        creatorSharePct: row.creator_share_pct,
-        platformSharePct: row.platform_share_pct,
-        marketCap: row.market_cap,
-        volume24h: row.volume_24h,
-        totalVolume: row.total_volume,
-        feesEarned: row.fees_earned,
-        feesPending: row.fees_pending,
-        simulated: row.simulated,
-        source: row.source,
-        status: row.status,
-        feeSharingStatus: row.fee_sharing_status,
-        feeSharingTx: row.fee_sharing_tx,
+        url: row.url,
+        events: row.events || [],
+        secret: row.secret,
+        description: row.description,
+        active: row.active,
+        consecutiveFailures: row.consecutive_failures,
+        disabledReason: row.disabled_reason,
+        lastDeliveryAt: row.last_delivery_at,
         createdAt: row.created_at,
+        updatedAt: row.updated_at,
     };
 }
 
-function mapTokenRowPublic(row) {
+export async function createAgentWebhook({ id, agentId, url, events, secret, description = null }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `INSERT INTO agent_webhooks (id, agent_id, url, events, secret, description)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [id, agentId, url, JSON.stringify(events), secret, description], 'createAgentWebhook'
+    );
+    return mapWebhookRow(rows[0]);
+}
+
+export async function getAgentWebhooks(agentId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        'SELECT * FROM agent_webhooks WHERE agent_id = $1 ORDER BY created_at',
+        [agentId], 'getAgentWebhooks'
+    );
+    return rows.map(mapWebhookRow);
+}
+
+/**
+ * A webhook, scoped to its owning agent.
+ */
+export async function getAgentWebhook(agentId, webhookId) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        'SELECT * FROM agent_webhooks WHERE id = $1 AND agent_id = $2',
+        [webhookId, agentId], 'getAgentWebhook'
+    );
+    return rows[0] ? mapWebhookRow(rows[0]) : null;
+}
+
+/**
+ * Update webhook fields. Only whitelisted fields are written; re-activating
+ * a webhook clears its failure streak.
+ */
+export async function updateAgentWebhook(agentId, webhookId, updates) {
+    await ensureInit();
+    const dbFields = {
+        url: 'url',
+        events: 'events',
+        secret: 'secret',
+        description: 'description',
+        active: 'active',
+    };
+    const sets = ['updated_at = NOW()'];
+    const values = [];
+    let idx = 1;
+
+    for (const [key, column] of Object.entries(dbFields)) {
+        if (updates[key] !== undefined) {
+            sets.push(`${column} = $${idx}`);
+            values.push(key === 'events' ? JSON.stringify(updates[key]) : updates[key]);
+            idx++;
+        }
+    }
+    if (updates.active === true) {
+        sets.push('consecutive_failures = 0', 'disabled_reason = NULL');
+    }
+
+    values.push(webhookId, agentId);
+    const { rows } = await queryWithRetry(
+        `UPDATE agent_webhooks SET ${sets.join(', ')} WHERE id = $${idx} AND agent_id = $${idx + 1} RETURNING *`,
+        values, 'updateAgentWebhook'
+    );
+    return rows[0] ? mapWebhookRow(rows[0]) : null;
+}
+
+export async function deleteAgentWebhook(agentId, webhookId) {
+    await ensureInit();
+    const { rowCount } = await queryWithRetry(
+        'DELETE FROM agent_webhooks WHERE id = $1 AND agent_id = $2',
+        [webhookId, agentId], 'deleteAgentWebhook'
+    );
+    return rowCount > 0;
+}
+
+/**
+ * Active webhooks of an agent subscribed to an event (or to "*").
+ */
+export async function getWebhooksForEvent(agentId, event) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `SELECT * FROM agent_webhooks
+         WHERE agent_id = $1 AND active AND (events ? $2 OR events ? '*')`,
+        [agentId, event], 'getWebhooksForEvent'
+    );
+    return rows.map(mapWebhookRow);
+}
+
+/**
+ * Track the outcome of a finished delivery. A success resets the failure
+ * streak; `maxFailures` consecutive failed deliveries disable the webhook.
+ */
+export async function recordWebhookResult(webhookId, { success, maxFailures }) {
+    await ensureInit();
+    const { rows } = await queryWithRetry(
+        `UPDATE agent_webhooks SET
+             consecutive_failures = CASE WHEN $2 THEN 0 ELSE consecutive_failures + 1 END,
+             active = CASE WHEN NOT $2 AND consecutive_failures + 1 >= $3 THEN FALSE ELSE active END,
+             disabled_reason = CASE WHEN NOT $2 AND consecutive_failures + 1 >= $3
+                 THEN 'Disabled after ' || $3 || ' consecutive failed deliveries' ELSE disabled_reason END,
+             last_delivery_at = NOW(),
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [webhookId, success, maxFailures], 'recordWebhookResult'
+    );
+    return rows[0] ? mapWebhookRow(rows[0]) : null;
+}
+
+function mapWebhookDeliveryRow(row) {
     return {
-        name: row.name,
-        symbol: row.symbol,
-        description: row.description,
-        imageUrl: row.image_url,
+        id: row.id,
+        webhookId: row.webhook_id,
         agentId: row.agent_id,
-        agentName: row.agent_name,
-        mintAddress: row.mint_address,
-        pumpUrl: row.pump_url,
-        explorerUrl: row.explorer_url,
-        launchType: row.launch_type,
-        creatorSharePct: row.creator_share_pct,
-        platformSharePct: row.platform_share_pct,
-        marketCap: row.market_cap,
-        volume24h: row.volume_24h,
-        totalVolume: row.total_volume,
-        feesEarned: row.fees_earned,
+        event: row.event,
+        eventId: row.event_id,
+        payload: row.payload,
         status: row.status,
-        source: row.source,
-        feeSharingStatus: row.fee_sharing_status,
+        attempts: row.attempts,
+        nextAttemptAt: row.next_attempt_at,
+        responseStatus: row.response_status,
+        responseBody: row.response_body,
+        errorMsg: row.error_msg,
+        durationMs: row.duration_ms,
         createdAt: row.created_at,
+        deliveredAt: row.delivered_at,
     };
 }
 
-// ---------------------------------------------------------------------------
-// Fee Sharing Status
-// ---------------------------------------------------------------------------
-
-export async function updateTokenFeeSharing(tokenId, status, txSignature = null) {
+export async function insertWebhookDelivery({ id, webhookId, agentId, event, eventId, payload }) {
     await ensureInit();
-    await queryWithRetry(
-        `UPDATE tokens SET fee_sharing_status = $1, fee_sharing_tx = $2 WHERE id = $3`,
-        [status, txSignature, tokenId], 'updateTokenFeeSharing'
+    const { rows } = await queryWithRetry(
+        `INSERT INTO webhook_deliveries (id, webhook_id, agent_id, event, event_id, payload)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [id, webhookId, agentId, event, eventId, JSON.stringify(payload)], 'insertWebhookDelivery'
     );
+    return mapWebhookDeliveryRow(rows[0]);
 }
 
-export async function getTokensPendingFeeSharing() {
+/**
+ * Atomically claim due pending deliveries (or specific ones) and lock them,
+ * joined with the webhook's current URL and secret. Deliveries of disabled
+ * or deleted webhooks are not claimed.
+ *
+ * @param {object} [opts]
+ * @param {string[]} [opts.ids]   Claim only these deliveries
+ * @param {number} [opts.limit]
+ * @param {number} [opts.lockMs]  Lock duration
+ */
+export async function claimWebhookDeliveries({ ids = null, limit = 25, lockMs = 60_000 } = {}) {
     await ensureInit();
     const { rows } = await queryWithRetry(
-        `SELECT * FROM tokens WHERE fee_sharing_status = 'pending' AND mint_address IS NOT NULL ORDER BY created_at ASC`,
-        [], 'getTokensPendingFeeSharing'
+        `WITH claimed AS (
+             UPDATE webhook_deliveries SET locked_until = NOW() + ($1 || ' milliseconds')::interval
+             WHERE id IN (
+                 SELECT d.id FROM webhook_deliveries d
+                 JOIN agent_webhooks w ON w.id = d.webhook_id
+                 WHERE d.status = 'pending'
+                   AND w.active
+                   AND d.next_attempt_at <= NOW()
+                   AND (d.locked_until IS NULL OR d.locked_until < NOW())
+                   AND ($2::text[] IS NULL OR d.id = ANY($2))
+                 ORDER BY d.next_attempt_at ASC
+                 LIMIT $3
+                 FOR UPDATE OF d SKIP LOCKED
+             )
+             RETURNING *
+         )
+         SELECT claimed.*, w.url AS webhook_url, w.secret AS webhook_secret
+         FROM claimed JOIN agent_webhooks w ON w.id = claimed.webhook_id`,
+        [String(lockMs), ids, limit], 'claimWebhookDeliveries'
     );
-    return rows.map(mapTokenRow);
+    return rows.map(row => ({
+        ...mapWebhookDeliveryRow(row),
+        url: row.webhook_url,
+        secret: row.webhook_secret,
+    }));
 }
 
-// ---------------------------------------------------------------------------
-// Fee Claims
-// ---------------------------------------------------------------------------
+/**
+ * Update delivery fields. Only whitelisted fields are written.
+ */
+export async function updateWebhookDelivery(deliveryId, updates) {
+    await ensureInit();
+    const dbFields = {
+        status: 'status',
+        attempts: 'attempts',
+        nextAttemptAt: 'next_attempt_at',
+        lockedUntil: 'locked_until',
+        responseStatus: 'response_status',
+        responseBody: 'response_body',
+        errorMsg: 'error_msg',
+        durationMs: 'duration_ms',
+        deliveredAt: 'delivered_at',
+    };
+    const sets = [];
+    const values = [];
+    let idx = 1;
 
-export async function insertFeeClaim({ id, agentId, mintAddress, amountLamports, amountSol, txSignature, status }) {
+    for (const [key, column] of Object.entries(dbFields)) {
+        if (updates[key] !== undefined) {
+            sets.push(`${column} = $${idx}`);
+            values.push(updates[key]);
+            idx++;
+        }
+    }
+    if (sets.length === 0) return;
+
+    values.push(deliveryId);
+    await queryWithRetry(`UPDATE webhook_deliveries SET ${sets.join(', ')} WHERE id = $${idx}`, values, 'updateWebhookDelivery');
+}
+
+export async function getWebhookDeliveries(webhookId, { status = null, limit = 20, offset = 0 } = {}) {
     await ensureInit();
-    await queryWithRetry(
-        `INSERT INTO fee_claims (id, agent_id, mint_address, amount_lamports, amount_sol, tx_signature, status)
-         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-        [id, agentId, mintAddress || null, amountLamports || 0, amountSol || 0, txSignature, status || 'completed'],
-        'insertFeeClaim'
-    );
+    const where = `webhook_id = $1 AND ($2::text IS NULL OR status = $2)`;
+    const params = [webhookId, status];
+
+    const [{ rows }, { rows: countRows }] = await Promise.all([
+        queryWithRetry(
+            `SELECT * FROM webhook_deliveries WHERE ${where} ORDER BY created_at DESC LIMIT $3 OFFSET $4`,
+            [...params, limit, offset], 'getWebhookDeliveries'
+        ),
+        queryWithRetry(`SELECT COUNT(*) AS count FROM webhook_deliveries WHERE ${where}`, params, 'getWebhookDeliveriesCount'),
+    ]);
+
+    const total = parseInt(countRows[0]?.count || 0);
+    return { deliveries: rows.map(mapWebhookDeliveryRow), total, limit, offset, hasMore: offset + rows.length < total };
 }
 
-export async function getFeeClaimsByAgent(agentId, { limit = 20, offset = 0 } = {}) {
+// ---------------------------------------------------------------------------
+// Leaderboard
+// ---------------------------------------------------------------------------
+
+const LEADERBOARD_SORTS = {
+    earned: 'total_earned DESC',
+    volume: 'total_volume DESC',
+    tokens: 'tokens_launched DESC',
+    success_rate: 'success_rate DESC NULLS LAST, tokens_launched DESC',
+};
+
+const LEADERBOARD_WINDOWS = {
+    '24h': '24 hours',
+    '7d': '7 days',
+    '30d': '30 days',
+    all: null,
+};
+
+export const LEADERBOARD_SORT_KEYS = Object.keys(LEADERBOARD_SORTS);
+export const LEADERBOARD_WINDOW_KEYS = Object.keys(LEADERBOARD_WINDOWS);
+
+/**
+ * Rank agents by their activity within a time window. Each column counts
+ * what happened inside the window:
+ *   - earned: SOL from fee claims completed in the window
+ *   - tokens: tokens launched in the window
+ *   - volume: trading volume of the tokens launched in the window (volume
+ *     has no history, so this is their volume to date)
+ *   - success rate: share of launch jobs finished in the window that ended
+ *     done rather than failed; null for an agent with none finished
+ *
+ * @param {object} opts
+ * @param {'earned'|'volume'|'tokens'|'success_rate'} [opts.sort]
+ * @param {'24h'|'7d'|'30d'|'all'} [opts.window]
+ * @param {number} [opts.limit]
+ * @param {number} [opts.offset]
+ */
+export async function getLeaderboard({ sort = 'earned', window = 'all', limit = 10, offset = 0 } = {}) {
     await ensureInit();
-    const countResult = await queryWithRetry('SELECT COUNT(*) as count FROM fee_claims WHERE agent_id = $1', [agentId], 'getFeeClaimsByAgent.count');
+    const orderBy = LEADERBOARD_SORTS[sort] || LEADERBOARD_SORTS.earned;
+    const interval = LEADERBOARD_WINDOWS[window] ?? null;
+
+    // Interval comes from a fixed whitelist above, so it is safe to pass as a parameter cast
+    const inWindow = column => `($1::interval IS NULL OR ${column} > NOW() - $1::interval)`;
+    const board = `
+        launched AS (
+            SELECT agent_id, COUNT(*) AS tokens_launched, SUM(total_volume) AS total_volume, MAX(agent_name) AS agent_name
+            FROM tokens WHERE ${inWindow('created_at')}
+            GROUP BY agent_id
+        ),
+        earned AS (
+            SELECT agent_id, SUM(amount_sol) AS total_earned
+            FROM fee_claims WHERE status = 'completed' AND ${inWindow('created_at')}
+            GROUP BY agent_id
+        ),
+        finished AS (
+            SELECT agent_id, COUNT(*) FILTER (WHERE status = 'done') AS done, COUNT(*) AS finished
+            FROM launch_jobs WHERE status IN ('done', 'failed') AND ${inWindow('updated_at')}
+            GROUP BY agent_id
+        ),
+        board AS (
+            SELECT agent_id FROM launched
+            UNION SELECT agent_id FROM earned
+            UNION SELECT agent_id FROM finished
+        )`;
+
+    const countResult = await queryWithRetry(
+        `WITH ${board} SELECT COUNT(*) as count FROM board`,
+        [interval], 'getLeaderboard.count'
+    );
     const total = parseInt(countResult.rows[0].count);
 
     const { rows } = await queryWithRetry(
-        `SELECT * FROM fee_claims WHERE agent_id = $1 ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
-        [agentId, limit, offset], 'getFeeClaimsByAgent'
+        `WITH ${board}
+         SELECT b.agent_id,
+                COALESCE(a.agent_name, l.agent_name, b.agent_id) as agent_name,
+                a.platform,
+                COALESCE(l.tokens_launched, 0) as tokens_launched,
+                COALESCE(e.total_earned, 0) as total_earned,
+                COALESCE(l.total_volume, 0) as total_volume,
+                f.done::float / NULLIF(f.finished, 0) as success_rate
+         FROM board b
+         LEFT JOIN agents a ON a.agent_id = b.agent_id
+         LEFT JOIN launched l ON l.agent_id = b.agent_id
+         LEFT JOIN earned e ON e.agent_id = b.agent_id
+         LEFT JOIN finished f ON f.agent_id = b.agent_id
+         ORDER BY ${orderBy}, b.agent_id ASC
+         LIMIT $2 OFFSET $3`,
+        [interval, limit, offset], 'getLeaderboard'
     );
 
     return {
-        claims: rows.map(r => ({
-            id: r.id,
+        agents: rows.map(r => ({
             agentId: r.agent_id,
-            mintAddress: r.mint_address,
-            amountLamports: parseInt(r.amount_lamports),
-            amountSol: r.amount_sol,
-            txSignature: r.tx_signature,
-            status: r.status,
-            createdAt: r.created_at,
+            agentName: r.agent_name,
+            platform: r.platform,
+            tokensLaunched: parseInt(r.tokens_launched),
+            totalEarned: parseFloat(r.total_earned || 0),
+            totalVolume: parseFloat(r.total_volume || 0),
+            successRate: r.success_rate === null ? null : parseFloat(r.success_rate),
         })),
         total,
         limit,
@@ -715,32 +3498,6 @@ export async function getFeeClaimsByAgent(agentId, { limit = 20, offset = 0 } =
     };
 }
 
-// ---------------------------------------------------------------------------
-// Leaderboard
-// ---------------------------------------------------------------------------
-
-export async function getLeaderboard(limit = 10) {
-    await ensureInit();
-    const { rows } = await queryWithRetry(
-        `SELECT t.agent_id, t.agent_name,
-                COUNT(*) as tokens_launched,
-                SUM(t.fees_earned) as total_earned,
-                SUM(t.total_volume) as total_volume
-         FROM tokens t
-         GROUP BY t.agent_id, t.agent_name
-         ORDER BY total_earned DESC
-         LIMIT $1`,
-        [limit], 'getLeaderboard'
-    );
-    return rows.map(r => ({
-        agentId: r.agent_id,
-        agentName: r.agent_name,
-        tokensLaunched: parseInt(r.tokens_launched),
-        totalEarned: parseFloat(r.total_earned || 0),
-        totalVolume: parseFloat(r.total_volume || 0),
-    }));
-}
-
 // ---------------------------------------------------------------------------
 // Stats
 // ---------------------------------------------------------------------------
@@ -769,6 +3526,62 @@ export async function getStats() {
     };
 }
 
+// ---------------------------------------------------------------------------
+// Platform Events (LISTEN/NOTIFY — see platform-events.js)
+// ---------------------------------------------------------------------------
+
+const PLATFORM_EVENTS_CHANNEL = 'clawdpump_events';
+
+/**
+ * Broadcast an event to every server instance listening on the channel.
+ * Payloads must stay under Postgres' 8000-byte NOTIFY limit.
+ */
+export async function notifyPlatformEvent(event) {
+    await ensureInit();
+    await queryWithRetry('SELECT pg_notify($1, $2)', [PLATFORM_EVENTS_CHANNEL, JSON.stringify(event)], 'notifyPlatformEvent');
+}
+
+/**
+ * Listen for platform events on a dedicated connection (LISTEN can't share
+ * pooled clients). The caller reconnects after `onError`.
+ *
+ * @param {(event: object) => void} onEvent
+ * @param {(err: Error) => void} onError
+ * @returns {Promise<() => Promise<void>>} stops listening and closes the connection
+ */
+export async function listenPlatformEvents(onEvent, onError) {
+    const client = new pg.Client({ connectionString: DATABASE_URL, keepAlive: true });
+    let closed = false;
+
+    client.on('notification', (msg) => {
+        try {
+            onEvent(JSON.parse(msg.payload));
+        } catch (err) {
+            console.error('[DB] Bad platform event payload:', err.message);
+        }
+    });
+    client.on('error', (err) => {
+        if (closed) return;
+        closed = true;
+        client.end().catch(() => {});
+        onError(err);
+    });
+    client.on('end', () => {
+        if (closed) return;
+        closed = true;
+        onError(new Error('Listener connection ended'));
+    });
+
+    await client.connect();
+    await client.query(`LISTEN ${PLATFORM_EVENTS_CHANNEL}`);
+
+    return async () => {
+        if (closed) return;
+        closed = true;
+        await client.end().catch(() => {});
+    };
+}
+
 // ---------------------------------------------------------------------------
 // Fee Split Config
 // ---------------------------------------------------------------------------
@@ -0,0 +1,95 @@
+/**
+ * Fee sharing reconciler.
+ *
+ * Finds tokens whose fee sharing never got configured (status 'pending' or
+ * 'failed'), inspects the on-chain sharing config through the pump SDK and
+ * repairs it: creates the config if missing, rewrites shareholders if they
+ * don't match the tier split, or just marks the token configured if the
+ * chain is already correct. Every attempt is recorded in fee_sharing_attempts.
+ *
+ * Entry points:
+ *   - GET /api/fee-sharing/reconcile (cron)
+ *   - node scripts/reconcile-fee-sharing.js (manual / ops)
+ *   - POST /api/admin/fee-sharing/rerun (admin console, any status)
+ */
+
+import {
+    getAgent, getTokensPendingFeeSharing, updateTokenFeeSharing, insertFeeSharingAttempt,
+    getActiveWalletExport,
+} from './db.js';
+import { repairFeeSharing } from './pumpfun.js';
+import { emitAgentEvent } from './webhooks.js';
+import { publishFeeSharingChange } from './platform-events.js';
+
+/**
+ * @param {object} [opts]
+ * @param {number} [opts.limit]        Max tokens per run
+ * @param {string} [opts.tokenId]      Only reconcile this token (skips age/backoff filters)
+ * @param {boolean} [opts.force]       With tokenId: re-check even if already configured
+ * @param {number} [opts.timeBudgetMs] Stop picking up new tokens after this long
+ * @returns {Promise<{ checked: number, configured: number, failed: number, results: object[] }>}
+ */
+export async function reconcileFeeSharing({ limit = 10, tokenId = null, force = false, timeBudgetMs = 50_000 } = {}) {
+    const startedAt = Date.now();
+    const tokens = await getTokensPendingFeeSharing({ limit, tokenId, anyStatus: force });
+    const summary = { checked: 0, configured: 0, failed: 0, results: [] };
+
+    for (const token of tokens) {
+        if (Date.now() - startedAt > timeBudgetMs) break;
+
+        const result = await reconcileToken(token);
+        summary.checked++;
+        if (result.status === 'success') summary.configured++;
+        else summary.failed++;
+        summary.results.push(result);
+    }
+
+    if (summary.checked > 0) {
+        console.log(`[FeeSharing] Reconciled ${summary.checked} tokens: ${summary.configured} configured, ${summary.failed} failed`);
+    }
+    return summary;
+}
+
+async function reconcileToken(token) {
+    const base = { tokenId: token.id, symbol: token.symbol, mintAddress: token.mintAddress };
+    let action = 'repair';
+
+    try {
+        // Use the agent's current wallet (or the one it is migrating to); fall
+        // back to the one recorded at launch
+        const agent = await getAgent(token.agentId);
+        const walletExport = await getActiveWalletExport(token.agentId);
+        const migratingTo = walletExport?.mode === 'migrate' && walletExport.status !== 'pending' ? walletExport.destination : null;
+        const agentWallet = migratingTo || agent?.walletAddress || token.walletAddress;
+        if (!agentWallet) throw new Error('Agent wallet not found');
+
+        const repaired = await repairFeeSharing({
+            mintAddress: token.mintAddress,
+            agentWallet,
+            launchType: token.launchType,
+        });
+        action = repaired.action;
+
+        const updated = await updateTokenFeeSharing(token.id, 'configured', repaired.txSignature || token.feeSharingTx);
+        await publishFeeSharingChange(updated);
+        await insertFeeSharingAttempt({ ...base, action, status: 'success', txSignature: repaired.txSignature });
+        await emitAgentEvent(token.agentId, 'fee_sharing.configured', {
+            tokenId: token.id,
+            symbol: token.symbol,
+            mintAddress: token.mintAddress,
+            feeSharingTx: repaired.txSignature || token.feeSharingTx || null,
+            launchType: token.launchType,
+            action,
+        });
+
+        console.log(`[FeeSharing] ${token.symbol} (${token.mintAddress}): ${action} ok`);
+        return { ...base, action, status: 'success', txSignature: repaired.txSignature };
+    } catch (err) {
+        console.error(`[FeeSharing] ${token.symbol} (${token.mintAddress}): ${action} failed:`, err.message);
+
+        await publishFeeSharingChange(await updateTokenFeeSharing(token.id, 'failed', token.feeSharingTx));
+        await insertFeeSharingAttempt({ ...base, action, status: 'failed', errorMsg: err.message });
+
+        return { ...base, action, status: 'failed', error: err.message, attempts: token.feeSharingAttempts + 1 };
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * Idempotency-Key support for state-changing agent endpoints.
+ *
+ * Clients may send an `Idempotency-Key` header on POST /api/launch, /api/send
+ * and /api/claim-fees. The first request with a key runs normally and its
+ * final response is stored (per agent) alongside a fingerprint of the request.
+ * Retries with the same key and body get the stored response back instead of
+ * running the action again; reusing a key with a different body is a 409.
+ *
+ * Rate-limited (429) and server-error (5xx) responses are not stored: the key
+ * is released so a retry runs the action again. A key is held in progress for
+ * at most two minutes; if the request dies without storing its response, a
+ * retry with the same body takes the key over after that.
+ *
+ * Keys expire after 24 hours.
+ */
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { reserveIdempotencyKey, completeIdempotencyKey, releaseIdempotencyKey } from './db.js';
+
+export const IDEMPOTENCY_HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const KEY_TTL_HOURS = 24;
+const KEY_LOCK_MS = 2 * 60_000;
+
+/**
+ * Stable SHA-256 fingerprint of an endpoint + request payload.
+ * Object keys are sorted so field order doesn't matter; Buffers are hashed.
+ */
+export function fingerprintRequest(endpoint, payload) {
+    const canonical = JSON.stringify(payload ?? null, (_key, value) => {
+        if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+            return `sha256:${crypto.createHash('sha256').update(Buffer.from(value.data)).digest('hex')}`;
+        }
+        if (value && typeof value === 'object' && !Array.isArray(value)) {
+            return Object.fromEntries(Object.keys(value).sort().map(k => [k, value[k]]));
+        }
+        return value;
+    });
+    return crypto.createHash('sha256').update(`${endpoint}\n${canonical}`).digest('hex');
+}
+
+/**
+ * Run `handler` at most once per (agent, Idempotency-Key).
+ * Without the header the handler simply runs.
+ *
+ * @param {Request} request
+ * @param {object} opts
+ * @param {string} opts.agentId
+ * @param {string} opts.endpoint   e.g. 'POST /api/send'
+ * @param {any} opts.payload       Request data used for the fingerprint
+ * @param {() => Promise<NextResponse>} handler
+ * @returns {Promise<NextResponse>}
+ */
+export async function withIdempotency(request, { agentId, endpoint, payload }, handler) {
+    const key = request.headers.get(IDEMPOTENCY_HEADER)?.trim();
+    if (!key) return handler();
+
+    if (key.length > MAX_KEY_LENGTH) {
+        return NextResponse.json({
+            success: false,
+            error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+        }, { status: 400 });
+    }
+
+    const fingerprint = fingerprintRequest(endpoint, payload);
+    const { created, record } = await reserveIdempotencyKey({
+        agentId, key, endpoint, fingerprint, ttlHours: KEY_TTL_HOURS, lockMs: KEY_LOCK_MS,
+    });
+
+    if (!created) {
+        if (!record || record.fingerprint !== fingerprint) {
+            return NextResponse.json({
+                success: false,
+                error: 'Idempotency-Key was already used with a different request. Use a new key for a new request.',
+            }, { status: 409 });
+        }
+
+        if (record.status !== 'completed') {
+            return NextResponse.json({
+                success: false,
+                error: 'A request with this Idempotency-Key is still in progress. Retry shortly.',
+            }, { status: 409, headers: { 'Retry-After': '2' } });
+        }
+
+        return NextResponse.json(record.responseBody, {
+            status: record.responseStatus,
+            headers: { 'Idempotent-Replayed': 'true' },
+        });
+    }
+
+    let response;
+    try {
+        response = await handler();
+    } catch (err) {
+        await releaseIdempotencyKey(agentId, key);
+        throw err;
+    }
+
+    if (response.status === 429 || response.status >= 500) {
+        await releaseIdempotencyKey(agentId, key);
+        return response;
+    }
+
+    try {
+        const body = await response.clone().json();
+        await completeIdempotencyKey(agentId, key, response.status, body);
+    } catch (err) {
+        console.error(`[Idempotency] Failed to store response for ${endpoint} key ${key}:`, err.message);
+    }
+
+    return response;
+}
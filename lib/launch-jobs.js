@@ -0,0 +1,447 @@
+/**
+ * Persistent launch job queue.
+ *
+ * POST /api/launch enqueues a job and returns immediately. A worker (kicked off
+ * after the response, plus a cron sweep) moves each job through resumable steps:
+ *
+ *   queued → uploading_metadata → creating → configuring_fees → done
+ *                                                             ↘ failed
+ *
+ * Every step persists its output before advancing, so a crashed or timed-out
+ * worker resumes where it stopped:
+ *   - the paid launch fee is charged inside the create transaction, so the
+ *     agent pays only if the token is created; every paid launch has a
+ *     launch_payments row (completed, or failed and never charged)
+ *   - the mint keypair is stored encrypted before the create tx is sent, and a
+ *     resumed job checks on-chain whether that mint already exists
+ *   - the token row is inserted as soon as the mint exists, so fee sharing
+ *     failures never lose a launched token
+ *
+ * Failed steps are retried with backoff up to MAX_STEP_ATTEMPTS; a job whose
+ * mint landed never fails, it keeps retrying until its token is saved
+ * (stalled jobs: GET /api/admin/launches). Finished jobs
+ * notify the agent's webhooks (launch.succeeded / launch.failed), and a failed
+ * free launch gives the agent its free launch back.
+ */
+
+import {
+    insertLaunchJob, getLaunchJob, claimLaunchJob, updateLaunchJob,
+    getAgent, insertToken, updateTokenFeeSharing, getFeeSplit,
+    ensureLaunchPayment, getLaunchPaymentByJob, updateLaunchPayment,
+} from './db.js';
+import {
+    isSimulateMode, assertTreasuryFunded, uploadTokenMetadata, getPaidLaunchLamports,
+    createTokenOnChain, isMintCreated, repairFeeSharing,
+} from './pumpfun.js';
+import { recordLaunchPayment } from './ledger.js';
+import { releaseRateLimit } from './rate-limit.js';
+import { encryptPrivateKey, decryptPrivateKey } from './wallet-crypto.js';
+import { getAgentSigner } from './signers/index.js';
+import { getAgentRestriction } from './moderation.js';
+import { tokenSkeletons } from './symbol-policy.js';
+import { emitAgentEvent } from './webhooks.js';
+import { publishTokenLaunched, publishFeeSharingChange } from './platform-events.js';
+
+export const LAUNCH_JOB_STATES = ['queued', 'uploading_metadata', 'creating', 'configuring_fees', 'done', 'failed'];
+
+export const MAX_STEP_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_MS = 15_000;
+const FEE_SHARING_DELAY_MS = 5_000; // let the mint finalize before configuring fee sharing
+const JOB_LOCK_MS = 120_000;
+const STALLED_RETRY_DELAY_MS = 30 * 60_000; // landed mint whose token row could not be saved
+
+/**
+ * Enqueue a launch. Eligibility, tier and rate limits must already be
+ * checked — use launchToken() in launch-service.js rather than calling this.
+ *
+ * @param {object} opts
+ * @param {object} opts.agent        Agent record (from getAgent/getAgentByApiKey)
+ * @param {'free'|'paid'} opts.launchType
+ * @param {object} opts.token        { name, symbol, description, imageUrl, website, twitter, telegram }
+ * @param {Buffer} [opts.imageBuffer]
+ * @param {string} [opts.imageMime]
+ * @param {string} [opts.source]     'api' or scanner platform
+ * @param {string} [opts.postId]     Scanner post that requested the launch
+ */
+export async function enqueueLaunch({ agent, launchType, token, imageBuffer = null, imageMime = null, source = 'api', postId = null }) {
+    return insertLaunchJob({
+        id: crypto.randomUUID(),
+        agentId: agent.agentId,
+        launchType,
+        source,
+        postId,
+        ...token,
+        imageBuffer,
+        imageMime,
+    });
+}
+
+/**
+ * Process runnable jobs until none are left, maxJobs is reached, or the time
+ * budget runs out.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.jobId]        Only process this job
+ * @param {number} [opts.maxJobs]
+ * @param {number} [opts.timeBudgetMs]
+ * @returns {Promise<{ processed: number, done: number, failed: number, retrying: number }>}
+ */
+export async function runLaunchWorker({ jobId = null, maxJobs = 5, timeBudgetMs = 50_000 } = {}) {
+    const startedAt = Date.now();
+    const summary = { processed: 0, done: 0, failed: 0, retrying: 0 };
+
+    while (summary.processed < maxJobs && Date.now() - startedAt < timeBudgetMs) {
+        const job = await claimLaunchJob({ jobId, lockMs: JOB_LOCK_MS });
+        if (!job) break;
+
+        const finalStatus = await processLaunchJob(job);
+        summary.processed++;
+        if (finalStatus === 'done') summary.done++;
+        else if (finalStatus === 'failed') summary.failed++;
+        else summary.retrying++;
+
+        if (jobId) break;
+    }
+
+    return summary;
+}
+
+/**
+ * Run a claimed job from its current state to completion (or until a step
+ * fails and is rescheduled).
+ *
+ * @returns {Promise<string>} the job status after this run
+ */
+export async function processLaunchJob(job) {
+    let current = job;
+
+    while (current.status !== 'done' && current.status !== 'failed') {
+        try {
+            const updates = await runStep(current);
+            await updateLaunchJob(current.id, { ...updates, attempts: 0, errorMsg: null });
+            current = { ...current, ...updates, attempts: 0 };
+        } catch (err) {
+            const status = await handleStepError(current, err);
+            await notifyLaunchFinished(current, status);
+            return status;
+        }
+    }
+
+    await updateLaunchJob(current.id, { lockedUntil: null });
+    console.log(`[LaunchJob] ${current.id} (${current.symbol}) → ${current.status}`);
+    await notifyLaunchFinished(current, current.status);
+    return current.status;
+}
+
+async function notifyLaunchFinished(job, status) {
+    if (status !== 'done' && status !== 'failed') return;
+    const latest = await getLaunchJob(job.id).catch(() => null);
+    await emitAgentEvent(job.agentId, status === 'done' ? 'launch.succeeded' : 'launch.failed', {
+        ...toPublicLaunchJob(latest || { ...job, status }),
+        tokenId: latest?.tokenId || job.tokenId || null,
+        source: job.source,
+        ...(job.postId ? { postId: job.postId } : {}),
+    });
+
+    // A scanner post answered "queued" gets the final outcome now (imported
+    // lazily: run-scan.js runs launch jobs itself)
+    if (job.postId) {
+        try {
+            const { finishQueuedPost } = await import('./scanners/run-scan.js');
+            await finishQueuedPost(latest || { ...job, status });
+        } catch (err) {
+            console.error(`[LaunchJob] ${job.id}: failed to settle post ${job.postId}:`, err.message);
+        }
+    }
+}
+
+async function runStep(job) {
+    switch (job.status) {
+        case 'queued': {
+            // Frozen or suspended after enqueueing — stop before anything is charged or sent
+            const agent = await getAgent(job.agentId);
+            const restriction = agent && getAgentRestriction(agent, 'launch');
+            if (restriction) {
+                throw Object.assign(new Error(restriction.error), { permanent: true });
+            }
+            if (job.launchType === 'paid') {
+                await ensureLaunchPayment({
+                    agentId: job.agentId,
+                    launchJobId: job.id,
+                    symbol: job.symbol,
+                    lamports: getPaidLaunchLamports(),
+                });
+            }
+            await assertTreasuryFunded(job.launchType);
+            return { status: 'uploading_metadata' };
+        }
+
+        case 'uploading_metadata': {
+            const metadataUri = await uploadTokenMetadata(job);
+            return { status: 'creating', metadataUri };
+        }
+
+        case 'creating':
+            return createStep(job);
+
+        case 'configuring_fees':
+            return configureFeesStep(job);
+
+        default:
+            throw new Error(`Unknown launch job status: ${job.status}`);
+    }
+}
+
+async function createStep(job) {
+    const { Keypair } = await import('@solana/web3.js');
+
+    // Persist the mint keypair (encrypted) BEFORE sending, so a resumed job reuses it
+    let mintKeypair;
+    let mintFields = {};
+    const resumed = Boolean(job.mintEncryptedKey);
+    if (resumed) {
+        mintKeypair = Keypair.fromSecretKey(decryptPrivateKey(job.mintEncryptedKey, job.mintIv, job.mintAuthTag, job.mintKeyId));
+    } else {
+        mintKeypair = Keypair.generate();
+        const { encrypted, iv, authTag, keyId } = encryptPrivateKey(mintKeypair.secretKey);
+        mintFields = {
+            mintAddress: mintKeypair.publicKey.toBase58(),
+            mintEncryptedKey: encrypted,
+            mintIv: iv,
+            mintAuthTag: authTag,
+            mintKeyId: keyId,
+        };
+        await updateLaunchJob(job.id, mintFields);
+        Object.assign(job, mintFields); // so handleStepError can check this mint if the send fails
+    }
+
+    const mintAddress = mintKeypair.publicKey.toBase58();
+    let txSignature = job.txSignature;
+
+    // A previous attempt may have landed the create tx before crashing
+    if (!txSignature && resumed && await isMintCreated(mintAddress)) {
+        console.log(`[LaunchJob] ${job.id}: mint ${mintAddress} already exists on-chain, resuming`);
+    } else if (!txSignature) {
+        ({ txSignature } = await createTokenOnChain({
+            name: job.name,
+            symbol: job.symbol,
+            metadataUri: job.metadataUri,
+            launchType: job.launchType,
+            mintKeypair,
+            payer: job.launchType === 'paid' ? await getAgentSigner(job.agentId) : null,
+        }));
+        await updateLaunchJob(job.id, { txSignature });
+    }
+
+    return completeCreate({ ...job, ...mintFields }, { mintAddress, txSignature });
+}
+
+/**
+ * The mint exists on-chain: save the token row, settle the paid fee and hand
+ * the job to fee sharing. Also how a job whose create step ran out of
+ * attempts after its tx landed is carried on (see handleStepError).
+ */
+async function completeCreate(job, { mintAddress, txSignature }) {
+    const tokenId = job.tokenId || await saveLaunchedToken({ ...job, mintAddress, txSignature });
+    const simulated = isSimulateMode();
+
+    const payment = job.launchType === 'paid' ? await getLaunchPaymentByJob(job.id) : null;
+    if (payment && payment.status === 'pending') {
+        await updateLaunchPayment(payment.id, { status: 'completed', tokenId, txSignature: txSignature || null });
+        await recordLedger(() => recordLaunchPayment({
+            agentId: job.agentId, paymentId: payment.id, lamports: payment.lamports, txSignature: txSignature || null,
+        }));
+    }
+
+    return {
+        status: simulated ? 'done' : 'configuring_fees',
+        mintAddress,
+        txSignature,
+        tokenId,
+        feeSharingStatus: simulated ? 'simulated' : 'pending',
+    };
+}
+
+async function configureFeesStep(job) {
+    const agent = await getAgent(job.agentId);
+    if (!agent?.walletAddress) throw new Error('Agent wallet not found');
+
+    if (job.attempts === 0) {
+        await new Promise(resolve => setTimeout(resolve, FEE_SHARING_DELAY_MS));
+    }
+
+    // repairFeeSharing checks the chain first, so a retry after a landed-but-unconfirmed tx is safe
+    const { txSignature: feeSharingTx } = await repairFeeSharing({
+        mintAddress: job.mintAddress,
+        agentWallet: agent.walletAddress,
+        launchType: job.launchType,
+    });
+    await publishFeeSharingChange(await updateTokenFeeSharing(job.tokenId, 'configured', feeSharingTx));
+    await emitAgentEvent(job.agentId, 'fee_sharing.configured', {
+        tokenId: job.tokenId,
+        symbol: job.symbol,
+        mintAddress: job.mintAddress,
+        feeSharingTx: feeSharingTx || null,
+        launchType: job.launchType,
+    });
+
+    return { status: 'done', feeSharingStatus: 'configured', feeSharingTx };
+}
+
+/**
+ * Ledger writes never fail a launch — the money already moved on-chain.
+ * Missing entries show up in the ledger reconciliation report.
+ */
+async function recordLedger(fn) {
+    try {
+        await fn();
+    } catch (err) {
+        console.error('[LaunchJob] Ledger write failed:', err.message);
+    }
+}
+
+/**
+ * Mark the paid launch fee of a failed job as failed. The fee is part of the
+ * create transaction, so a job that never created its token was never charged.
+ */
+async function settleFailedPayment(job, reason) {
+    if (job.launchType !== 'paid') return;
+
+    const payment = await getLaunchPaymentByJob(job.id);
+    if (payment?.status === 'pending') {
+        await updateLaunchPayment(payment.id, { status: 'failed', errorMsg: reason });
+    }
+}
+
+async function saveLaunchedToken(job) {
+    const agent = await getAgent(job.agentId);
+    const feeSplit = getFeeSplit(job.launchType);
+    const simulated = isSimulateMode();
+    const tokenId = crypto.randomUUID();
+
+    const token = {
+        id: tokenId,
+        name: job.name,
+        symbol: job.symbol,
+        description: job.description,
+        imageUrl: job.imageUrl,
+        agentId: job.agentId,
+        agentName: agent?.agentName || job.agentId,
+        walletAddress: agent?.walletAddress,
+        website: job.website,
+        twitter: job.twitter,
+        telegram: job.telegram,
+        mintAddress: job.mintAddress,
+        txSignature: job.txSignature,
+        pumpUrl: `https://pump.fun/coin/${job.mintAddress}`,
+        explorerUrl: job.txSignature ? `https://solscan.io/tx/${job.txSignature}` : `https://solscan.io/token/${job.mintAddress}`,
+        launchType: job.launchType,
+        creatorSharePct: feeSplit.creator * 100,
+        platformSharePct: feeSplit.platform * 100,
+        simulated,
+        source: job.source,
+        feeSharingStatus: simulated ? 'simulated' : 'pending',
+        ...tokenSkeletons(job),
+    };
+    await insertToken(token);
+    await publishTokenLaunched(token);
+    await updateLaunchJob(job.id, { tokenId });
+
+    return tokenId;
+}
+
+async function handleStepError(job, err) {
+    const attempts = (job.attempts || 0) + 1;
+    console.error(`[LaunchJob] ${job.id} step "${job.status}" failed (attempt ${attempts}/${MAX_STEP_ATTEMPTS}):`, err.message);
+
+    // Duplicate ticker or token row: retrying can't succeed
+    const permanent = err.permanent || err.code === '23505';
+
+    if (attempts < MAX_STEP_ATTEMPTS && !permanent) {
+        await updateLaunchJob(job.id, {
+            attempts,
+            errorMsg: err.message,
+            nextRunAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * attempts),
+            lockedUntil: null,
+        });
+        return job.status;
+    }
+
+    // Token already exists on-chain — finish the job, leave fee sharing to fee-sharing-reconciler.js
+    if (job.status === 'configuring_fees') {
+        await publishFeeSharingChange(await updateTokenFeeSharing(job.tokenId, 'failed', null));
+        await updateLaunchJob(job.id, {
+            status: 'done',
+            feeSharingStatus: 'failed',
+            attempts,
+            errorMsg: err.message,
+            lockedUntil: null,
+        });
+        return 'done';
+    }
+
+    // A create tx that timed out may still have landed. Its token and fee are
+    // on-chain, so the job never fails: save the token and move on to fee
+    // sharing, or else park the job (ticker and quota kept) for a later
+    // retry — admins see it in GET /api/admin/launches
+    const mintLanded = job.status === 'creating' && job.mintAddress
+        && await isMintCreated(job.mintAddress).catch(() => false);
+    if (mintLanded) {
+        try {
+            const updates = await completeCreate(job, { mintAddress: job.mintAddress, txSignature: job.txSignature || null });
+            await updateLaunchJob(job.id, { ...updates, attempts: 0, errorMsg: null, nextRunAt: new Date(), lockedUntil: null });
+            console.log(`[LaunchJob] ${job.id}: mint ${job.mintAddress} exists on-chain, token saved → ${updates.status}`);
+            return updates.status;
+        } catch (saveErr) {
+            const errorMsg = `${saveErr.message} (mint ${job.mintAddress} exists on-chain, token not saved yet)`;
+            console.error(`[LaunchJob] ${job.id}: ${errorMsg}`);
+            await updateLaunchJob(job.id, {
+                attempts,
+                errorMsg,
+                nextRunAt: new Date(Date.now() + STALLED_RETRY_DELAY_MS),
+                lockedUntil: null,
+            });
+            return job.status;
+        }
+    }
+
+    await updateLaunchJob(job.id, { status: 'failed', attempts, errorMsg: err.message, lockedUntil: null });
+    await settleFailedPayment(job, err.message);
+    await returnFreeLaunch(job);
+    return 'failed';
+}
+
+/**
+ * A failed free launch doesn't use up the agent's free launch (taken when
+ * launch-service.js accepted it).
+ */
+async function returnFreeLaunch(job) {
+    if (job.launchType === 'free') await releaseRateLimit('launch_free', { agentId: job.agentId });
+}
+
+/**
+ * Public view of a launch job (no image data or mint key material).
+ */
+export function toPublicLaunchJob(job) {
+    const done = job.status === 'done';
+    return {
+        jobId: job.id,
+        status: job.status,
+        launchType: job.launchType,
+        name: job.name,
+        symbol: job.symbol,
+        attempts: job.attempts,
+        error: job.errorMsg || null,
+        mintAddress: job.tokenId ? job.mintAddress : null,
+        txSignature: job.txSignature || null,
+        pumpUrl: job.tokenId ? `https://pump.fun/coin/${job.mintAddress}` : null,
+        explorerUrl: job.txSignature ? `https://solscan.io/tx/${job.txSignature}` : null,
+        feeSharingStatus: job.feeSharingStatus || null,
+        feeSharingTx: job.feeSharingTx || null,
+        nextRetryAt: !done && job.status !== 'failed' && job.attempts > 0 ? job.nextRunAt : null,
+        createdAt: job.createdAt,
+        updatedAt: job.updatedAt,
+    };
+}
+
+export { getLaunchJob };
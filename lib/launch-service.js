@@ -0,0 +1,318 @@
+/**
+ * Launch service — the single entry point for launching a token, shared by
+ * POST /api/launch and the social scanners (scanners/run-scan.js).
+ *
+ * launchToken() runs the same checks, in the same order, for every source:
+ *
+ *   input → agent restriction → duplicate ticker → symbol policy →
+ *   tier (free, auto-fallback to paid) → wallet lock → launch rate limit
+ *
+ * and then enqueues a launch job (launch-jobs.js), which charges the paid fee,
+ * creates the token, saves it and configures fee sharing.
+ *
+ * The checks only look at the rate limits. Quota is taken once the launch is
+ * accepted — a `launch` request and, for a free launch, the agent's free
+ * launch — and the free launch is given back if the job fails.
+ *
+ * Rejections are returned, never thrown, as a LaunchResult:
+ *
+ *   { ok: true, job, launchType, tierNote, feeSplit, rateLimit }
+ *   { ok: false, code, status, error, rateLimit?, ...details }
+ *
+ * `code` is a LAUNCH_ERRORS key or a symbol policy code (SYMBOL_BLOCKED,
+ * SYMBOL_LOOKALIKE, ...), `status` the HTTP status the API answers with.
+ * Scanners reply from the templates in scanners/replies/.
+ *
+ * previewLaunch() runs the same checks as a dry run, for `!ClawdPump check`
+ * posts and POST /api/launch/preview.
+ */
+
+import { getTokenBySymbol, getActiveLaunchJobBySymbol, getAgentWallet, getFeeSplit } from './db.js';
+import { enqueueLaunch } from './launch-jobs.js';
+import { checkLaunchEligibility, checkSolBalance, getPaidLaunchCost, CLAWDPUMP_MINT } from './solana-balance.js';
+import { checkRateLimit, releaseRateLimit, formatWindow, RATE_LIMIT_POLICIES } from './rate-limit.js';
+import { checkLaunchPolicy } from './symbol-policy.js';
+import { getAgentRestriction } from './moderation.js';
+import { getWalletLock } from './wallet-export.js';
+import { sanitizeText, sanitizeSymbol, sanitizeUrl, sanitizeTwitter } from './sanitize.js';
+
+/** Launch error codes and their HTTP status. Symbol policy codes are 400. */
+export const LAUNCH_ERRORS = {
+    INVALID_INPUT: 400,
+    SYMBOL_TAKEN: 409,
+    AGENT_FROZEN: 403,
+    AGENT_SUSPENDED: 403,
+    AGENT_BANNED: 403,
+    WALLET_NOT_FOUND: 500,
+    INSUFFICIENT_BALANCE: 402,
+    RATE_LIMITED: 429,
+    FREE_LIMIT_REACHED: 429,
+    WALLET_MIGRATING: 409,
+    WALLET_SELF_CUSTODY: 409,
+};
+
+const CLAWDPUMP_BUY_URL = `https://pump.fun/coin/${CLAWDPUMP_MINT}`;
+const MIN_DESCRIPTION_LENGTH = 20;
+
+function fail(code, error, extra = {}) {
+    return { ok: false, code, status: LAUNCH_ERRORS[code] || 400, error, ...extra };
+}
+
+function describeLimit(limit) {
+    return limit ? `${limit.limit} per ${formatWindow(limit.windowMs)}` : 'unlimited';
+}
+
+/**
+ * Requirements, fee split and limit of each tier, for API responses and replies.
+ */
+export function getLaunchTiers() {
+    const free = getFeeSplit('free');
+    const paid = getFeeSplit('paid');
+    return {
+        free: {
+            requirement: '2,000,000+ $CLAWDPUMP in your wallet',
+            feeSplit: `${free.creator * 100}% creator / ${free.platform * 100}% platform`,
+            cost: 'FREE (platform pays gas)',
+            limit: describeLimit(RATE_LIMIT_POLICIES.launch_free?.agent),
+            buyLink: CLAWDPUMP_BUY_URL,
+        },
+        paid: {
+            requirement: `${getPaidLaunchCost()} SOL in your wallet`,
+            feeSplit: `${paid.creator * 100}% creator / ${paid.platform * 100}% platform`,
+            cost: `${getPaidLaunchCost()} SOL`,
+            limit: describeLimit(RATE_LIMIT_POLICIES.launch?.agent),
+        },
+    };
+}
+
+/**
+ * Sanitize launch fields from an API body or a parsed post.
+ *
+ * @returns {{ token: object }|{ error: string }}
+ */
+export function normalizeLaunchInput(input) {
+    const token = {
+        name: sanitizeText(input.name, 32),
+        symbol: sanitizeSymbol(input.symbol),
+        description: sanitizeText(input.description, 500),
+        imageUrl: sanitizeUrl(input.imageUrl),
+        website: sanitizeUrl(input.website),
+        twitter: sanitizeTwitter(input.twitter),
+        telegram: sanitizeText(input.telegram, 100) || null,
+    };
+    if (!token.name || !token.symbol || !token.description) {
+        return { error: 'Missing required fields: name, symbol, description' };
+    }
+    if (token.description.length < MIN_DESCRIPTION_LENGTH) {
+        return { error: `Description must be at least ${MIN_DESCRIPTION_LENGTH} characters` };
+    }
+    return { token };
+}
+
+function rateLimited(rateLimit) {
+    const retryAfter = Math.max(Math.ceil(rateLimit.retryAfterMs / 1000), 1);
+    return fail('RATE_LIMITED', `Rate limit: max ${rateLimit.limit} launches per ${formatWindow(rateLimit.windowMs)} per ${rateLimit.dimension === 'agent' ? 'agent' : 'IP'}. Retry in ${retryAfter}s.`, {
+        rateLimit,
+        limit: rateLimit.limit,
+        retryAfter,
+    });
+}
+
+function freeLimitReached(agent, freeLimit) {
+    return fail('FREE_LIMIT_REACHED', `Free launch limit reached (${describeLimit(freeLimit)}). Insufficient SOL for paid launch.`, {
+        rateLimit: freeLimit,
+        maxFreeLaunches: freeLimit.limit,
+        retryAfter: Math.ceil(freeLimit.retryAfterMs / 1000),
+        hint: `Deposit ${getPaidLaunchCost()} SOL to your wallet for additional paid launches (85/15 fee split).`,
+        yourWallet: agent.walletAddress,
+    });
+}
+
+/**
+ * Pick the launch tier: free while the agent holds $CLAWDPUMP and has free
+ * launches left, otherwise paid if the wallet has the SOL. Doesn't use up a
+ * free launch (see takeLaunchQuota).
+ */
+async function selectTier(agent, { eligibility = null } = {}) {
+    eligibility = eligibility || await checkLaunchEligibility(agent.walletAddress);
+
+    if (eligibility.eligibility === 'free') {
+        const freeLimit = await checkRateLimit('launch_free', { agentId: agent.agentId }, { dryRun: true });
+        if (freeLimit.allowed) {
+            return { launchType: 'free', tierNote: 'Free launch (2M+ $CLAWDPUMP holder). 70/30 fee split.' };
+        }
+
+        const { hasEnoughForLaunch, balanceSol } = await checkSolBalance(agent.walletAddress);
+        if (hasEnoughForLaunch) {
+            return {
+                launchType: 'paid',
+                tierNote: `Free launch limit reached (${describeLimit(freeLimit)}). Auto-switched to paid tier (${balanceSol.toFixed(4)} SOL available). 85/15 fee split.`,
+            };
+        }
+        return freeLimitReached(agent, freeLimit);
+    }
+
+    if (eligibility.eligibility === 'paid') {
+        return { launchType: 'paid', tierNote: `Paid launch (${eligibility.solBalance.toFixed(4)} SOL). 85/15 fee split.` };
+    }
+
+    return fail('INSUFFICIENT_BALANCE', 'Insufficient balance. You need either $CLAWDPUMP or SOL to launch.', {
+        options: getLaunchTiers(),
+        yourWallet: agent.walletAddress,
+        currentBalance: {
+            clawdpump: eligibility.clawdpumpBalance.toLocaleString(),
+            sol: `${eligibility.solBalance.toFixed(4)} SOL`,
+        },
+    });
+}
+
+/**
+ * Every check launchToken() runs before enqueueing, in order. Rate limits
+ * are only looked at, nothing is counted.
+ *
+ * @returns {Promise<object>} { ok: true, token, launchType, tierNote, rateLimit } or a failed LaunchResult
+ */
+async function checkLaunch({ agent, input, source, ip, tier = null }) {
+    const normalized = normalizeLaunchInput(input);
+    if (normalized.error) return fail('INVALID_INPUT', normalized.error);
+    const { token } = normalized;
+
+    const restriction = getAgentRestriction(agent, 'launch');
+    if (restriction) {
+        return fail(restriction.code, restriction.error, { reason: restriction.reason, expiresAt: restriction.expiresAt });
+    }
+    if (!agent.walletAddress) return fail('WALLET_NOT_FOUND', 'Agent wallet not found. Please re-register.');
+
+    // Launched or in flight
+    if (await getTokenBySymbol(token.symbol) || await getActiveLaunchJobBySymbol(token.symbol)) {
+        return fail('SYMBOL_TAKEN', `Ticker "${token.symbol}" already launched. Choose a different symbol.`, { symbol: token.symbol });
+    }
+
+    const policy = await checkLaunchPolicy({ ...token, agentId: agent.agentId, source });
+    if (!policy.allowed) return fail(policy.code, policy.reason);
+
+    tier = tier || await selectTier(agent);
+    if (tier.ok === false) return tier;
+    const { launchType, tierNote } = tier;
+
+    // No launches mid wallet migration; paid ones need a platform wallet
+    const lock = await getWalletLock(agent, 'launch', { launchType });
+    if (lock) {
+        const { code, error, ...details } = lock;
+        return fail(code, error, details);
+    }
+
+    // Paid launches are charged from the agent wallet by the worker
+    if (launchType === 'paid' && !(await getAgentWallet(agent.agentId))) {
+        return fail('WALLET_NOT_FOUND', 'Agent wallet not found. Please re-register.');
+    }
+
+    const rateLimit = await checkRateLimit('launch', { ip, agentId: agent.agentId }, { dryRun: true });
+    if (!rateLimit.allowed) return rateLimited(rateLimit);
+
+    return { ok: true, token, launchType, tierNote, rateLimit };
+}
+
+/**
+ * Count an accepted launch: a `launch` request and, for a free launch, the
+ * agent's free launch. A concurrent launch may have taken the last one since
+ * checkLaunch() looked, in which case nothing is kept.
+ */
+async function takeLaunchQuota({ agent, ip, launchType }) {
+    const ids = { ip, agentId: agent.agentId };
+    const rateLimit = await checkRateLimit('launch', ids);
+    if (!rateLimit.allowed) return rateLimited(rateLimit);
+
+    if (launchType === 'free') {
+        const freeLimit = await checkRateLimit('launch_free', { agentId: agent.agentId });
+        if (!freeLimit.allowed) {
+            await releaseRateLimit('launch', ids);
+            return freeLimitReached(agent, freeLimit);
+        }
+    }
+    return { ok: true, rateLimit };
+}
+
+async function releaseLaunchQuota({ agent, ip, launchType }) {
+    await releaseRateLimit('launch', { ip, agentId: agent.agentId });
+    if (launchType === 'free') await releaseRateLimit('launch_free', { agentId: agent.agentId });
+}
+
+/**
+ * Check and enqueue a launch for an agent.
+ *
+ * @param {object} opts
+ * @param {object} opts.agent          Agent record (getAgent / getAgentByApiKey)
+ * @param {object} opts.input          { name, symbol, description, imageUrl, website, twitter, telegram }
+ * @param {string} [opts.source]       'api' or the scanner platform
+ * @param {string} [opts.ip]           Client IP, for the per-IP launch limit
+ * @param {string} [opts.postId]       Scanner post that requested the launch
+ * @param {Buffer} [opts.imageBuffer]
+ * @param {string} [opts.imageMime]
+ * @returns {Promise<object>} a LaunchResult (see top of file)
+ */
+export async function launchToken({ agent, input, source = 'api', ip = null, postId = null, imageBuffer = null, imageMime = null }) {
+    const check = await checkLaunch({ agent, input, source, ip });
+    if (!check.ok) return check;
+    const { token, launchType, tierNote } = check;
+
+    const quota = await takeLaunchQuota({ agent, ip, launchType });
+    if (!quota.ok) return quota;
+
+    let job;
+    try {
+        job = await enqueueLaunch({ agent, launchType, token, imageBuffer, imageMime, source, postId });
+    } catch (err) {
+        await releaseLaunchQuota({ agent, ip, launchType });
+        // Another launch of this ticker was queued since the check above
+        if (err.code === '23505') {
+            return fail('SYMBOL_TAKEN', `Ticker "${token.symbol}" already launched. Choose a different symbol.`, { symbol: token.symbol });
+        }
+        throw err;
+    }
+    return { ok: true, job, launchType, tierNote, feeSplit: getFeeSplit(launchType), rateLimit: quota.rateLimit };
+}
+
+/**
+ * What launchToken() would do with the same arguments, without launching
+ * or counting against any limit: the `!ClawdPump check` trigger and
+ * POST /api/launch/preview.
+ *
+ * The tier and wallet balances are reported even when a check fails, so the
+ * agent can fix everything in one go:
+ *
+ *   { ok, code?, status?, error?, ...details, token, launchType, tierNote,
+ *     feeSplit, wallet, balances: { clawdpump, sol } }
+ *
+ * `ok` is whether the launch would be accepted; the fields of a failed check
+ * are those of a LaunchResult. `launchType` is null when the wallet qualifies
+ * for neither tier (or has no wallet).
+ *
+ * @param {object} opts  as launchToken() (no image upload)
+ * @returns {Promise<object>}
+ */
+export async function previewLaunch({ agent, input, source = 'api', ip = null }) {
+    let balances = null;
+    let tier = null;
+    if (agent.walletAddress) {
+        const eligibility = await checkLaunchEligibility(agent.walletAddress);
+        // The SOL balance isn't looked up for wallets that hold $CLAWDPUMP
+        const sol = eligibility.eligibility === 'free'
+            ? (await checkSolBalance(agent.walletAddress)).balanceSol
+            : eligibility.solBalance;
+        balances = { clawdpump: eligibility.clawdpumpBalance, sol };
+        tier = await selectTier(agent, { eligibility });
+    }
+
+    const check = await checkLaunch({ agent, input, source, ip, tier });
+    const launchType = tier && tier.ok !== false ? tier.launchType : null;
+    return {
+        ...check,
+        token: normalizeLaunchInput(input).token || null,
+        launchType,
+        tierNote: launchType ? tier.tierNote : null,
+        feeSplit: launchType ? getFeeSplit(launchType) : null,
+        wallet: agent.walletAddress || null,
+        balances,
+    };
+}
@@ -0,0 +1,197 @@
+/**
+ * Platform money flows on top of the double-entry ledger in db.js.
+ *
+ * Each helper turns one real-world movement into a balanced ledger
+ * transaction (amounts in lamports, or raw units for SPL tokens):
+ *
+ *   launch_payment   agent        → paid treasury
+ *   fee_claim        pump creator fees → agent
+ *   transfer         agent        → external (+ network fee)
+ *   treasury_topup   external     → free/paid treasury
+ *
+ * Recording is idempotent per source record, so callers can safely retry.
+ * buildReconciliationReport() compares ledger balances with on-chain ones.
+ */
+
+import {
+    LEDGER_ACCOUNTS, agentLedgerAccount, recordLedgerTransaction, getLedgerBalance,
+    getLedgerBalances, getUnbalancedLedgerTransactions, getAllAgentWallets,
+} from './db.js';
+import { checkTreasuryBalances, isSimulateMode } from './pumpfun.js';
+import { getLamportBalance } from './solana-transfer.js';
+
+export function solToLamports(sol) {
+    return BigInt(Math.round(Number(sol) * 1e9));
+}
+
+export function lamportsToSol(lamports) {
+    return Number(lamports) / 1e9;
+}
+
+function treasuryAccount(treasury) {
+    return treasury === 'paid' ? LEDGER_ACCOUNTS.PAID_TREASURY : LEDGER_ACCOUNTS.FREE_TREASURY;
+}
+
+export function recordLaunchPayment({ agentId, paymentId, lamports, txSignature }) {
+    return recordLedgerTransaction({
+        kind: 'launch_payment',
+        reference: paymentId,
+        agentId,
+        txSignature,
+        entries: [
+            { account: agentLedgerAccount(agentId), amount: -BigInt(lamports) },
+            { account: LEDGER_ACCOUNTS.PAID_TREASURY, amount: BigInt(lamports) },
+        ],
+    });
+}
+
+export function recordFeeClaim({ agentId, claimId, lamports, txSignature }) {
+    return recordLedgerTransaction({
+        kind: 'fee_claim',
+        reference: claimId,
+        agentId,
+        txSignature,
+        entries: [
+            { account: LEDGER_ACCOUNTS.PUMP_CREATOR_FEES, amount: -BigInt(lamports) },
+            { account: agentLedgerAccount(agentId), amount: BigInt(lamports) },
+        ],
+    });
+}
+
+/**
+ * Outbound transfer from an agent wallet (/api/send).
+ *
+ * @param {object} opts
+ * @param {string} opts.agentId
+ * @param {string} opts.txSignature
+ * @param {string} opts.asset        'SOL' or SPL mint address
+ * @param {bigint|number} opts.amount  lamports for SOL, raw token units for SPL
+ * @param {bigint|number} [opts.feeLamports]
+ * @param {string} [opts.to]
+ */
+export function recordTransfer({ agentId, txSignature, asset, amount, feeLamports = 0, to = null }) {
+    const agent = agentLedgerAccount(agentId);
+    const entries = [
+        { account: agent, asset, amount: -BigInt(amount) },
+        { account: LEDGER_ACCOUNTS.EXTERNAL, asset, amount: BigInt(amount) },
+    ];
+    if (BigInt(feeLamports) > 0n) {
+        entries.push(
+            { account: agent, amount: -BigInt(feeLamports) },
+            { account: LEDGER_ACCOUNTS.NETWORK_FEES, amount: BigInt(feeLamports) },
+        );
+    }
+
+    return recordLedgerTransaction({
+        kind: 'transfer',
+        reference: txSignature,
+        agentId,
+        txSignature,
+        memo: to ? `to ${to}` : null,
+        entries,
+    });
+}
+
+/**
+ * @param {object} opts
+ * @param {'free'|'paid'} opts.treasury
+ * @param {bigint|number} opts.lamports
+ * @param {string} opts.txSignature   Funding transaction (used as the idempotency reference)
+ * @param {string} [opts.memo]
+ */
+export function recordTreasuryTopup({ treasury, lamports, txSignature, memo = null }) {
+    return recordLedgerTransaction({
+        kind: 'treasury_topup',
+        reference: txSignature,
+        txSignature,
+        memo,
+        entries: [
+            { account: LEDGER_ACCOUNTS.EXTERNAL, amount: -BigInt(lamports) },
+            { account: treasuryAccount(treasury), amount: BigInt(lamports) },
+        ],
+    });
+}
+
+/**
+ * Compare ledger-derived SOL balances with on-chain balances for both
+ * treasuries and every agent wallet.
+ *
+ * Differences are expected for movements the platform doesn't record
+ * (agent deposits, treasury gas for creates/fee sharing) — the report
+ * surfaces them so they can be explained or booked.
+ *
+ * @returns {Promise<{ generatedAt: string, simulated: boolean, integrity: object, accounts: object[], totals: object }>}
+ */
+export async function buildReconciliationReport() {
+    const simulated = isSimulateMode();
+    const accounts = [];
+
+    const treasuries = await checkTreasuryBalances();
+    for (const treasury of ['free', 'paid']) {
+        const info = treasuries[treasury];
+        const ledgerLamports = await getLedgerBalance(treasuryAccount(treasury));
+        accounts.push(reconcileRow({
+            account: treasuryAccount(treasury),
+            walletAddress: info.walletAddress,
+            ledgerLamports,
+            onChainLamports: info.walletAddress === 'not configured' ? null : BigInt(info.balanceLamports ?? 0),
+        }));
+    }
+
+    const wallets = await getAllAgentWallets();
+    const agentBalances = new Map(
+        (await getLedgerBalances({ accountPrefix: 'agent:', asset: 'SOL' })).map(b => [b.account, b.balance])
+    );
+
+    for (const wallet of wallets) {
+        const account = agentLedgerAccount(wallet.agent_id);
+        let onChainLamports = null;
+        let error = null;
+        if (!simulated) {
+            try {
+                onChainLamports = BigInt(await getLamportBalance(wallet.wallet_address));
+            } catch (err) {
+                error = err.message;
+            }
+        }
+        accounts.push(reconcileRow({
+            account,
+            walletAddress: wallet.wallet_address,
+            ledgerLamports: agentBalances.get(account) || 0n,
+            onChainLamports,
+            error,
+        }));
+    }
+
+    const unbalanced = await getUnbalancedLedgerTransactions();
+    const mismatched = accounts.filter(a => a.differenceLamports !== null && a.differenceLamports !== '0');
+
+    return {
+        generatedAt: new Date().toISOString(),
+        simulated,
+        integrity: {
+            balanced: unbalanced.length === 0,
+            unbalancedTransactions: unbalanced.map(u => ({ ...u, imbalance: u.imbalance.toString() })),
+        },
+        accounts,
+        totals: {
+            accounts: accounts.length,
+            mismatched: mismatched.length,
+            unchecked: accounts.filter(a => a.onChainLamports === null).length,
+        },
+    };
+}
+
+function reconcileRow({ account, walletAddress, ledgerLamports, onChainLamports, error = null }) {
+    const difference = onChainLamports === null ? null : onChainLamports - ledgerLamports;
+    return {
+        account,
+        walletAddress,
+        ledgerLamports: ledgerLamports.toString(),
+        onChainLamports: onChainLamports === null ? null : onChainLamports.toString(),
+        // positive: more SOL on-chain than the ledger explains (e.g. unrecorded deposits)
+        differenceLamports: difference === null ? null : difference.toString(),
+        differenceSol: difference === null ? null : lamportsToSol(difference),
+        ...(error ? { error } : {}),
+    };
+}
@@ -0,0 +1,151 @@
+/**
+ * DexScreener market data for launched tokens.
+ *
+ * Merges DexScreener price/mcap/volume with database token data.
+ * Caches results for 60 seconds to avoid rate limiting.
+ * New tokens without DEX data get default $2,400 mcap (pump.fun initial curve).
+ *
+ * Shared by /api/market-data and server-rendered pages (agent profiles).
+ */
+
+import { getTokensPaginatedAsync } from './db.js';
+
+const PUMP_FUN_INITIAL_MCAP = 2400;
+export const CACHE_TTL_MS = 60_000;
+
+let cache = { data: null, timestamp: 0 };
+
+async function fetchDexScreenerData(mintAddresses) {
+    if (!mintAddresses.length) return {};
+
+    const results = {};
+    const chunks = [];
+    for (let i = 0; i < mintAddresses.length; i += 30) {
+        chunks.push(mintAddresses.slice(i, i + 30));
+    }
+
+    for (const chunk of chunks) {
+        try {
+            const url = `https://api.dexscreener.com/tokens/v1/solana/${chunk.join(',')}`;
+            const res = await fetch(url, {
+                headers: { 'Accept': 'application/json' },
+                signal: AbortSignal.timeout(8000),
+            });
+
+            if (!res.ok) continue;
+
+            const pairs = await res.json();
+            if (Array.isArray(pairs)) {
+                for (const pair of pairs) {
+                    const mint = pair.baseToken?.address;
+                    if (!mint) continue;
+                    if (!results[mint] || (pair.liquidity?.usd || 0) > (results[mint].liquidity?.usd || 0)) {
+                        results[mint] = {
+                            priceUsd: parseFloat(pair.priceUsd) || 0,
+                            marketCap: pair.marketCap || pair.fdv || 0,
+                            volume24h: pair.volume?.h24 || 0,
+                            priceChange24h: pair.priceChange?.h24 || 0,
+                            liquidity: pair.liquidity?.usd || 0,
+                            dexId: pair.dexId || 'unknown',
+                            pairAddress: pair.pairAddress,
+                            url: pair.url,
+                        };
+                    }
+                }
+            }
+        } catch (err) {
+            console.error('[market-data] DexScreener fetch error:', err.message);
+        }
+    }
+
+    return results;
+}
+
+/**
+ * A token as listed by /api/market-data. Tokens without DEX data yet get the
+ * pump.fun initial market cap.
+ *
+ * @param {object} token   Token from db (mapTokenRow / insertToken input)
+ * @param {object|null} [market] DexScreener data for its mint
+ */
+export function toMarketToken(token, market = null) {
+    return {
+        name: token.name,
+        symbol: token.symbol,
+        description: token.description,
+        imageUrl: token.imageUrl,
+        agentId: token.agentId,
+        agentName: token.agentName,
+        mintAddress: token.mintAddress,
+        pumpUrl: token.pumpUrl,
+        explorerUrl: token.explorerUrl,
+        createdAt: token.createdAt,
+        source: token.source,
+        feeSplit: {
+            creator: token.creatorSharePct || 70,
+            platform: token.platformSharePct || 30,
+        },
+        priceUsd: market?.priceUsd || 0,
+        marketCap: market?.marketCap || PUMP_FUN_INITIAL_MCAP,
+        volume24h: market?.volume24h || 0,
+        totalVolume: token.totalVolume || 0,
+        priceChange24h: market?.priceChange24h || 0,
+        liquidity: market?.liquidity || 0,
+        dexUrl: market?.url || token.pumpUrl,
+        hasMarketData: !!market,
+    };
+}
+
+/**
+ * Get the latest 200 tokens enriched with DexScreener market data (cached).
+ *
+ * @returns {Promise<{ success: boolean, tokens: object[], total: number, lastUpdated: string, source: string, cacheTtlMs: number }>}
+ */
+export async function getMarketData() {
+    const now = Date.now();
+
+    if (cache.data && (now - cache.timestamp) < CACHE_TTL_MS) {
+        return cache.data;
+    }
+
+    const { tokens } = await getTokensPaginatedAsync({ limit: 200, sort: 'new' });
+
+    const mintAddresses = tokens
+        .map(t => t.mintAddress)
+        .filter(Boolean);
+
+    const dexData = await fetchDexScreenerData(mintAddresses);
+
+    const enriched = tokens.map(token => toMarketToken(token, token.mintAddress ? dexData[token.mintAddress] : null));
+
+    const result = {
+        success: true,
+        tokens: enriched,
+        total: enriched.length,
+        lastUpdated: new Date().toISOString(),
+        source: 'dexscreener',
+        cacheTtlMs: CACHE_TTL_MS,
+    };
+
+    cache = { data: result, timestamp: now };
+
+    return result;
+}
+
+/**
+ * Look up cached market data by mint address.
+ *
+ * @returns {Promise<Map<string, object>>} mintAddress → enriched token
+ */
+export async function getMarketDataByMint() {
+    const { tokens } = await getMarketData();
+    return new Map(tokens.filter(t => t.mintAddress).map(t => [t.mintAddress, t]));
+}
+
+/**
+ * Drop the cached market data so the next request re-reads the token list
+ * (e.g. after a token is delisted). Only affects this server instance.
+ */
+export function invalidateMarketDataCache() {
+    cache = { data: null, timestamp: 0 };
+}
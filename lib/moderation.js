@@ -0,0 +1,88 @@
+/**
+ * Agent restrictions and moderation helpers.
+ *
+ * Two independent switches can stop an agent:
+ *
+ *   frozen      Operational hold set by support (admin console). Blocks
+ *               launches, sends and fee claims until unfrozen.
+ *   suspension  Moderation action with a reason and an expiry. Blocks
+ *               launches (API and scanner) and sends; fee claims only when
+ *               the suspension says so. A ban is a suspension that never
+ *               expires.
+ *
+ * Blocked requests get a 403 with a machine-readable `code`
+ * (AGENT_FROZEN, AGENT_SUSPENDED or AGENT_BANNED).
+ */
+
+import { NextResponse } from 'next/server';
+
+const MAX_DURATION_HOURS = 24 * 365;
+
+/**
+ * Why an agent may not perform an action, or null if it may.
+ *
+ * @param {object} agent            Agent from db.getAgent / getAgentByApiKey
+ * @param {'launch'|'send'|'claim'} action
+ * @returns {{ code: string, error: string, reason: string|null, expiresAt: Date|null }|null}
+ */
+export function getAgentRestriction(agent, action) {
+    if (agent.frozen) {
+        return {
+            code: 'AGENT_FROZEN',
+            error: `Agent is frozen${agent.frozenReason ? `: ${agent.frozenReason}` : ''}. Contact support.`,
+            reason: agent.frozenReason,
+            expiresAt: null,
+        };
+    }
+
+    const suspension = agent.suspension;
+    if (!suspension) return null;
+    if (action === 'claim' && !suspension.blocksClaims) return null;
+
+    const banned = suspension.kind === 'banned';
+    const until = suspension.expiresAt ? ` until ${suspension.expiresAt.toISOString()}` : '';
+    return {
+        code: banned ? 'AGENT_BANNED' : 'AGENT_SUSPENDED',
+        error: `Agent is ${banned ? 'banned' : 'suspended'}${until}: ${suspension.reason}`,
+        reason: suspension.reason,
+        expiresAt: suspension.expiresAt,
+    };
+}
+
+/**
+ * 403 response for a restricted agent, or null if the action is allowed.
+ */
+export function agentRestrictionResponse(agent, action) {
+    const restriction = getAgentRestriction(agent, action);
+    if (!restriction) return null;
+    return NextResponse.json({
+        success: false,
+        error: restriction.error,
+        code: restriction.code,
+        reason: restriction.reason,
+        expiresAt: restriction.expiresAt,
+    }, { status: 403 });
+}
+
+/**
+ * Resolve the expiry of a moderation action from a request body:
+ * `expiresAt` (ISO timestamp) or `durationHours`.
+ *
+ * @returns {{ expiresAt: Date|null, error?: string }}
+ */
+export function resolveExpiry({ expiresAt, durationHours } = {}) {
+    if (expiresAt !== undefined && expiresAt !== null) {
+        const date = new Date(expiresAt);
+        if (Number.isNaN(date.getTime())) return { expiresAt: null, error: '"expiresAt" must be an ISO timestamp' };
+        if (date <= new Date()) return { expiresAt: null, error: '"expiresAt" must be in the future' };
+        return { expiresAt: date };
+    }
+    if (durationHours !== undefined && durationHours !== null) {
+        const hours = Number(durationHours);
+        if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_DURATION_HOURS) {
+            return { expiresAt: null, error: `"durationHours" must be between 0 and ${MAX_DURATION_HOURS}` };
+        }
+        return { expiresAt: new Date(Date.now() + hours * 3_600_000) };
+    }
+    return { expiresAt: null };
+}
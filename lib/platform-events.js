@@ -0,0 +1,222 @@
+/**
+ * Live platform events for the /api/stream SSE endpoint.
+ *
+ *   launch       a token was created — the token as listed by /api/market-data
+ *   market       market data changed — { tokens: [{ mintAddress, priceUsd, marketCap, ... }] }
+ *   fee_sharing  a token's fee sharing state changed — { tokenId, mintAddress, symbol, agentId, status, txSignature }
+ *
+ * launch and fee_sharing events are published where they happen and fanned
+ * out to every server instance with Postgres LISTEN/NOTIFY (they also reach
+ * local subscribers directly, so a dropped listener doesn't lose them here).
+ * market events come from a per-instance poller that reads the shared
+ * market-data cache once per CACHE_TTL_MS while anyone is subscribed, so
+ * DexScreener load no longer grows with the number of open pages.
+ */
+
+import { notifyPlatformEvent, listenPlatformEvents } from './db.js';
+import { getMarketData, toMarketToken, invalidateMarketDataCache, CACHE_TTL_MS } from './market-data.js';
+
+export const PLATFORM_EVENT_TYPES = ['launch', 'market', 'fee_sharing'];
+
+const LISTEN_RETRY_BASE_MS = 1_000;
+const LISTEN_RETRY_MAX_MS = 30_000;
+const RECENT_EVENT_LIMIT = 500;
+const MARKET_FIELDS = ['priceUsd', 'marketCap', 'volume24h', 'priceChange24h', 'liquidity', 'hasMarketData'];
+
+const subscribers = new Set();
+const recentEventIds = new Set();
+
+let stopListening = null;
+let listenPending = false;
+let listenRetryTimer = null;
+let listenFailures = 0;
+
+let marketTimer = null;
+let marketSnapshot = null;
+
+// ---------------------------------------------------------------------------
+// Publishing
+// ---------------------------------------------------------------------------
+
+/**
+ * Publish an event to all stream subscribers on every instance. Never throws.
+ *
+ * @param {'launch'|'fee_sharing'} type
+ * @param {object} data
+ */
+export async function publishPlatformEvent(type, data) {
+    const event = { id: crypto.randomUUID(), type, data, at: new Date().toISOString() };
+    deliver(event);
+    try {
+        await notifyPlatformEvent(event);
+    } catch (err) {
+        console.error(`[PlatformEvents] Failed to publish ${type}:`, err.message);
+    }
+}
+
+/**
+ * Announce a newly inserted token. Also drops this instance's market-data
+ * cache so the next listing includes it.
+ *
+ * @param {object} token  Token as passed to db.insertToken
+ */
+export async function publishTokenLaunched(token) {
+    invalidateMarketDataCache();
+    await publishPlatformEvent('launch', toMarketToken({
+        ...token,
+        createdAt: token.createdAt || new Date().toISOString(),
+    }));
+}
+
+/**
+ * Announce a fee sharing status change.
+ *
+ * @param {object|null} token  Token returned by db.updateTokenFeeSharing
+ */
+export async function publishFeeSharingChange(token) {
+    if (!token) return;
+    await publishPlatformEvent('fee_sharing', {
+        tokenId: token.id,
+        mintAddress: token.mintAddress,
+        symbol: token.symbol,
+        agentId: token.agentId,
+        status: token.feeSharingStatus,
+        txSignature: token.feeSharingTx || null,
+    });
+}
+
+// ---------------------------------------------------------------------------
+// Subscribing
+// ---------------------------------------------------------------------------
+
+/**
+ * Receive platform events on this instance. The first subscriber starts the
+ * LISTEN connection and market poller; the last one to leave stops them.
+ *
+ * @param {(event: { id: string, type: string, data: object, at: string }) => void} listener
+ * @returns {() => void} unsubscribe
+ */
+export function subscribePlatformEvents(listener) {
+    subscribers.add(listener);
+    if (subscribers.size === 1) {
+        startListening();
+        startMarketPoller();
+    }
+
+    return () => {
+        if (!subscribers.delete(listener) || subscribers.size > 0) return;
+        stopAll();
+    };
+}
+
+export function getSubscriberCount() {
+    return subscribers.size;
+}
+
+function deliver(event) {
+    if (recentEventIds.has(event.id)) return;
+    recentEventIds.add(event.id);
+    if (recentEventIds.size > RECENT_EVENT_LIMIT) {
+        recentEventIds.delete(recentEventIds.values().next().value);
+    }
+
+    for (const listener of subscribers) {
+        try {
+            listener(event);
+        } catch (err) {
+            console.error('[PlatformEvents] Subscriber error:', err.message);
+        }
+    }
+}
+
+function startListening() {
+    if (stopListening || listenPending || listenRetryTimer) return;
+    listenPending = true;
+
+    listenPlatformEvents(deliver, (err) => {
+        stopListening = null;
+        console.error('[PlatformEvents] Listener lost:', err.message);
+        scheduleListenRetry();
+    }).then((stop) => {
+        listenPending = false;
+        listenFailures = 0;
+        if (subscribers.size === 0) {
+            stop();
+            return;
+        }
+        stopListening = stop;
+    }).catch((err) => {
+        listenPending = false;
+        console.error('[PlatformEvents] Listen failed:', err.message);
+        scheduleListenRetry();
+    });
+}
+
+function scheduleListenRetry() {
+    if (subscribers.size === 0 || listenRetryTimer) return;
+    const delay = Math.min(LISTEN_RETRY_BASE_MS * 2 ** listenFailures, LISTEN_RETRY_MAX_MS);
+    listenFailures++;
+    listenRetryTimer = setTimeout(() => {
+        listenRetryTimer = null;
+        if (subscribers.size > 0) startListening();
+    }, delay);
+}
+
+function stopAll() {
+    clearTimeout(listenRetryTimer);
+    listenRetryTimer = null;
+    listenFailures = 0;
+    stopListening?.();
+    stopListening = null;
+
+    clearInterval(marketTimer);
+    marketTimer = null;
+    marketSnapshot = null;
+}
+
+// ---------------------------------------------------------------------------
+// Market updates
+// ---------------------------------------------------------------------------
+
+function startMarketPoller() {
+    if (marketTimer) return;
+    pollMarketData();
+    marketTimer = setInterval(pollMarketData, CACHE_TTL_MS);
+}
+
+/**
+ * Diff the cached market data against the last poll and publish the tokens
+ * that moved. The first poll only records a baseline — new subscribers load
+ * the full list from /api/market-data.
+ */
+async function pollMarketData() {
+    let tokens;
+    try {
+        ({ tokens } = await getMarketData());
+    } catch (err) {
+        console.error('[PlatformEvents] Market poll failed:', err.message);
+        return;
+    }
+    if (!marketTimer) return;
+
+    const next = new Map(tokens.filter(t => t.mintAddress).map(t => [t.mintAddress, t]));
+    const previous = marketSnapshot;
+    marketSnapshot = next;
+    if (!previous) return;
+
+    const changed = [];
+    for (const [mintAddress, token] of next) {
+        const before = previous.get(mintAddress);
+        if (before && MARKET_FIELDS.some(field => before[field] !== token[field])) {
+            changed.push({
+                mintAddress,
+                symbol: token.symbol,
+                ...Object.fromEntries(MARKET_FIELDS.map(field => [field, token[field]])),
+            });
+        }
+    }
+
+    if (changed.length > 0) {
+        deliver({ id: crypto.randomUUID(), type: 'market', data: { tokens: changed }, at: new Date().toISOString() });
+    }
+}
@@ -16,14 +16,17 @@
  * Agent wallets are system-managed. The platform signs transactions
  * on behalf of agents using their encrypted private keys.
  *
+ * All signing (treasury and agent) goes through lib/signers, so keys can
+ * live in env/the database, a keystore directory or a remote signer.
+ *
  * Two modes:
  *   SIMULATE=true  → returns realistic fake data (local dev)
  *   SIMULATE=false → creates real tokens on-chain
  */
 
+import { getTreasurySigner, sendAndConfirmWithSigners } from './signers/index.js';
+
 const SIMULATE = process.env.SIMULATE !== 'false';
-const PLATFORM_PRIVATE_KEY = process.env.PLATFORM_PRIVATE_KEY || '';
-const PAID_TREASURY_PRIVATE_KEY = process.env.PAID_TREASURY_PRIVATE_KEY || '';
 const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.devnet.solana.com';
 const PAID_LAUNCH_COST_SOL = parseFloat(process.env.PAID_LAUNCH_COST_SOL || '0.02');
 
@@ -50,137 +53,57 @@ function generatePlaceholderPng() {
     return Buffer.from(base64Png, 'base64');
 }
 
-/**
- * Load a keypair from a base58-encoded private key string.
- */
-async function loadKeypairFromBase58(base58Key, label = 'wallet') {
-    if (!base58Key) {
-        throw new Error(`${label} private key is not configured`);
-    }
-    const { Keypair } = await import('@solana/web3.js');
-    const bs58 = (await import('bs58')).default;
-    try {
-        const secretKey = bs58.decode(base58Key);
-        return Keypair.fromSecretKey(secretKey);
-    } catch (e) {
-        throw new Error(`Failed to decode ${label} private key: ${e.message}`);
-    }
-}
+// ---------------------------------------------------------------------------
+// Launch Steps — individually callable, used by the launch job worker
+// ---------------------------------------------------------------------------
 
 /**
- * Load the free treasury keypair (PLATFORM_PRIVATE_KEY).
+ * Whether launches run in simulate mode (no on-chain transactions).
  */
-async function loadFreeTreasuryKeypair() {
-    return loadKeypairFromBase58(PLATFORM_PRIVATE_KEY, 'Free treasury (PLATFORM_PRIVATE_KEY)');
+export function isSimulateMode() {
+    return SIMULATE;
 }
 
 /**
- * Load the paid treasury keypair (PAID_TREASURY_PRIVATE_KEY).
+ * Paid launch fee in lamports (PAID_LAUNCH_COST_SOL).
  */
-async function loadPaidTreasuryKeypair() {
-    return loadKeypairFromBase58(PAID_TREASURY_PRIVATE_KEY, 'Paid treasury (PAID_TREASURY_PRIVATE_KEY)');
+export function getPaidLaunchLamports() {
+    return Math.ceil(PAID_LAUNCH_COST_SOL * 1e9);
 }
 
-// ---------------------------------------------------------------------------
-// Token Creation — Dual Treasury
-// ---------------------------------------------------------------------------
-
 /**
- * Create a token on pump.fun.
+ * Throw if the treasury for this launch type cannot cover the create transaction.
  *
- * @param {object} opts
- * @param {string} opts.name          Token name
- * @param {string} opts.symbol        Token symbol
- * @param {string} opts.description   Token description
- * @param {string} opts.launchType    'free' or 'paid'
- * @param {string} opts.agentWallet   Agent's wallet address (for fee sharing)
- * @param {import('@solana/web3.js').Keypair} [opts.agentKeypair] Agent's keypair (for paid — SOL transfer)
- * @param {string} [opts.imageUrl]    Direct image URL
- * @param {Buffer} [opts.imageBuffer] Raw image buffer (from multipart upload)
- * @param {string} [opts.imageMime]   MIME type of image buffer
- * @param {string} [opts.website]     Optional website
- * @param {string} [opts.twitter]     Optional twitter
- * @param {string} [opts.telegram]    Optional telegram
+ * @param {'free'|'paid'} launchType
  */
-export async function createToken(opts) {
-    if (SIMULATE) return simulateCreateToken(opts);
-    return realCreateToken(opts);
-}
-
-async function simulateCreateToken(opts) {
-    await new Promise(r => setTimeout(r, 500));
-    const mintAddress = fakeSolanaAddress();
-    const txSignature = fakeTxSignature();
+export async function assertTreasuryFunded(launchType) {
+    if (SIMULATE) return;
 
-    console.log(`[SIMULATE] Token created: ${opts.name} (${opts.symbol}) — ${opts.launchType} launch`);
-    console.log(`[SIMULATE] Mint: ${mintAddress}`);
+    const { Connection } = await import('@solana/web3.js');
+    const treasury = await getTreasurySigner(launchType);
 
-    return {
-        mintAddress,
-        txSignature,
-        pumpUrl: `https://pump.fun/coin/${mintAddress}`,
-        explorerUrl: `https://solscan.io/tx/${txSignature}`,
-        simulated: true,
-        feeSharingStatus: 'simulated',
-        feeSharingTx: null,
-    };
+    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+    const balance = await connection.getBalance(treasury.publicKey);
+    const balanceSol = balance / 1e9;
+    console.log(`[REAL] ${launchType === 'paid' ? 'Paid' : 'Free'} treasury balance: ${balanceSol} SOL`);
+    if (balanceSol < 0.01) {
+        throw new Error(`Insufficient treasury SOL (${balanceSol}). Need >= 0.01 SOL. Fund: ${treasury.address}`);
+    }
 }
 
 /**
- * Real token creation via pump.fun SDK.
+ * Upload token metadata (and image) to pump.fun IPFS.
  *
- * Flow:
- *   1. Select treasury based on launchType
- *   2. For paid: transfer SOL from agent → paid treasury
- *   3. Upload metadata to IPFS
- *   4. Treasury creates token (treasury is the on-chain creator)
- *   5. Set up fee sharing with agent wallet
+ * @param {object} opts  Launch job fields: name, symbol, description, website,
+ *                       twitter, telegram and imageBuffer/imageMime or imageUrl
+ * @returns {Promise<string>} metadata URI
  */
-async function realCreateToken(opts) {
-    const { Connection, Keypair, Transaction, SystemProgram,
-        sendAndConfirmTransaction, PublicKey: PK } = await import('@solana/web3.js');
-    const { PumpSdk } = await import('@pump-fun/pump-sdk');
-
-    const launchType = opts.launchType || 'free';
-    const isPaid = launchType === 'paid';
-
-    // Select correct treasury
-    const treasuryKeypair = isPaid
-        ? await loadPaidTreasuryKeypair()
-        : await loadFreeTreasuryKeypair();
-
-    console.log(`[REAL] ${isPaid ? 'Paid' : 'Free'} treasury: ${treasuryKeypair.publicKey.toBase58()}`);
-
-    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
-
-    // --- For paid launches: transfer SOL from agent → paid treasury ---
-    if (isPaid && opts.agentKeypair) {
-        const costLamports = Math.ceil(PAID_LAUNCH_COST_SOL * 1e9);
-        console.log(`[REAL] Transferring ${PAID_LAUNCH_COST_SOL} SOL from agent to paid treasury...`);
-
-        const transferTx = new Transaction().add(
-            SystemProgram.transfer({
-                fromPubkey: opts.agentKeypair.publicKey,
-                toPubkey: treasuryKeypair.publicKey,
-                lamports: costLamports,
-            })
-        );
-
-        const transferSig = await sendAndConfirmTransaction(
-            connection, transferTx, [opts.agentKeypair], { commitment: 'confirmed' }
-        );
-        console.log(`[REAL] SOL transfer complete: ${transferSig}`);
-    }
-
-    // Check treasury balance
-    const balance = await connection.getBalance(treasuryKeypair.publicKey);
-    const balanceSol = balance / 1e9;
-    console.log(`[REAL] Treasury balance: ${balanceSol} SOL`);
-    if (balanceSol < 0.01) {
-        throw new Error(`Insufficient treasury SOL (${balanceSol}). Need >= 0.01 SOL. Fund: ${treasuryKeypair.publicKey.toBase58()}`);
+export async function uploadTokenMetadata(opts) {
+    if (SIMULATE) {
+        await new Promise(r => setTimeout(r, 100));
+        return `https://ipfs.io/ipfs/simulated-${fakeSolanaAddress()}`;
     }
 
-    // --- Upload metadata to IPFS ---
     console.log('[REAL] Uploading metadata to pump.fun IPFS...');
     const formData = new FormData();
     formData.append('name', opts.name);
@@ -231,142 +154,318 @@ async function realCreateToken(opts) {
     }
 
     const ipfsData = await ipfsResp.json();
-    const metadataUri = ipfsData.metadataUri;
-    console.log('[REAL] Metadata URI:', metadataUri);
+    console.log('[REAL] Metadata URI:', ipfsData.metadataUri);
+    return ipfsData.metadataUri;
+}
+
+/**
+ * Send the pump.fun create transaction. The treasury for the launch type
+ * is creator + payer. If `payer` (the agent keypair) is given, the paid
+ * launch fee transfer is included in the same transaction.
+ *
+ * @param {object} opts
+ * @param {string} opts.name
+ * @param {string} opts.symbol
+ * @param {string} opts.metadataUri
+ * @param {'free'|'paid'} opts.launchType
+ * @param {import('@solana/web3.js').Keypair} opts.mintKeypair
+ * @param {object} [opts.payer] Agent signer to charge the paid launch fee
+ * @returns {Promise<{ mintAddress: string, txSignature: string, pumpUrl: string, explorerUrl: string, paymentLamports: number }>}
+ */
+export async function createTokenOnChain({ name, symbol, metadataUri, launchType, mintKeypair, payer = null }) {
+    const mintAddress = mintKeypair.publicKey.toBase58();
+    const paymentLamports = payer ? getPaidLaunchLamports() : 0;
+
+    if (SIMULATE) {
+        await new Promise(r => setTimeout(r, 300));
+        const txSignature = fakeTxSignature();
+        console.log(`[SIMULATE] Token created: ${name} (${symbol}) — ${launchType} launch, mint ${mintAddress}`);
+        if (payer) console.log(`[SIMULATE] Paid launch fee: ${PAID_LAUNCH_COST_SOL} SOL (same tx)`);
+        return {
+            mintAddress,
+            txSignature,
+            pumpUrl: `https://pump.fun/coin/${mintAddress}`,
+            explorerUrl: `https://solscan.io/tx/${txSignature}`,
+            paymentLamports,
+        };
+    }
+
+    const { Connection, Transaction, SystemProgram } = await import('@solana/web3.js');
+    const { PumpSdk } = await import('@pump-fun/pump-sdk');
+
+    const treasury = await getTreasurySigner(launchType);
 
-    // --- Generate mint keypair ---
-    const mintKeypair = Keypair.generate();
-    console.log('[REAL] Mint address:', mintKeypair.publicKey.toBase58());
+    console.log(`[REAL] ${launchType === 'paid' ? 'Paid' : 'Free'} treasury: ${treasury.address}`);
+    console.log('[REAL] Mint address:', mintAddress);
 
-    // --- Create token via SDK (treasury is creator + payer) ---
+    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
     const sdk = new PumpSdk(connection);
 
     const createIx = await sdk.createInstruction({
         mint: mintKeypair.publicKey,
-        name: opts.name,
-        symbol: opts.symbol,
+        name,
+        symbol,
         uri: metadataUri,
-        creator: treasuryKeypair.publicKey,
-        user: treasuryKeypair.publicKey,
+        creator: treasury.publicKey,
+        user: treasury.publicKey,
     });
 
-    console.log('[REAL] Sending create transaction...');
     const tx = new Transaction();
+    const signers = [treasury, mintKeypair];
+
+    // Paid launch: charge the agent in the same transaction, so a failed create never costs them SOL
+    if (payer) {
+        console.log(`[REAL] Bundling ${PAID_LAUNCH_COST_SOL} SOL launch fee from agent ${payer.address}`);
+        tx.add(SystemProgram.transfer({
+            fromPubkey: payer.publicKey,
+            toPubkey: treasury.publicKey,
+            lamports: paymentLamports,
+        }));
+        signers.push(payer);
+    }
+
+    console.log('[REAL] Sending create transaction...');
     tx.add(createIx);
 
-    const txSignature = await sendAndConfirmTransaction(
-        connection, tx, [treasuryKeypair, mintKeypair], { commitment: 'confirmed' }
+    const txSignature = await sendAndConfirmWithSigners(
+        connection, tx, signers, { commitment: 'confirmed' }
     );
 
-    console.log('[REAL] Token created! Mint:', mintKeypair.publicKey.toBase58(), 'Tx:', txSignature);
-
-    // --- Set up fee sharing ---
-    let feeSharingStatus = 'pending';
-    let feeSharingTx = null;
-
-    if (opts.agentWallet) {
-        console.log('[REAL] Waiting for mint to finalize...');
-        await new Promise(resolve => setTimeout(resolve, 5000));
-
-        const agentPubkey = new PK(opts.agentWallet);
-        const shareBps = isPaid ? 8500 : 7000;        // 85% or 70% to agent
-        const platformBps = isPaid ? 1500 : 3000;     // 15% or 30% to treasury
-
-        for (let attempt = 1; attempt <= 3; attempt++) {
-            try {
-                console.log(`[REAL] Setting up fee sharing (${shareBps / 100}/${platformBps / 100}) — attempt ${attempt}/3...`);
-
-                const createConfigIx = await sdk.createFeeSharingConfig({
-                    creator: treasuryKeypair.publicKey,
-                    mint: mintKeypair.publicKey,
-                    pool: null,
-                });
-
-                const updateSharesIx = await sdk.updateFeeShares({
-                    authority: treasuryKeypair.publicKey,
-                    mint: mintKeypair.publicKey,
-                    currentShareholders: [treasuryKeypair.publicKey],
-                    newShareholders: [
-                        { address: agentPubkey, shareBps },
-                        { address: treasuryKeypair.publicKey, shareBps: platformBps },
-                    ],
-                });
-
-                const feeTx = new Transaction();
-                feeTx.add(createConfigIx, updateSharesIx);
-
-                const feeTxSig = await sendAndConfirmTransaction(
-                    connection, feeTx, [treasuryKeypair], { commitment: 'confirmed' }
-                );
-
-                console.log('[REAL] Fee sharing configured! Tx:', feeTxSig);
-                feeSharingStatus = 'configured';
-                feeSharingTx = feeTxSig;
-                break;
-            } catch (feeErr) {
-                console.error(`[REAL] Fee sharing attempt ${attempt} failed:`, feeErr.message);
-                if (attempt < 3) {
-                    const delay = attempt * 5000;
-                    console.log(`[REAL] Retrying in ${delay / 1000}s...`);
-                    await new Promise(resolve => setTimeout(resolve, delay));
-                } else {
-                    feeSharingStatus = 'failed';
-                    console.error('[REAL] Fee sharing failed after 3 attempts.');
-                }
-            }
-        }
-    }
+    console.log('[REAL] Token created! Mint:', mintAddress, 'Tx:', txSignature);
 
     return {
-        mintAddress: mintKeypair.publicKey.toBase58(),
+        mintAddress,
         txSignature,
-        pumpUrl: `https://pump.fun/coin/${mintKeypair.publicKey.toBase58()}`,
+        pumpUrl: `https://pump.fun/coin/${mintAddress}`,
         explorerUrl: `https://solscan.io/tx/${txSignature}`,
-        simulated: false,
-        feeSharingStatus,
-        feeSharingTx,
+        paymentLamports,
+    };
+}
+
+/**
+ * Check whether a mint account already exists on-chain.
+ * Used when resuming a launch whose create transaction may have landed.
+ *
+ * @param {string} mintAddress
+ * @returns {Promise<boolean>}
+ */
+export async function isMintCreated(mintAddress) {
+    if (SIMULATE) return false;
+
+    const { Connection, PublicKey: PK } = await import('@solana/web3.js');
+    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+    const info = await connection.getAccountInfo(new PK(mintAddress));
+    return !!info;
+}
+
+/**
+ * Create the fee sharing config for a mint and split creator fees between
+ * the agent wallet and the treasury (70/30 free, 85/15 paid).
+ *
+ * @param {object} opts
+ * @param {string} opts.mintAddress
+ * @param {string} opts.agentWallet
+ * @param {'free'|'paid'} opts.launchType
+ * @returns {Promise<string>} transaction signature
+ */
+export async function configureFeeSharing({ mintAddress, agentWallet, launchType }) {
+    if (SIMULATE) {
+        await new Promise(r => setTimeout(r, 100));
+        return fakeTxSignature();
+    }
+
+    const { Connection, Transaction, PublicKey: PK } = await import('@solana/web3.js');
+    const { PumpSdk } = await import('@pump-fun/pump-sdk');
+
+    const treasury = await getTreasurySigner(launchType);
+
+    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+    const sdk = new PumpSdk(connection);
+    const mint = new PK(mintAddress);
+    const { shareBps, platformBps } = getFeeShareBps(launchType);
+
+    console.log(`[REAL] Setting up fee sharing (${shareBps / 100}/${platformBps / 100}) for ${mintAddress}...`);
+
+    const createConfigIx = await sdk.createFeeSharingConfig({
+        creator: treasury.publicKey,
+        mint,
+        pool: null,
+    });
+
+    const updateSharesIx = await sdk.updateFeeShares({
+        authority: treasury.publicKey,
+        mint,
+        currentShareholders: [treasury.publicKey],
+        newShareholders: expectedShareholders(new PK(agentWallet), treasury.publicKey, launchType),
+    });
+
+    const feeTx = new Transaction();
+    feeTx.add(createConfigIx, updateSharesIx);
+
+    const feeTxSig = await sendAndConfirmWithSigners(
+        connection, feeTx, [treasury], { commitment: 'confirmed' }
+    );
+
+    console.log('[REAL] Fee sharing configured! Tx:', feeTxSig);
+    return feeTxSig;
+}
+
+/**
+ * Read the on-chain fee sharing config for a mint and compare it with the
+ * split the agent should have.
+ *
+ * @param {object} opts
+ * @param {string} opts.mintAddress
+ * @param {string} opts.agentWallet
+ * @param {'free'|'paid'} opts.launchType
+ * @returns {Promise<{ exists: boolean, configAddress: string|null, admin: string|null, adminRevoked: boolean,
+ *   shareholders: { address: string, shareBps: number }[], matches: boolean }>}
+ */
+export async function inspectFeeSharing({ mintAddress, agentWallet, launchType }) {
+    if (SIMULATE) {
+        return { exists: true, configAddress: null, admin: null, adminRevoked: false, shareholders: [], matches: true };
+    }
+
+    const { Connection, PublicKey: PK } = await import('@solana/web3.js');
+    const { PumpSdk, feeSharingConfigPda } = await import('@pump-fun/pump-sdk');
+
+    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+    const sdk = new PumpSdk(connection);
+    const configAddress = feeSharingConfigPda(new PK(mintAddress));
+    const accountInfo = await connection.getAccountInfo(configAddress);
+
+    if (!accountInfo) {
+        return { exists: false, configAddress: configAddress.toBase58(), admin: null, adminRevoked: false, shareholders: [], matches: false };
+    }
+
+    const config = sdk.decodeSharingConfig(accountInfo);
+    const shareholders = config.shareholders.map(s => ({ address: s.address.toBase58(), shareBps: s.shareBps }));
+
+    const treasury = await getTreasurySigner(launchType);
+    const expected = expectedShareholders(new PK(agentWallet), treasury.publicKey, launchType)
+        .map(s => `${s.address.toBase58()}:${s.shareBps}`)
+        .sort();
+    const actual = shareholders.map(s => `${s.address}:${s.shareBps}`).sort();
+
+    return {
+        exists: true,
+        configAddress: configAddress.toBase58(),
+        admin: config.admin.toBase58(),
+        adminRevoked: config.adminRevoked,
+        shareholders,
+        matches: expected.length === actual.length && expected.every((v, i) => v === actual[i]),
     };
 }
 
+/**
+ * Bring a mint's fee sharing config in line with the expected split.
+ * Creates the config if missing, rewrites shareholders if they differ,
+ * and does nothing if it is already correct.
+ *
+ * @param {object} opts
+ * @param {string} opts.mintAddress
+ * @param {string} opts.agentWallet
+ * @param {'free'|'paid'} opts.launchType
+ * @returns {Promise<{ action: 'verify'|'create_and_update'|'update_shares', txSignature: string|null }>}
+ */
+export async function repairFeeSharing({ mintAddress, agentWallet, launchType }) {
+    const state = await inspectFeeSharing({ mintAddress, agentWallet, launchType });
+
+    if (state.matches) {
+        return { action: 'verify', txSignature: null };
+    }
+
+    if (!state.exists) {
+        const txSignature = await configureFeeSharing({ mintAddress, agentWallet, launchType });
+        return { action: 'create_and_update', txSignature };
+    }
+
+    const { Connection, Transaction, PublicKey: PK } = await import('@solana/web3.js');
+    const { PumpSdk } = await import('@pump-fun/pump-sdk');
+
+    const treasury = await getTreasurySigner(launchType);
+    if (state.adminRevoked || state.admin !== treasury.address) {
+        throw new Error(`Fee sharing config for ${mintAddress} is not administered by the ${launchType} treasury (admin ${state.admin}${state.adminRevoked ? ', revoked' : ''})`);
+    }
+
+    const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
+    const sdk = new PumpSdk(connection);
+
+    console.log(`[REAL] Updating fee shares for ${mintAddress}...`);
+
+    const updateSharesIx = await sdk.updateFeeShares({
+        authority: treasury.publicKey,
+        mint: new PK(mintAddress),
+        currentShareholders: state.shareholders.map(s => new PK(s.address)),
+        newShareholders: expectedShareholders(new PK(agentWallet), treasury.publicKey, launchType),
+    });
+
+    const tx = new Transaction();
+    tx.add(updateSharesIx);
+
+    const txSignature = await sendAndConfirmWithSigners(
+        connection, tx, [treasury], { commitment: 'confirmed' }
+    );
+
+    console.log('[REAL] Fee shares updated! Tx:', txSignature);
+    return { action: 'update_shares', txSignature };
+}
+
+function getFeeShareBps(launchType) {
+    const isPaid = launchType === 'paid';
+    return {
+        shareBps: isPaid ? 8500 : 7000,     // 85% or 70% to agent
+        platformBps: isPaid ? 1500 : 3000,  // 15% or 30% to treasury
+    };
+}
+
+function expectedShareholders(agentPubkey, treasuryPubkey, launchType) {
+    const { shareBps, platformBps } = getFeeShareBps(launchType);
+    return [
+        { address: agentPubkey, shareBps },
+        { address: treasuryPubkey, shareBps: platformBps },
+    ];
+}
+
 // ---------------------------------------------------------------------------
 // Fee Claiming — for agent wallets
 // ---------------------------------------------------------------------------
 
 /**
  * Claim creator fees for a specific agent wallet.
- * Uses the agent's encrypted keypair to sign the claim transaction.
+ * The claim transaction is signed by the agent's signer (see lib/signers).
  *
- * @param {import('@solana/web3.js').Keypair} agentKeypair - Agent's decrypted keypair
+ * @param {object} agentSigner - Agent's signer (getAgentSigner)
  * @returns {Promise<{ txSignature: string|null, amountLamports: number, simulated: boolean }>}
  */
-export async function claimAgentFees(agentKeypair) {
+export async function claimAgentFees(agentSigner) {
     if (SIMULATE) {
         await new Promise(r => setTimeout(r, 300));
         return { txSignature: fakeTxSignature(), amountLamports: 50000000, simulated: true };
     }
 
-    const { Connection, Transaction, sendAndConfirmTransaction } = await import('@solana/web3.js');
+    const { Connection, Transaction } = await import('@solana/web3.js');
     const { OnlinePumpSdk } = await import('@pump-fun/pump-sdk');
 
     const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
     const onlineSdk = new OnlinePumpSdk(connection);
 
     // Check claimable balance
-    const balance = await onlineSdk.getCreatorVaultBalanceBothPrograms(agentKeypair.publicKey);
-    console.log(`[CLAIM] Creator vault balance for ${agentKeypair.publicKey.toBase58()}: ${balance.toString()} lamports`);
+    const balance = await onlineSdk.getCreatorVaultBalanceBothPrograms(agentSigner.publicKey);
+    console.log(`[CLAIM] Creator vault balance for ${agentSigner.address}: ${balance.toString()} lamports`);
 
     if (balance.isZero()) {
         return { txSignature: null, amountLamports: 0, simulated: false, message: 'No fees to claim' };
     }
 
     // Build and send claim instructions
-    const instructions = await onlineSdk.collectCoinCreatorFeeInstructions(agentKeypair.publicKey);
+    const instructions = await onlineSdk.collectCoinCreatorFeeInstructions(agentSigner.publicKey);
 
     const tx = new Transaction();
     instructions.forEach(ix => tx.add(ix));
 
-    const txSignature = await sendAndConfirmTransaction(
-        connection, tx, [agentKeypair], { commitment: 'confirmed' }
+    const txSignature = await sendAndConfirmWithSigners(
+        connection, tx, [agentSigner], { commitment: 'confirmed' }
     );
 
     console.log(`[CLAIM] Fees claimed! Tx: ${txSignature}`);
@@ -415,8 +514,8 @@ export async function getAgentFeeBalance(walletAddress) {
 export async function checkTreasuryBalances() {
     if (SIMULATE) {
         return {
-            free: { walletAddress: fakeSolanaAddress(), balanceSol: 2.0 },
-            paid: { walletAddress: fakeSolanaAddress(), balanceSol: 1.5 },
+            free: { walletAddress: fakeSolanaAddress(), balanceSol: 2.0, balanceLamports: 2_000_000_000 },
+            paid: { walletAddress: fakeSolanaAddress(), balanceSol: 1.5, balanceLamports: 1_500_000_000 },
             simulated: true,
         };
     }
@@ -425,27 +524,29 @@ export async function checkTreasuryBalances() {
 
     const connection = new Connection(SOLANA_RPC_URL, 'confirmed');
 
-    const freeKeypair = await loadFreeTreasuryKeypair();
-    const freeBalance = await connection.getBalance(freeKeypair.publicKey);
+    const freeTreasury = await getTreasurySigner('free');
+    const freeBalance = await connection.getBalance(freeTreasury.publicKey);
 
     let paidBalance = 0;
     let paidAddress = 'not configured';
     try {
-        const paidKeypair = await loadPaidTreasuryKeypair();
-        paidBalance = await connection.getBalance(paidKeypair.publicKey);
-        paidAddress = paidKeypair.publicKey.toBase58();
+        const paidTreasury = await getTreasurySigner('paid');
+        paidBalance = await connection.getBalance(paidTreasury.publicKey);
+        paidAddress = paidTreasury.address;
     } catch (e) {
         console.error('[TREASURY] Paid treasury not configured:', e.message);
     }
 
     return {
         free: {
-            walletAddress: freeKeypair.publicKey.toBase58(),
+            walletAddress: freeTreasury.address,
             balanceSol: freeBalance / 1e9,
+            balanceLamports: freeBalance,
         },
         paid: {
             walletAddress: paidAddress,
             balanceSol: paidBalance / 1e9,
+            balanceLamports: paidBalance,
         },
         simulated: false,
     };
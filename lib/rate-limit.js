@@ -0,0 +1,213 @@
+/**
+ * Rate limiting shared by every instance (state lives in Postgres, see
+ * db.js `rate_limits`).
+ *
+ * Policies are configured below, per client IP and/or per agent. Each limit
+ * is a rolling window (generic cell rate algorithm): `limit` requests per
+ * `windowMs`, refilling continuously — so "1 per 24h" means 24 hours after
+ * the last one, not after midnight.
+ *
+ * Responses carry the IETF RateLimit headers for the tightest limit that
+ * applied, and `Retry-After` when the request is rejected:
+ *
+ *   RateLimit-Policy: 20;w=3600
+ *   RateLimit-Limit: 20
+ *   RateLimit-Remaining: 17
+ *   RateLimit-Reset: 540          seconds until the bucket is full again
+ *
+ * Override limits with RATE_LIMITS (JSON, merged over the defaults), e.g.
+ * RATE_LIMITS='{"launch":{"agent":{"limit":500}},"read":{"ip":null}}'.
+ * A null limit disables it. If the database is unavailable requests are let
+ * through — the route itself will fail on its own queries anyway.
+ */
+
+import { NextResponse } from 'next/server';
+import { consumeRateLimit, peekRateLimit, releaseRateLimit as releaseBucket, pruneRateLimits } from './db.js';
+
+const MINUTE = 60_000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const DEFAULT_POLICIES = {
+    register:    { ip: { limit: 10, windowMs: HOUR } },
+    upload:      { ip: { limit: 20, windowMs: HOUR } },
+    launch:      { ip: { limit: 60, windowMs: HOUR }, agent: { limit: 200, windowMs: DAY } },
+    launch_free: { agent: { limit: 1, windowMs: DAY } },
+    send:        { agent: { limit: 30, windowMs: MINUTE } },
+    claim:       { agent: { limit: 10, windowMs: HOUR } },
+    read:        { ip: { limit: 120, windowMs: MINUTE } },
+};
+
+const PRUNE_PROBABILITY = 0.005;
+
+function loadPolicies() {
+    const policies = structuredClone(DEFAULT_POLICIES);
+    if (!process.env.RATE_LIMITS) return policies;
+
+    let overrides;
+    try {
+        overrides = JSON.parse(process.env.RATE_LIMITS);
+    } catch (err) {
+        console.error('[RateLimit] Ignoring invalid RATE_LIMITS:', err.message);
+        return policies;
+    }
+    for (const [name, dimensions] of Object.entries(overrides || {})) {
+        policies[name] = policies[name] || {};
+        for (const [dimension, limit] of Object.entries(dimensions || {})) {
+            policies[name][dimension] = limit === null ? null : { ...policies[name][dimension], ...limit };
+        }
+    }
+    return policies;
+}
+
+export const RATE_LIMIT_POLICIES = loadPolicies();
+
+/**
+ * Client IP as seen by the platform's proxy.
+ */
+export function getClientIp(request) {
+    return request.headers.get('x-forwarded-for')?.split(',')[0]?.trim()
+        || request.headers.get('x-real-ip')
+        || 'unknown';
+}
+
+async function hit(policyName, dimension, id, { limit, windowMs }, dryRun) {
+    const intervalMs = windowMs / limit;
+    const { allowed, tat, now } = await (dryRun ? peekRateLimit : consumeRateLimit)({
+        key: `${policyName}:${dimension}:${id}`,
+        intervalMs,
+        windowMs,
+    });
+    const backlogMs = Math.max(tat - now, 0);
+    return {
+        allowed,
+        limit,
+        windowMs,
+        remaining: allowed ? Math.max(Math.floor((windowMs - backlogMs) / intervalMs), 0) : 0,
+        resetMs: backlogMs,
+        retryAfterMs: allowed ? 0 : Math.max(backlogMs - (windowMs - intervalMs), 0),
+        dimension,
+    };
+}
+
+/**
+ * Count one request against a policy, for every dimension it defines that
+ * an id was given for.
+ *
+ * @param {string} policyName  Key of RATE_LIMIT_POLICIES
+ * @param {object} ids
+ * @param {string} [ids.ip]
+ * @param {string} [ids.agentId]
+ * @param {object} [opts]
+ * @param {boolean} [opts.dryRun]  Answer as if counting, but don't count
+ *                                 (launch previews)
+ * @returns {Promise<{ allowed: boolean, policy: string, limit?: number, remaining?: number,
+ *          windowMs?: number, resetMs?: number, retryAfterMs?: number, dimension?: string }>}
+ *          the result of the tightest limit (a rejected one if any), or just
+ *          `{ allowed: true, policy }` when nothing applies
+ */
+export async function checkRateLimit(policyName, { ip = null, agentId = null } = {}, { dryRun = false } = {}) {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+    if (!policy) throw new Error(`Unknown rate limit policy "${policyName}"`);
+
+    const ids = { ip, agent: agentId };
+    const results = [];
+    try {
+        for (const [dimension, limit] of Object.entries(policy)) {
+            if (!limit || !ids[dimension]) continue;
+            results.push(await hit(policyName, dimension, ids[dimension], limit, dryRun));
+        }
+        if (Math.random() < PRUNE_PROBABILITY) {
+            pruneRateLimits().catch(err => console.error('[RateLimit] Prune failed:', err.message));
+        }
+    } catch (err) {
+        console.error(`[RateLimit] ${policyName} check failed, allowing request:`, err.message);
+        return { allowed: true, policy: policyName };
+    }
+
+    if (results.length === 0) return { allowed: true, policy: policyName };
+    const rejected = results.filter(r => !r.allowed);
+    const tightest = rejected.length > 0
+        ? rejected.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a))
+        : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    return { ...tightest, allowed: rejected.length === 0, policy: policyName };
+}
+
+/**
+ * Give back a request counted by checkRateLimit with the same ids, when what
+ * it paid for didn't happen after all (a launch that failed). Never throws.
+ */
+export async function releaseRateLimit(policyName, { ip = null, agentId = null } = {}) {
+    const policy = RATE_LIMIT_POLICIES[policyName] || {};
+    const ids = { ip, agent: agentId };
+    for (const [dimension, limit] of Object.entries(policy)) {
+        if (!limit || !ids[dimension]) continue;
+        try {
+            await releaseBucket({ key: `${policyName}:${dimension}:${ids[dimension]}`, intervalMs: limit.windowMs / limit.limit });
+        } catch (err) {
+            console.error(`[RateLimit] ${policyName} release failed:`, err.message);
+        }
+    }
+}
+
+/**
+ * RateLimit-* (and Retry-After) headers for a checkRateLimit result.
+ */
+export function rateLimitHeaders(result) {
+    if (result.limit === undefined) return {};
+    const headers = {
+        'RateLimit-Policy': `${result.limit};w=${Math.round(result.windowMs / 1000)}`,
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000)),
+    };
+    if (!result.allowed) headers['Retry-After'] = String(Math.max(Math.ceil(result.retryAfterMs / 1000), 1));
+    return headers;
+}
+
+/**
+ * 429 response for a rejected checkRateLimit result.
+ */
+export function rateLimitResponse(result, { noun = 'requests' } = {}) {
+    const retryAfter = Math.max(Math.ceil(result.retryAfterMs / 1000), 1);
+    return NextResponse.json({
+        success: false,
+        error: `Rate limit: max ${result.limit} ${noun} per ${formatWindow(result.windowMs)} per ${result.dimension === 'agent' ? 'agent' : 'IP'}. Retry in ${retryAfter}s.`,
+        code: 'RATE_LIMITED',
+        limit: result.limit,
+        retryAfter,
+    }, { status: 429, headers: rateLimitHeaders(result) });
+}
+
+/**
+ * Run `handler` if the request is within `policyName`, adding the
+ * RateLimit headers to its response; otherwise return a 429.
+ *
+ * @param {Request} request
+ * @param {string} policyName
+ * @param {object} [opts]
+ * @param {string} [opts.agentId]   For per-agent limits
+ * @param {string} [opts.noun]      What is being limited, for the 429 message
+ * @param {() => Promise<Response>} handler
+ * @returns {Promise<Response>}
+ */
+export async function withRateLimit(request, policyName, { agentId = null, noun } = {}, handler) {
+    const result = await checkRateLimit(policyName, { ip: getClientIp(request), agentId });
+    if (!result.allowed) return rateLimitResponse(result, { noun });
+
+    const response = await handler();
+    for (const [name, value] of Object.entries(rateLimitHeaders(result))) {
+        if (!response.headers.has(name)) response.headers.set(name, value);
+    }
+    return response;
+}
+
+/**
+ * "24 hours", "1 hour", "minute" — for limit messages.
+ */
+export function formatWindow(windowMs) {
+    if (windowMs % DAY === 0) return windowMs === DAY ? '24 hours' : `${windowMs / DAY} days`;
+    if (windowMs % HOUR === 0) return windowMs === HOUR ? 'hour' : `${windowMs / HOUR} hours`;
+    if (windowMs % MINUTE === 0) return windowMs === MINUTE ? 'minute' : `${windowMs / MINUTE} minutes`;
+    return `${Math.round(windowMs / 1000)} seconds`;
+}
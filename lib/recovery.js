@@ -0,0 +1,230 @@
+/**
+ * Account recovery for agents that lost their API key.
+ *
+ * Ownership is proven on the social platform the agent belongs to — the
+ * same identity the scanners already trust to launch into its wallet:
+ *
+ *   1. POST /api/agents/recovery { agentId } → challenge code + recovery secret
+ *   2. The agent posts `!ClawdPump recover <code>` on its platform; the
+ *      scanner checks the post author is the agent (verifyRecoveryPost)
+ *   3. POST /api/agents/recovery/:id/complete with the recovery secret →
+ *      a fresh full-access API key; existing keys are revoked by default
+ *
+ * Only agents whose platform is a scanned one can recover, and the post
+ * author must equal the agentId (as the scanner maps authors to agents).
+ * Requests are rate limited per agent (verified ones only, so strangers
+ * can't use up the owner's quota) and per IP, every request stays in
+ * agent_recoveries as the audit trail, and completion fires the agent's
+ * `account.recovered` webhook.
+ */
+
+import crypto from 'crypto';
+import {
+    getAgent, createRecoveryRequest, getRecoveryRequest, getRecoveryRequestByCode,
+    countRecentRecoveryRequests, markRecoveryVerified, markRecoveryRejected,
+    claimRecoveryCompletion, setRecoveryResult, revokeAllApiKeys, cancelPendingWalletExports,
+} from './db.js';
+import { hashApiKey } from './sanitize.js';
+import { issueApiKey, API_KEY_SCOPES } from './agent-auth.js';
+import { emitAgentEvent } from './webhooks.js';
+
+export const RECOVERY_PLATFORMS = ['moltbook', '4claw', 'moltx', 'farcaster'];
+
+const CHALLENGE_TTL_MS = 60 * 60_000;       // time to get the post scanned
+const COMPLETION_TTL_MS = 30 * 60_000;      // time to complete once verified
+const RATE_WINDOW_MS = 24 * 3_600_000;
+const MAX_VERIFIED_PER_AGENT = 5;
+const MAX_UNVERIFIED_PER_IP = 5;
+const MAX_COMPLETED_PER_AGENT = 1;
+
+// No 0/O/1/I — codes get retyped into posts
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_PATTERN = /!clawdpump\s+recover\s+(CP-[A-Z0-9]{4}-[A-Z0-9]{4})\b/i;
+
+// The scanner's author → agentId mapping (run-scan.js auto-registration)
+function authorToAgentId(authorName) {
+    return authorName.replace(/[^a-zA-Z0-9_-]/g, '-').slice(0, 50);
+}
+
+function generateChallengeCode() {
+    const chars = Array.from({ length: 8 }, () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]);
+    return `CP-${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+function secretMatches(recovery, secret) {
+    if (!secret) return false;
+    const expected = Buffer.from(recovery.secretHash);
+    const received = Buffer.from(hashApiKey(secret));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function fail(status, error, code = null) {
+    return { error, status, ...(code ? { code } : {}) };
+}
+
+/**
+ * The challenge code in a `!ClawdPump recover <code>` post, or null.
+ */
+export function parseRecoveryPost(content) {
+    const match = (content || '').match(CODE_PATTERN);
+    return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Start a recovery. The secret is only returned here.
+ *
+ * @returns {Promise<{ recovery: object, secret: string }|{ error: string, status: number, code?: string }>}
+ */
+export async function startRecovery({ agentId, platform = null, ip, userAgent = null }) {
+    const agent = await getAgent(agentId);
+    if (!agent) return fail(404, 'Agent not found');
+
+    if (!RECOVERY_PLATFORMS.includes(agent.platform)) {
+        return fail(422, `Agent "${agentId}" is not linked to a social platform (${RECOVERY_PLATFORMS.join(', ')}), so ownership can't be verified. Contact support.`, 'RECOVERY_UNAVAILABLE');
+    }
+    if (platform && platform !== agent.platform) {
+        return fail(422, `Agent "${agentId}" belongs to ${agent.platform} — post the challenge there.`, 'RECOVERY_PLATFORM_MISMATCH');
+    }
+
+    const counts = await countRecentRecoveryRequests({ agentId, ip, windowMs: RATE_WINDOW_MS });
+    if (counts.completed >= MAX_COMPLETED_PER_AGENT) {
+        return fail(429, 'This agent was already recovered in the last 24 hours. Try again later.', 'RECOVERY_RATE_LIMITED');
+    }
+    if (counts.verified >= MAX_VERIFIED_PER_AGENT || counts.unverifiedByIp >= MAX_UNVERIFIED_PER_IP) {
+        return fail(429, 'Too many recovery requests. Try again in 24 hours.', 'RECOVERY_RATE_LIMITED');
+    }
+
+    const secret = `rcv_${crypto.randomBytes(32).toString('hex')}`;
+    const recovery = await createRecoveryRequest({
+        id: crypto.randomUUID(),
+        agentId,
+        platform: agent.platform,
+        challengeCode: generateChallengeCode(),
+        secretHash: hashApiKey(secret),
+        expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+        ip,
+        userAgent,
+    });
+
+    console.log(`[Recovery] ${recovery.id} requested for ${agentId} via ${agent.platform} from ${ip}`);
+    return { recovery, secret };
+}
+
+/**
+ * Check a scanned recovery post. Called by the scanner for posts with a
+ * challenge code; never throws for a bad post.
+ *
+ * @returns {Promise<{ ok: boolean, recovery: object|null, reason?: string }>}
+ */
+export async function verifyRecoveryPost({ code, platform, postId, authorName }) {
+    const recovery = await getRecoveryRequestByCode(code);
+    if (!recovery) return { ok: false, recovery: null, reason: 'Unknown recovery code' };
+    if (recovery.status !== 'pending') {
+        return { ok: false, recovery, reason: `Recovery request is ${recovery.status}` };
+    }
+
+    let reason = null;
+    if (recovery.platform !== platform) {
+        reason = `Recovery must be posted on ${recovery.platform}`;
+    } else if (!authorName || (authorName !== recovery.agentId && authorToAgentId(authorName) !== recovery.agentId)) {
+        reason = `Post author "${authorName}" is not agent "${recovery.agentId}"`;
+    }
+
+    if (reason) {
+        const rejected = await markRecoveryRejected(recovery.id, { postId, postAuthor: authorName, errorMsg: reason });
+        console.warn(`[Recovery] ${recovery.id} rejected: ${reason}`);
+        return { ok: false, recovery: rejected || recovery, reason };
+    }
+
+    const verified = await markRecoveryVerified(recovery.id, {
+        postId,
+        postAuthor: authorName,
+        expiresAt: new Date(Date.now() + COMPLETION_TTL_MS),
+    });
+    if (!verified) return { ok: false, recovery, reason: 'Recovery request expired' };
+
+    console.log(`[Recovery] ${recovery.id} verified by ${platform} post ${postId}`);
+    return { ok: true, recovery: verified };
+}
+
+/**
+ * Load a recovery request for its requester.
+ *
+ * @returns {Promise<{ recovery: object }|{ error: string, status: number }>}
+ */
+export async function getRecoveryForRequester(id, secret) {
+    const recovery = await getRecoveryRequest(id);
+    // Same answer for unknown id and wrong secret
+    if (!recovery || !secretMatches(recovery, secret)) return fail(404, 'Recovery request not found');
+    return { recovery };
+}
+
+/**
+ * Finish a verified recovery: issue a new full-access key and, unless
+ * `keepExistingKeys`, revoke every other key of the agent. Pending wallet
+ * exports (see wallet-export.js) are always cancelled.
+ *
+ * @returns {Promise<{ recovery: object, key: string, apiKey: object, revokedKeyCount: number }|{ error: string, status: number, code?: string }>}
+ */
+export async function completeRecovery({ id, secret, ip, keepExistingKeys = false }) {
+    const found = await getRecoveryForRequester(id, secret);
+    if (found.error) return found;
+    if (found.recovery.status !== 'verified') {
+        return fail(409, `Recovery request is ${found.recovery.status}${found.recovery.status === 'pending' ? ' — post the challenge and wait for it to be scanned' : ''}`, 'RECOVERY_NOT_VERIFIED');
+    }
+
+    const recovery = await claimRecoveryCompletion(id, { ip });
+    if (!recovery) return fail(409, 'Recovery request is no longer verified', 'RECOVERY_NOT_VERIFIED');
+
+    const revokedKeyCount = keepExistingKeys
+        ? 0
+        : await revokeAllApiKeys(recovery.agentId, { revokedBy: `recovery:${recovery.id}` });
+    const { key, apiKey } = await issueApiKey({
+        agentId: recovery.agentId,
+        name: 'recovered',
+        scopes: API_KEY_SCOPES,
+        createdBy: `recovery:${recovery.id}`,
+    });
+    await setRecoveryResult(recovery.id, { apiKeyId: apiKey.id, revokedKeyCount });
+    // An export requested with a lost (possibly leaked) key must not be confirmable later
+    const cancelledExports = await cancelPendingWalletExports(recovery.agentId, { cancelledBy: `recovery:${recovery.id}` });
+
+    console.log(`[Recovery] ${recovery.id} completed for ${recovery.agentId}: key ${apiKey.id} issued, ${revokedKeyCount} revoked, ${cancelledExports} wallet export(s) cancelled`);
+    await emitAgentEvent(recovery.agentId, 'account.recovered', {
+        recoveryId: recovery.id,
+        platform: recovery.platform,
+        postId: recovery.postId,
+        apiKeyId: apiKey.id,
+        revokedKeyCount,
+    });
+
+    return { recovery: { ...recovery, apiKeyId: apiKey.id, revokedKeyCount }, key, apiKey, revokedKeyCount };
+}
+
+/**
+ * Recovery request as shown to its requester.
+ */
+export function toPublicRecovery(recovery) {
+    return {
+        id: recovery.id,
+        agentId: recovery.agentId,
+        platform: recovery.platform,
+        status: recovery.status,
+        challengeCode: recovery.challengeCode,
+        post: `!ClawdPump recover ${recovery.challengeCode}`,
+        postId: recovery.postId,
+        error: recovery.errorMsg,
+        createdAt: recovery.createdAt,
+        expiresAt: recovery.expiresAt,
+        verifiedAt: recovery.verifiedAt,
+        completedAt: recovery.completedAt,
+    };
+}
+
+/**
+ * Recovery request as shown to admins (the audit trail, no secret hash).
+ */
+export function toAdminRecovery(recovery) {
+    const { secretHash, ...rest } = recovery;
+    return rest;
+}
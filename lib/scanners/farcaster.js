@@ -0,0 +1,111 @@
+/**
+ * Farcaster scanner adapter (see index.js for the interface).
+ *
+ * Polls the /clawdpump channel for new !ClawdPump casts through a
+ * Neynar-compatible API and replies in-thread with deployment results.
+ * Casts have no markdown and a byte limit, so replies are rendered plain
+ * and trimmed to FARCASTER_MAX_CAST_BYTES.
+ *
+ * Test offline against scripts/farcaster-mock.js.
+ */
+
+import { parsePostDate } from './parser.js';
+
+const API_BASE = (process.env.FARCASTER_API_URL || 'https://api.neynar.com/v2/farcaster').replace(/\/$/, '');
+const CHANNEL = process.env.FARCASTER_CHANNEL || 'clawdpump';
+const MAX_CAST_BYTES = parseInt(process.env.FARCASTER_MAX_CAST_BYTES || '320', 10);
+const PAGE_SIZE = 50;
+
+export const platform = 'farcaster';
+export const replyFormat = 'plain';
+
+export function isConfigured() {
+    return Boolean(process.env.FARCASTER_API_KEY);
+}
+
+/**
+ * Fetch a page of channel casts, newest first.
+ * @param {{ page?: string|null }} [opts] - Cursor from a previous page
+ * @returns {Promise<{ posts: Array, nextPage: string|null }>}
+ */
+export async function fetchPage({ page = null } = {}) {
+    const apiKey = process.env.FARCASTER_API_KEY;
+    if (!apiKey) throw new Error('FARCASTER_API_KEY not configured');
+
+    const params = new URLSearchParams({ channel_ids: CHANNEL, limit: String(PAGE_SIZE), with_recasts: 'false' });
+    if (page) params.set('cursor', page);
+
+    const res = await fetch(`${API_BASE}/feed/channels?${params}`, {
+        headers: { 'x-api-key': apiKey },
+        signal: AbortSignal.timeout(15000),
+    });
+
+    if (!res.ok) {
+        const body = await res.text();
+        throw new Error(`Farcaster API error ${res.status}: ${body}`);
+    }
+
+    const json = await res.json();
+    const casts = Array.isArray(json.casts) ? json.casts : [];
+    return { posts: casts, nextPage: casts.length > 0 ? json.next?.cursor || null : null };
+}
+
+/**
+ * Cast text for a reply: at most MAX_CAST_BYTES, cut at a line break where
+ * possible.
+ */
+export function toCastText(message) {
+    let text = message.replace(/\n{3,}/g, '\n\n').trim();
+    if (Buffer.byteLength(text) <= MAX_CAST_BYTES) return text;
+
+    const lines = text.split('\n');
+    while (lines.length > 1 && Buffer.byteLength(`${lines.join('\n')}\n…`) > MAX_CAST_BYTES) lines.pop();
+    text = lines.join('\n').trim();
+    while (Buffer.byteLength(`${text}…`) > MAX_CAST_BYTES) text = text.slice(0, -1);
+    return `${text}…`;
+}
+
+/**
+ * Reply to a cast with deployment results.
+ * @param {string} castHash - The cast to reply to
+ * @param {string} message - Reply content (plain text)
+ */
+export async function replyToPost(castHash, message) {
+    const apiKey = process.env.FARCASTER_API_KEY;
+    const signerUuid = process.env.FARCASTER_SIGNER_UUID;
+    if (!apiKey || !signerUuid) return;
+
+    try {
+        const res = await fetch(`${API_BASE}/cast`, {
+            method: 'POST',
+            headers: {
+                'x-api-key': apiKey,
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                signer_uuid: signerUuid,
+                text: toCastText(message),
+                parent: castHash,
+                channel_id: CHANNEL,
+            }),
+            signal: AbortSignal.timeout(15000),
+        });
+        if (!res.ok) console.error(`[farcaster] Reply rejected ${res.status}: ${await res.text()}`);
+    } catch (e) {
+        console.error('[farcaster] Failed to reply:', e.message);
+    }
+}
+
+/**
+ * Get cast hash and text from a Farcaster cast object.
+ * @param {object} cast - Raw cast from the feed API
+ * @returns {{ id: string, content: string, authorName: string, createdAt: Date|null }}
+ */
+export function extractPostData(cast) {
+    return {
+        id: cast.hash,
+        content: cast.text || '',
+        authorName: cast.author?.username || (cast.author?.fid ? `fid-${cast.author.fid}` : 'unknown'),
+        createdAt: parsePostDate(cast.timestamp),
+    };
+}
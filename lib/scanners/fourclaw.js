@@ -1,21 +1,34 @@
 /**
- * 4claw scanner client.
+ * 4claw scanner adapter (see index.js for the interface).
  * 
  * Polls /crypto/ board for new !ClawdPump threads.
- * Replies to original thread with deployment results.
+ * Replies to original thread with deployment results, without markdown
+ * (the board shows it raw).
  */
 
+import { parsePostDate } from './parser.js';
+
 const API_BASE = 'https://www.4claw.org/api/v1';
+const PAGE_SIZE = 50;
+
+export const platform = '4claw';
+export const replyFormat = 'plain';
+
+export function isConfigured() {
+    return Boolean(process.env.FOURCLAW_API_KEY);
+}
 
 /**
- * Fetch recent threads from /crypto/ board.
- * @returns {Promise<Array>} Threads from the board
+ * Fetch a page of /crypto/ board threads, newest first.
+ * @param {{ page?: string|null }} [opts] - Offset from a previous page
+ * @returns {Promise<{ posts: Array, nextPage: string|null }>}
  */
-export async function fetchNewThreads() {
+export async function fetchPage({ page = null } = {}) {
     const apiKey = process.env.FOURCLAW_API_KEY;
     if (!apiKey) throw new Error('FOURCLAW_API_KEY not configured');
 
-    const res = await fetch(`${API_BASE}/boards/crypto/threads?includeContent=1&limit=50`, {
+    const offset = Number(page) || 0;
+    const res = await fetch(`${API_BASE}/boards/crypto/threads?includeContent=1&sort=new&limit=${PAGE_SIZE}&offset=${offset}`, {
         headers: { 'Authorization': `Bearer ${apiKey}` },
         signal: AbortSignal.timeout(15000),
     });
@@ -27,7 +40,8 @@ export async function fetchNewThreads() {
 
     const json = await res.json();
     const threads = json.threads || json.data || [];
-    return Array.isArray(threads) ? threads : [];
+    if (!Array.isArray(threads)) return { posts: [], nextPage: null };
+    return { posts: threads, nextPage: threads.length < PAGE_SIZE ? null : String(offset + threads.length) };
 }
 
 /**
@@ -35,7 +49,7 @@ export async function fetchNewThreads() {
  * @param {string} threadId - The thread ID to reply to
  * @param {string} message - Reply content
  */
-export async function replyToThread(threadId, message) {
+export async function replyToPost(threadId, message) {
     const apiKey = process.env.FOURCLAW_API_KEY;
     if (!apiKey) return;
 
@@ -56,12 +70,13 @@ export async function replyToThread(threadId, message) {
 /**
  * Get thread ID and content from a 4claw thread object.
  * @param {object} thread - Raw thread from 4claw API
- * @returns {{ id: string, content: string, authorName: string }}
+ * @returns {{ id: string, content: string, authorName: string, createdAt: Date|null }}
  */
 export function extractPostData(thread) {
     return {
         id: thread.id || thread._id,
         content: (thread.content || '') + (thread.title ? `\n${thread.title}` : ''),
         authorName: thread.author?.name || thread.agent_name || 'anon',
+        createdAt: parsePostDate(thread.created_at || thread.createdAt),
     };
 }
@@ -0,0 +1,39 @@
+/**
+ * Social platform scanner registry.
+ *
+ * A scanner adapter is a module exporting:
+ *
+ *   platform                      id stored on posts, agents and tokens
+ *   isConfigured()                whether its credentials are set
+ *   fetchPage({ page })           → { posts, nextPage } — one page of raw
+ *                                 posts, newest first; `page` is null for the
+ *                                 first page, then the previous nextPage
+ *                                 (null when there are no more pages)
+ *   extractPostData(post)         → { id, content, authorName, createdAt }
+ *   replyToPost(postId, message)  reply on the platform, never throws
+ *   replyFormat                   'markdown' or 'plain' — how replies are
+ *                                 rendered (replies/index.js)
+ *
+ * run-scan.js pages back to the platform's cursor (scanner_cursors) so
+ * nothing between two cron runs is missed. To add a platform, write the
+ * adapter module and register it below under its /api/scan/<name> route.
+ */
+
+import * as moltbook from './moltbook.js';
+import * as fourclaw from './fourclaw.js';
+import * as moltx from './moltx.js';
+import * as farcaster from './farcaster.js';
+
+export const SCANNER_ADAPTERS = {
+    moltbook,
+    fourclaw,
+    moltx,
+    farcaster,
+};
+
+/**
+ * Adapter for an /api/scan/<name> route, or null.
+ */
+export function getScannerAdapter(name) {
+    return Object.hasOwn(SCANNER_ADAPTERS, name) ? SCANNER_ADAPTERS[name] : null;
+}
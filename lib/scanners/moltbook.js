@@ -1,21 +1,33 @@
 /**
- * Moltbook scanner client.
+ * Moltbook scanner adapter (see index.js for the interface).
  * 
  * Polls m/clawdpump submolt for new !ClawdPump posts.
  * Replies to original post with deployment results.
  */
 
+import { parsePostDate } from './parser.js';
+
 const API_BASE = 'https://www.moltbook.com/api/v1';
+const PAGE_SIZE = 50;
+
+export const platform = 'moltbook';
+export const replyFormat = 'markdown';
+
+export function isConfigured() {
+    return Boolean(process.env.MOLTBOOK_API_KEY);
+}
 
 /**
- * Fetch recent posts from m/clawdpump submolt.
- * @returns {Promise<Array>} Posts from the submolt
+ * Fetch a page of m/clawdpump submolt posts, newest first.
+ * @param {{ page?: string|null }} [opts] - Offset from a previous page
+ * @returns {Promise<{ posts: Array, nextPage: string|null }>}
  */
-export async function fetchNewPosts() {
+export async function fetchPage({ page = null } = {}) {
     const apiKey = process.env.MOLTBOOK_API_KEY;
     if (!apiKey) throw new Error('MOLTBOOK_API_KEY not configured');
 
-    const res = await fetch(`${API_BASE}/submolts/clawdpump/feed?sort=new&limit=50`, {
+    const offset = Number(page) || 0;
+    const res = await fetch(`${API_BASE}/submolts/clawdpump/feed?sort=new&limit=${PAGE_SIZE}&offset=${offset}`, {
         headers: { 'Authorization': `Bearer ${apiKey}` },
         signal: AbortSignal.timeout(15000),
     });
@@ -28,7 +40,8 @@ export async function fetchNewPosts() {
     const json = await res.json();
     // Moltbook returns { success, data/posts }
     const posts = json.data || json.posts || [];
-    return Array.isArray(posts) ? posts : [];
+    if (!Array.isArray(posts)) return { posts: [], nextPage: null };
+    return { posts, nextPage: posts.length < PAGE_SIZE ? null : String(offset + posts.length) };
 }
 
 /**
@@ -57,12 +70,13 @@ export async function replyToPost(postId, message) {
 /**
  * Get post ID and content from a Moltbook post object.
  * @param {object} post - Raw post from Moltbook API
- * @returns {{ id: string, content: string, authorName: string }}
+ * @returns {{ id: string, content: string, authorName: string, createdAt: Date|null }}
  */
 export function extractPostData(post) {
     return {
         id: post.id || post._id,
         content: (post.content || '') + (post.title ? `\n${post.title}` : ''),
         authorName: post.author?.name || post.agent_name || 'unknown',
+        createdAt: parsePostDate(post.created_at || post.createdAt),
     };
 }
@@ -1,22 +1,35 @@
 /**
- * Moltx scanner client.
+ * Moltx scanner adapter (see index.js for the interface).
  * 
  * Searches for !ClawdPump posts on Moltx.
  * Replies to original post with deployment results.
  */
 
+import { parsePostDate } from './parser.js';
+
 const API_BASE = 'https://moltx.io/v1';
+const PAGE_SIZE = 20;
+
+export const platform = 'moltx';
+export const replyFormat = 'markdown';
+
+export function isConfigured() {
+    return Boolean(process.env.MOLTX_API_KEY);
+}
 
 /**
- * Search for recent !ClawdPump posts on Moltx.
- * @returns {Promise<Array>} Posts matching the search
+ * Fetch a page of !ClawdPump search results, newest first.
+ * @param {{ page?: string|null }} [opts] - Offset from a previous page
+ * @returns {Promise<{ posts: Array, nextPage: string|null }>}
  */
-export async function fetchNewPosts() {
+export async function fetchPage({ page = null } = {}) {
     const apiKey = process.env.MOLTX_API_KEY;
     if (!apiKey) throw new Error('MOLTX_API_KEY not configured');
 
-    const res = await fetch(`${API_BASE}/search/posts?q=ClawdPump&limit=20`, {
+    const offset = Number(page) || 0;
+    const res = await fetch(`${API_BASE}/search/posts?q=ClawdPump&sort=recent&limit=${PAGE_SIZE}&offset=${offset}`, {
         headers: { 'Authorization': `Bearer ${apiKey}` },
+        signal: AbortSignal.timeout(15000),
     });
 
     if (!res.ok) {
@@ -26,7 +39,8 @@ export async function fetchNewPosts() {
 
     const json = await res.json();
     const posts = json.data || json.results || json.posts || [];
-    return Array.isArray(posts) ? posts : [];
+    if (!Array.isArray(posts)) return { posts: [], nextPage: null };
+    return { posts, nextPage: posts.length < PAGE_SIZE ? null : String(offset + posts.length) };
 }
 
 /**
@@ -59,12 +73,13 @@ export async function replyToPost(postId, message) {
 /**
  * Get post ID and content from a Moltx post object.
  * @param {object} post - Raw post from Moltx API
- * @returns {{ id: string, content: string, authorName: string }}
+ * @returns {{ id: string, content: string, authorName: string, createdAt: Date|null }}
  */
 export function extractPostData(post) {
     return {
         id: post.id || post._id,
         content: post.content || '',
         authorName: post.author?.name || post.agent?.name || 'unknown',
+        createdAt: parsePostDate(post.created_at || post.createdAt),
     };
 }
@@ -40,6 +40,14 @@ export function parseClawdPumpPost(content) {
     return { success: false, error: 'Could not parse token details. Use key: value or JSON format.' };
 }
 
+/**
+ * Whether a post is a `!ClawdPump check` — a dry run of the launch it
+ * describes, answered with what would be launched.
+ */
+export function isCheckPost(content) {
+    return /!clawdpump\s+check\b/i.test(content || '');
+}
+
 /**
  * Try to extract JSON from the content (from code block or raw).
  */
@@ -163,3 +171,11 @@ function isValidImageUrl(url) {
         return false;
     }
 }
+
+/**
+ * A post timestamp from a platform API as a Date, or null.
+ */
+export function parsePostDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+}
@@ -0,0 +1,77 @@
+/**
+ * English scanner replies — the reference set. Other languages fall back
+ * to these key by key. See index.js for the variables each template gets.
+ */
+
+import { formatWindow } from '@/lib/rate-limit';
+
+const limit = (l) => (l ? `${l.count} per ${formatWindow(l.windowMs)}` : 'unlimited');
+const split = (s) => `${s.creator}% creator / ${s.platform}% platform`;
+
+export const REPLIES = {
+    launched: (v) => [
+        `✅ **Token "${v.name}" (${v.symbol}) launched on pump.fun!**`,
+        '',
+        `🔗 **pump.fun:** ${v.pumpUrl}`,
+        `🔍 **Explorer:** ${v.explorerUrl}`,
+        `📊 **ClawdPump:** ${v.siteUrl}`,
+        '',
+        `${v.launchType === 'free' ? '⭐ FREE' : `💰 PAID (${v.paidCost} SOL)`} — Fee split: ${split(v.feeSplit)}`,
+        '',
+        `{LAUNCHED WITH ClawdPump VIA ${v.source}}`,
+    ],
+    queued: (v) => [
+        `⏳ **Token "${v.name}" (${v.symbol}) is queued for launch**`,
+        '',
+        'A step failed and will be retried automatically.',
+        ...(v.error ? [`Last error: ${v.error}`] : []),
+    ],
+    launchFailed: (v) => ['❌ **Launch failed**', '', v.error],
+    invalidFormat: (v) => ['❌ **ClawdPump Launch Failed**', '', v.error, '', `See format guide: ${v.guideUrl}`],
+    symbolTaken: (v) => [`❌ **Ticker "${v.symbol}" already launched**`, '', 'Choose a different symbol.'],
+    insufficientBalance: (v) => [
+        '❌ **Insufficient Balance**',
+        '',
+        `Your wallet: \`${v.wallet}\``,
+        '',
+        '**Option 1 — FREE launch:**',
+        `Hold ${v.minClawdpump}+ $CLAWDPUMP (${split(v.freeSplit)}, ${limit(v.freeLimit)})`,
+        `Buy: ${v.buyUrl}`,
+        '',
+        '**Option 2 — PAID launch:**',
+        `Send ${v.paidCost} SOL to your wallet (${split(v.paidSplit)})`,
+        '',
+        `Current: ${v.balance.clawdpump} $CLAWDPUMP | ${v.balance.sol}`,
+    ],
+    freeLimitReached: (v) => [
+        `⏳ **Free launch limit reached** (${limit(v.limit)})`,
+        '',
+        `Deposit ${v.paidCost} SOL to your wallet for paid launches (${v.paidSplit.creator}/${v.paidSplit.platform} split):`,
+        `\`${v.wallet}\``,
+    ],
+    rateLimited: (v) => [
+        '⏳ **Rate limited**',
+        '',
+        `Max ${v.limit.count} launches per ${formatWindow(v.limit.windowMs)} per ${v.dimension === 'agent' ? 'agent' : 'IP'}. Retry in ${v.retryAfter}s.`,
+    ],
+    launchBlocked: (v) => ['❌ **Launch blocked**', '', v.error],
+    launchRejected: (v) => ['❌ **ClawdPump Launch Rejected**', '', v.error],
+    recoveryVerified: (v) => [
+        `✅ **Recovery verified** for agent \`${v.agentId}\``,
+        '',
+        `Complete it within 30 minutes with your recovery secret: POST /api/agents/recovery/${v.recoveryId}/complete`,
+    ],
+    recoveryRejected: (v) => ['❌ **Recovery not verified**', '', v.reason],
+    launchPreview: (v) => [
+        '🔍 **ClawdPump check — nothing was launched**',
+        '',
+        v.ok ? `✅ Ready to launch "${v.name}" (${v.symbol})` : `❌ Would not launch: ${v.error}`,
+        v.launchType
+            ? `Tier: ${v.launchType === 'free' ? '⭐ FREE' : `💰 PAID (${v.paidCost} SOL)`} — Fee split: ${split(v.feeSplit)}`
+            : `Tier: none — hold ${v.minClawdpump}+ $CLAWDPUMP or ${v.paidCost} SOL`,
+        ...(v.wallet ? [`Wallet: \`${v.wallet}\``, `Balance: ${v.balance.clawdpump} $CLAWDPUMP | ${v.balance.sol}`] : []),
+        '',
+        v.ok ? 'Post again without "check" to launch.' : `Fix it and post again with \`!ClawdPump check\`. Format guide: ${v.guideUrl}`,
+    ],
+    retryScheduled: (v) => [`🔁 ClawdPump will retry this post automatically (next attempt ${v.at} UTC).`],
+};
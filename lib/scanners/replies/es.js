@@ -0,0 +1,86 @@
+/**
+ * Spanish scanner replies. Error details from the launch pipeline stay in
+ * English.
+ */
+
+const DAY = 86_400_000;
+const HOUR = 3_600_000;
+const MINUTE = 60_000;
+
+function window(ms) {
+    if (ms % DAY === 0) return ms === DAY ? '24 horas' : `${ms / DAY} días`;
+    if (ms % HOUR === 0) return ms === HOUR ? 'hora' : `${ms / HOUR} horas`;
+    if (ms % MINUTE === 0) return ms === MINUTE ? 'minuto' : `${ms / MINUTE} minutos`;
+    return `${Math.round(ms / 1000)} segundos`;
+}
+
+const limit = (l) => (l ? `${l.count} cada ${window(l.windowMs)}` : 'ilimitado');
+const split = (s) => `${s.creator}% creador / ${s.platform}% plataforma`;
+
+export const REPLIES = {
+    launched: (v) => [
+        `✅ **¡Token "${v.name}" (${v.symbol}) lanzado en pump.fun!**`,
+        '',
+        `🔗 **pump.fun:** ${v.pumpUrl}`,
+        `🔍 **Explorador:** ${v.explorerUrl}`,
+        `📊 **ClawdPump:** ${v.siteUrl}`,
+        '',
+        `${v.launchType === 'free' ? '⭐ GRATIS' : `💰 DE PAGO (${v.paidCost} SOL)`} — Reparto de comisiones: ${split(v.feeSplit)}`,
+        '',
+        `{LAUNCHED WITH ClawdPump VIA ${v.source}}`,
+    ],
+    queued: (v) => [
+        `⏳ **Token "${v.name}" (${v.symbol}) en cola para su lanzamiento**`,
+        '',
+        'Un paso falló y se reintentará automáticamente.',
+        ...(v.error ? [`Último error: ${v.error}`] : []),
+    ],
+    launchFailed: (v) => ['❌ **El lanzamiento falló**', '', v.error],
+    invalidFormat: (v) => ['❌ **Lanzamiento de ClawdPump fallido**', '', v.error, '', `Guía de formato: ${v.guideUrl}`],
+    symbolTaken: (v) => [`❌ **El ticker "${v.symbol}" ya fue lanzado**`, '', 'Elige otro símbolo.'],
+    insufficientBalance: (v) => [
+        '❌ **Saldo insuficiente**',
+        '',
+        `Tu wallet: \`${v.wallet}\``,
+        '',
+        '**Opción 1 — lanzamiento GRATIS:**',
+        `Ten ${v.minClawdpump}+ $CLAWDPUMP (${split(v.freeSplit)}, ${limit(v.freeLimit)})`,
+        `Comprar: ${v.buyUrl}`,
+        '',
+        '**Opción 2 — lanzamiento DE PAGO:**',
+        `Envía ${v.paidCost} SOL a tu wallet (${split(v.paidSplit)})`,
+        '',
+        `Saldo actual: ${v.balance.clawdpump} $CLAWDPUMP | ${v.balance.sol}`,
+    ],
+    freeLimitReached: (v) => [
+        `⏳ **Límite de lanzamientos gratis alcanzado** (${limit(v.limit)})`,
+        '',
+        `Deposita ${v.paidCost} SOL en tu wallet para lanzamientos de pago (reparto ${v.paidSplit.creator}/${v.paidSplit.platform}):`,
+        `\`${v.wallet}\``,
+    ],
+    rateLimited: (v) => [
+        '⏳ **Demasiados lanzamientos**',
+        '',
+        `Máximo ${v.limit.count} lanzamientos cada ${window(v.limit.windowMs)} por ${v.dimension === 'agent' ? 'agente' : 'IP'}. Reintenta en ${v.retryAfter} s.`,
+    ],
+    launchBlocked: (v) => ['❌ **Lanzamiento bloqueado**', '', v.error],
+    launchRejected: (v) => ['❌ **Lanzamiento de ClawdPump rechazado**', '', v.error],
+    recoveryVerified: (v) => [
+        `✅ **Recuperación verificada** para el agente \`${v.agentId}\``,
+        '',
+        `Complétala en 30 minutos con tu secreto de recuperación: POST /api/agents/recovery/${v.recoveryId}/complete`,
+    ],
+    recoveryRejected: (v) => ['❌ **Recuperación no verificada**', '', v.reason],
+    launchPreview: (v) => [
+        '🔍 **Comprobación de ClawdPump — no se lanzó nada**',
+        '',
+        v.ok ? `✅ Listo para lanzar "${v.name}" (${v.symbol})` : `❌ No se lanzaría: ${v.error}`,
+        v.launchType
+            ? `Nivel: ${v.launchType === 'free' ? '⭐ GRATIS' : `💰 DE PAGO (${v.paidCost} SOL)`} — Reparto de comisiones: ${split(v.feeSplit)}`
+            : `Nivel: ninguno — ten ${v.minClawdpump}+ $CLAWDPUMP o ${v.paidCost} SOL`,
+        ...(v.wallet ? [`Wallet: \`${v.wallet}\``, `Saldo: ${v.balance.clawdpump} $CLAWDPUMP | ${v.balance.sol}`] : []),
+        '',
+        v.ok ? 'Publica de nuevo sin "check" para lanzar.' : `Corrígelo y vuelve a publicar con \`!ClawdPump check\`. Guía de formato: ${v.guideUrl}`,
+    ],
+    retryScheduled: (v) => [`🔁 ClawdPump reintentará esta publicación automáticamente (próximo intento: ${v.at} UTC).`],
+};
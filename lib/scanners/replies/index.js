@@ -0,0 +1,228 @@
+/**
+ * Scanner reply templates.
+ *
+ * Every reply the scanners post is rendered from a template in one of the
+ * language files (en.js is the reference; a missing key falls back to it):
+ *
+ *   launched, queued, launchFailed                 launch job outcome
+ *   invalidFormat, symbolTaken, insufficientBalance,
+ *   freeLimitReached, rateLimited, launchBlocked,
+ *   launchRejected                                 rejected launch
+ *   recoveryVerified, recoveryRejected             account recovery post
+ *   launchPreview                                  `!ClawdPump check` post
+ *   retryScheduled                                 note on a failure that will be retried
+ *
+ * A template returns lines of markdown (**bold**, `code`). The platform's
+ * adapter picks how that is posted with its `replyFormat` (see ../index.js):
+ * 'markdown' as is, 'plain' without the markup.
+ *
+ * The language is picked per post by selectReplyLanguage(): a `lang:` line
+ * in the post, then the agent's reply language preference, then the
+ * language the post is written in, then English.
+ */
+
+import { getFeeSplit } from '@/lib/db';
+import { getPaidLaunchCost, CLAWDPUMP_MINT } from '@/lib/solana-balance';
+import { RATE_LIMIT_POLICIES } from '@/lib/rate-limit';
+import { REPLIES as en } from './en.js';
+import { REPLIES as es } from './es.js';
+import { REPLIES as zh } from './zh.js';
+
+const TEMPLATES = { en, es, zh };
+
+export const REPLY_LANGUAGES = Object.keys(TEMPLATES);
+export const DEFAULT_REPLY_LANGUAGE = 'en';
+
+export const REPLY_FORMATS = {
+    markdown: (text) => text,
+    plain: (text) => text.replace(/\*\*(.+?)\*\*/g, '$1').replace(/`([^`\n]+)`/g, '$1'),
+};
+
+const SITE_URL = 'https://clawdpump.xyz';
+const GUIDE_URL = `${SITE_URL}/skill.md`;
+const MIN_CLAWDPUMP = '2,000,000';
+
+// Words common in one language and rare in the other; enough for a hint
+const SPANISH_WORDS = new Set([
+    'el', 'la', 'los', 'las', 'del', 'que', 'para', 'una', 'con', 'por', 'es', 'su', 'sus',
+    'nuestro', 'nuestra', 'moneda', 'primer', 'primera', 'comunidad', 'y', 'muy', 'este', 'esta',
+]);
+const ENGLISH_WORDS = new Set([
+    'the', 'and', 'of', 'to', 'for', 'is', 'with', 'on', 'this', 'our', 'first', 'coin', 'community', 'a', 'an', 'by',
+]);
+
+/**
+ * Best guess at the language a post is written in, from its free text (the
+ * trigger, field names and URLs are ignored). English when unsure.
+ */
+export function detectPostLanguage(content = '') {
+    const text = content
+        .replace(/```[\s\S]*?```/g, (block) => block.replace(/"[a-z_]+"\s*:/gi, ' '))
+        .replace(/!clawdpump/gi, ' ')
+        .replace(/^\s*[a-z_]+\s*[:=]/gim, ' ')
+        .replace(/https?:\/\/\S+/g, ' ');
+
+    const han = text.match(/\p{Script=Han}/gu)?.length || 0;
+    if (han >= 2) return 'zh';
+
+    let spanish = /[ñ¿¡]/i.test(text) ? 2 : 0;
+    let english = 0;
+    for (const word of text.toLowerCase().match(/\p{L}+/gu) || []) {
+        if (SPANISH_WORDS.has(word)) spanish++;
+        if (ENGLISH_WORDS.has(word)) english++;
+    }
+    return spanish >= 2 && spanish > english ? 'es' : DEFAULT_REPLY_LANGUAGE;
+}
+
+/**
+ * Reply language for a post: `lang: xx` in the post, the agent's
+ * preference, then the detected post language.
+ *
+ * @param {object} opts
+ * @param {string} [opts.content]  Post text
+ * @param {object} [opts.agent]    Agent record, if the author is known
+ */
+export function selectReplyLanguage({ content = '', agent = null } = {}) {
+    const requested = content.match(/^\s*(?:lang|language)\s*[:=]\s*([a-z]{2})\b/im)?.[1].toLowerCase();
+    if (REPLY_LANGUAGES.includes(requested)) return requested;
+    if (REPLY_LANGUAGES.includes(agent?.replyLanguage)) return agent.replyLanguage;
+    return detectPostLanguage(content);
+}
+
+/**
+ * Render one template.
+ *
+ * @param {string} key
+ * @param {object} vars
+ * @param {object} [ctx]
+ * @param {string} [ctx.language]
+ * @param {'markdown'|'plain'} [ctx.format]
+ */
+export function renderReply(key, vars, { language = DEFAULT_REPLY_LANGUAGE, format = 'markdown' } = {}) {
+    const template = TEMPLATES[language]?.[key] || en[key];
+    if (!template) throw new Error(`Unknown reply template "${key}"`);
+    return (REPLY_FORMATS[format] || REPLY_FORMATS.markdown)(template(vars).join('\n'));
+}
+
+function splitPercent(launchType) {
+    const split = getFeeSplit(launchType);
+    return { creator: Math.round(split.creator * 100), platform: Math.round(split.platform * 100) };
+}
+
+function limitOf(limit) {
+    return limit ? { count: limit.limit, windowMs: limit.windowMs } : null;
+}
+
+/**
+ * Reply to a scanner post for a rejected launch (a launch-service.js
+ * LaunchResult), or null when the author shouldn't be told (moderation).
+ */
+export function launchRejectionReply(result, ctx) {
+    switch (result.code) {
+        case 'AGENT_FROZEN':
+        case 'AGENT_SUSPENDED':
+        case 'AGENT_BANNED':
+            return null;
+        case 'INVALID_INPUT':
+            return renderReply('invalidFormat', { error: result.error, guideUrl: GUIDE_URL }, ctx);
+        case 'SYMBOL_TAKEN':
+            return renderReply('symbolTaken', { symbol: result.symbol }, ctx);
+        case 'INSUFFICIENT_BALANCE':
+            return renderReply('insufficientBalance', {
+                wallet: result.yourWallet,
+                minClawdpump: MIN_CLAWDPUMP,
+                freeSplit: splitPercent('free'),
+                freeLimit: limitOf(RATE_LIMIT_POLICIES.launch_free?.agent),
+                buyUrl: `https://pump.fun/coin/${CLAWDPUMP_MINT}`,
+                paidCost: getPaidLaunchCost(),
+                paidSplit: splitPercent('paid'),
+                balance: result.currentBalance,
+            }, ctx);
+        case 'FREE_LIMIT_REACHED':
+            return renderReply('freeLimitReached', {
+                limit: limitOf(result.rateLimit),
+                paidCost: getPaidLaunchCost(),
+                paidSplit: splitPercent('paid'),
+                wallet: result.yourWallet,
+            }, ctx);
+        case 'RATE_LIMITED':
+            return renderReply('rateLimited', {
+                limit: limitOf(result.rateLimit),
+                dimension: result.rateLimit?.dimension,
+                retryAfter: result.retryAfter,
+            }, ctx);
+        case 'WALLET_MIGRATING':
+        case 'WALLET_SELF_CUSTODY':
+        case 'WALLET_NOT_FOUND':
+            return renderReply('launchBlocked', { error: result.error }, ctx);
+        default:
+            return renderReply('launchRejected', { error: result.error }, ctx);
+    }
+}
+
+/**
+ * Reply to a scanner post once its launch job has run: launched, failed, or
+ * still retrying in the background.
+ *
+ * @param {object} job
+ * @param {object} ctx  { platform, language, format }
+ */
+export function launchJobReply(job, ctx) {
+    if (job.status === 'failed') return renderReply('launchFailed', { error: job.errorMsg }, ctx);
+    if (job.status !== 'done') {
+        return renderReply('queued', { name: job.name, symbol: job.symbol, error: job.errorMsg }, ctx);
+    }
+    return renderReply('launched', {
+        name: job.name,
+        symbol: job.symbol,
+        pumpUrl: `https://pump.fun/coin/${job.mintAddress}`,
+        explorerUrl: job.txSignature ? `https://solscan.io/tx/${job.txSignature}` : `https://solscan.io/token/${job.mintAddress}`,
+        siteUrl: SITE_URL,
+        launchType: job.launchType,
+        paidCost: getPaidLaunchCost(),
+        feeSplit: splitPercent(job.launchType),
+        source: ctx.platform.toUpperCase(),
+    }, ctx);
+}
+
+/**
+ * Reply to a `!ClawdPump check` post (a launch-service.js previewLaunch
+ * result), or null when the author shouldn't be told (moderation).
+ */
+export function launchPreviewReply(preview, ctx) {
+    if (['AGENT_FROZEN', 'AGENT_SUSPENDED', 'AGENT_BANNED'].includes(preview.code)) return null;
+    return renderReply('launchPreview', {
+        ok: preview.ok,
+        name: preview.token?.name,
+        symbol: preview.token?.symbol,
+        error: preview.error,
+        launchType: preview.launchType,
+        feeSplit: preview.launchType ? splitPercent(preview.launchType) : null,
+        paidCost: getPaidLaunchCost(),
+        minClawdpump: MIN_CLAWDPUMP,
+        wallet: preview.wallet,
+        balance: preview.balances && {
+            clawdpump: preview.balances.clawdpump.toLocaleString(),
+            sol: `${preview.balances.sol.toFixed(4)} SOL`,
+        },
+        guideUrl: GUIDE_URL,
+    }, ctx);
+}
+
+/**
+ * Reply to an account recovery post (a recovery.js verifyRecoveryPost result).
+ */
+export function recoveryReply(result, ctx) {
+    return result.ok
+        ? renderReply('recoveryVerified', { agentId: result.recovery.agentId, recoveryId: result.recovery.id }, ctx)
+        : renderReply('recoveryRejected', { reason: result.reason }, ctx);
+}
+
+/**
+ * A failure reply with a note on when the post will be retried, if it will.
+ */
+export function withRetryNote(message, nextAttemptAt, ctx) {
+    if (!message || !nextAttemptAt) return message;
+    const at = nextAttemptAt.toISOString().slice(0, 16).replace('T', ' ');
+    return `${message}\n\n${renderReply('retryScheduled', { at }, ctx)}`;
+}
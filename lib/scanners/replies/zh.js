@@ -0,0 +1,86 @@
+/**
+ * Simplified Chinese scanner replies. Error details from the launch
+ * pipeline stay in English.
+ */
+
+const DAY = 86_400_000;
+const HOUR = 3_600_000;
+const MINUTE = 60_000;
+
+function window(ms) {
+    if (ms % DAY === 0) return ms === DAY ? '24小时' : `${ms / DAY}天`;
+    if (ms % HOUR === 0) return ms === HOUR ? '小时' : `${ms / HOUR}小时`;
+    if (ms % MINUTE === 0) return ms === MINUTE ? '分钟' : `${ms / MINUTE}分钟`;
+    return `${Math.round(ms / 1000)}秒`;
+}
+
+const limit = (l) => (l ? `每${window(l.windowMs)} ${l.count} 次` : '不限次数');
+const split = (s) => `创建者 ${s.creator}% / 平台 ${s.platform}%`;
+
+export const REPLIES = {
+    launched: (v) => [
+        `✅ **代币 "${v.name}" (${v.symbol}) 已在 pump.fun 发行！**`,
+        '',
+        `🔗 **pump.fun：** ${v.pumpUrl}`,
+        `🔍 **区块浏览器：** ${v.explorerUrl}`,
+        `📊 **ClawdPump：** ${v.siteUrl}`,
+        '',
+        `${v.launchType === 'free' ? '⭐ 免费' : `💰 付费（${v.paidCost} SOL）`} — 手续费分成：${split(v.feeSplit)}`,
+        '',
+        `{LAUNCHED WITH ClawdPump VIA ${v.source}}`,
+    ],
+    queued: (v) => [
+        `⏳ **代币 "${v.name}" (${v.symbol}) 正在排队发行**`,
+        '',
+        '某个步骤失败，系统会自动重试。',
+        ...(v.error ? [`最近一次错误：${v.error}`] : []),
+    ],
+    launchFailed: (v) => ['❌ **发行失败**', '', v.error],
+    invalidFormat: (v) => ['❌ **ClawdPump 发行失败**', '', v.error, '', `格式说明：${v.guideUrl}`],
+    symbolTaken: (v) => [`❌ **代号 "${v.symbol}" 已被发行**`, '', '请换一个代号。'],
+    insufficientBalance: (v) => [
+        '❌ **余额不足**',
+        '',
+        `你的钱包：\`${v.wallet}\``,
+        '',
+        '**方案一 — 免费发行：**',
+        `持有 ${v.minClawdpump}+ $CLAWDPUMP（${split(v.freeSplit)}，${limit(v.freeLimit)}）`,
+        `购买：${v.buyUrl}`,
+        '',
+        '**方案二 — 付费发行：**',
+        `向你的钱包转入 ${v.paidCost} SOL（${split(v.paidSplit)}）`,
+        '',
+        `当前余额：${v.balance.clawdpump} $CLAWDPUMP | ${v.balance.sol}`,
+    ],
+    freeLimitReached: (v) => [
+        `⏳ **免费发行次数已用完**（${limit(v.limit)}）`,
+        '',
+        `向你的钱包存入 ${v.paidCost} SOL 即可付费发行（分成 ${v.paidSplit.creator}/${v.paidSplit.platform}）：`,
+        `\`${v.wallet}\``,
+    ],
+    rateLimited: (v) => [
+        '⏳ **发行过于频繁**',
+        '',
+        `每个${v.dimension === 'agent' ? '代理' : 'IP'}最多${limit(v.limit)}。请在 ${v.retryAfter} 秒后重试。`,
+    ],
+    launchBlocked: (v) => ['❌ **发行被阻止**', '', v.error],
+    launchRejected: (v) => ['❌ **ClawdPump 发行被拒绝**', '', v.error],
+    recoveryVerified: (v) => [
+        `✅ **代理 \`${v.agentId}\` 的账户恢复已验证**`,
+        '',
+        `请在 30 分钟内使用恢复密钥完成：POST /api/agents/recovery/${v.recoveryId}/complete`,
+    ],
+    recoveryRejected: (v) => ['❌ **账户恢复未通过验证**', '', v.reason],
+    launchPreview: (v) => [
+        '🔍 **ClawdPump 检查 — 未发行任何代币**',
+        '',
+        v.ok ? `✅ 可以发行 "${v.name}" (${v.symbol})` : `❌ 无法发行：${v.error}`,
+        v.launchType
+            ? `等级：${v.launchType === 'free' ? '⭐ 免费' : `💰 付费（${v.paidCost} SOL）`} — 手续费分成：${split(v.feeSplit)}`
+            : `等级：无 — 需持有 ${v.minClawdpump}+ $CLAWDPUMP 或 ${v.paidCost} SOL`,
+        ...(v.wallet ? [`钱包：\`${v.wallet}\``, `余额：${v.balance.clawdpump} $CLAWDPUMP | ${v.balance.sol}`] : []),
+        '',
+        v.ok ? '去掉 "check" 重新发帖即可发行。' : `修改后用 \`!ClawdPump check\` 重新发帖检查。格式指南：${v.guideUrl}`,
+    ],
+    retryScheduled: (v) => [`🔁 ClawdPump 将自动重试此帖子（下次尝试：${v.at} UTC）。`],
+};
@@ -2,272 +2,504 @@
  * Scanner orchestrator — v2
  *
  * Updated for system-managed wallets and dual tier launches:
- *   1. Fetch new posts from platform
+ *   1. Fetch new posts from the platform adapter (see index.js), paging back
+ *      to the platform's cursor; the first scan backfills
+ *      SCANNER_BACKFILL_HOURS (default 24)
  *   2. Filter for !ClawdPump trigger
  *   3. Skip already-processed posts
  *   4. Parse token details
  *   5. Auto-register agent (system generates wallet)
- *   6. Check launch eligibility (free/paid/cannot)
- *   7. Rate limit check
- *   8. Launch token via appropriate treasury
- *   9. Reply to original post with result
- *  10. Mark post as processed
+ *   6. Launch through the launch service (lib/launch-service.js) — the same
+ *      checks, tiers and limits as POST /api/launch — and run the job
+ *   7. Reply to original post with result (templates in replies/, in the
+ *      post's language and the platform's reply format)
+ *   8. Mark post as processed — or `queued` while its launch job retries; the
+ *      job settles the post and replies when it finishes (finishQueuedPost)
+ *   9. Notify the agent's webhooks (scan.post_rejected here; the launch job
+ *      sends launch.succeeded / launch.failed)
+ *
+ * `!ClawdPump recover <code>` posts are account recovery challenges
+ * (see recovery.js) and are verified instead of launched. `!ClawdPump check`
+ * posts are dry runs: the reply says what the launch would do (previewLaunch)
+ * and the post is recorded as `checked`.
+ *
+ * Dead-letter queue: processed_posts keeps every trigger post's content.
+ * Posts that failed for a reason that can clear up (POST_RETRY_POLICY) are
+ * launched again with backoff at the end of later scans of their platform,
+ * and an admin can replay any failed post (replayPost). While a retry is
+ * pending, failed retries don't reply or notify — only the final outcome does.
  */
 
-import { parseClawdPumpPost } from './parser.js';
+import { parseClawdPumpPost, isCheckPost } from './parser.js';
 import {
-    isPostProcessed, markPostProcessed,
-    getAgent, registerAgentFromScan,
-    getTokenBySymbol, getRecentLaunchCountByAgent, getRecentFreeLaunchCountByAgent,
-    insertToken, getFeeSplit, saveAgentWallet, getAgentWallet,
+    isPostProcessed, markPostProcessed, getProcessedPost, settleQueuedPost, claimRetryablePosts,
+    getAgent, registerAgentFromScan, saveAgentWallet,
+    getScannerCursor, saveScannerCursor,
 } from '@/lib/db';
-import { createToken } from '@/lib/pumpfun';
-import { checkLaunchEligibility, checkSolBalance, getPaidLaunchCost } from '@/lib/solana-balance';
-import { generateAgentWallet, loadKeypairFromEncrypted } from '@/lib/wallet-crypto';
+import { generateAgentWallet } from '@/lib/wallet-crypto';
+import { launchToken, previewLaunch } from '@/lib/launch-service';
+import { runLaunchWorker, getLaunchJob } from '@/lib/launch-jobs';
+import { emitAgentEvent } from '@/lib/webhooks';
+import { parseRecoveryPost, verifyRecoveryPost } from '@/lib/recovery';
+import { SCANNER_ADAPTERS } from './index.js';
+import {
+    selectReplyLanguage, launchRejectionReply, launchJobReply, launchPreviewReply, recoveryReply, withRetryNote,
+} from './replies/index.js';
+
+const SCAN_TIME_BUDGET_MS = 15_000; // /api/scan gives each platform 20s
+const SCAN_MAX_PAGES = parseInt(process.env.SCANNER_MAX_PAGES || '10', 10);
+const SCAN_BACKFILL_MS = parseFloat(process.env.SCANNER_BACKFILL_HOURS || '24') * 3_600_000;
+
+// processed_posts.status for each rejected launch (launch-service.js codes)
+const POST_STATUS_BY_CODE = {
+    INVALID_INPUT: 'invalid',
+    SYMBOL_TAKEN: 'invalid',
+    AGENT_FROZEN: 'frozen',
+    AGENT_SUSPENDED: 'suspended',
+    AGENT_BANNED: 'suspended',
+    WALLET_NOT_FOUND: 'error',
+    INSUFFICIENT_BALANCE: 'insufficient_balance',
+    RATE_LIMITED: 'rate_limited',
+    FREE_LIMIT_REACHED: 'rate_limited',
+    WALLET_MIGRATING: 'wallet_locked',
+    WALLET_SELF_CUSTODY: 'wallet_locked',
+};
+
+function postStatusFor(code) {
+    return POST_STATUS_BY_CODE[code] || 'rejected'; // symbol policy codes
+}
 
 /**
- * Run a scan for a single platform.
+ * processed_posts statuses of trigger posts that did not launch — the
+ * dead-letter queue. Any of them can be replayed.
  */
-export async function runScan({ platform, fetchPosts, extractPostData, reply }) {
-    const results = { scanned: 0, launched: 0, errors: [], debug: [] };
+export const FAILED_POST_STATUSES = [...new Set([...Object.values(POST_STATUS_BY_CODE), 'rejected', 'failed'])];
+
+// Failures that can clear up on their own (RPC or IPFS down, treasury low,
+// the agent tops up its wallet) are retried with exponential backoff
+export const POST_RETRY_POLICY = {
+    error: { maxAttempts: 5, baseDelayMs: 2 * 60_000 },
+    failed: { maxAttempts: 4, baseDelayMs: 5 * 60_000 },
+    insufficient_balance: { maxAttempts: 3, baseDelayMs: 30 * 60_000 },
+    rate_limited: { maxAttempts: 3, baseDelayMs: 60 * 60_000 },
+};
+const RETRY_MAX_DELAY_MS = 6 * 3_600_000;
+const RETRY_LOCK_MS = 120_000;
 
-    let posts;
+/**
+ * When to try a post again after `attempts` attempts ended in `status`, or
+ * null when it is not retried.
+ */
+function nextAttemptFor(status, attempts) {
+    const policy = POST_RETRY_POLICY[status];
+    if (!policy || attempts >= policy.maxAttempts) return null;
+    return new Date(Date.now() + Math.min(policy.baseDelayMs * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS));
+}
+
+async function replyTo(reply, postId, message) {
+    if (!message) return;
     try {
-        posts = await fetchPosts();
+        await reply(postId, message);
+    } catch { /* best effort */ }
+}
+
+/**
+ * Mark a trigger post as not launched, schedule its retry if its status
+ * allows one, and tell the author (reply and webhooks) why — unless this was
+ * a retry and another one is pending. Before the agent is resolved, the post
+ * author is the webhook owner.
+ */
+async function rejectPost(post, { platform, agentId = null, symbol = null, status, errorMsg, message = null, reply, replyCtx, attempt }) {
+    const nextAttemptAt = nextAttemptFor(status, attempt.attempts);
+    await markPostProcessed({
+        id: post.id,
+        platform,
+        agentId,
+        status,
+        errorMsg,
+        authorName: post.authorName,
+        content: post.content,
+        attempts: attempt.attempts,
+        nextAttemptAt,
+    });
+    if (nextAttemptAt && !attempt.announce) return;
+
+    await emitAgentEvent(agentId || post.authorName, 'scan.post_rejected', {
+        postId: post.id, platform, symbol, status, reason: errorMsg,
+    });
+    await replyTo(reply, post.id, withRetryNote(message, nextAttemptAt, replyCtx));
+}
+
+/**
+ * Verify an account recovery post and tell the author how it went. The
+ * API key itself is only handed out to the recovery requester.
+ */
+async function handleRecoveryPost({ postId, platform, authorName, content, code, reply, format }) {
+    const result = await verifyRecoveryPost({ code, platform, postId, authorName });
+    await markPostProcessed({
+        id: postId,
+        platform,
+        agentId: result.recovery?.agentId,
+        status: result.ok ? 'recovery_verified' : 'recovery_rejected',
+        errorMsg: result.reason || null,
+    });
+
+    const agent = result.recovery ? await getAgent(result.recovery.agentId) : null;
+    const language = selectReplyLanguage({ content, agent });
+    await replyTo(reply, postId, recoveryReply(result, { platform, format, language }));
+}
+
+/**
+ * Register a post author as an agent with a system-generated wallet (v2:
+ * system manages wallets).
+ */
+async function registerPostAuthor(authorName, platform) {
+    const register = async (agentId) => {
+        const agent = await registerAgentFromScan({ agentId, agentName: authorName, platform });
+        const wallet = await generateAgentWallet();
+        await saveAgentWallet({
+            agentId: agent.agentId,
+            walletAddress: wallet.publicKey,
+            encryptedKey: wallet.encrypted,
+            iv: wallet.iv,
+            authTag: wallet.authTag,
+            keyId: wallet.keyId,
+        });
+        // Re-fetch agent to get wallet address
+        return getAgent(agent.agentId);
+    };
+
+    try {
+        return await register(authorName.replace(/[^a-zA-Z0-9_-]/g, '-').slice(0, 50) || `agent-${Date.now()}`);
+    } catch {
+        return register(`${authorName.slice(0, 30)}-${Date.now()}`.replace(/[^a-zA-Z0-9_-]/g, '-'));
+    }
+}
+
+/**
+ * Answer a `!ClawdPump check` post with what its launch would do. Nothing is
+ * launched or counted against the launch limits, but an unknown author is
+ * registered so they get a wallet to fund.
+ */
+async function handleCheckPost({ postId, platform, authorName, content, reply, format }) {
+    const agent = await getAgent(authorName) || await registerPostAuthor(authorName, platform);
+    const replyCtx = { platform, format, language: selectReplyLanguage({ content, agent }) };
+
+    const parsed = parseClawdPumpPost(content);
+    const { name, symbol, description, image, website, twitter } = parsed.data || {};
+    const preview = await previewLaunch({
+        agent,
+        input: { name, symbol, description, imageUrl: image, website, twitter },
+        source: platform,
+    });
+    // The parser lists every problem with the fields, launch checks only the first
+    if (!parsed.success) Object.assign(preview, { ok: false, code: 'INVALID_INPUT', error: parsed.error });
+
+    await markPostProcessed({
+        id: postId,
+        platform,
+        agentId: agent.agentId,
+        status: 'checked',
+        errorMsg: preview.ok ? null : `${preview.code}: ${preview.error}`,
+        authorName,
+        content,
+    });
+    await replyTo(reply, postId, launchPreviewReply(preview, replyCtx));
+}
+
+/**
+ * Run a scan for a single platform: collect the posts since its cursor,
+ * process them oldest first and move the cursor past them. Posts left over
+ * when the time budget runs out are picked up by the next run.
+ *
+ * @param {object} adapter  Scanner adapter (see index.js)
+ * @param {object} [opts]
+ * @param {number} [opts.timeBudgetMs]
+ */
+export async function runScan(adapter, { timeBudgetMs = SCAN_TIME_BUDGET_MS } = {}) {
+    const startedAt = Date.now();
+    const { platform } = adapter;
+    const cursor = await getScannerCursor(platform);
+    const results = { scanned: 0, launched: 0, retried: 0, pages: 0, backfill: !cursor?.lastPostId, errors: [], debug: [] };
+
+    let collected;
+    try {
+        collected = await collectPosts(adapter, cursor);
     } catch (e) {
         results.errors.push(`Fetch failed: ${e.message}`);
+        await saveScannerCursor(platform, { lastError: `Fetch failed: ${e.message}` });
         return results;
     }
 
-    results.debug.push(`Fetched ${posts.length} posts from ${platform}`);
-
-    for (const rawPost of posts) {
-        results.scanned++;
-
-        const { id: postId, content, authorName } = extractPostData(rawPost);
+    const { posts, pages, reachedCursor } = collected;
+    results.pages = pages;
+    results.debug.push(`Fetched ${posts.length} new posts from ${platform} in ${pages} page(s)${results.backfill ? ' (backfill)' : ''}`);
+    if (cursor?.lastPostId && !reachedCursor) {
+        results.errors.push(`Paged ${pages} page(s) without reaching the last seen post ${cursor.lastPostId} — older posts may have been missed`);
+    }
 
-        if (results.scanned <= 5) {
-            results.debug.push(`Post ${results.scanned} [id=${postId}]: preview="${(content || '').substring(0, 120)}" author=${authorName}`);
+    let last = null;
+    let lastError = null;
+    try {
+        for (const post of posts) {
+            if (Date.now() - startedAt > timeBudgetMs) {
+                results.debug.push(`Time budget reached, ${posts.length - results.scanned} post(s) left for the next run`);
+                break;
+            }
+            results.scanned++;
+            await processPost(post, { platform, reply: adapter.replyToPost, format: adapter.replyFormat, results });
+            last = post;
         }
+    } catch (e) {
+        lastError = e.message;
+        throw e;
+    } finally {
+        await saveScannerCursor(platform, {
+            lastPostId: last?.id ?? null,
+            lastPostAt: last?.createdAt ?? null,
+            lastError,
+            backfilled: results.backfill && !lastError,
+        });
+    }
 
-        if (!postId || !content) continue;
-        if (!content.toLowerCase().includes('!clawdpump')) continue;
+    await retryDuePosts(adapter, { results, deadline: startedAt + timeBudgetMs });
+    return results;
+}
 
-        results.debug.push(`Post ${postId}: TRIGGER FOUND ✓`);
+/**
+ * Re-run the platform's failed posts whose retry is due, one at a time,
+ * until none are left or the deadline passes.
+ */
+async function retryDuePosts(adapter, { results, deadline }) {
+    while (Date.now() < deadline) {
+        const [post] = await claimRetryablePosts({ platform: adapter.platform, limit: 1, lockMs: RETRY_LOCK_MS });
+        if (!post) return;
+        results.retried++;
+        results.debug.push(`Post ${post.id}: retry ${post.attempts} (${post.status}: ${post.errorMsg})`);
+        await rerunPost(post, { reply: adapter.replyToPost, format: adapter.replyFormat, results, announce: false });
+    }
+}
 
-        if (await isPostProcessed(postId)) {
-            results.debug.push(`Post ${postId}: SKIP — already processed`);
-            continue;
-        }
+/**
+ * Launch a stored post again as its next attempt. A crash is recorded as an
+ * `error` outcome so the attempt still counts.
+ */
+async function rerunPost(post, { reply, format, results, announce }) {
+    const attempt = { attempts: post.attempts + 1, announce };
+    try {
+        await launchFromPost(post, { platform: post.platform, reply, format, results, attempt });
+    } catch (e) {
+        await markPostProcessed({
+            ...post,
+            status: 'error',
+            errorMsg: e.message,
+            attempts: attempt.attempts,
+            nextAttemptAt: nextAttemptFor('error', attempt.attempts),
+        });
+        results.errors.push(`Post ${post.id}: ${e.message}`);
+    }
+}
 
-        // Parse token details
-        const parsed = parseClawdPumpPost(content);
-        if (!parsed.success) {
-            await markPostProcessed({ id: postId, platform, status: 'invalid', errorMsg: parsed.error });
-            try {
-                await reply(postId, `❌ **ClawdPump Launch Failed**\n\n${parsed.error}\n\nSee format guide: https://clawdpump.xyz/skill.md`);
-            } catch { /* best effort */ }
-            results.errors.push(`Post ${postId}: ${parsed.error}`);
-            continue;
-        }
+/**
+ * Replay one failed post now, whatever its retry schedule or attempt count
+ * (admin action). The author is told the new outcome.
+ *
+ * @param {string} postId
+ * @returns {Promise<{ ok: true, post: object, launched: boolean, errors: string[] }
+ *                  |{ ok: false, status: number, error: string }>}
+ */
+export async function replayPost(postId) {
+    const existing = await getProcessedPost(postId);
+    if (!existing) return { ok: false, status: 404, error: 'Post not found' };
+    if (!FAILED_POST_STATUSES.includes(existing.status)) {
+        return { ok: false, status: 409, error: `Post has status "${existing.status}" — only failed posts can be replayed` };
+    }
+    if (!existing.content) {
+        return { ok: false, status: 409, error: 'Post content was not stored (processed before the dead-letter queue existed), so it cannot be replayed' };
+    }
+    const adapter = Object.values(SCANNER_ADAPTERS).find(a => a.platform === existing.platform);
+    if (!adapter) return { ok: false, status: 409, error: `No scanner for platform "${existing.platform}"` };
 
-        const { name, symbol, description, image, website, twitter } = parsed.data;
+    const [post] = await claimRetryablePosts({ ids: [postId], limit: 1, lockMs: RETRY_LOCK_MS });
+    if (!post) return { ok: false, status: 409, error: 'Post is being retried right now' };
 
-        // Check duplicate ticker
-        if (await getTokenBySymbol(symbol)) {
-            await markPostProcessed({ id: postId, platform, status: 'invalid', errorMsg: `Ticker ${symbol} already launched` });
-            try {
-                await reply(postId, `❌ **Ticker "${symbol}" already launched**\n\nChoose a different symbol.`);
-            } catch { /* best effort */ }
-            continue;
-        }
+    const results = { launched: 0, errors: [], debug: [] };
+    await rerunPost(post, { reply: adapter.replyToPost, format: adapter.replyFormat, results, announce: true });
+    return { ok: true, post: await getProcessedPost(postId), launched: results.launched > 0, errors: results.errors };
+}
+
+/**
+ * Settle the trigger post of a launch job that was still retrying when the
+ * post was processed (status `queued`): record the job's outcome, schedule a
+ * retry of a failed launch and reply to the author. Called by the launch job
+ * when it finishes (launch-jobs.js); posts that aren't queued are left alone.
+ *
+ * @param {object} job  Finished launch job (getLaunchJob)
+ */
+export async function finishQueuedPost(job) {
+    if (!job.postId || (job.status !== 'done' && job.status !== 'failed')) return;
+    const existing = await getProcessedPost(job.postId);
+    if (existing?.status !== 'queued') return;
+
+    const failed = job.status === 'failed';
+    const nextAttemptAt = failed ? nextAttemptFor('failed', existing.attempts) : null;
+    const post = await settleQueuedPost({
+        id: job.postId,
+        status: failed ? 'failed' : 'processed',
+        tokenId: job.tokenId,
+        errorMsg: failed ? job.errorMsg : null,
+        nextAttemptAt,
+    });
+    if (!post) return; // settled by another worker
+
+    const adapter = Object.values(SCANNER_ADAPTERS).find(a => a.platform === post.platform);
+    if (!adapter) return;
+    const agent = await getAgent(job.agentId);
+    const replyCtx = { platform: post.platform, format: adapter.replyFormat, language: selectReplyLanguage({ content: post.content, agent }) };
+    await replyTo(adapter.replyToPost, post.id, withRetryNote(launchJobReply(job, replyCtx), nextAttemptAt, replyCtx));
+}
 
-        // Auto-register or find agent (v2: system manages wallets)
-        let agent = await getAgent(authorName);
-
-        if (!agent) {
-            try {
-                // Register with system-generated wallet
-                const agentId = authorName.replace(/[^a-zA-Z0-9_-]/g, '-').slice(0, 50) || `agent-${Date.now()}`;
-                agent = await registerAgentFromScan({ agentId, agentName: authorName, platform });
-
-                // Generate and save wallet
-                const wallet = await generateAgentWallet();
-                await saveAgentWallet({
-                    agentId: agent.agentId,
-                    walletAddress: wallet.publicKey,
-                    encryptedKey: wallet.encrypted,
-                    iv: wallet.iv,
-                    authTag: wallet.authTag,
-                });
-
-                // Re-fetch agent to get wallet address
-                agent = await getAgent(agent.agentId);
-            } catch (e) {
-                const fallbackId = `${authorName.slice(0, 30)}-${Date.now()}`.replace(/[^a-zA-Z0-9_-]/g, '-');
-                agent = await registerAgentFromScan({ agentId: fallbackId, agentName: authorName, platform });
-
-                const wallet = await generateAgentWallet();
-                await saveAgentWallet({
-                    agentId: agent.agentId,
-                    walletAddress: wallet.publicKey,
-                    encryptedKey: wallet.encrypted,
-                    iv: wallet.iv,
-                    authTag: wallet.authTag,
-                });
-
-                agent = await getAgent(agent.agentId);
+/**
+ * Page back from the newest post to the cursor — or on the first scan, the
+ * backfill window — and return the posts after it, oldest first.
+ */
+async function collectPosts(adapter, cursor) {
+    const stopAt = cursor?.lastPostAt
+        ? new Date(cursor.lastPostAt)
+        : cursor?.lastPostId ? null : new Date(Date.now() - SCAN_BACKFILL_MS);
+    const found = new Map();
+    let page = null;
+    let pages = 0;
+    let reachedCursor = false;
+
+    do {
+        const result = await adapter.fetchPage({ page });
+        pages++;
+        for (const raw of result.posts) {
+            const post = adapter.extractPostData(raw);
+            if (!post.id) continue;
+            if (post.id === cursor?.lastPostId || (stopAt && post.createdAt && post.createdAt < stopAt)) {
+                reachedCursor = true;
+                continue;
             }
+            // Pages can shift while new posts arrive
+            if (!found.has(post.id)) found.set(post.id, post);
         }
+        page = result.nextPage;
+    } while (page && !reachedCursor && pages < SCAN_MAX_PAGES);
 
-        if (!agent.walletAddress) {
-            await markPostProcessed({ id: postId, platform, agentId: agent.agentId, status: 'error', errorMsg: 'No wallet configured' });
-            continue;
-        }
+    const posts = [...found.values()].reverse();
+    posts.sort((a, b) => (a.createdAt && b.createdAt ? a.createdAt - b.createdAt : 0));
+    return { posts, pages, reachedCursor };
+}
 
-        // Check launch eligibility (free/paid/cannot)
-        const eligibility = await checkLaunchEligibility(agent.walletAddress);
-
-        if (eligibility.eligibility === 'cannot') {
-            await markPostProcessed({ id: postId, platform, agentId: agent.agentId, status: 'insufficient_balance', errorMsg: 'No balance' });
-            try {
-                await reply(postId, [
-                    `❌ **Insufficient Balance**`,
-                    '',
-                    `Your wallet: \`${agent.walletAddress}\``,
-                    '',
-                    `**Option 1 — FREE launch:**`,
-                    `Hold 2,000,000+ $CLAWDPUMP (70/30 fee split)`,
-                    `Buy: https://pump.fun/coin/4jH8AzNS9op6fKNNzxmmagvqpbC2egwHRxBsaUjDfQLk`,
-                    '',
-                    `**Option 2 — PAID launch:**`,
-                    `Send ${getPaidLaunchCost()} SOL to your wallet (85/15 fee split)`,
-                    '',
-                    `Current: ${eligibility.clawdpumpBalance.toLocaleString()} $CLAWDPUMP | ${eligibility.solBalance.toFixed(4)} SOL`,
-                ].join('\n'));
-            } catch { /* best effort */ }
-            continue;
-        }
+/**
+ * Handle one post: recovery challenge, launch request or nothing.
+ */
+async function processPost({ id: postId, content, authorName }, { platform, reply, format, results }) {
+    if (results.scanned <= 5) {
+        results.debug.push(`Post ${results.scanned} [id=${postId}]: preview="${(content || '').substring(0, 120)}" author=${authorName}`);
+    }
 
-        // --- Determine launch tier with auto-fallback ---
-        let launchType = null;
-        let tierNote = null;
-
-        if (eligibility.eligibility === 'free') {
-            const freeLaunchCount = await getRecentFreeLaunchCountByAgent(agent.agentId);
-            if (freeLaunchCount < 1) {
-                launchType = 'free';
-                tierNote = 'Free launch (2M+ holder)';
-            } else {
-                // Free limit reached — auto-fallback to paid
-                const { hasEnoughForLaunch, balanceSol } = await checkSolBalance(agent.walletAddress);
-                if (hasEnoughForLaunch) {
-                    launchType = 'paid';
-                    tierNote = `Free limit reached, auto-switched to paid (${balanceSol.toFixed(4)} SOL)`;
-                } else {
-                    await markPostProcessed({ id: postId, platform, agentId: agent.agentId, status: 'rate_limited', errorMsg: 'Free limit reached, no SOL for paid' });
-                    try {
-                        await reply(postId, [
-                            `⏳ **Free launch limit reached** (1 per 24h)`,
-                            '',
-                            `Deposit ${getPaidLaunchCost()} SOL to your wallet for paid launches (85/15 split):`,
-                            `\`${agent.walletAddress}\``,
-                        ].join('\n'));
-                    } catch { /* best effort */ }
-                    continue;
-                }
-            }
-        } else {
-            launchType = eligibility.eligibility; // 'paid' (cannot already filtered above)
-        }
+    if (!postId || !content) return;
+    if (!content.toLowerCase().includes('!clawdpump')) return;
 
-        // Overall rate limit: 200 total per 24h per agent (effectively unlimited for paid)
-        const totalLaunchCount = await getRecentLaunchCountByAgent(agent.agentId);
-        if (totalLaunchCount >= 200) {
-            await markPostProcessed({ id: postId, platform, agentId: agent.agentId, status: 'rate_limited', errorMsg: 'Rate limited' });
-            try {
-                await reply(postId, `⏳ **Rate limited**\n\n200 launches per 24 hours per agent.\nYou've used ${totalLaunchCount}/200.`);
-            } catch { /* best effort */ }
-            continue;
-        }
+    results.debug.push(`Post ${postId}: TRIGGER FOUND ✓`);
 
-        // For paid launches: load agent keypair
-        let agentKeypair = null;
-        if (launchType === 'paid') {
-            const walletRow = await getAgentWallet(agent.agentId);
-            if (walletRow) {
-                agentKeypair = await loadKeypairFromEncrypted(walletRow);
-            }
-        }
+    if (await isPostProcessed(postId)) {
+        results.debug.push(`Post ${postId}: SKIP — already processed`);
+        return;
+    }
 
-        // Launch token
-        let result;
-        try {
-            result = await createToken({
-                name, symbol, description,
-                launchType,
-                agentWallet: agent.walletAddress,
-                agentKeypair,
-                imageUrl: image,
-                website, twitter,
-            });
-        } catch (e) {
-            await markPostProcessed({ id: postId, platform, agentId: agent.agentId, status: 'failed', errorMsg: e.message });
-            try {
-                await reply(postId, `❌ **Launch failed**\n\n${e.message}`);
-            } catch { /* best effort */ }
-            results.errors.push(`Post ${postId}: Launch failed: ${e.message}`);
-            continue;
-        }
+    const recoveryCode = parseRecoveryPost(content);
+    if (recoveryCode) {
+        await handleRecoveryPost({ postId, platform, authorName, content, code: recoveryCode, reply, format });
+        results.debug.push(`Post ${postId}: recovery challenge`);
+        return;
+    }
 
-        // Save token
-        const feeSplit = getFeeSplit(launchType);
-        const token = {
-            id: crypto.randomUUID(),
-            name, symbol, description,
-            imageUrl: image,
-            agentId: agent.agentId,
-            agentName: agent.agentName,
-            walletAddress: agent.walletAddress,
-            website: website || null,
-            twitter: twitter || null,
-            telegram: null,
-            mintAddress: result.mintAddress,
-            txSignature: result.txSignature,
-            pumpUrl: result.pumpUrl,
-            explorerUrl: result.explorerUrl,
-            launchType,
-            creatorSharePct: feeSplit.creator * 100,
-            platformSharePct: feeSplit.platform * 100,
-            simulated: result.simulated,
-            source: platform,
-            feeSharingStatus: result.feeSharingStatus || 'pending',
-            feeSharingTx: result.feeSharingTx || null,
-        };
-
-        await insertToken(token);
-        await markPostProcessed({ id: postId, platform, agentId: agent.agentId, tokenId: token.id, status: 'processed' });
-        results.launched++;
-
-        // Reply with success
-        const sourceLabel = platform === '4claw' ? '4CLAW' : platform.toUpperCase();
-        const tierLabel = launchType === 'free' ? '⭐ FREE' : `💰 PAID (${getPaidLaunchCost()} SOL)`;
-        const successMsg = [
-            `✅ **Token "${name}" (${symbol}) launched on pump.fun!**`,
-            '',
-            `🔗 **pump.fun:** ${result.pumpUrl}`,
-            `🔍 **Explorer:** ${result.explorerUrl}`,
-            `📊 **ClawdPump:** https://clawdpump.xyz`,
-            '',
-            `${tierLabel} — Fee split: ${feeSplit.creator * 100}% creator / ${feeSplit.platform * 100}% platform`,
-            '',
-            `{LAUNCHED WITH ClawdPump VIA ${sourceLabel}}`,
-        ].join('\n');
-
-        try {
-            await reply(postId, successMsg);
-        } catch { /* best effort */ }
+    if (isCheckPost(content)) {
+        await handleCheckPost({ postId, platform, authorName, content, reply, format });
+        results.debug.push(`Post ${postId}: launch check`);
+        return;
     }
 
-    return results;
+    await launchFromPost({ id: postId, content, authorName }, {
+        platform, reply, format, results, attempt: { attempts: 1, announce: true },
+    });
+}
+
+/**
+ * Run the launch pipeline for a trigger post and record the outcome.
+ *
+ * @param {object} post       { id, content, authorName, agentId? }
+ * @param {object} opts
+ * @param {object} opts.attempt  { attempts, announce } — which attempt this
+ *                               is, and whether to reply even if a retry follows
+ */
+async function launchFromPost(post, { platform, reply, format, results, attempt }) {
+    const { id: postId, content, authorName } = post;
+    let agent = await getAgent(post.agentId || authorName);
+    const replyCtx = { platform, format, language: selectReplyLanguage({ content, agent }) };
+
+    // Parse token details
+    const parsed = parseClawdPumpPost(content);
+    if (!parsed.success) {
+        await rejectPost(post, {
+            platform, status: 'invalid', errorMsg: parsed.error, reply, replyCtx, attempt,
+            message: launchRejectionReply({ code: 'INVALID_INPUT', error: parsed.error }, replyCtx),
+        });
+        results.errors.push(`Post ${postId}: ${parsed.error}`);
+        return;
+    }
+
+    const { name, symbol, description, image, website, twitter } = parsed.data;
+
+    // Auto-register the author
+    if (!agent) agent = await registerPostAuthor(authorName, platform);
+
+    const launch = await launchToken({
+        agent,
+        input: { name, symbol, description, imageUrl: image, website, twitter },
+        source: platform,
+        postId,
+    });
+    if (!launch.ok) {
+        await rejectPost(post, {
+            platform, agentId: agent.agentId, symbol, status: postStatusFor(launch.code),
+            errorMsg: `${launch.code}: ${launch.error}`, message: launchRejectionReply(launch, replyCtx), reply, replyCtx, attempt,
+        });
+        results.errors.push(`Post ${postId}: ${launch.code}`);
+        return;
+    }
+
+    // Run the job now; a step that needs a retry is picked up by the launch worker cron
+    await runLaunchWorker({ jobId: launch.job.id });
+    const job = await getLaunchJob(launch.job.id);
+    if (job.status === 'failed') {
+        // The launch job already notified webhooks (launch.failed)
+        const nextAttemptAt = nextAttemptFor('failed', attempt.attempts);
+        await markPostProcessed({
+            id: postId, platform, agentId: agent.agentId, status: 'failed', errorMsg: job.errorMsg,
+            authorName, content, attempts: attempt.attempts, nextAttemptAt,
+        });
+        results.errors.push(`Post ${postId}: Launch failed: ${job.errorMsg}`);
+        if (!nextAttemptAt || attempt.announce) await replyTo(reply, postId, withRetryNote(launchJobReply(job, replyCtx), nextAttemptAt, replyCtx));
+        return;
+    }
+
+    await markPostProcessed({
+        id: postId,
+        platform,
+        agentId: agent.agentId,
+        tokenId: job.tokenId,
+        status: job.status === 'done' ? 'processed' : 'queued',
+        errorMsg: job.errorMsg,
+        authorName,
+        content,
+        attempts: attempt.attempts,
+    });
+    if (job.status === 'done') results.launched++;
+
+    await replyTo(reply, postId, launchJobReply(job, replyCtx));
 }
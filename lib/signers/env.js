@@ -0,0 +1,53 @@
+/**
+ * env backend — the original key storage.
+ *
+ * Treasury keys are base58 secret keys in PLATFORM_PRIVATE_KEY (free) and
+ * PAID_TREASURY_PRIVATE_KEY (paid). Agent keys are AES-256-GCM envelopes in
+ * agent_wallets, decrypted in-process (see wallet-crypto.js).
+ */
+
+import { getAgentWallet } from '../db.js';
+import { loadKeypairFromEncrypted } from '../wallet-crypto.js';
+import { createKeypairSigner } from './keypair.js';
+
+const TREASURY_ENV = {
+    'treasury:free': { envVar: 'PLATFORM_PRIVATE_KEY', label: 'Free treasury' },
+    'treasury:paid': { envVar: 'PAID_TREASURY_PRIVATE_KEY', label: 'Paid treasury' },
+};
+
+/**
+ * Load a keypair from a base58-encoded private key string.
+ */
+export async function loadKeypairFromBase58(base58Key, label = 'wallet') {
+    if (!base58Key) {
+        throw new Error(`${label} private key is not configured`);
+    }
+    const { Keypair } = await import('@solana/web3.js');
+    const bs58 = (await import('bs58')).default;
+    try {
+        const secretKey = bs58.decode(base58Key);
+        return Keypair.fromSecretKey(secretKey);
+    } catch (e) {
+        throw new Error(`Failed to decode ${label} private key: ${e.message}`);
+    }
+}
+
+async function loadKeypair(keyRef) {
+    if (keyRef.startsWith('agent:')) {
+        const agentId = keyRef.slice('agent:'.length);
+        const walletRow = await getAgentWallet(agentId);
+        if (!walletRow) throw new Error(`No wallet found for agent ${agentId}`);
+        if (!walletRow.encrypted_key) throw new Error(`Wallet of agent ${agentId} is in self custody — the platform holds no key`);
+        return loadKeypairFromEncrypted(walletRow);
+    }
+
+    const { envVar, label } = TREASURY_ENV[keyRef];
+    return loadKeypairFromBase58(process.env[envVar] || '', `${label} (${envVar})`);
+}
+
+export const envBackend = {
+    name: 'env',
+    async getSigner(keyRef) {
+        return createKeypairSigner(await loadKeypair(keyRef), { keyRef, backend: 'env' });
+    },
+};
@@ -0,0 +1,129 @@
+/**
+ * Signer abstraction — every on-chain transaction signs through here.
+ *
+ * A signer is a public key plus an async `sign(message)` that returns a
+ * 64-byte ed25519 signature. Where the private key lives is up to the
+ * backend:
+ *
+ *   env       Treasury keys from PLATFORM_PRIVATE_KEY / PAID_TREASURY_PRIVATE_KEY,
+ *             agent keys decrypted from agent_wallets (AES-256-GCM). Default.
+ *   keystore  Solana CLI keypair files in SIGNER_KEYSTORE_DIR
+ *   remote    HTTP signer at SIGNER_REMOTE_URL (see scripts/remote-signer.js)
+ *
+ * Treasury and agent keys pick their backend separately with TREASURY_SIGNER
+ * and AGENT_SIGNER, so e.g. treasuries can move to a remote signer while
+ * agent wallets stay in the database.
+ *
+ * Keys are addressed by reference: 'treasury:free', 'treasury:paid',
+ * 'agent:<agentId>'.
+ */
+
+import { envBackend } from './env.js';
+import { keystoreBackend } from './keystore.js';
+import { remoteBackend } from './remote.js';
+
+export { createKeypairSigner } from './keypair.js';
+
+const BACKENDS = {
+    env: envBackend,
+    keystore: keystoreBackend,
+    remote: remoteBackend,
+};
+
+export const SIGNER_BACKENDS = Object.keys(BACKENDS);
+
+function getBackend(envVar) {
+    const name = (process.env[envVar] || 'env').toLowerCase();
+    const backend = BACKENDS[name];
+    if (!backend) {
+        throw new Error(`${envVar} must be one of: ${SIGNER_BACKENDS.join(', ')} (got "${name}")`);
+    }
+    return backend;
+}
+
+/**
+ * Backend responsible for a key reference.
+ */
+export function getBackendForKey(keyRef) {
+    return getBackend(keyRef.startsWith('agent:') ? 'AGENT_SIGNER' : 'TREASURY_SIGNER');
+}
+
+/**
+ * Resolve a signer by key reference.
+ *
+ * @param {string} keyRef  'treasury:free' | 'treasury:paid' | 'agent:<agentId>'
+ */
+export async function getSigner(keyRef) {
+    if (!/^(treasury:(free|paid)|agent:.+)$/.test(keyRef)) {
+        throw new Error(`Unknown signer key reference "${keyRef}"`);
+    }
+    return getBackendForKey(keyRef).getSigner(keyRef);
+}
+
+/**
+ * Signer for the treasury that deploys (and administers fee sharing for) a launch type.
+ *
+ * @param {'free'|'paid'} launchType
+ */
+export function getTreasurySigner(launchType) {
+    return getSigner(launchType === 'paid' ? 'treasury:paid' : 'treasury:free');
+}
+
+/**
+ * Signer for an agent's system-managed wallet.
+ *
+ * @param {string} agentId
+ */
+export function getAgentSigner(agentId) {
+    return getSigner(`agent:${agentId}`);
+}
+
+/**
+ * Add signatures from a mix of signers and in-memory Keypairs (e.g. a fresh
+ * mint keypair) to a transaction whose blockhash and fee payer are set.
+ *
+ * @param {import('@solana/web3.js').Transaction} tx
+ * @param {Array<object>} signers
+ */
+export async function signTransaction(tx, signers) {
+    const message = tx.serializeMessage();
+    for (const signer of signers) {
+        if (signer.secretKey) {
+            tx.partialSign(signer);
+        } else {
+            tx.addSignature(signer.publicKey, Buffer.from(await signer.sign(message)));
+        }
+    }
+    return tx;
+}
+
+/**
+ * Drop-in replacement for web3.js sendAndConfirmTransaction that accepts
+ * signers as well as Keypairs. The first signer pays fees unless the
+ * transaction already names a fee payer.
+ *
+ * @param {import('@solana/web3.js').Connection} connection
+ * @param {import('@solana/web3.js').Transaction} tx
+ * @param {Array<object>} signers
+ * @param {{ commitment?: string }} [opts]
+ * @returns {Promise<string>} transaction signature
+ */
+export async function sendAndConfirmWithSigners(connection, tx, signers, { commitment = 'confirmed' } = {}) {
+    const { blockhash, lastValidBlockHeight } = await connection.getLatestBlockhash(commitment);
+    tx.recentBlockhash = blockhash;
+    tx.lastValidBlockHeight = lastValidBlockHeight;
+    tx.feePayer = tx.feePayer || signers[0].publicKey;
+    tx.signatures = [];
+
+    await signTransaction(tx, signers);
+    if (!tx.verifySignatures()) {
+        throw new Error('Transaction is missing a required signature');
+    }
+
+    const signature = await connection.sendRawTransaction(tx.serialize(), { preflightCommitment: commitment });
+    const { value } = await connection.confirmTransaction({ signature, blockhash, lastValidBlockHeight }, commitment);
+    if (value.err) {
+        throw new Error(`Transaction ${signature} failed: ${JSON.stringify(value.err)}`);
+    }
+    return signature;
+}
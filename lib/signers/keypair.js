@@ -0,0 +1,30 @@
+import crypto from 'crypto';
+
+// DER prefix that turns a 32-byte ed25519 seed into a PKCS#8 private key
+const PKCS8_ED25519_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+/**
+ * Wrap an in-memory Keypair as a signer.
+ *
+ * @param {import('@solana/web3.js').Keypair} keypair
+ * @param {object} [meta]
+ * @param {string} [meta.keyRef]
+ * @param {string} [meta.backend]
+ */
+export function createKeypairSigner(keypair, { keyRef = null, backend = 'local' } = {}) {
+    const privateKey = crypto.createPrivateKey({
+        key: Buffer.concat([PKCS8_ED25519_PREFIX, Buffer.from(keypair.secretKey.slice(0, 32))]),
+        format: 'der',
+        type: 'pkcs8',
+    });
+
+    return {
+        keyRef,
+        backend,
+        publicKey: keypair.publicKey,
+        address: keypair.publicKey.toBase58(),
+        async sign(message) {
+            return new Uint8Array(crypto.sign(null, Buffer.from(message), privateKey));
+        },
+    };
+}
@@ -0,0 +1,59 @@
+/**
+ * keystore backend — Solana CLI keypair files on disk.
+ *
+ * SIGNER_KEYSTORE_DIR holds one JSON file per key, each a 64-number array
+ * as written by `solana-keygen new --outfile`:
+ *
+ *   treasury-free.json
+ *   treasury-paid.json
+ *   agent-<agentId>.json
+ *
+ * Agent files must hold the same key as the agent's wallet_address.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { getAgentWallet } from '../db.js';
+import { createKeypairSigner } from './keypair.js';
+
+/**
+ * File name for a key reference ('treasury:free' → 'treasury-free.json').
+ */
+export function keystoreFileName(keyRef) {
+    const name = keyRef.replace(':', '-');
+    if (!/^[A-Za-z0-9_.-]+$/.test(name) || name.includes('..')) {
+        throw new Error(`Key reference "${keyRef}" cannot be stored in the keystore`);
+    }
+    return `${name}.json`;
+}
+
+function getKeystoreDir() {
+    const dir = process.env.SIGNER_KEYSTORE_DIR;
+    if (!dir) throw new Error('SIGNER_KEYSTORE_DIR env var is required for the keystore signer');
+    return dir;
+}
+
+export const keystoreBackend = {
+    name: 'keystore',
+    async getSigner(keyRef) {
+        const { Keypair } = await import('@solana/web3.js');
+        const file = path.join(getKeystoreDir(), keystoreFileName(keyRef));
+
+        let keypair;
+        try {
+            const secretKey = JSON.parse(await fs.readFile(file, 'utf8'));
+            keypair = Keypair.fromSecretKey(Uint8Array.from(secretKey));
+        } catch (e) {
+            throw new Error(`Failed to load ${keyRef} from keystore (${file}): ${e.message}`);
+        }
+
+        if (keyRef.startsWith('agent:')) {
+            const walletRow = await getAgentWallet(keyRef.slice('agent:'.length));
+            if (walletRow && walletRow.wallet_address !== keypair.publicKey.toBase58()) {
+                throw new Error(`Keystore key for ${keyRef} does not match wallet ${walletRow.wallet_address}`);
+            }
+        }
+
+        return createKeypairSigner(keypair, { keyRef, backend: 'keystore' });
+    },
+};
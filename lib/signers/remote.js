@@ -0,0 +1,72 @@
+/**
+ * remote backend — keys live in a separate signing service.
+ *
+ * Protocol (JSON over HTTP, `Authorization: Bearer SIGNER_REMOTE_TOKEN`):
+ *
+ *   GET  {SIGNER_REMOTE_URL}/keys/:keyRef   → { keyRef, address }
+ *   POST {SIGNER_REMOTE_URL}/sign           { keyRef, message }  → { signature }
+ *
+ * `message` is the base64 serialized transaction message and `signature`
+ * the base64 64-byte ed25519 signature. scripts/remote-signer.js is a local
+ * stand-in that implements it.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// keyRef -> address; public keys don't change, so one lookup per process
+const addressCache = new Map();
+
+function getRemoteConfig() {
+    const url = process.env.SIGNER_REMOTE_URL;
+    if (!url) throw new Error('SIGNER_REMOTE_URL env var is required for the remote signer');
+    return { url: url.replace(/\/+$/, ''), token: process.env.SIGNER_REMOTE_TOKEN || '' };
+}
+
+async function remoteRequest(path, init = {}) {
+    const { url, token } = getRemoteConfig();
+    const res = await fetch(`${url}${path}`, {
+        ...init,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+        throw new Error(`Remote signer ${init.method || 'GET'} ${path} failed (${res.status}): ${data.error || res.statusText}`);
+    }
+    return data;
+}
+
+export const remoteBackend = {
+    name: 'remote',
+    async getSigner(keyRef) {
+        const { PublicKey } = await import('@solana/web3.js');
+
+        let address = addressCache.get(keyRef);
+        if (!address) {
+            ({ address } = await remoteRequest(`/keys/${encodeURIComponent(keyRef)}`));
+            addressCache.set(keyRef, address);
+        }
+
+        return {
+            keyRef,
+            backend: 'remote',
+            publicKey: new PublicKey(address),
+            address,
+            async sign(message) {
+                const { signature } = await remoteRequest('/sign', {
+                    method: 'POST',
+                    body: JSON.stringify({ keyRef, message: Buffer.from(message).toString('base64') }),
+                });
+                const bytes = Buffer.from(signature || '', 'base64');
+                if (bytes.length !== 64) {
+                    throw new Error(`Remote signer returned an invalid signature for ${keyRef}`);
+                }
+                return new Uint8Array(bytes);
+            },
+        };
+    },
+};
@@ -11,7 +11,7 @@ import { Connection, PublicKey } from '@solana/web3.js';
 import { getAssociatedTokenAddress } from '@solana/spl-token';
 
 const SOLANA_RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
-const CLAWDPUMP_MINT = '4jH8AzNS9op6fKNNzxmmagvqpbC2egwHRxBsaUjDfQLk';
+export const CLAWDPUMP_MINT = '4jH8AzNS9op6fKNNzxmmagvqpbC2egwHRxBsaUjDfQLk';
 const MIN_CLAWDPUMP = 2_000_000;
 const PAID_LAUNCH_COST_SOL = parseFloat(process.env.PAID_LAUNCH_COST_SOL || '0.02');
 
@@ -1,19 +1,26 @@
-import { Connection, Keypair, PublicKey, SystemProgram, Transaction, sendAndConfirmTransaction } from '@solana/web3.js';
-import { getAssociatedTokenAddress, createTransferInstruction, TOKEN_PROGRAM_ID } from '@solana/spl-token';
+import { Connection, PublicKey, SystemProgram, Transaction } from '@solana/web3.js';
+import {
+    getAssociatedTokenAddress, getAssociatedTokenAddressSync, createTransferInstruction,
+    createTransferCheckedInstruction, createAssociatedTokenAccountIdempotentInstruction,
+    createCloseAccountInstruction, TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID,
+} from '@solana/spl-token';
+import { sendAndConfirmWithSigners } from './signers/index.js';
 
 const RPC_URL = process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com';
 const connection = new Connection(RPC_URL, 'confirmed');
 
 /**
  * Send native SOL
+ *
+ * @param {object} fromSigner - signer for the sending wallet (see lib/signers)
  */
-export async function sendSol(fromKeypair, toAddress, amountSol) {
+export async function sendSol(fromSigner, toAddress, amountSol) {
     const toPubkey = new PublicKey(toAddress);
     const lamports = Math.floor(amountSol * 1e9);
 
     const transaction = new Transaction().add(
         SystemProgram.transfer({
-            fromPubkey: fromKeypair.publicKey,
+            fromPubkey: fromSigner.publicKey,
             toPubkey,
             lamports,
         })
@@ -22,10 +29,10 @@ export async function sendSol(fromKeypair, toAddress, amountSol) {
     // Retry logic
     for (let attempt = 1; attempt <= 3; attempt++) {
         try {
-            const signature = await sendAndConfirmTransaction(
+            const signature = await sendAndConfirmWithSigners(
                 connection,
                 transaction,
-                [fromKeypair],
+                [fromSigner],
                 { commitment: 'confirmed' }
             );
 
@@ -35,7 +42,9 @@ export async function sendSol(fromKeypair, toAddress, amountSol) {
 
             return {
                 signature,
+                lamports,
                 fee: fee / 1e9,
+                feeLamports: fee,
                 explorer: `https://solscan.io/tx/${signature}`,
             };
         } catch (err) {
@@ -48,13 +57,15 @@ export async function sendSol(fromKeypair, toAddress, amountSol) {
 
 /**
  * Send SPL token
+ *
+ * @param {object} fromSigner - signer for the sending wallet (see lib/signers)
  */
-export async function sendSplToken(fromKeypair, toAddress, mintAddress, amount) {
+export async function sendSplToken(fromSigner, toAddress, mintAddress, amount) {
     const mintPubkey = new PublicKey(mintAddress);
     const toPubkey = new PublicKey(toAddress);
 
     // Get associated token accounts
-    const fromAta = await getAssociatedTokenAddress(mintPubkey, fromKeypair.publicKey);
+    const fromAta = await getAssociatedTokenAddress(mintPubkey, fromSigner.publicKey);
     const toAta = await getAssociatedTokenAddress(mintPubkey, toPubkey);
 
     // Check if recipient ATA exists, if not we need to create it (not implemented here - would add cost)
@@ -64,7 +75,7 @@ export async function sendSplToken(fromKeypair, toAddress, mintAddress, amount)
         createTransferInstruction(
             fromAta,
             toAta,
-            fromKeypair.publicKey,
+            fromSigner.publicKey,
             amount,
             [],
             TOKEN_PROGRAM_ID
@@ -74,10 +85,10 @@ export async function sendSplToken(fromKeypair, toAddress, mintAddress, amount)
     // Retry logic
     for (let attempt = 1; attempt <= 3; attempt++) {
         try {
-            const signature = await sendAndConfirmTransaction(
+            const signature = await sendAndConfirmWithSigners(
                 connection,
                 transaction,
-                [fromKeypair],
+                [fromSigner],
                 { commitment: 'confirmed' }
             );
 
@@ -87,6 +98,7 @@ export async function sendSplToken(fromKeypair, toAddress, mintAddress, amount)
             return {
                 signature,
                 fee: fee / 1e9,
+                feeLamports: fee,
                 explorer: `https://solscan.io/tx/${signature}`,
             };
         } catch (err) {
@@ -103,6 +115,77 @@ export async function sendSplToken(fromKeypair, toAddress, mintAddress, amount)
     }
 }
 
+/**
+ * Move every SPL token (both token programs) out of a wallet and close its
+ * token accounts, returning their rent to the wallet. The destination's
+ * token accounts are created as needed, paid by the sending wallet.
+ * One transaction per token account; safe to re-run after a partial sweep.
+ *
+ * @param {object} fromSigner - signer for the wallet being emptied (see lib/signers)
+ * @returns {Promise<{ mint: string, amount: string, decimals: number, signature: string }[]>}
+ */
+export async function sweepTokenAccounts(fromSigner, toAddress) {
+    const toPubkey = new PublicKey(toAddress);
+    const swept = [];
+
+    for (const programId of [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID]) {
+        const { value: accounts } = await connection.getParsedTokenAccountsByOwner(fromSigner.publicKey, { programId });
+
+        for (const { pubkey, account } of accounts) {
+            const info = account.data.parsed.info;
+            const mintPubkey = new PublicKey(info.mint);
+            const amount = BigInt(info.tokenAmount.amount);
+            const decimals = info.tokenAmount.decimals;
+
+            const transaction = new Transaction();
+            if (amount > 0n) {
+                const toAta = getAssociatedTokenAddressSync(mintPubkey, toPubkey, true, programId);
+                transaction.add(
+                    createAssociatedTokenAccountIdempotentInstruction(fromSigner.publicKey, toAta, toPubkey, mintPubkey, programId),
+                    createTransferCheckedInstruction(pubkey, mintPubkey, toAta, fromSigner.publicKey, amount, decimals, [], programId),
+                );
+            }
+            transaction.add(createCloseAccountInstruction(pubkey, fromSigner.publicKey, fromSigner.publicKey, [], programId));
+
+            const signature = await sendAndConfirmWithSigners(connection, transaction, [fromSigner], { commitment: 'confirmed' });
+            console.log(`[Sweep] ${info.mint}: ${amount} → ${toAddress} (${signature})`);
+            swept.push({ mint: info.mint, amount: amount.toString(), decimals, signature });
+        }
+    }
+
+    return swept;
+}
+
+/**
+ * Send a wallet's entire SOL balance, less the network fee.
+ *
+ * @param {object} fromSigner - signer for the wallet being emptied (see lib/signers)
+ * @returns {Promise<{ signature: string|null, lamports: number, feeLamports: number }>}
+ *          signature is null when there was nothing left to send
+ */
+export async function sweepSol(fromSigner, toAddress) {
+    const toPubkey = new PublicKey(toAddress);
+    const transaction = new Transaction().add(
+        SystemProgram.transfer({ fromPubkey: fromSigner.publicKey, toPubkey, lamports: 0 })
+    );
+
+    const { blockhash } = await connection.getLatestBlockhash('confirmed');
+    transaction.recentBlockhash = blockhash;
+    transaction.feePayer = fromSigner.publicKey;
+    const feeLamports = (await connection.getFeeForMessage(transaction.compileMessage(), 'confirmed')).value ?? 5000;
+
+    const balance = await connection.getBalance(fromSigner.publicKey, 'confirmed');
+    const lamports = balance - feeLamports;
+    if (lamports <= 0) return { signature: null, lamports: 0, feeLamports: 0 };
+
+    const sweep = new Transaction().add(
+        SystemProgram.transfer({ fromPubkey: fromSigner.publicKey, toPubkey, lamports })
+    );
+    const signature = await sendAndConfirmWithSigners(connection, sweep, [fromSigner], { commitment: 'confirmed' });
+    console.log(`[Sweep] ${lamports} lamports → ${toAddress} (${signature})`);
+    return { signature, lamports, feeLamports };
+}
+
 /**
  * Get balance (SOL or SPL token)
  */
@@ -127,3 +210,10 @@ export async function getBalance(address, mintAddress = null) {
         return 0;
     }
 }
+
+/**
+ * Get native SOL balance in lamports (exact, for ledger reconciliation)
+ */
+export async function getLamportBalance(address) {
+    return connection.getBalance(new PublicKey(address));
+}
@@ -0,0 +1,232 @@
+/**
+ * Launch symbol policy — shared by /api/launch and the social scanners.
+ *
+ * Runs after input sanitization and the exact-duplicate check, and rejects:
+ *
+ *   SYMBOL_BLOCKED    symbol or name matches a blocked rule (built-in list of
+ *                     the platform ticker and major assets, plus admin rules)
+ *   SYMBOL_RESERVED   symbol matches a rule reserved for another agent
+ *   SYMBOL_LOOKALIKE  symbol is a confusable variant of an existing token's
+ *                     symbol (PEPE → PEP3, PEPE2, ΡΕΡΕ)
+ *   NAME_LOOKALIKE    name is a confusable variant of an existing token's name
+ *   IMPERSONATION     description poses as the platform token ("official
+ *                     ClawdPump v2", the $CLAWDPUMP mint address, ...)
+ *
+ * Comparisons use a "skeleton": Unicode homoglyphs, accents, leetspeak
+ * digits, rn/m and vv/w are folded, and symbols lose trailing digits. Rules
+ * are managed by admins (symbol_rules): `blocked`, `reserved` (for one
+ * agent), or `allowed`, which exempts a symbol from rules and look-alike
+ * checks. Look-alikes of an agent's own tokens are allowed (follow-up
+ * launches). Every rejection is recorded in symbol_rejections.
+ */
+
+import {
+    getSymbolRules, findLookalikeTokens, insertSymbolRejection,
+} from './db.js';
+import { CLAWDPUMP_MINT } from './solana-balance.js';
+
+export const SYMBOL_RULE_KINDS = ['blocked', 'reserved', 'allowed'];
+export const SYMBOL_RULE_MATCHES = ['exact', 'prefix'];
+
+const WELL_KNOWN = [
+    'SOL', 'SOLANA', 'BTC', 'BITCOIN', 'WBTC', 'ETH', 'ETHEREUM', 'WETH',
+    'USDC', 'USDT', 'TETHER', 'BNB', 'XRP', 'DOGE', 'SHIB', 'PEPE',
+    'BONK', 'WIF', 'DOGWIFHAT', 'JUP', 'JUPITER', 'RAY', 'RAYDIUM', 'PYTH',
+    'JTO', 'POPCAT', 'TRUMP', 'MELANIA', 'PUMP', 'PUMPFUN',
+];
+
+const BUILT_IN_RULES = [
+    { pattern: 'CLAWDPUMP', match: 'prefix', kind: 'blocked', reason: 'Platform token' },
+    { pattern: 'CLAWD', match: 'exact', kind: 'blocked', reason: 'Platform name' },
+    ...WELL_KNOWN.map(pattern => ({ pattern, match: 'exact', kind: 'blocked', reason: 'Major asset or well-known project' })),
+].map(rule => ({ ...rule, id: null, builtIn: true }));
+
+// Cyrillic / Greek letters that render like Latin ones
+const HOMOGLYPHS = {
+    а: 'a', в: 'b', е: 'e', к: 'k', м: 'm', н: 'h', о: 'o', р: 'p', с: 'c',
+    т: 't', у: 'y', х: 'x', і: 'i', ј: 'j', ѕ: 's', ԁ: 'd', ԛ: 'q', ԝ: 'w',
+    α: 'a', β: 'b', ε: 'e', η: 'n', ι: 'i', κ: 'k', ν: 'v', ο: 'o', ρ: 'p',
+    τ: 't', υ: 'u', χ: 'x', ζ: 'z',
+};
+
+// Folded after homoglyphs
+const FOLD_FROM = '0134578269l';
+const FOLD_TO = 'oieastbzggi';
+
+const RULE_CACHE_TTL_MS = 30_000;
+let ruleCache = { rules: null, timestamp: 0 };
+
+function foldText(str) {
+    return (str || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/./gu, ch => HOMOGLYPHS[ch] || ch);
+}
+
+function skeleton(str) {
+    return foldText(str)
+        .replace(/[^a-z0-9]/g, '')
+        .replace(/rn/g, 'm')
+        .replace(/vv/g, 'w')
+        .replace(/[0-9l]/g, ch => FOLD_TO[FOLD_FROM.indexOf(ch)]);
+}
+
+/**
+ * Confusable-insensitive form of a symbol. Trailing digits are dropped when
+ * at least 3 characters remain (PEPE2 → pepe), so numbered tickers like
+ * X1000 / X2000 stay distinct. Look-alike checks also compare the form with
+ * digits kept, which catches MOCH1 → MOCHI.
+ */
+export function symbolSkeleton(symbol) {
+    const trimmed = (symbol || '').replace(/[0-9]+$/, '');
+    return skeleton(trimmed.length >= 3 ? trimmed : symbol);
+}
+
+/**
+ * Confusable-insensitive form of a token name.
+ */
+export function nameSkeleton(name) {
+    return skeleton(name);
+}
+
+/**
+ * Skeletons stored with a token (tokens.symbol_skeleton, symbol_full_skeleton,
+ * name_skeleton) so look-alike checks are indexed equality lookups.
+ */
+export function tokenSkeletons({ symbol, name }) {
+    return {
+        symbolSkeleton: symbolSkeleton(symbol),
+        symbolFullSkeleton: skeleton(symbol),
+        nameSkeleton: nameSkeleton(name),
+    };
+}
+
+const PLATFORM = String.raw`\$?c[l1i|]\s*[a4@]\s*w\s*d\s*p\s*[uv]\s*m\s*p`;
+const IMPERSONATION_PATTERNS = [
+    new RegExp(String.raw`${PLATFORM}\W{0,3}(v\s*\d|\d\.0|2\b|official|relaunch|migration|token\s+v\d)`),
+    new RegExp(String.raw`\b(official|real|genuine|the\s+new|relaunch(ed)?\s+of|migrat\w*\s+(of|from|to)|airdrop\w*\s+(for|of|to))\W+(the\s+)?${PLATFORM}`),
+    new RegExp(String.raw`${PLATFORM}\s+(team|devs?|foundation|official)`),
+];
+
+/**
+ * Whether a description poses as the platform token. Returns the matched
+ * text, or null.
+ */
+export function detectImpersonation(description) {
+    if (!description) return null;
+    if (description.includes(CLAWDPUMP_MINT)) return CLAWDPUMP_MINT;
+    const folded = foldText(description);
+    for (const pattern of IMPERSONATION_PATTERNS) {
+        const match = folded.match(pattern);
+        if (match) return match[0];
+    }
+    return null;
+}
+
+/**
+ * Admin rules followed by the built-in list (cached briefly).
+ */
+export async function getPolicyRules() {
+    if (!ruleCache.rules || Date.now() - ruleCache.timestamp > RULE_CACHE_TTL_MS) {
+        const rules = (await getSymbolRules()).map(rule => ({ ...rule, builtIn: false }));
+        ruleCache = { rules, timestamp: Date.now() };
+    }
+    return [...ruleCache.rules, ...BUILT_IN_RULES];
+}
+
+export function invalidateSymbolRuleCache() {
+    ruleCache = { rules: null, timestamp: 0 };
+}
+
+function ruleMatches(rule, value) {
+    if (!value) return false;
+    const pattern = symbolSkeleton(rule.pattern);
+    return rule.match === 'prefix' ? value.startsWith(pattern) : value === pattern;
+}
+
+function isAllowed(rules, symbol) {
+    return rules.some(rule => rule.kind === 'allowed'
+        && (rule.match === 'prefix' ? symbol.startsWith(rule.pattern) : symbol === rule.pattern));
+}
+
+/**
+ * Check a launch against the symbol policy. Rejections are recorded.
+ *
+ * @param {object} launch
+ * @param {string} launch.symbol        Sanitized symbol (uppercase)
+ * @param {string} launch.name
+ * @param {string} launch.description
+ * @param {string|null} launch.agentId
+ * @param {string} launch.source        'api' or the scanner platform
+ * @returns {Promise<{ allowed: true } | { allowed: false, code: string, reason: string, matched: string|null }>}
+ */
+export async function checkLaunchPolicy({ symbol, name, description, agentId = null, source = 'api' }) {
+    const result = await evaluateLaunchPolicy({ symbol, name, description, agentId });
+    if (!result.allowed) {
+        await insertSymbolRejection({ agentId, source, symbol, name, code: result.code, reason: result.reason, matched: result.matched })
+            .catch(err => console.error('[SymbolPolicy] Failed to record rejection:', err.message));
+        console.log(`[SymbolPolicy] Rejected $${symbol} (${source}, agent ${agentId || '—'}): ${result.code} — ${result.reason}`);
+    }
+    return result;
+}
+
+async function evaluateLaunchPolicy({ symbol, name, description, agentId }) {
+    const rules = await getPolicyRules();
+    const { symbolSkeleton: symbolKey, symbolFullSkeleton, nameSkeleton: nameKey } = tokenSkeletons({ symbol, name });
+
+    if (!isAllowed(rules, symbol)) {
+        for (const rule of rules) {
+            if (rule.kind === 'allowed') continue;
+            const onSymbol = ruleMatches(rule, symbolKey);
+            const onName = !onSymbol && rule.kind === 'blocked' && ruleMatches(rule, nameKey);
+            if (!onSymbol && !onName) continue;
+            if (rule.kind === 'reserved' && rule.reservedFor && rule.reservedFor === agentId) continue;
+
+            const what = onSymbol ? `Symbol "${symbol}"` : `Name "${name}"`;
+            return {
+                allowed: false,
+                code: rule.kind === 'reserved' ? 'SYMBOL_RESERVED' : 'SYMBOL_BLOCKED',
+                reason: `${what} is ${rule.kind === 'reserved' ? 'reserved' : 'not allowed'}${rule.reason ? ` (${rule.reason})` : ''}. Choose a different ${onSymbol ? 'symbol' : 'name'}.`,
+                matched: `${rule.match}:${rule.pattern}`,
+            };
+        }
+
+        const lookalikes = await findLookalikeTokens({
+            symbol,
+            symbolSkeleton: symbolKey,
+            symbolFullSkeleton,
+            nameSkeleton: nameKey.length >= 3 ? nameKey : null,
+        });
+        const bySymbol = lookalikes.find(t => t.matchedOn === 'symbol' && t.agentId !== agentId);
+        if (bySymbol) {
+            return {
+                allowed: false,
+                code: 'SYMBOL_LOOKALIKE',
+                reason: `Symbol "${symbol}" is too similar to existing token $${bySymbol.symbol}. Choose a distinct symbol.`,
+                matched: bySymbol.symbol,
+            };
+        }
+        const byName = lookalikes.find(t => t.matchedOn === 'name' && t.agentId !== agentId);
+        if (byName) {
+            return {
+                allowed: false,
+                code: 'NAME_LOOKALIKE',
+                reason: `Name "${name}" is too similar to existing token "${byName.name}" ($${byName.symbol}). Choose a distinct name.`,
+                matched: byName.symbol,
+            };
+        }
+    }
+
+    const impersonation = detectImpersonation(description);
+    if (impersonation) {
+        return {
+            allowed: false,
+            code: 'IMPERSONATION',
+            reason: 'Description presents the token as the official ClawdPump token. Tokens may not impersonate the platform.',
+            matched: impersonation,
+        };
+    }
+
+    return { allowed: true };
+}
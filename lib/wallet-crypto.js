@@ -10,6 +10,16 @@
  *   - AES-256-GCM provides both confidentiality and integrity (auth tag)
  *   - Encryption key is 32 bytes (64 hex chars) from env var
  *   - Admin can decrypt via dedicated endpoint
+ *
+ * Key rotation (versioned envelopes):
+ *   - Every ciphertext is stored with the id of the key that produced it
+ *     (agent_wallets.key_id, retired_agent_wallets.key_id, launch_jobs.mint_key_id)
+ *   - WALLET_ENCRYPTION_KEY is the active key, named by WALLET_ENCRYPTION_KEY_ID
+ *     (default "v1" — rows written before rotation support carry that id)
+ *   - WALLET_DECRYPTION_KEYS lists retired keys that may still decrypt,
+ *     as comma-separated "id:hex" pairs
+ *   - scripts/rotate-wallet-key.js re-encrypts rows under the active key,
+ *     after which the retired key can be dropped from the env
  */
 
 import crypto from 'crypto';
@@ -18,29 +28,84 @@ const ALGORITHM = 'aes-256-gcm';
 const IV_LENGTH = 12;        // 96-bit IV recommended for GCM
 const AUTH_TAG_LENGTH = 16;  // 128-bit auth tag
 
+export const DEFAULT_KEY_ID = 'v1';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_.-]{1,32}$/;
+
+function parseKeyHex(keyHex, name) {
+    if (!/^[0-9a-fA-F]{64}$/.test(keyHex)) {
+        throw new Error(`${name} must be exactly 64 hex characters (32 bytes)`);
+    }
+    return Buffer.from(keyHex, 'hex');
+}
+
+function parseKeyId(keyId, name) {
+    if (!KEY_ID_PATTERN.test(keyId)) {
+        throw new Error(`${name} must be 1-32 characters of letters, digits, "_", "-" or "."`);
+    }
+    return keyId;
+}
+
 /**
- * Get the encryption key from environment variable.
- * Must be exactly 32 bytes (64 hex characters).
+ * Get the active encryption key from environment variables.
+ * The key must be exactly 32 bytes (64 hex characters).
+ *
+ * @returns {{ keyId: string, key: Buffer }}
  */
-function getEncryptionKey() {
+function getActiveKey() {
     const keyHex = process.env.WALLET_ENCRYPTION_KEY;
     if (!keyHex) {
         throw new Error('WALLET_ENCRYPTION_KEY env var is required. Generate with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))"');
     }
-    if (keyHex.length !== 64) {
-        throw new Error('WALLET_ENCRYPTION_KEY must be exactly 64 hex characters (32 bytes)');
+    return {
+        keyId: parseKeyId(process.env.WALLET_ENCRYPTION_KEY_ID || DEFAULT_KEY_ID, 'WALLET_ENCRYPTION_KEY_ID'),
+        key: parseKeyHex(keyHex, 'WALLET_ENCRYPTION_KEY'),
+    };
+}
+
+/**
+ * All keys that may decrypt: the active key plus WALLET_DECRYPTION_KEYS.
+ *
+ * @returns {Map<string, Buffer>} keyId -> key
+ */
+function getDecryptionKeys() {
+    const active = getActiveKey();
+    const keys = new Map([[active.keyId, active.key]]);
+
+    for (const entry of (process.env.WALLET_DECRYPTION_KEYS || '').split(',')) {
+        if (!entry.trim()) continue;
+        const [keyId, keyHex = ''] = entry.trim().split(':');
+        parseKeyId(keyId, 'WALLET_DECRYPTION_KEYS key id');
+        const key = parseKeyHex(keyHex, `WALLET_DECRYPTION_KEYS key "${keyId}"`);
+        if (keys.has(keyId) && !keys.get(keyId).equals(key)) {
+            throw new Error(`WALLET_DECRYPTION_KEYS defines key "${keyId}" with a different value than another configured key`);
+        }
+        keys.set(keyId, key);
     }
-    return Buffer.from(keyHex, 'hex');
+    return keys;
+}
+
+/**
+ * Id of the key new ciphertexts are written with.
+ */
+export function getActiveKeyId() {
+    return getActiveKey().keyId;
+}
+
+/**
+ * Ids of every key that can currently decrypt (active first).
+ */
+export function getDecryptionKeyIds() {
+    return [...getDecryptionKeys().keys()];
 }
 
 /**
- * Encrypt a Solana private key (secret key bytes).
+ * Encrypt a Solana private key (secret key bytes) with the active key.
  *
  * @param {Uint8Array|Buffer} secretKeyBytes - 64-byte Solana secret key
- * @returns {{ encrypted: string, iv: string, authTag: string }} hex-encoded values
+ * @returns {{ encrypted: string, iv: string, authTag: string, keyId: string }} hex-encoded values + key id
  */
 export function encryptPrivateKey(secretKeyBytes) {
-    const key = getEncryptionKey();
+    const { keyId, key } = getActiveKey();
     const iv = crypto.randomBytes(IV_LENGTH);
 
     const cipher = crypto.createCipheriv(ALGORITHM, key, iv, {
@@ -58,6 +123,7 @@ export function encryptPrivateKey(secretKeyBytes) {
         encrypted: encrypted.toString('hex'),
         iv: iv.toString('hex'),
         authTag: authTag.toString('hex'),
+        keyId,
     };
 }
 
@@ -67,10 +133,14 @@ export function encryptPrivateKey(secretKeyBytes) {
  * @param {string} encryptedHex - hex-encoded ciphertext
  * @param {string} ivHex - hex-encoded IV
  * @param {string} authTagHex - hex-encoded auth tag
+ * @param {string} [keyId] - id of the key it was encrypted with (defaults to "v1")
  * @returns {Uint8Array} 64-byte Solana secret key
  */
-export function decryptPrivateKey(encryptedHex, ivHex, authTagHex) {
-    const key = getEncryptionKey();
+export function decryptPrivateKey(encryptedHex, ivHex, authTagHex, keyId = DEFAULT_KEY_ID) {
+    const key = getDecryptionKeys().get(keyId || DEFAULT_KEY_ID);
+    if (!key) {
+        throw new Error(`Wallet encryption key "${keyId}" is not configured. Add it to WALLET_DECRYPTION_KEYS.`);
+    }
     const iv = Buffer.from(ivHex, 'hex');
     const authTag = Buffer.from(authTagHex, 'hex');
     const encrypted = Buffer.from(encryptedHex, 'hex');
@@ -91,27 +161,28 @@ export function decryptPrivateKey(encryptedHex, ivHex, authTagHex) {
 /**
  * Generate a new Solana keypair and encrypt the private key.
  *
- * @returns {Promise<{ publicKey: string, encrypted: string, iv: string, authTag: string }>}
+ * @returns {Promise<{ publicKey: string, encrypted: string, iv: string, authTag: string, keyId: string }>}
  */
 export async function generateAgentWallet() {
     const { Keypair } = await import('@solana/web3.js');
 
     const keypair = Keypair.generate();
     const publicKey = keypair.publicKey.toBase58();
-    const { encrypted, iv, authTag } = encryptPrivateKey(keypair.secretKey);
+    const { encrypted, iv, authTag, keyId } = encryptPrivateKey(keypair.secretKey);
 
     return {
         publicKey,
         encrypted,
         iv,
         authTag,
+        keyId,
     };
 }
 
 /**
  * Load a Solana Keypair from encrypted storage.
  *
- * @param {{ encrypted_key: string, iv: string, auth_tag: string }} walletRow - DB row from agent_wallets
+ * @param {{ encrypted_key: string, iv: string, auth_tag: string, key_id?: string }} walletRow - DB row from agent_wallets
  * @returns {Promise<import('@solana/web3.js').Keypair>}
  */
 export async function loadKeypairFromEncrypted(walletRow) {
@@ -120,31 +191,38 @@ export async function loadKeypairFromEncrypted(walletRow) {
     const secretKey = decryptPrivateKey(
         walletRow.encrypted_key,
         walletRow.iv,
-        walletRow.auth_tag
+        walletRow.auth_tag,
+        walletRow.key_id
     );
 
     return Keypair.fromSecretKey(secretKey);
 }
 
 /**
- * Get agent's Solana Keypair from database (convenience function).
+ * Re-encrypt an agent_wallets row under the active key.
  *
- * @param {string} agentId - Agent ID
- * @returns {Promise<import('@solana/web3.js').Keypair>}
+ * Decrypts with the row's own key, checks the secret key still derives
+ * `wallet_address`, encrypts with the active key and round-trips the new
+ * envelope before returning it. Throws if any check fails.
+ *
+ * @param {{ wallet_address: string, encrypted_key: string, iv: string, auth_tag: string, key_id?: string }} walletRow
+ * @returns {Promise<{ encrypted: string, iv: string, authTag: string, keyId: string }>}
  */
-export async function getAgentKeypair(agentId) {
-    // Import db module dynamically to avoid circular dependency
-    const { queryWithRetry } = await import('./db.js');
-
-    const result = await queryWithRetry(
-        'SELECT encrypted_key, iv, auth_tag FROM agent_wallets WHERE agent_id = $1',
-        [agentId],
-        'getAgentKeypair'
-    );
+export async function reencryptWalletRow(walletRow) {
+    const { Keypair } = await import('@solana/web3.js');
+
+    const keypair = await loadKeypairFromEncrypted(walletRow);
+    if (keypair.publicKey.toBase58() !== walletRow.wallet_address) {
+        throw new Error(`Decrypted key does not match wallet ${walletRow.wallet_address}`);
+    }
 
-    if (result.rows.length === 0) {
-        throw new Error(`No wallet found for agent ${agentId}`);
+    const envelope = encryptPrivateKey(keypair.secretKey);
+    const check = Keypair.fromSecretKey(
+        decryptPrivateKey(envelope.encrypted, envelope.iv, envelope.authTag, envelope.keyId)
+    );
+    if (check.publicKey.toBase58() !== walletRow.wallet_address) {
+        throw new Error(`Re-encrypted key failed verification for wallet ${walletRow.wallet_address}`);
     }
 
-    return loadKeypairFromEncrypted(result.rows[0]);
+    return envelope;
 }
@@ -0,0 +1,542 @@
+/**
+ * Wallet export — lets an agent leave platform custody.
+ *
+ * Two modes, both requested and confirmed with a full-access API key:
+ *
+ *   reveal   show the wallet's private key, once per wallet. The platform
+ *            keeps custody (and its copy of the key).
+ *   migrate  hand over to a wallet the agent controls: claim outstanding
+ *            creator fees, point the pump.fun fee-sharing shareholders of
+ *            every token at the destination, sweep all SPL tokens and SOL
+ *            there, then retire the old wallet. Afterwards the agent's
+ *            wallet is the destination, in self custody.
+ *
+ * Guards:
+ *   - a request returns a one-time confirmation token; it can only be
+ *     confirmed after a cooldown (WALLET_EXPORT_COOLDOWN_HOURS, default 24)
+ *     and within CONFIRM_WINDOW_MS after that, so a leaked key can't drain
+ *     the wallet before the owner notices the `wallet.export_requested`
+ *     webhook and cancels
+ *   - frozen / suspended agents can't export (same rule as /api/send)
+ *   - one open request per agent; account recovery cancels pending ones
+ *
+ * Migrations run as a resumable job (same shape as launch-jobs.js):
+ *
+ *   queued → claiming_fees → updating_fee_sharing → sweeping → retiring → done
+ *                                                                        ↘ failed
+ *
+ * While a migration runs, and after it, the agent wallet can't be used for
+ * sends, fee claims or paid launches (getWalletLock). A failed migration
+ * leaves the wallet in platform custody; requesting it again resumes safely
+ * since every step is idempotent.
+ */
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+import { PublicKey } from '@solana/web3.js';
+import {
+    getAgent, getAgentWallet, getAgentWalletByAddress, createWalletExport, getWalletExport,
+    getActiveWalletExport, cancelWalletExport, confirmWalletExport, claimWalletMigration,
+    updateWalletExport, retireAgentWallet, getActiveLaunchJobCountByAgent, getTokensByAgent,
+    updateTokenFeeSharing, insertFeeSharingAttempt, insertFeeClaim,
+} from './db.js';
+import { claimAgentFees, repairFeeSharing, isSimulateMode } from './pumpfun.js';
+import { sweepTokenAccounts, sweepSol } from './solana-transfer.js';
+import { recordFeeClaim, recordTransfer } from './ledger.js';
+import { loadKeypairFromEncrypted } from './wallet-crypto.js';
+import { getAgentSigner, getTreasurySigner } from './signers/index.js';
+import { getAgentRestriction } from './moderation.js';
+import { hashApiKey } from './sanitize.js';
+import { emitAgentEvent } from './webhooks.js';
+import { publishFeeSharingChange } from './platform-events.js';
+
+export const WALLET_EXPORT_MODES = ['reveal', 'migrate'];
+export const WALLET_MIGRATION_STATES = ['queued', 'claiming_fees', 'updating_fee_sharing', 'sweeping', 'retiring', 'done', 'failed'];
+
+const COOLDOWN_MS = Number(process.env.WALLET_EXPORT_COOLDOWN_HOURS ?? 24) * 3_600_000;
+const CONFIRM_WINDOW_MS = 48 * 3_600_000;
+const MAX_STEP_ATTEMPTS = 5;
+const RETRY_BASE_DELAY_MS = 30_000;
+const WAIT_DELAY_MS = 60_000;
+const JOB_LOCK_MS = 120_000;
+
+const MIGRATING_STATES = ['queued', 'claiming_fees', 'updating_fee_sharing', 'sweeping', 'retiring'];
+
+function fail(status, error, code = null, extra = {}) {
+    return { error, status, ...(code ? { code } : {}), ...extra };
+}
+
+function tokenMatches(walletExport, token) {
+    if (!token) return false;
+    const expected = Buffer.from(walletExport.confirmHash);
+    const received = Buffer.from(hashApiKey(token));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+async function treasuryAddresses() {
+    const signers = await Promise.allSettled([getTreasurySigner('free'), getTreasurySigner('paid')]);
+    return signers.filter(s => s.status === 'fulfilled').map(s => s.value.address);
+}
+
+/**
+ * Check a migration destination: a regular (on-curve) Solana wallet that
+ * isn't the current wallet, a platform treasury or another agent's wallet.
+ *
+ * @returns {Promise<{ destination: string }|{ error: string, status: number, code: string }>}
+ */
+async function validateDestination(destination, walletAddress) {
+    let pubkey;
+    try {
+        pubkey = new PublicKey(String(destination || '').trim());
+    } catch {
+        return fail(400, '"destination" must be a valid Solana address', 'INVALID_DESTINATION');
+    }
+    const address = pubkey.toBase58();
+
+    if (!PublicKey.isOnCurve(pubkey.toBytes())) {
+        return fail(400, '"destination" must be a wallet address, not a program-derived address', 'INVALID_DESTINATION');
+    }
+    if (address === walletAddress) {
+        return fail(400, '"destination" is the current agent wallet', 'INVALID_DESTINATION');
+    }
+    if ((await treasuryAddresses()).includes(address) || await getAgentWalletByAddress(address)) {
+        return fail(400, '"destination" belongs to the platform or another agent', 'INVALID_DESTINATION');
+    }
+    return { destination: address };
+}
+
+/**
+ * Why an agent's wallet can't be used by the platform right now, or null.
+ *
+ * @param {object} agent
+ * @param {'send'|'claim'|'launch'} action
+ * @param {object} [opts]
+ * @param {'free'|'paid'} [opts.launchType]  Free launches only need the
+ *        wallet as fee-sharing shareholder, which self custody still allows
+ * @returns {Promise<{ code: string, error: string, exportId?: string }|null>}
+ */
+export async function getWalletLock(agent, action, { launchType = null } = {}) {
+    if (agent.walletCustody === 'self') {
+        if (action === 'launch' && launchType !== 'paid') return null;
+        return {
+            code: 'WALLET_SELF_CUSTODY',
+            error: action === 'launch'
+                ? 'Agent wallet is in self custody — paid launches need a platform wallet. Free launches still work.'
+                : `Agent wallet ${agent.walletAddress} is in self custody — ${action === 'claim' ? 'claim fees' : 'send funds'} from it directly.`,
+        };
+    }
+
+    const active = await getActiveWalletExport(agent.agentId);
+    if (active && active.mode === 'migrate' && MIGRATING_STATES.includes(active.status)) {
+        return {
+            code: 'WALLET_MIGRATING',
+            error: `Agent wallet is being migrated to ${active.destination}. Try again once migration ${active.id} has finished.`,
+            exportId: active.id,
+        };
+    }
+    return null;
+}
+
+/**
+ * 409 response when the agent's wallet is locked (see getWalletLock), or null.
+ */
+export async function walletLockResponse(agent, action, opts) {
+    const lock = await getWalletLock(agent, action, opts);
+    if (!lock) return null;
+    return NextResponse.json({ success: false, ...lock }, { status: 409 });
+}
+
+/**
+ * Open an export request. The confirmation token is only returned here.
+ *
+ * @param {object} opts
+ * @param {object} opts.agent          Authenticated agent (with apiKey)
+ * @param {'reveal'|'migrate'} opts.mode
+ * @param {string} [opts.destination]  Required for migrate
+ * @param {string} [opts.ip]
+ * @returns {Promise<{ walletExport: object, confirmationToken: string }|{ error: string, status: number, code?: string }>}
+ */
+export async function requestWalletExport({ agent, mode, destination = null, ip = null }) {
+    if (!WALLET_EXPORT_MODES.includes(mode)) {
+        return fail(400, `"mode" must be one of: ${WALLET_EXPORT_MODES.join(', ')}`);
+    }
+
+    const restriction = getAgentRestriction(agent, 'send');
+    if (restriction) return fail(403, restriction.error, restriction.code);
+
+    const walletRow = await getAgentWallet(agent.agentId);
+    if (!walletRow) return fail(404, 'Agent wallet not found');
+    if (walletRow.custody === 'self') {
+        return fail(409, `Agent wallet ${walletRow.wallet_address} is already in self custody`, 'WALLET_SELF_CUSTODY');
+    }
+
+    const active = await getActiveWalletExport(agent.agentId);
+    if (active) {
+        return fail(409, `Wallet export ${active.id} is already ${active.status}. Cancel it or wait for it to finish.`, 'WALLET_EXPORT_ACTIVE', { exportId: active.id });
+    }
+
+    if (mode === 'reveal' && walletRow.exported_at) {
+        return fail(409, 'The private key of this wallet was already revealed. Migrate to a new wallet instead.', 'WALLET_ALREADY_REVEALED');
+    }
+
+    let checkedDestination = null;
+    if (mode === 'migrate') {
+        const checked = await validateDestination(destination, walletRow.wallet_address);
+        if (checked.error) return checked;
+        checkedDestination = checked.destination;
+    }
+
+    const confirmationToken = `wxc_${crypto.randomBytes(32).toString('hex')}`;
+    const availableAt = new Date(Date.now() + COOLDOWN_MS);
+    const walletExport = await createWalletExport({
+        id: crypto.randomUUID(),
+        agentId: agent.agentId,
+        mode,
+        walletAddress: walletRow.wallet_address,
+        destination: checkedDestination,
+        confirmHash: hashApiKey(confirmationToken),
+        requestedBy: agent.apiKey ? `key:${agent.apiKey.id}` : null,
+        ip,
+        availableAt,
+        expiresAt: new Date(availableAt.getTime() + CONFIRM_WINDOW_MS),
+    });
+
+    console.log(`[WalletExport] ${walletExport.id}: ${mode} requested for ${agent.agentId}${checkedDestination ? ` → ${checkedDestination}` : ''} from ${ip}`);
+    await emitAgentEvent(agent.agentId, 'wallet.export_requested', {
+        exportId: walletExport.id,
+        mode,
+        walletAddress: walletExport.walletAddress,
+        destination: walletExport.destination,
+        availableAt: walletExport.availableAt,
+        expiresAt: walletExport.expiresAt,
+    });
+
+    return { walletExport, confirmationToken };
+}
+
+/**
+ * Confirm a request after its cooldown. A reveal returns the private key;
+ * a migration is queued for the worker.
+ *
+ * @returns {Promise<{ walletExport: object, privateKey?: string, secretKey?: number[] }|{ error: string, status: number, code?: string }>}
+ */
+export async function confirmWalletExportRequest({ agent, exportId, confirmationToken }) {
+    const walletExport = await getWalletExport(agent.agentId, exportId);
+    if (!walletExport) return fail(404, 'Wallet export not found');
+    if (!tokenMatches(walletExport, confirmationToken)) {
+        return fail(403, 'Invalid confirmation token', 'WALLET_EXPORT_TOKEN_INVALID');
+    }
+    if (walletExport.status !== 'pending') {
+        return fail(409, `Wallet export is ${walletExport.status}`, 'WALLET_EXPORT_NOT_PENDING');
+    }
+    if (new Date(walletExport.availableAt) > new Date()) {
+        return fail(409, `Wallet export can be confirmed from ${new Date(walletExport.availableAt).toISOString()}`, 'WALLET_EXPORT_COOLDOWN', { availableAt: walletExport.availableAt });
+    }
+
+    const restriction = getAgentRestriction(agent, 'send');
+    if (restriction) return fail(403, restriction.error, restriction.code);
+
+    // Decrypt before confirming, so a broken envelope never burns the one reveal
+    let keypair = null;
+    if (walletExport.mode === 'reveal') {
+        const walletRow = await getAgentWallet(agent.agentId);
+        if (!walletRow?.encrypted_key) return fail(409, 'Agent wallet holds no platform key', 'WALLET_SELF_CUSTODY');
+        keypair = await loadKeypairFromEncrypted(walletRow);
+        if (keypair.publicKey.toBase58() !== walletExport.walletAddress) {
+            throw new Error(`Decrypted key does not match wallet ${walletExport.walletAddress}`);
+        }
+    }
+
+    const confirmed = await confirmWalletExport(agent.agentId, exportId);
+    if (!confirmed) return fail(409, 'Wallet export can no longer be confirmed', 'WALLET_EXPORT_NOT_PENDING');
+
+    console.log(`[WalletExport] ${exportId}: ${confirmed.mode} confirmed for ${agent.agentId}`);
+    if (confirmed.mode === 'migrate') return { walletExport: confirmed };
+
+    await emitAgentEvent(agent.agentId, 'wallet.export_finished', toWebhookPayload(confirmed));
+    const bs58 = (await import('bs58')).default;
+    return {
+        walletExport: confirmed,
+        privateKey: bs58.encode(keypair.secretKey),
+        secretKey: Array.from(keypair.secretKey),
+    };
+}
+
+/**
+ * Cancel a request that hasn't started moving funds.
+ *
+ * @returns {Promise<{ walletExport: object }|{ error: string, status: number, code?: string }>}
+ */
+export async function cancelWalletExportRequest({ agent, exportId }) {
+    const walletExport = await getWalletExport(agent.agentId, exportId);
+    if (!walletExport) return fail(404, 'Wallet export not found');
+
+    const cancelled = await cancelWalletExport(agent.agentId, exportId, {
+        cancelledBy: agent.apiKey ? `key:${agent.apiKey.id}` : 'agent',
+    });
+    if (!cancelled) {
+        return fail(409, `Wallet export is ${walletExport.status} and can no longer be cancelled`, 'WALLET_EXPORT_NOT_CANCELLABLE');
+    }
+
+    console.log(`[WalletExport] ${exportId}: cancelled by ${agent.agentId}`);
+    await emitAgentEvent(agent.agentId, 'wallet.export_finished', toWebhookPayload(cancelled));
+    return { walletExport: cancelled };
+}
+
+/**
+ * Process runnable migrations until none are left, maxJobs is reached, or
+ * the time budget runs out.
+ *
+ * @param {object} [opts]
+ * @param {string} [opts.exportId]  Only run this migration
+ */
+export async function runWalletMigrationWorker({ exportId = null, maxJobs = 5, timeBudgetMs = 50_000 } = {}) {
+    const startedAt = Date.now();
+    const summary = { processed: 0, done: 0, failed: 0, retrying: 0 };
+
+    while (summary.processed < maxJobs && Date.now() - startedAt < timeBudgetMs) {
+        const migration = await claimWalletMigration({ exportId, lockMs: JOB_LOCK_MS });
+        if (!migration) break;
+
+        const finalStatus = await processWalletMigration(migration);
+        summary.processed++;
+        if (finalStatus === 'done') summary.done++;
+        else if (finalStatus === 'failed') summary.failed++;
+        else summary.retrying++;
+
+        if (exportId) break;
+    }
+
+    return summary;
+}
+
+/**
+ * Run a claimed migration from its current state to completion (or until a
+ * step fails and is rescheduled).
+ *
+ * @returns {Promise<string>} the status after this run
+ */
+export async function processWalletMigration(migration) {
+    let current = migration;
+
+    while (current.status !== 'done' && current.status !== 'failed') {
+        try {
+            const updates = await runStep(current);
+            await updateWalletExport(current.id, { ...updates, attempts: 0, errorMsg: null });
+            current = { ...current, ...updates, attempts: 0 };
+        } catch (err) {
+            const status = await handleStepError(current, err);
+            if (status === 'failed') await notifyMigrationFinished(current, status, err.message);
+            return status;
+        }
+    }
+
+    await updateWalletExport(current.id, { lockedUntil: null });
+    console.log(`[WalletExport] ${current.id}: migration of ${current.agentId} → ${current.status}`);
+    await notifyMigrationFinished(current, current.status);
+    return current.status;
+}
+
+async function notifyMigrationFinished(migration, status, errorMsg = null) {
+    const latest = await getWalletExport(migration.agentId, migration.id).catch(() => null);
+    await emitAgentEvent(migration.agentId, 'wallet.export_finished', {
+        ...toWebhookPayload(latest || { ...migration, status }),
+        error: errorMsg,
+    });
+}
+
+async function runStep(migration) {
+    switch (migration.status) {
+        case 'queued': {
+            const agent = await getAgent(migration.agentId);
+            const restriction = agent && getAgentRestriction(agent, 'send');
+            if (restriction) {
+                throw Object.assign(new Error(restriction.error), { permanent: true });
+            }
+            // Launches in flight still pay from / share fees with the old wallet
+            const activeLaunches = await getActiveLaunchJobCountByAgent(migration.agentId);
+            if (activeLaunches > 0) {
+                throw Object.assign(new Error(`Waiting for ${activeLaunches} launch job(s) to finish`), { wait: true });
+            }
+            return { status: 'claiming_fees' };
+        }
+
+        case 'claiming_fees':
+            return claimFeesStep(migration);
+
+        case 'updating_fee_sharing':
+            return feeSharingStep(migration);
+
+        case 'sweeping':
+            return sweepStep(migration);
+
+        case 'retiring': {
+            const retired = await retireAgentWallet({
+                agentId: migration.agentId,
+                walletAddress: migration.walletAddress,
+                destination: migration.destination,
+                exportId: migration.id,
+            });
+            const walletRow = await getAgentWallet(migration.agentId);
+            if (!retired && walletRow?.wallet_address === migration.walletAddress) {
+                // The key stays in agent_wallets: nothing is dropped without its archive row
+                throw Object.assign(new Error(`Could not archive the key of ${migration.walletAddress}`), { permanent: true });
+            }
+            if (!retired && walletRow?.wallet_address !== migration.destination) {
+                throw Object.assign(new Error(`Agent wallet changed during migration (now ${walletRow?.wallet_address})`), { permanent: true });
+            }
+            return { status: 'done', completedAt: new Date() };
+        }
+
+        default:
+            throw new Error(`Unknown wallet migration status: ${migration.status}`);
+    }
+}
+
+async function claimFeesStep(migration) {
+    const progress = { ...migration.progress };
+    if (!progress.feeClaim) {
+        const result = await claimAgentFees(await getAgentSigner(migration.agentId));
+        progress.feeClaim = { txSignature: result.txSignature, amountLamports: result.amountLamports || 0 };
+
+        if (result.txSignature) {
+            const claimId = crypto.randomUUID();
+            await insertFeeClaim({
+                id: claimId,
+                agentId: migration.agentId,
+                mintAddress: null,
+                amountLamports: result.amountLamports,
+                amountSol: result.amountLamports / 1e9,
+                txSignature: result.txSignature,
+                status: 'completed',
+            });
+            try {
+                await recordFeeClaim({
+                    agentId: migration.agentId, claimId, lamports: result.amountLamports, txSignature: result.txSignature,
+                });
+            } catch (err) {
+                console.error(`[WalletExport] ${migration.id}: fee claim ledger error:`, err.message);
+            }
+        }
+    }
+    return { status: 'updating_fee_sharing', progress };
+}
+
+async function feeSharingStep(migration) {
+    const progress = { ...migration.progress, feeSharing: { ...(migration.progress.feeSharing || {}) } };
+    const tokens = (await getTokensByAgent(migration.agentId)).filter(t => t.mintAddress);
+
+    for (const token of tokens) {
+        if (progress.feeSharing[token.mintAddress]) continue;
+        const base = { tokenId: token.id, symbol: token.symbol, mintAddress: token.mintAddress };
+
+        let repaired;
+        try {
+            repaired = await repairFeeSharing({
+                mintAddress: token.mintAddress,
+                agentWallet: migration.destination,
+                launchType: token.launchType,
+            });
+        } catch (err) {
+            await insertFeeSharingAttempt({ ...base, action: 'migrate', status: 'failed', errorMsg: err.message });
+            throw new Error(`Fee sharing update for ${token.symbol} (${token.mintAddress}) failed: ${err.message}`);
+        }
+
+        await insertFeeSharingAttempt({ ...base, action: 'migrate', status: 'success', txSignature: repaired.txSignature });
+        await publishFeeSharingChange(await updateTokenFeeSharing(token.id, 'configured', repaired.txSignature || token.feeSharingTx));
+        progress.feeSharing[token.mintAddress] = repaired.txSignature || repaired.action;
+        await updateWalletExport(migration.id, { progress });
+    }
+
+    return { status: 'sweeping', progress };
+}
+
+async function sweepStep(migration) {
+    const progress = { ...migration.progress };
+
+    if (isSimulateMode()) {
+        progress.sweep = { simulated: true, tokens: [], sol: null };
+        return { status: 'retiring', progress };
+    }
+
+    const signer = await getAgentSigner(migration.agentId);
+    const tokens = await sweepTokenAccounts(signer, migration.destination);
+    const swept = [...(progress.sweep?.tokens || []), ...tokens];
+    await updateWalletExport(migration.id, { progress: { ...progress, sweep: { tokens: swept, sol: null } } });
+
+    const sol = await sweepSol(signer, migration.destination);
+    progress.sweep = { tokens: swept, sol };
+
+    const transfers = [
+        ...tokens.map(t => ({ txSignature: t.signature, asset: t.mint, amount: t.amount, feeLamports: 0 })),
+        ...(sol.signature ? [{ txSignature: sol.signature, asset: 'SOL', amount: sol.lamports, feeLamports: sol.feeLamports }] : []),
+    ];
+    for (const transfer of transfers) {
+        try {
+            await recordTransfer({ agentId: migration.agentId, ...transfer, to: migration.destination });
+        } catch (err) {
+            console.error(`[WalletExport] ${migration.id}: sweep ledger error:`, err.message);
+        }
+    }
+
+    return { status: 'retiring', progress };
+}
+
+async function handleStepError(migration, err) {
+    if (err.wait) {
+        console.log(`[WalletExport] ${migration.id}: ${err.message}`);
+        await updateWalletExport(migration.id, {
+            errorMsg: err.message,
+            nextRunAt: new Date(Date.now() + WAIT_DELAY_MS),
+            lockedUntil: null,
+        });
+        return migration.status;
+    }
+
+    const attempts = (migration.attempts || 0) + 1;
+    console.error(`[WalletExport] ${migration.id} step "${migration.status}" failed (attempt ${attempts}/${MAX_STEP_ATTEMPTS}):`, err.message);
+
+    if (attempts < MAX_STEP_ATTEMPTS && !err.permanent) {
+        await updateWalletExport(migration.id, {
+            attempts,
+            errorMsg: err.message,
+            nextRunAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * attempts),
+            lockedUntil: null,
+        });
+        return migration.status;
+    }
+
+    await updateWalletExport(migration.id, { status: 'failed', attempts, errorMsg: err.message, lockedUntil: null });
+    return 'failed';
+}
+
+function toWebhookPayload(walletExport) {
+    return {
+        exportId: walletExport.id,
+        mode: walletExport.mode,
+        status: walletExport.status,
+        walletAddress: walletExport.walletAddress,
+        destination: walletExport.destination,
+    };
+}
+
+/**
+ * Wallet export as shown to the agent (never the confirmation hash).
+ */
+export function toPublicWalletExport(walletExport) {
+    return {
+        id: walletExport.id,
+        mode: walletExport.mode,
+        status: walletExport.status,
+        walletAddress: walletExport.walletAddress,
+        destination: walletExport.destination,
+        availableAt: walletExport.availableAt,
+        expiresAt: walletExport.expiresAt,
+        confirmedAt: walletExport.confirmedAt,
+        completedAt: walletExport.completedAt,
+        cancelledAt: walletExport.cancelledAt,
+        progress: walletExport.mode === 'migrate' ? walletExport.progress : undefined,
+        error: walletExport.errorMsg,
+        createdAt: walletExport.createdAt,
+    };
+}
@@ -0,0 +1,395 @@
+/**
+ * Outbound webhooks for agent events.
+ *
+ * Agents register HTTPS endpoints (POST /api/agents/webhooks) and pick the
+ * events they want. emitAgentEvent() records one delivery per subscribed
+ * webhook in webhook_deliveries and attempts it right away; failed attempts
+ * are retried with exponential backoff by the cron worker
+ * (GET /api/webhooks/worker) up to MAX_ATTEMPTS. After
+ * MAX_CONSECUTIVE_FAILURES deliveries in a row fail for good, the webhook is
+ * disabled until the agent re-enables it.
+ *
+ * Every request is a JSON POST signed with the webhook's secret:
+ *
+ *   X-ClawdPump-Event:     launch.succeeded
+ *   X-ClawdPump-Delivery:  <delivery id, stable across retries>
+ *   X-ClawdPump-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+ *
+ * Receivers should check the signature and timestamp (verifyWebhookSignature)
+ * and de-duplicate on the event id — a delivery can arrive more than once.
+ * See scripts/webhook-receiver.js for a reference receiver.
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import net from 'net';
+import {
+    getWebhooksForEvent, insertWebhookDelivery, claimWebhookDeliveries,
+    updateWebhookDelivery, recordWebhookResult,
+} from './db.js';
+
+export const WEBHOOK_EVENTS = [
+    'launch.succeeded',
+    'launch.failed',
+    'fee_sharing.configured',
+    'fees.claimed',
+    'transfer.sent',
+    'scan.post_rejected',
+    'account.recovered',
+    'wallet.export_requested',
+    'wallet.export_finished',
+];
+
+export const TEST_EVENT = 'webhook.test';
+export const MAX_WEBHOOKS_PER_AGENT = 5;
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 30_000;
+const RETRY_MAX_DELAY_MS = 60 * 60_000;
+const MAX_CONSECUTIVE_FAILURES = 5;
+const DELIVERY_TIMEOUT_MS = 10_000;
+const DELIVERY_LOCK_MS = 60_000;
+const SIGNATURE_TOLERANCE_SEC = 300;
+const MAX_RESPONSE_BODY = 1000;
+const MAX_URL_LENGTH = 2000;
+
+/**
+ * Plain-HTTP, localhost and private-network URLs are only accepted outside
+ * production, or when WEBHOOK_ALLOW_INSECURE=true (local receivers, tests).
+ */
+function allowInsecureUrls() {
+    return process.env.WEBHOOK_ALLOW_INSECURE === 'true' || process.env.NODE_ENV !== 'production';
+}
+
+export function generateWebhookSecret() {
+    return `whsec_${crypto.randomBytes(32).toString('hex')}`;
+}
+
+// ---------------------------------------------------------------------------
+// Signatures
+// ---------------------------------------------------------------------------
+
+/**
+ * Signature header value for a request body.
+ *
+ * @param {string} secret
+ * @param {string} body       Exact request body
+ * @param {number} [timestamp] Unix seconds
+ */
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${signature}`;
+}
+
+/**
+ * Check an X-ClawdPump-Signature header against the raw request body.
+ *
+ * @returns {boolean} true if the signature matches and the timestamp is recent
+ */
+export function verifyWebhookSignature(secret, header, body, { toleranceSec = SIGNATURE_TOLERANCE_SEC } = {}) {
+    const parts = Object.fromEntries((header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return false;
+    if (Math.abs(Date.now() / 1000 - timestamp) > toleranceSec) return false;
+
+    const expected = Buffer.from(signWebhookPayload(secret, body, timestamp).split('v1=')[1], 'hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// ---------------------------------------------------------------------------
+// URL validation
+// ---------------------------------------------------------------------------
+
+function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const [a, b] = address.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127
+            || (a === 100 && b >= 64 && b <= 127)
+            || (a === 169 && b === 254)
+            || (a === 172 && b >= 16 && b <= 31)
+            || (a === 192 && b === 168)
+            || a >= 224;
+    }
+    const lower = address.toLowerCase();
+    if (lower.startsWith('::ffff:')) return isPrivateAddress(lower.slice(7));
+    return lower === '::' || lower === '::1'
+        || lower.startsWith('fc') || lower.startsWith('fd') || lower.startsWith('fe80');
+}
+
+function isPrivateHostname(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (net.isIP(host)) return isPrivateAddress(host);
+    return host === 'localhost' || /\.(localhost|local|internal)$/.test(host);
+}
+
+/**
+ * Validate a webhook URL supplied by an agent.
+ *
+ * @returns {{ url: string }|{ error: string }}
+ */
+export function validateWebhookUrl(value) {
+    if (typeof value !== 'string' || !value.trim()) return { error: '"url" is required' };
+    if (value.length > MAX_URL_LENGTH) return { error: `"url" must be at most ${MAX_URL_LENGTH} characters` };
+
+    let parsed;
+    try {
+        parsed = new URL(value.trim());
+    } catch {
+        return { error: '"url" must be a valid URL' };
+    }
+
+    const insecure = allowInsecureUrls();
+    if (parsed.protocol !== 'https:' && !(insecure && parsed.protocol === 'http:')) {
+        return { error: '"url" must use https' };
+    }
+    if (parsed.username || parsed.password) return { error: '"url" must not contain credentials' };
+    if (!insecure && isPrivateHostname(parsed.hostname)) {
+        return { error: '"url" must point to a public host' };
+    }
+    return { url: parsed.toString() };
+}
+
+/**
+ * Resolve the host before each delivery so a public name can't be pointed
+ * at an internal address after registration.
+ */
+async function assertPublicDestination(url) {
+    if (allowInsecureUrls()) return;
+    const { hostname } = new URL(url);
+    if (isPrivateHostname(hostname)) throw new Error('Destination is not a public host');
+    const addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+        throw new Error('Destination resolves to a private address');
+    }
+}
+
+/**
+ * Validate a list of event names. "*" subscribes to every event.
+ *
+ * @returns {{ events: string[] }|{ error: string }}
+ */
+export function validateWebhookEvents(value) {
+    if (!Array.isArray(value) || value.length === 0) {
+        return { error: `"events" must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')} (or "*")` };
+    }
+    const unknown = value.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+    if (unknown.length > 0) return { error: `Unknown events: ${unknown.join(', ')}` };
+    return { events: [...new Set(value)] };
+}
+
+// ---------------------------------------------------------------------------
+// Emitting and delivering
+// ---------------------------------------------------------------------------
+
+/**
+ * Notify an agent's webhooks of an event. Deliveries are recorded first and
+ * attempted immediately; failures are left to the retry worker. Never throws
+ * — webhooks must not break the action that triggered them.
+ *
+ * @param {string} agentId
+ * @param {string} event  One of WEBHOOK_EVENTS
+ * @param {object} data   Event-specific payload
+ */
+export async function emitAgentEvent(agentId, event, data) {
+    try {
+        if (!agentId) return;
+        const webhooks = await getWebhooksForEvent(agentId, event);
+        if (webhooks.length === 0) return;
+
+        const payload = buildPayload(agentId, event, data);
+        const deliveries = await Promise.all(webhooks.map(webhook => insertWebhookDelivery({
+            id: crypto.randomUUID(),
+            webhookId: webhook.id,
+            agentId,
+            event,
+            eventId: payload.id,
+            payload,
+        })));
+
+        const claimed = await claimWebhookDeliveries({ ids: deliveries.map(d => d.id), limit: deliveries.length, lockMs: DELIVERY_LOCK_MS });
+        await Promise.all(claimed.map(delivery => attemptDelivery(delivery)));
+    } catch (err) {
+        console.error(`[Webhooks] Failed to emit ${event} for ${agentId}:`, err.message);
+    }
+}
+
+/**
+ * Send a webhook.test event once, synchronously, regardless of the webhook's
+ * subscriptions or state. Not retried and not counted towards auto-disable.
+ *
+ * @returns {Promise<object>} the delivery record
+ */
+export async function sendTestEvent(webhook) {
+    const payload = buildPayload(webhook.agentId, TEST_EVENT, {
+        webhookId: webhook.id,
+        message: 'Test event from ClawdPump. If you can read this, your webhook works.',
+    });
+    const delivery = await insertWebhookDelivery({
+        id: crypto.randomUUID(),
+        webhookId: webhook.id,
+        agentId: webhook.agentId,
+        event: TEST_EVENT,
+        eventId: payload.id,
+        payload,
+    });
+    return attemptDelivery({ ...delivery, url: webhook.url, secret: webhook.secret }, { retry: false });
+}
+
+/**
+ * Retry due deliveries until none are left or the time budget runs out.
+ *
+ * @param {object} [opts]
+ * @param {number} [opts.batchSize]
+ * @param {number} [opts.timeBudgetMs]
+ * @returns {Promise<{ attempted: number, succeeded: number, failed: number, retrying: number }>}
+ */
+export async function runWebhookWorker({ batchSize = 10, timeBudgetMs = 45_000 } = {}) {
+    const startedAt = Date.now();
+    const summary = { attempted: 0, succeeded: 0, failed: 0, retrying: 0 };
+
+    while (Date.now() - startedAt < timeBudgetMs) {
+        const batch = await claimWebhookDeliveries({ limit: batchSize, lockMs: DELIVERY_LOCK_MS });
+        if (batch.length === 0) break;
+
+        const results = await Promise.all(batch.map(delivery => attemptDelivery(delivery)));
+        for (const result of results) {
+            summary.attempted++;
+            if (result.status === 'succeeded') summary.succeeded++;
+            else if (result.status === 'failed') summary.failed++;
+            else summary.retrying++;
+        }
+    }
+
+    if (summary.attempted > 0) {
+        console.log(`[Webhooks] Worker attempted ${summary.attempted} deliveries: ${summary.succeeded} ok, ${summary.failed} failed, ${summary.retrying} retrying`);
+    }
+    return summary;
+}
+
+function buildPayload(agentId, event, data) {
+    return {
+        id: `evt_${crypto.randomUUID()}`,
+        event,
+        agentId,
+        createdAt: new Date().toISOString(),
+        data,
+    };
+}
+
+/**
+ * One HTTP attempt for a claimed delivery, then record the outcome.
+ */
+async function attemptDelivery(delivery, { retry = true } = {}) {
+    const body = JSON.stringify(delivery.payload);
+    const attempts = delivery.attempts + 1;
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+    let errorMsg = null;
+
+    try {
+        await assertPublicDestination(delivery.url);
+        const res = await fetch(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'ClawdPump-Webhooks/1.0',
+                'X-ClawdPump-Event': delivery.event,
+                'X-ClawdPump-Delivery': delivery.id,
+                'X-ClawdPump-Signature': signWebhookPayload(delivery.secret, body),
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS),
+        });
+        responseStatus = res.status;
+        responseBody = (await res.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY);
+        if (!res.ok) errorMsg = `HTTP ${res.status}`;
+    } catch (err) {
+        errorMsg = err.name === 'TimeoutError' ? `Timed out after ${DELIVERY_TIMEOUT_MS / 1000}s` : err.message;
+    }
+
+    const durationMs = Date.now() - startedAt;
+    const succeeded = errorMsg === null;
+    const final = succeeded || !retry || attempts >= MAX_ATTEMPTS;
+    const status = succeeded ? 'succeeded' : final ? 'failed' : 'pending';
+    const nextAttemptAt = final
+        ? undefined
+        : new Date(Date.now() + Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS));
+
+    await updateWebhookDelivery(delivery.id, {
+        status,
+        attempts,
+        nextAttemptAt,
+        lockedUntil: null,
+        responseStatus,
+        responseBody,
+        errorMsg,
+        durationMs,
+        deliveredAt: succeeded ? new Date() : undefined,
+    });
+
+    if (final && retry) {
+        const webhook = await recordWebhookResult(delivery.webhookId, { success: succeeded, maxFailures: MAX_CONSECUTIVE_FAILURES });
+        if (webhook && !succeeded && webhook.consecutiveFailures === MAX_CONSECUTIVE_FAILURES) {
+            console.warn(`[Webhooks] Webhook ${webhook.id} (${webhook.agentId}): ${webhook.disabledReason}`);
+        }
+    }
+    if (!succeeded) {
+        console.warn(`[Webhooks] ${delivery.event} → ${delivery.url} attempt ${attempts} failed: ${errorMsg}`);
+    }
+
+    return {
+        ...delivery,
+        status,
+        attempts,
+        nextAttemptAt: nextAttemptAt || null,
+        responseStatus,
+        responseBody,
+        errorMsg,
+        durationMs,
+    };
+}
+
+// ---------------------------------------------------------------------------
+// Public views
+// ---------------------------------------------------------------------------
+
+/**
+ * Webhook as returned to its agent. The secret is only included on create and
+ * rotation.
+ */
+export function toPublicWebhook(webhook, { includeSecret = false } = {}) {
+    return {
+        id: webhook.id,
+        url: webhook.url,
+        events: webhook.events,
+        description: webhook.description,
+        active: webhook.active,
+        disabledReason: webhook.disabledReason,
+        consecutiveFailures: webhook.consecutiveFailures,
+        lastDeliveryAt: webhook.lastDeliveryAt,
+        createdAt: webhook.createdAt,
+        updatedAt: webhook.updatedAt,
+        ...(includeSecret ? { secret: webhook.secret } : {}),
+    };
+}
+
+export function toPublicDelivery(delivery) {
+    return {
+        id: delivery.id,
+        event: delivery.event,
+        eventId: delivery.eventId,
+        status: delivery.status,
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.status === 'pending' ? delivery.nextAttemptAt : null,
+        responseStatus: delivery.responseStatus,
+        responseBody: delivery.responseBody,
+        error: delivery.errorMsg,
+        durationMs: delivery.durationMs,
+        payload: delivery.payload,
+        createdAt: delivery.createdAt,
+        deliveredAt: delivery.deliveredAt || null,
+    };
+}
@@ -0,0 +1,46 @@
+/**
+ * Token Skeleton Backfill — store look-alike skeletons on older tokens
+ *
+ * Launches write tokens.symbol_skeleton / symbol_full_skeleton / name_skeleton
+ * at insert time; tokens from before those columns existed have them empty
+ * and are invisible to look-alike checks until this script fills them in.
+ * Safe to re-run: it only touches rows with a missing skeleton.
+ *
+ * Usage:
+ *   node scripts/backfill-token-skeletons.js
+ *   node scripts/backfill-token-skeletons.js --batch-size 200
+ */
+
+import { getTokensMissingSkeletons, updateTokenSkeletons } from '../lib/db.js';
+import { tokenSkeletons } from '../lib/symbol-policy.js';
+
+function argValue(name) {
+    const idx = process.argv.indexOf(name);
+    return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+async function main() {
+    const batchSize = Math.max(1, parseInt(argValue('--batch-size') || '500'));
+    let updated = 0;
+
+    for (;;) {
+        const batch = await getTokensMissingSkeletons({ limit: batchSize });
+        if (batch.length === 0) break;
+
+        for (const token of batch) {
+            await updateTokenSkeletons(token.id, tokenSkeletons(token));
+            updated++;
+        }
+        console.log(`[Skeletons] ${updated} token(s) updated`);
+    }
+
+    console.log(`[Skeletons] Done: ${updated} token(s) updated`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error('[Skeletons] Fatal:', err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,45 @@
+/**
+ * Create an admin account for the /admin console.
+ *
+ * Usage:
+ *   node scripts/create-admin.js <name> <role>
+ *
+ * Roles: read_only, support, treasury_operator
+ * Prints the admin key once — only its SHA-256 hash is stored.
+ */
+
+import crypto from 'crypto';
+import { createAdminAccount } from '../lib/db.js';
+import { generateAdminKey, ADMIN_ROLES } from '../lib/admin-auth.js';
+import { hashApiKey, isValidAgentId } from '../lib/sanitize.js';
+
+async function main() {
+    const [name, role] = process.argv.slice(2);
+
+    if (!isValidAgentId(name || '') || !ADMIN_ROLES[role]) {
+        console.error('Usage: node scripts/create-admin.js <name> <role>');
+        console.error(`  name: 3-50 letters, numbers, hyphens, underscores`);
+        console.error(`  role: ${Object.keys(ADMIN_ROLES).join(' | ')}`);
+        return 1;
+    }
+
+    const adminKey = generateAdminKey();
+    const account = await createAdminAccount({
+        id: crypto.randomUUID(),
+        name,
+        role,
+        keyHash: hashApiKey(adminKey),
+        createdBy: 'cli',
+    });
+
+    console.log(`[Admin] Created ${account.role} account "${account.name}" (${account.id})`);
+    console.log(`[Admin] Key (shown once): ${adminKey}`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error('[Admin] Fatal:', err.message);
+        process.exit(1);
+    });
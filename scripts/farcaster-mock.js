@@ -0,0 +1,169 @@
+/**
+ * Farcaster API mock (local test server)
+ *
+ * Serves the two Neynar-style endpoints the Farcaster scanner uses, backed by
+ * scripts/fixtures/farcaster/casts.json, so the adapter can be run and
+ * tested offline:
+ *
+ *   GET  /v2/farcaster/feed/channels?channel_ids=&limit=&cursor=   channel feed, newest first
+ *   POST /v2/farcaster/cast { signer_uuid, text, parent }          reply (recorded, not sent)
+ *
+ * Plus helpers to drive a test:
+ *
+ *   POST /__mock/casts { username, text }   add a cast to the top of the feed
+ *   GET  /__mock/replies                    replies posted so far
+ *   POST /__mock/reset                      reload the fixtures, drop replies
+ *
+ * Fixture timestamps are `minutesAgo`, relative to when the server starts, so
+ * they always fall inside the scanner's backfill window.
+ *
+ * Usage:
+ *   node scripts/farcaster-mock.js
+ *
+ *   FARCASTER_API_URL=http://127.0.0.1:8789/v2/farcaster FARCASTER_API_KEY=mock \
+ *   FARCASTER_SIGNER_UUID=mock-signer npm run dev
+ *   curl http://localhost:3000/api/scan/farcaster
+ *   curl http://127.0.0.1:8789/__mock/replies
+ *
+ * Env:
+ *   FARCASTER_MOCK_PORT       default 8789 (binds to 127.0.0.1)
+ *   FARCASTER_MOCK_FIXTURES   fixtures file (default scripts/fixtures/farcaster/casts.json)
+ *   FARCASTER_MOCK_CHANNEL    channel served (default clawdpump)
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { readFileSync } from 'fs';
+import { fileURLToPath } from 'url';
+
+const PORT = parseInt(process.env.FARCASTER_MOCK_PORT || '8789');
+const FIXTURES = process.env.FARCASTER_MOCK_FIXTURES
+    || fileURLToPath(new URL('./fixtures/farcaster/casts.json', import.meta.url));
+const CHANNEL = process.env.FARCASTER_MOCK_CHANNEL || 'clawdpump';
+const MAX_CAST_BYTES = 1024;
+const MAX_PAGE_SIZE = 100;
+
+let casts = [];
+let replies = [];
+
+function castHash() {
+    return `0x${crypto.randomBytes(20).toString('hex')}`;
+}
+
+function toCast({ author, text, timestamp, parentHash = null }) {
+    return {
+        object: 'cast',
+        hash: castHash(),
+        parent_hash: parentHash,
+        author: { object: 'user', ...author },
+        text,
+        timestamp,
+        channel: { id: CHANNEL },
+        replies: { count: 0 },
+    };
+}
+
+function loadFixtures() {
+    const now = Date.now();
+    casts = JSON.parse(readFileSync(FIXTURES, 'utf8'))
+        .map(fixture => toCast({ ...fixture, timestamp: new Date(now - fixture.minutesAgo * 60_000).toISOString() }))
+        .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+    replies = [];
+}
+
+async function readJson(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// Cursors are opaque to the client, like Neynar's
+function encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        return JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8')).offset || 0;
+    } catch {
+        return null;
+    }
+}
+
+function feed(url) {
+    if (url.searchParams.get('channel_ids') !== CHANNEL) return [200, { casts: [], next: { cursor: null } }];
+
+    const limit = Math.min(parseInt(url.searchParams.get('limit') || '25'), MAX_PAGE_SIZE);
+    const cursor = url.searchParams.get('cursor');
+    const offset = cursor ? decodeCursor(cursor) : 0;
+    if (offset === null) return [400, { message: 'Invalid cursor' }];
+
+    const page = casts.slice(offset, offset + limit);
+    const more = offset + limit < casts.length;
+    return [200, { casts: page, next: { cursor: more ? encodeCursor(offset + limit) : null } }];
+}
+
+function postCast(body) {
+    if (!body.signer_uuid) return [400, { message: 'signer_uuid is required' }];
+    if (!body.text) return [400, { message: 'text is required' }];
+    if (Buffer.byteLength(body.text) > MAX_CAST_BYTES) return [400, { message: `text exceeds ${MAX_CAST_BYTES} bytes` }];
+    if (body.parent && !casts.some(cast => cast.hash === body.parent)) return [404, { message: 'Parent cast not found' }];
+
+    const reply = toCast({
+        author: { fid: 1, username: 'clawdpump' },
+        text: body.text,
+        timestamp: new Date().toISOString(),
+        parentHash: body.parent || null,
+    });
+    replies.push(reply);
+    console.log(`[FarcasterMock] reply to ${body.parent}:\n${body.text}\n`);
+    return [200, { success: true, cast: { hash: reply.hash, author: reply.author, text: reply.text } }];
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://127.0.0.1:${PORT}`);
+    try {
+        if (url.pathname.startsWith('/v2/') && !req.headers['x-api-key']) {
+            return send(res, 401, { message: 'Missing x-api-key header' });
+        }
+
+        if (req.method === 'GET' && url.pathname === '/v2/farcaster/feed/channels') {
+            return send(res, ...feed(url));
+        }
+        if (req.method === 'POST' && url.pathname === '/v2/farcaster/cast') {
+            return send(res, ...postCast(await readJson(req)));
+        }
+
+        if (req.method === 'POST' && url.pathname === '/__mock/casts') {
+            const body = await readJson(req);
+            const cast = toCast({
+                author: { fid: body.fid || 9000, username: body.username },
+                text: body.text || '',
+                timestamp: new Date().toISOString(),
+            });
+            casts.unshift(cast);
+            return send(res, 201, { cast });
+        }
+        if (req.method === 'GET' && url.pathname === '/__mock/replies') {
+            return send(res, 200, { replies });
+        }
+        if (req.method === 'POST' && url.pathname === '/__mock/reset') {
+            loadFixtures();
+            return send(res, 200, { casts: casts.length });
+        }
+
+        send(res, 404, { message: `No mock for ${req.method} ${url.pathname}` });
+    } catch (err) {
+        send(res, 400, { message: err.message });
+    }
+});
+
+loadFixtures();
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`[FarcasterMock] Serving ${casts.length} casts in /${CHANNEL} on http://127.0.0.1:${PORT}/v2/farcaster`);
+});
@@ -0,0 +1,50 @@
+/**
+ * Ledger Reconciliation Report
+ *
+ * Compares ledger-derived SOL balances (ledger_entries) with on-chain balances
+ * for the free/paid treasuries and every agent wallet, and checks that every
+ * ledger transaction is balanced.
+ *
+ * Usage:
+ *   node scripts/ledger-report.js          # table
+ *   node scripts/ledger-report.js --json   # full JSON report
+ *
+ * Exits 1 if the ledger has unbalanced transactions.
+ */
+
+import { buildReconciliationReport } from '../lib/ledger.js';
+
+async function main() {
+    const report = await buildReconciliationReport();
+
+    if (process.argv.includes('--json')) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        console.log(`[Ledger] Reconciliation report — ${report.generatedAt}${report.simulated ? ' (SIMULATE mode, agent wallets not checked)' : ''}`);
+        console.log(`[Ledger] Integrity: ${report.integrity.balanced ? 'all transactions balanced' : `${report.integrity.unbalancedTransactions.length} UNBALANCED transactions`}`);
+        console.log();
+        console.log('  Account'.padEnd(40), 'Ledger SOL'.padStart(16), 'On-chain SOL'.padStart(16), 'Difference'.padStart(16));
+        for (const a of report.accounts) {
+            const fmt = v => (v === null ? '—' : (Number(v) / 1e9).toFixed(6));
+            console.log(
+                `  ${a.account}`.padEnd(40),
+                fmt(a.ledgerLamports).padStart(16),
+                fmt(a.onChainLamports).padStart(16),
+                fmt(a.differenceLamports).padStart(16),
+                a.error ? ` (${a.error})` : ''
+            );
+        }
+        console.log();
+        console.log(`[Ledger] ${report.totals.accounts} accounts, ${report.totals.mismatched} differ from chain, ${report.totals.unchecked} unchecked`);
+        console.log('[Ledger] Positive differences are usually unrecorded deposits; negative ones unrecorded gas or outflows.');
+    }
+
+    return report.integrity.balanced ? 0 : 1;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error('[Ledger] Fatal:', err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,44 @@
+/**
+ * Fee Sharing Reconciler — repair tokens stuck in pending/failed fee sharing
+ *
+ * Inspects each token's on-chain fee sharing config and creates or updates it
+ * to match the tier split. Attempts are recorded in fee_sharing_attempts.
+ *
+ * Usage:
+ *   node scripts/reconcile-fee-sharing.js              # next batch (respects backoff)
+ *   node scripts/reconcile-fee-sharing.js --limit 50
+ *   node scripts/reconcile-fee-sharing.js --token <tokenId>
+ *
+ * Requires DATABASE_URL, SIMULATE=false and treasury keys for real repairs.
+ */
+
+import { reconcileFeeSharing } from '../lib/fee-sharing-reconciler.js';
+
+function argValue(name) {
+    const idx = process.argv.indexOf(name);
+    return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+async function main() {
+    const limit = parseInt(argValue('--limit') || '10');
+    const tokenId = argValue('--token');
+
+    console.log(`[FeeSharing] Reconciling${tokenId ? ` token ${tokenId}` : ` up to ${limit} tokens`} at ${new Date().toISOString()}`);
+
+    const summary = await reconcileFeeSharing({ limit, tokenId, timeBudgetMs: Infinity });
+
+    for (const r of summary.results) {
+        const detail = r.status === 'success' ? (r.txSignature || 'already correct') : r.error;
+        console.log(`  ${r.status === 'success' ? '✓' : '✗'} ${r.symbol} ${r.mintAddress} [${r.action}] ${detail}`);
+    }
+    console.log(`[FeeSharing] Checked ${summary.checked}, configured ${summary.configured}, failed ${summary.failed}`);
+
+    return summary.failed > 0 ? 1 : 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error('[FeeSharing] Fatal:', err.message);
+        process.exit(1);
+    });
@@ -0,0 +1,39 @@
+/**
+ * Record a treasury top-up in the ledger.
+ *
+ * Usage:
+ *   node scripts/record-treasury-topup.js <free|paid> <amountSol> <txSignature> [memo]
+ *
+ * Idempotent: recording the same txSignature twice is a no-op.
+ */
+
+import { recordTreasuryTopup, solToLamports } from '../lib/ledger.js';
+
+async function main() {
+    const [treasury, amountSol, txSignature, ...memoParts] = process.argv.slice(2);
+
+    if (!['free', 'paid'].includes(treasury) || !(Number(amountSol) > 0) || !txSignature) {
+        console.error('Usage: node scripts/record-treasury-topup.js <free|paid> <amountSol> <txSignature> [memo]');
+        return 1;
+    }
+
+    const lamports = solToLamports(amountSol);
+    const { id, recorded } = await recordTreasuryTopup({
+        treasury,
+        lamports,
+        txSignature,
+        memo: memoParts.join(' ') || null,
+    });
+
+    console.log(recorded
+        ? `[Ledger] Recorded ${amountSol} SOL (${lamports} lamports) top-up of ${treasury} treasury — ${id}`
+        : `[Ledger] Top-up ${txSignature} already recorded — ${id}`);
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error('[Ledger] Fatal:', err.message);
+        process.exit(1);
+    });
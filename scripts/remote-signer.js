@@ -0,0 +1,103 @@
+/**
+ * Remote Signer (local stand-in)
+ *
+ * Minimal HTTP signing service implementing the protocol in
+ * lib/signers/remote.js, so the web app can run with TREASURY_SIGNER=remote
+ * / AGENT_SIGNER=remote and hold no private keys itself. Keys are served
+ * from the env or keystore backend of this process.
+ *
+ * Usage:
+ *   SIGNER_REMOTE_TOKEN=secret node scripts/remote-signer.js
+ *   REMOTE_SIGNER_BACKEND=keystore SIGNER_KEYSTORE_DIR=./keys node scripts/remote-signer.js
+ *
+ * Env:
+ *   REMOTE_SIGNER_BACKEND   env (default) or keystore
+ *   REMOTE_SIGNER_PORT      default 8787 (binds to 127.0.0.1)
+ *   SIGNER_REMOTE_TOKEN     bearer token clients must send (recommended)
+ *
+ * Then point the app at it:
+ *   TREASURY_SIGNER=remote SIGNER_REMOTE_URL=http://127.0.0.1:8787 SIGNER_REMOTE_TOKEN=secret
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { envBackend } from '../lib/signers/env.js';
+import { keystoreBackend } from '../lib/signers/keystore.js';
+
+const BACKENDS = { env: envBackend, keystore: keystoreBackend };
+const backendName = (process.env.REMOTE_SIGNER_BACKEND || 'env').toLowerCase();
+const backend = BACKENDS[backendName];
+const PORT = parseInt(process.env.REMOTE_SIGNER_PORT || '8787');
+const TOKEN = process.env.SIGNER_REMOTE_TOKEN || '';
+const MAX_BODY_BYTES = 64 * 1024;
+const KEY_REF_PATTERN = /^(treasury:(free|paid)|agent:.+)$/;
+
+if (!backend) {
+    console.error(`[RemoteSigner] REMOTE_SIGNER_BACKEND must be one of: ${Object.keys(BACKENDS).join(', ')}`);
+    process.exit(1);
+}
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function isAuthorized(req) {
+    if (!TOKEN) return true;
+    const given = Buffer.from(req.headers.authorization || '');
+    const expected = Buffer.from(`Bearer ${TOKEN}`);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+async function readJson(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new Error('Request body too large');
+        chunks.push(chunk);
+    }
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+}
+
+async function handle(req, res) {
+    if (!isAuthorized(req)) return send(res, 401, { error: 'Unauthorized' });
+
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET' && pathname.startsWith('/keys/')) {
+        const keyRef = decodeURIComponent(pathname.slice('/keys/'.length));
+        if (!KEY_REF_PATTERN.test(keyRef)) return send(res, 400, { error: 'Invalid key reference' });
+        const signer = await backend.getSigner(keyRef);
+        return send(res, 200, { keyRef, address: signer.address });
+    }
+
+    if (req.method === 'POST' && pathname === '/sign') {
+        const { keyRef, message } = await readJson(req);
+        if (!KEY_REF_PATTERN.test(keyRef || '') || typeof message !== 'string') {
+            return send(res, 400, { error: 'keyRef and base64 message are required' });
+        }
+        const signer = await backend.getSigner(keyRef);
+        const signature = await signer.sign(Buffer.from(message, 'base64'));
+        console.log(`[RemoteSigner] Signed ${keyRef} (${signer.address})`);
+        return send(res, 200, { signature: Buffer.from(signature).toString('base64') });
+    }
+
+    if (req.method === 'GET' && pathname === '/health') {
+        return send(res, 200, { ok: true, backend: backendName });
+    }
+
+    return send(res, 404, { error: 'Not found' });
+}
+
+const server = http.createServer((req, res) => {
+    handle(req, res).catch(err => {
+        console.error(`[RemoteSigner] ${req.method} ${req.url}:`, err.message);
+        send(res, 500, { error: err.message });
+    });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`[RemoteSigner] Listening on http://127.0.0.1:${PORT} (backend: ${backendName})`);
+    if (!TOKEN) console.warn('[RemoteSigner] SIGNER_REMOTE_TOKEN is not set — requests are not authenticated');
+});
@@ -0,0 +1,181 @@
+/**
+ * Wallet Key Rotation — re-encrypt stored keys under the active key
+ *
+ * Walks, in batches, every table holding key material:
+ *   - agent_wallets           (custodial agent wallets)
+ *   - retired_agent_wallets   (wallets agents migrated away from)
+ *   - launch_jobs             (mint keys of jobs still in flight)
+ * Each row not yet under the active key (WALLET_ENCRYPTION_KEY_ID) is
+ * decrypted with its own key, checked against its stored address,
+ * re-encrypted, round-tripped and written back. Rows that fail any check
+ * are left untouched and reported, as is every row still under another key
+ * when the run ends.
+ *
+ * Rotation steps:
+ *   1. Move the old key into WALLET_DECRYPTION_KEYS ("v1:<hex>")
+ *   2. Set WALLET_ENCRYPTION_KEY / WALLET_ENCRYPTION_KEY_ID to the new key, deploy
+ *   3. Run this script until it reports 0 remaining
+ *   4. Remove the old key
+ *
+ * Usage:
+ *   node scripts/rotate-wallet-key.js                  # rotate all rows
+ *   node scripts/rotate-wallet-key.js --batch-size 50
+ *   node scripts/rotate-wallet-key.js --dry-run        # verify only, no writes
+ *   node scripts/rotate-wallet-key.js --verify         # verify every row decrypts to its address
+ *
+ * Exits 1 if any row failed or any row is left under another key.
+ */
+
+import {
+    getAgentWalletBatch, updateAgentWalletEncryption,
+    getRetiredAgentWalletBatch, updateRetiredAgentWalletEncryption,
+    getLaunchJobMintKeyBatch, updateLaunchJobMintEncryption,
+    countEncryptedKeysByKeyId,
+} from '../lib/db.js';
+import {
+    getActiveKeyId, getDecryptionKeyIds, loadKeypairFromEncrypted, reencryptWalletRow,
+} from '../lib/wallet-crypto.js';
+
+// Per table: how to page through it, read a row as a wallet row
+// ({ wallet_address, encrypted_key, iv, auth_tag, key_id }) and write the new envelope
+const SOURCES = [
+    {
+        table: 'agent_wallets',
+        fetchBatch: ({ cursor, excludeKeyId, limit }) => getAgentWalletBatch({ afterAgentId: cursor, excludeKeyId, limit }),
+        cursorOf: row => row.agent_id,
+        labelOf: row => row.agent_id,
+        toWalletRow: row => row,
+        update: (row, envelope) => updateAgentWalletEncryption({
+            agentId: row.agent_id,
+            previousEncryptedKey: row.encrypted_key,
+            encryptedKey: envelope.encrypted,
+            iv: envelope.iv,
+            authTag: envelope.authTag,
+            keyId: envelope.keyId,
+        }),
+    },
+    {
+        table: 'retired_agent_wallets',
+        fetchBatch: ({ cursor, excludeKeyId, limit }) => getRetiredAgentWalletBatch({ afterWalletAddress: cursor, excludeKeyId, limit }),
+        cursorOf: row => row.wallet_address,
+        labelOf: row => `${row.agent_id} retired`,
+        toWalletRow: row => row,
+        update: (row, envelope) => updateRetiredAgentWalletEncryption({
+            walletAddress: row.wallet_address,
+            previousEncryptedKey: row.encrypted_key,
+            encryptedKey: envelope.encrypted,
+            iv: envelope.iv,
+            authTag: envelope.authTag,
+            keyId: envelope.keyId,
+        }),
+    },
+    {
+        table: 'launch_jobs',
+        fetchBatch: ({ cursor, excludeKeyId, limit }) => getLaunchJobMintKeyBatch({ afterId: cursor, excludeKeyId, limit }),
+        cursorOf: row => row.id,
+        labelOf: row => `job ${row.id} mint`,
+        toWalletRow: row => ({
+            wallet_address: row.mint_address,
+            encrypted_key: row.mint_encrypted_key,
+            iv: row.mint_iv,
+            auth_tag: row.mint_auth_tag,
+            key_id: row.mint_key_id,
+        }),
+        update: (row, envelope) => updateLaunchJobMintEncryption({
+            jobId: row.id,
+            previousEncryptedKey: row.mint_encrypted_key,
+            encryptedKey: envelope.encrypted,
+            iv: envelope.iv,
+            authTag: envelope.authTag,
+            keyId: envelope.keyId,
+        }),
+    },
+];
+
+function argValue(name) {
+    const idx = process.argv.indexOf(name);
+    return idx !== -1 ? process.argv[idx + 1] : null;
+}
+
+async function verifyRow(row) {
+    const keypair = await loadKeypairFromEncrypted(row);
+    if (keypair.publicKey.toBase58() !== row.wallet_address) {
+        throw new Error(`Decrypted key does not match wallet ${row.wallet_address}`);
+    }
+}
+
+async function rotateSource(source, { batchSize, dryRun, verifyAll, activeKeyId }) {
+    const counts = { checked: 0, rotated: 0, failed: 0, skipped: 0 };
+    let cursor = null;
+
+    for (;;) {
+        const batch = await source.fetchBatch({
+            cursor,
+            excludeKeyId: verifyAll ? null : activeKeyId,
+            limit: batchSize,
+        });
+        if (batch.length === 0) break;
+        cursor = source.cursorOf(batch[batch.length - 1]);
+
+        for (const row of batch) {
+            const walletRow = source.toWalletRow(row);
+            counts.checked++;
+            try {
+                if (verifyAll || dryRun) {
+                    await verifyRow(walletRow);
+                    continue;
+                }
+
+                const envelope = await reencryptWalletRow(walletRow);
+                if (await source.update(row, envelope)) {
+                    counts.rotated++;
+                } else {
+                    counts.skipped++;
+                    console.log(`  - ${source.labelOf(row)} changed during rotation, skipped (re-run to pick it up)`);
+                }
+            } catch (err) {
+                counts.failed++;
+                console.error(`  ✗ ${source.labelOf(row)} (${walletRow.wallet_address}, key ${walletRow.key_id}): ${err.message}`);
+            }
+        }
+
+        console.log(`[KeyRotation] ${source.table}: ${counts.checked} checked, ${counts.rotated} rotated, ${counts.failed} failed`);
+    }
+    return counts;
+}
+
+async function main() {
+    const batchSize = Math.max(1, parseInt(argValue('--batch-size') || '100'));
+    const dryRun = process.argv.includes('--dry-run');
+    const verifyAll = process.argv.includes('--verify');
+    const activeKeyId = getActiveKeyId();
+
+    console.log(`[KeyRotation] Active key: ${activeKeyId}; decryption keys: ${getDecryptionKeyIds().join(', ')}`);
+    for (const { source, keyId, count } of await countEncryptedKeysByKeyId()) {
+        console.log(`  ${source} ${keyId}: ${count} key(s)`);
+    }
+    if (verifyAll) console.log('[KeyRotation] Verify mode — checking every key, no writes');
+    else if (dryRun) console.log('[KeyRotation] Dry run — no writes');
+
+    const counts = { checked: 0, rotated: 0, failed: 0, skipped: 0 };
+    for (const source of SOURCES) {
+        const sourceCounts = await rotateSource(source, { batchSize, dryRun, verifyAll, activeKeyId });
+        for (const key of Object.keys(counts)) counts[key] += sourceCounts[key];
+    }
+
+    const remaining = (await countEncryptedKeysByKeyId()).filter(c => c.keyId !== activeKeyId);
+    for (const { source, keyId, count } of remaining) {
+        console.log(`  ! ${source}: ${count} key(s) still under ${keyId}`);
+    }
+    const remainingCount = remaining.reduce((sum, c) => sum + c.count, 0);
+
+    console.log(`[KeyRotation] Done: ${counts.checked} checked, ${counts.rotated} rotated, ${counts.skipped} skipped, ${counts.failed} failed, ${remainingCount} remaining under other keys`);
+    return counts.failed > 0 || (remainingCount > 0 && !dryRun && !verifyAll) ? 1 : 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(err => {
+        console.error('[KeyRotation] Fatal:', err.message);
+        process.exit(1);
+    });
@@ -3,7 +3,7 @@
  *
  * Tests the full flow:
  *   1. Register agent
- *   2. Launch token
+ *   2. Launch token (queued job, polled to completion)
  *   3. Check tokens list
  *   4. Check agent earnings
  *   5. Check platform stats
@@ -164,13 +164,24 @@ async function testLaunchToken() {
             twitter: '@AlphaAgent',
         }),
     });
-    assert(s4 === 201, `Token launch returns 201 (got ${s4})`);
-    assert(d4.success === true, `Launch success`);
-    assert(d4.mintAddress, `Mint address: ${d4.mintAddress?.slice(0, 20)}...`);
-    assert(d4.txSignature, `Tx signature: ${d4.txSignature?.slice(0, 20)}...`);
-    assert(d4.pumpUrl, `pump.fun URL: ${d4.pumpUrl}`);
+    assert(s4 === 202, `Token launch returns 202 (got ${s4})`);
+    assert(d4.success === true, `Launch queued`);
+    assert(d4.jobId, `Job id: ${d4.jobId}`);
     assert(d4.gasPaidBy === 'platform', `Gas paid by: ${d4.gasPaidBy}`);
-    info(`Simulated: ${d4.simulated}`);
+
+    // Poll the launch job until it settles
+    let job = null;
+    for (let i = 0; i < 20; i++) {
+        const { data } = await fetchJSON(`/api/launch/${d4.jobId}`, { headers: { 'X-API-Key': apiKey } });
+        job = data.job;
+        if (job && (job.status === 'done' || job.status === 'failed')) break;
+        await new Promise(r => setTimeout(r, 1000));
+    }
+    assert(job?.status === 'done', `Launch job done (got ${job?.status})`);
+    assert(job?.mintAddress, `Mint address: ${job?.mintAddress?.slice(0, 20)}...`);
+    assert(job?.txSignature, `Tx signature: ${job?.txSignature?.slice(0, 20)}...`);
+    assert(job?.pumpUrl, `pump.fun URL: ${job?.pumpUrl}`);
+    info(`Fee sharing: ${job?.feeSharingStatus}`);
 
     // Test with API key auth
     const { status: s5, data: d5 } = await fetchJSON('/api/launch', {
@@ -0,0 +1,116 @@
+/**
+ * Webhook Receiver (local test endpoint)
+ *
+ * Minimal HTTP server that accepts ClawdPump webhook deliveries, verifies
+ * the X-ClawdPump-Signature header and prints each event. Use it to test a
+ * webhook end to end, and as a reference for verifying signatures in your
+ * own receiver (no ClawdPump imports needed).
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=whsec_... node scripts/webhook-receiver.js
+ *
+ * Env:
+ *   WEBHOOK_SECRET          secret returned when the webhook was created
+ *                           (without it, signatures are shown but not checked)
+ *   WEBHOOK_RECEIVER_PORT   default 8788 (binds to 127.0.0.1)
+ *   WEBHOOK_RECEIVER_FAIL   respond 500 to every delivery (to watch retries)
+ *
+ * Then register it (the app must allow http URLs: non-production, or
+ * WEBHOOK_ALLOW_INSECURE=true):
+ *   curl -X POST http://localhost:3000/api/agents/webhooks -H "X-API-Key: ..." \
+ *     -H "Content-Type: application/json" \
+ *     -d '{"url":"http://127.0.0.1:8788/webhook","events":["*"]}'
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = parseInt(process.env.WEBHOOK_RECEIVER_PORT || '8788');
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const FAIL = process.env.WEBHOOK_RECEIVER_FAIL === 'true';
+const TOLERANCE_SEC = 300;
+const MAX_BODY_BYTES = 256 * 1024;
+
+const seenEvents = new Set();
+
+/**
+ * Verify `t=<unix>,v1=<hex>` where v1 = HMAC-SHA256(secret, "<t>.<raw body>").
+ */
+function verifySignature(header, rawBody) {
+    const parts = Object.fromEntries((header || '').split(',').map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!Number.isInteger(timestamp) || !parts.v1) return 'malformed signature header';
+    if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SEC) return 'timestamp outside tolerance';
+
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${rawBody}`).digest();
+    const received = Buffer.from(parts.v1, 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return 'signature mismatch';
+    }
+    return null;
+}
+
+async function readBody(req) {
+    let size = 0;
+    const chunks = [];
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new Error('Request body too large');
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method !== 'POST') {
+        res.writeHead(405).end();
+        return;
+    }
+
+    let rawBody;
+    try {
+        rawBody = await readBody(req);
+    } catch (err) {
+        res.writeHead(413).end(err.message);
+        return;
+    }
+
+    const event = req.headers['x-clawdpump-event'];
+    const deliveryId = req.headers['x-clawdpump-delivery'];
+    const signature = req.headers['x-clawdpump-signature'];
+
+    if (SECRET) {
+        const error = verifySignature(signature, rawBody);
+        if (error) {
+            console.warn(`[Receiver] ✗ ${event} (${deliveryId}): ${error}`);
+            res.writeHead(401).end(error);
+            return;
+        }
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(rawBody);
+    } catch {
+        res.writeHead(400).end('Invalid JSON');
+        return;
+    }
+
+    // Deliveries can repeat (retries after a timeout) — de-duplicate on the event id
+    const duplicate = seenEvents.has(payload.id);
+    seenEvents.add(payload.id);
+
+    console.log(`[Receiver] ${SECRET ? '✓' : '?'} ${event} ${payload.id}${duplicate ? ' (duplicate)' : ''} delivery=${deliveryId}`);
+    console.log(JSON.stringify(payload.data, null, 2));
+
+    if (FAIL) {
+        res.writeHead(500).end('Failing on purpose (WEBHOOK_RECEIVER_FAIL)');
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`[Receiver] Listening on http://127.0.0.1:${PORT}${SECRET ? '' : ' (WEBHOOK_SECRET not set — signatures not verified)'}`);
+});
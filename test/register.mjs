@@ -0,0 +1,9 @@
+/**
+ * Loader for `npm test`: resolves imports the way Next's bundler does, so lib/
+ * modules run under plain `node --test` — `@/` paths (jsconfig.json) and
+ * extensionless package subpaths such as `next/server`.
+ */
+
+import { register } from 'node:module';
+
+register('./resolve.mjs', import.meta.url);
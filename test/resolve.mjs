@@ -0,0 +1,14 @@
+import { existsSync } from 'node:fs';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('../', import.meta.url));
+
+export async function resolve(specifier, context, next) {
+    if (specifier.startsWith('@/')) {
+        const path = ROOT + specifier.slice(2);
+        const file = [`${path}.js`, `${path}/index.js`, path].find(candidate => existsSync(candidate));
+        return next(pathToFileURL(file || path).href, context);
+    }
+    if (specifier === 'next/server') return next('next/server.js', context);
+    return next(specifier, context);
+}
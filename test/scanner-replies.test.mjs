@@ -0,0 +1,207 @@
+/**
+ * Scanner reply templates (lib/scanners/replies/): every template in every
+ * language and reply format, the reply builders, and the English fallback.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    REPLY_LANGUAGES, REPLY_FORMATS, DEFAULT_REPLY_LANGUAGE, renderReply, selectReplyLanguage,
+    launchRejectionReply, launchJobReply, launchPreviewReply, recoveryReply, withRetryNote,
+} from '../lib/scanners/replies/index.js';
+import { REPLIES as en } from '../lib/scanners/replies/en.js';
+import { REPLIES as es } from '../lib/scanners/replies/es.js';
+import { replyFormat as fourclawFormat } from '../lib/scanners/fourclaw.js';
+import { replyFormat as moltbookFormat } from '../lib/scanners/moltbook.js';
+
+const WALLET = '6FFXv5qCHs3PRfGp82AHYbNvUga4aHkF7Auijyi28RvX';
+const SPLIT = { creator: 70, platform: 30 };
+const DAY = 86_400_000;
+
+// Variables for each template, as the builders in index.js pass them
+const VARS = {
+    launched: {
+        name: 'Lobster', symbol: 'LOB', pumpUrl: 'https://pump.fun/coin/MINT', explorerUrl: 'https://solscan.io/tx/SIG',
+        siteUrl: 'https://clawdpump.xyz', launchType: 'free', paidCost: 0.02, feeSplit: SPLIT, source: 'MOLTBOOK',
+    },
+    queued: { name: 'Lobster', symbol: 'LOB', error: 'IPFS upload timed out' },
+    launchFailed: { error: 'Create transaction failed' },
+    invalidFormat: { error: 'name is required', guideUrl: 'https://clawdpump.xyz/skill.md' },
+    symbolTaken: { symbol: 'LOB' },
+    insufficientBalance: {
+        wallet: WALLET, minClawdpump: '2,000,000', freeSplit: SPLIT, freeLimit: { count: 1, windowMs: DAY },
+        buyUrl: 'https://pump.fun/coin/CLAWD', paidCost: 0.02, paidSplit: { creator: 85, platform: 15 },
+        balance: { clawdpump: '0', sol: '0.0000 SOL' },
+    },
+    freeLimitReached: { limit: { count: 1, windowMs: DAY }, paidCost: 0.02, paidSplit: { creator: 85, platform: 15 }, wallet: WALLET },
+    rateLimited: { limit: { count: 60, windowMs: 3_600_000 }, dimension: 'ip', retryAfter: 30 },
+    launchBlocked: { error: 'Agent wallet is being migrated' },
+    launchRejected: { error: 'Symbol is reserved' },
+    recoveryVerified: { agentId: 'lobster-agent', recoveryId: 'rec-1' },
+    recoveryRejected: { reason: 'Post author does not match the agent' },
+    launchPreview: {
+        ok: true, name: 'Lobster', symbol: 'LOB', launchType: 'free', feeSplit: SPLIT, paidCost: 0.02,
+        minClawdpump: '2,000,000', wallet: WALLET, balance: { clawdpump: '3,000,000', sol: '0.0500 SOL' },
+        guideUrl: 'https://clawdpump.xyz/skill.md',
+    },
+    retryScheduled: { at: '2026-10-19 12:00' },
+};
+
+// A word of each language's fee split line, to tell the languages apart
+const FEE_SPLIT_TEXT = { en: '70% creator / 30% platform', es: '70% creador / 30% plataforma', zh: '创建者 70% / 平台 30%' };
+
+test('every template has fixture variables', () => {
+    assert.deepEqual(Object.keys(VARS).sort(), Object.keys(en).sort());
+});
+
+for (const language of REPLY_LANGUAGES) {
+    for (const format of Object.keys(REPLY_FORMATS)) {
+        describe(`${language} / ${format}`, () => {
+            for (const key of Object.keys(en)) {
+                test(key, () => {
+                    const text = renderReply(key, VARS[key], { language, format });
+                    assert.ok(text.trim().length > 0);
+                    assert.doesNotMatch(text, /undefined|null|NaN|\[object Object\]/);
+                    if (format === 'plain') {
+                        assert.doesNotMatch(text, /\*\*|`/);
+                    }
+                });
+            }
+
+            test('launched reply carries the token, links, tier and source', () => {
+                const text = renderReply('launched', VARS.launched, { language, format });
+                for (const part of ['Lobster', 'LOB', 'https://pump.fun/coin/MINT', 'https://solscan.io/tx/SIG', FEE_SPLIT_TEXT[language]]) {
+                    assert.ok(text.includes(part), `missing "${part}" in:\n${text}`);
+                }
+                assert.ok(text.includes('{LAUNCHED WITH ClawdPump VIA MOLTBOOK}'));
+            });
+        });
+    }
+}
+
+describe('formats', () => {
+    test('markdown keeps bold and code spans', () => {
+        const text = renderReply('insufficientBalance', VARS.insufficientBalance, { language: 'en', format: 'markdown' });
+        assert.ok(text.startsWith('❌ **Insufficient Balance**'));
+        assert.ok(text.includes(`\`${WALLET}\``));
+    });
+
+    test('plain strips the markup but keeps the text', () => {
+        const text = renderReply('insufficientBalance', VARS.insufficientBalance, { language: 'en', format: 'plain' });
+        assert.ok(text.startsWith('❌ Insufficient Balance'));
+        assert.ok(text.includes(`Your wallet: ${WALLET}`));
+    });
+
+    test('adapters pick their format: 4claw plain, Moltbook markdown', () => {
+        assert.equal(fourclawFormat, 'plain');
+        assert.equal(moltbookFormat, 'markdown');
+        const text = renderReply('symbolTaken', VARS.symbolTaken, { language: 'en', format: fourclawFormat });
+        assert.equal(text, '❌ Ticker "LOB" already launched\n\nChoose a different symbol.');
+    });
+
+    test('an unknown format renders markdown', () => {
+        assert.equal(
+            renderReply('launchFailed', VARS.launchFailed, { format: 'html' }),
+            renderReply('launchFailed', VARS.launchFailed, { format: 'markdown' }),
+        );
+    });
+});
+
+describe('fallback', () => {
+    test('an unknown language renders English', () => {
+        assert.equal(
+            renderReply('launched', VARS.launched, { language: 'fr' }),
+            renderReply('launched', VARS.launched, { language: DEFAULT_REPLY_LANGUAGE }),
+        );
+    });
+
+    test('a template missing from a language falls back to English', () => {
+        const spanish = es.symbolTaken;
+        delete es.symbolTaken;
+        try {
+            assert.equal(
+                renderReply('symbolTaken', VARS.symbolTaken, { language: 'es' }),
+                renderReply('symbolTaken', VARS.symbolTaken, { language: 'en' }),
+            );
+        } finally {
+            es.symbolTaken = spanish;
+        }
+        assert.notEqual(
+            renderReply('symbolTaken', VARS.symbolTaken, { language: 'es' }),
+            renderReply('symbolTaken', VARS.symbolTaken, { language: 'en' }),
+        );
+    });
+
+    test('an unknown template throws', () => {
+        assert.throws(() => renderReply('nope', {}, { language: 'es' }), /Unknown reply template "nope"/);
+    });
+});
+
+describe('builders', () => {
+    const ctx = { platform: '4claw', language: 'en', format: 'plain' };
+
+    test('launchRejectionReply renders each launch error, and nothing for moderation', () => {
+        assert.equal(launchRejectionReply({ code: 'AGENT_BANNED', error: 'Banned' }, ctx), null);
+        assert.match(launchRejectionReply({ code: 'INVALID_INPUT', error: 'name is required' }, ctx), /^❌ ClawdPump Launch Failed\n\nname is required\n/);
+        assert.match(launchRejectionReply({ code: 'SYMBOL_TAKEN', symbol: 'LOB' }, ctx), /Ticker "LOB" already launched/);
+        assert.match(
+            launchRejectionReply({ code: 'RATE_LIMITED', retryAfter: 30, rateLimit: { limit: 5, windowMs: 3_600_000, dimension: 'agent' } }, ctx),
+            /Max 5 launches per hour per agent\. Retry in 30s\./,
+        );
+        assert.match(
+            launchRejectionReply({ code: 'FREE_LIMIT_REACHED', yourWallet: WALLET, rateLimit: { limit: 1, windowMs: DAY } }, ctx),
+            /Free launch limit reached \(1 per 24 hours\)/,
+        );
+        assert.match(launchRejectionReply({ code: 'SYMBOL_LOOKALIKE', error: 'Looks like $CLAWDPUMP' }, ctx), /Launch Rejected\n\nLooks like/);
+    });
+
+    test('launchJobReply follows the job status', () => {
+        const job = { name: 'Lobster', symbol: 'LOB', mintAddress: 'MINT', txSignature: null, launchType: 'paid' };
+        const done = launchJobReply({ ...job, status: 'done' }, ctx);
+        assert.ok(done.includes('https://solscan.io/token/MINT'));
+        assert.ok(done.includes('PAID (0.02 SOL)'));
+        assert.ok(done.endsWith('{LAUNCHED WITH ClawdPump VIA 4CLAW}'));
+        assert.match(launchJobReply({ ...job, status: 'creating', errorMsg: 'RPC down' }, ctx), /queued for launch[\s\S]*Last error: RPC down/);
+        assert.equal(launchJobReply({ ...job, status: 'failed', errorMsg: 'Boom' }, ctx), '❌ Launch failed\n\nBoom');
+    });
+
+    test('launchPreviewReply shows the tier or why not', () => {
+        const preview = {
+            ok: false, code: 'INVALID_INPUT', error: 'description must be at least 20 characters',
+            token: null, launchType: null, wallet: WALLET, balances: { clawdpump: 0, sol: 0 },
+        };
+        const text = launchPreviewReply(preview, { ...ctx, language: 'es' });
+        assert.ok(text.includes('No se lanzaría: description must be at least 20 characters'));
+        assert.ok(text.includes('Nivel: ninguno'));
+        assert.ok(text.includes('Saldo: 0 $CLAWDPUMP | 0.0000 SOL'));
+        assert.equal(launchPreviewReply({ ...preview, code: 'AGENT_FROZEN' }, ctx), null);
+    });
+
+    test('recoveryReply and withRetryNote', () => {
+        assert.match(recoveryReply({ ok: true, recovery: { agentId: 'a1', id: 'r1' } }, ctx), /\/api\/agents\/recovery\/r1\/complete/);
+        assert.equal(recoveryReply({ ok: false, reason: 'Expired' }, ctx), '❌ Recovery not verified\n\nExpired');
+        assert.equal(withRetryNote('Failed', null, ctx), 'Failed');
+        assert.equal(
+            withRetryNote('Failed', new Date('2026-10-19T12:00:00Z'), { ...ctx, language: 'zh' }),
+            'Failed\n\n🔁 ClawdPump 将自动重试此帖子（下次尝试：2026-10-19 12:00 UTC）。',
+        );
+    });
+});
+
+describe('selectReplyLanguage', () => {
+    const post = (description, extra = '') => `!ClawdPump\nname: Lobster\nsymbol: LOB\n${extra}description: ${description}`;
+
+    test('detects the language of the post', () => {
+        assert.equal(selectReplyLanguage({ content: post('The first lobster token on the reef') }), 'en');
+        assert.equal(selectReplyLanguage({ content: post('La primera moneda de la comunidad langosta') }), 'es');
+        assert.equal(selectReplyLanguage({ content: post('第一个龙虾社区代币，欢迎加入') }), 'zh');
+    });
+
+    test('a lang line beats the agent preference, which beats detection', () => {
+        const agent = { replyLanguage: 'es' };
+        assert.equal(selectReplyLanguage({ content: post('The first lobster token on the reef', 'lang: zh\n'), agent }), 'zh');
+        assert.equal(selectReplyLanguage({ content: post('The first lobster token on the reef'), agent }), 'es');
+        assert.equal(selectReplyLanguage({ content: post('The first lobster token on the reef', 'lang: fr\n') }), 'en');
+    });
+});